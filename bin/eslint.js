@@ -152,6 +152,7 @@ ${getErrorMessage(error)}`;
     const exitCode = await require("../lib/cli").execute(
         process.argv,
         process.argv.includes("--stdin") ? await readStdin() : null,
+        true,
         true
     );
 
@@ -25,8 +25,16 @@ module.exports = {
     cacheLocation: "",
     cacheFile: ".eslintcache",
     cacheStrategy: "metadata",
+    cacheDir: null,
+    cacheRemote: null,
+    concurrency: "off",
     fix: false,
     allowInlineConfig: true,
     reportUnusedDisableDirectives: void 0,
+    onlyFiles: null,
+    shard: null,
+    stats: false,
+    selectorStats: false,
+    trace: false,
     globInputPaths: true
 };
@@ -34,11 +34,16 @@ const {
 
 const { FileEnumerator } = require("./file-enumerator");
 
-const { Linter } = require("../linter");
+const { Linter, setTracer } = require("../linter");
 const builtInRules = require("../rules");
 const loadRules = require("./load-rules");
 const hash = require("./hash");
-const LintResultCache = require("./lint-result-cache");
+const { createLintResultCache, getCachedResult } = require("./lint-result-cache-helpers");
+const RemoteLintResultCache = require("./remote-lint-result-cache");
+const { LintWorkerPool, getWorkerCount } = require("../eslint/worker-pool");
+const { isFileInShard, reportsUnmatchedPatterns } = require("../shared/shard");
+const { throwIfAborted } = require("../shared/abort");
+const { Tracer } = require("../shared/tracer");
 
 const debug = require("debug")("eslint:cli-engine");
 const validFixTypes = new Set(["directive", "problem", "suggestion", "layout"]);
@@ -48,6 +53,7 @@ const validFixTypes = new Set(["directive", "problem", "suggestion", "layout"]);
 //------------------------------------------------------------------------------
 
 // For VSCode IntelliSense
+/** @typedef {import("../shared/types").CacheStats} CacheStats */
 /** @typedef {import("../shared/types").ConfigData} ConfigData */
 /** @typedef {import("../shared/types").DeprecatedRuleInfo} DeprecatedRuleInfo */
 /** @typedef {import("../shared/types").LintMessage} LintMessage */
@@ -56,7 +62,12 @@ const validFixTypes = new Set(["directive", "problem", "suggestion", "layout"]);
 /** @typedef {import("../shared/types").Plugin} Plugin */
 /** @typedef {import("../shared/types").RuleConf} RuleConf */
 /** @typedef {import("../shared/types").Rule} Rule */
+/** @typedef {import("../shared/types").Stats} Stats */
+/** @typedef {import("../shared/types").FileProgress} FileProgress */
 /** @typedef {import("../shared/types").FormatterFunction} FormatterFunction */
+/** @typedef {import("../shared/types").TraceEvent} TraceEvent */
+/** @typedef {import("./lint-result-cache")} LintResultCache */
+/** @typedef {import("./shared-lint-result-cache")} SharedLintResultCache */
 /** @typedef {ReturnType<CascadingConfigArrayFactory.getConfigArrayForFile>} ConfigArray */
 /** @typedef {ReturnType<ConfigArray.extractConfig>} ExtractedConfig */
 
@@ -67,6 +78,9 @@ const validFixTypes = new Set(["directive", "problem", "suggestion", "layout"]);
  * @property {ConfigData} [baseConfig] Base config object, extended by all configs used with this CLIEngine instance
  * @property {boolean} [cache] Enable result caching.
  * @property {string} [cacheLocation] The cache file to use instead of .eslintcache.
+ * @property {string|null} [cacheDir] The directory of a cache that is keyed by file content instead of the cache file.
+ * @property {string|null} [cacheRemote] The URL of an HTTP server to share the cache in `cacheDir` through.
+ * @property {number|"auto"|"off"} [concurrency] The maximum number of worker threads used by `executeOnFilesInParallel()`.
  * @property {string} [configFile] The configuration file to use.
  * @property {string} [cwd] The value to use for the current working directory.
  * @property {string[]} [envs] An array of environments to load.
@@ -77,6 +91,11 @@ const validFixTypes = new Set(["directive", "problem", "suggestion", "layout"]);
  * @property {boolean} [ignore] False disables use of .eslintignore.
  * @property {string} [ignorePath] The ignore file to use instead of .eslintignore.
  * @property {string|string[]} [ignorePattern] One or more glob patterns to ignore.
+ * @property {number|null} [maxFileTime] The time in milliseconds a lint worker may take on a file before it's stopped
+ *      and the file gets a fatal error. Only used when files are linted in worker threads.
+ * @property {((progress: FileProgress) => void)|null} [onFileEnd] Called after each file is linted by `iterateOnFiles()`.
+ * @property {((progress: FileProgress) => void)|null} [onFileStart] Called before each file is linted by `iterateOnFiles()`.
+ * @property {string[]|null} [onlyFiles] Lint only these files of all files found. Relative paths are resolved from `cwd`.
  * @property {boolean} [useEslintrc] False disables looking for .eslintrc
  * @property {string} [parser] The name of the parser to use.
  * @property {ParserOptions} [parserOptions] An object of parserOption settings to use.
@@ -86,6 +105,10 @@ const validFixTypes = new Set(["directive", "problem", "suggestion", "layout"]);
  * @property {boolean} [reportUnusedDisableDirectives] `true` adds reports for unused eslint-disable directives
  * @property {boolean} [globInputPaths] Set to false to skip glob resolution of input file paths to lint (default: true). If false, each input file paths is assumed to be a non-glob path to an existing file.
  * @property {string} [resolvePluginsRelativeTo] The folder where plugins should be resolved from, defaulting to the CWD
+ * @property {boolean} [selectorStats] Break the times of rules in the statistics down by selector. Requires `stats`.
+ * @property {{index: number, total: number}|null} [shard] Lint only the files in this shard of all files found. `index` is 1-based.
+ * @property {boolean} [stats] Add statistics about the times that linting each file took to the results.
+ * @property {boolean} [trace] Record what the run spends its time on, to get with `getTraceEvents()`.
  */
 
 /**
@@ -101,6 +124,7 @@ const validFixTypes = new Set(["directive", "problem", "suggestion", "layout"]);
  * @property {number} fixableWarningCount Number of fixable warnings for the result.
  * @property {string} [source] The source code of the file that was linted.
  * @property {string} [output] The source code of the file that was linted, with as many fixes applied as possible.
+ * @property {Stats} [stats] Statistics about linting the file. Only present if the `stats` option is enabled.
  */
 
 /**
@@ -124,9 +148,19 @@ const validFixTypes = new Set(["directive", "problem", "suggestion", "layout"]);
  * @property {(filePath: string) => boolean} defaultIgnores The default predicate function to check if a file ignored or not.
  * @property {FileEnumerator} fileEnumerator The file enumerator.
  * @property {ConfigArray[]} lastConfigArrays The list of config arrays that the last `executeOnFiles` or `executeOnText` used.
- * @property {LintResultCache|null} lintResultCache The cache of lint results.
+ * @property {LintResultCache|SharedLintResultCache|null} lintResultCache The cache of lint results.
  * @property {Linter} linter The linter instance which has loaded rules.
  * @property {CLIEngineOptions} options The normalized options of this instance.
+ * @property {Tracer} tracer The tracer that records the events of this instance.
+ */
+
+/**
+ * A file found by `executeOnFiles()` that has to be linted.
+ * @typedef {Object} LintTarget
+ * @property {number} index The position of the file in the results.
+ * @property {string} filePath The absolute path to the file.
+ * @property {ConfigArray} config The config array for the file.
+ * @property {number|null} cost The time in milliseconds it took to lint the file the last time, if known.
  */
 
 //------------------------------------------------------------------------------
@@ -225,6 +259,8 @@ function calculateStatsPerRun(results) {
  * @param {boolean} config.fix If `true` then it does fix.
  * @param {boolean} config.allowInlineConfig If `true` then it uses directive comments.
  * @param {boolean} config.reportUnusedDisableDirectives If `true` then it reports unused `eslint-disable` comments.
+ * @param {boolean} config.stats If `true` then it adds statistics to the result.
+ * @param {boolean} config.selectorStats If `true` then the statistics break the times of rules down by selector.
  * @param {FileEnumerator} config.fileEnumerator The file enumerator to check if a path is a target or not.
  * @param {Linter} config.linter The linter instance to verify.
  * @returns {LintResult} The result of linting.
@@ -238,6 +274,8 @@ function verifyText({
     fix,
     allowInlineConfig,
     reportUnusedDisableDirectives,
+    stats,
+    selectorStats,
     fileEnumerator,
     linter
 }) {
@@ -259,6 +297,8 @@ function verifyText({
             filename: filePathToVerify,
             fix,
             reportUnusedDisableDirectives,
+            stats,
+            selectorStats,
 
             /**
              * Check if the linter should adopt a given code block or not.
@@ -282,6 +322,12 @@ function verifyText({
     if (fixed) {
         result.output = output;
     }
+    if (stats) {
+        result.stats = {
+            times: linter.getTimes(),
+            fixPasses: linter.getFixPassCount()
+        };
+    }
     if (
         result.errorCount + result.warningCount > 0 &&
         typeof result.output === "undefined"
@@ -575,6 +621,187 @@ function directoryExists(resolvedPath) {
     }
 }
 
+/**
+ * Lints a file with the options of a `CLIEngine` instance.
+ * @param {CLIEngineInternalSlots} slots The internal slots of the instance.
+ * @param {string} filePath The absolute path to the file to lint.
+ * @param {ConfigArray} config The config array for the file.
+ * @returns {LintResult} The result of linting.
+ * @private
+ */
+function lintFileWithSlots({
+    fileEnumerator,
+    linter,
+    options: {
+        allowInlineConfig,
+        cwd,
+        fix,
+        reportUnusedDisableDirectives,
+        stats,
+        selectorStats
+    },
+    tracer
+}, filePath, config) {
+    return tracer.trace("Lint file", "file", () => verifyText({
+        text: fs.readFileSync(filePath, "utf8"),
+        filePath,
+        config,
+        cwd,
+        fix,
+        allowInlineConfig,
+        reportUnusedDisableDirectives,
+        stats,
+        selectorStats,
+        fileEnumerator,
+        linter
+    }), { filePath });
+}
+
+/**
+ * Lints a file in a lint worker. The worker has its own `CLIEngine` instance,
+ * so the config array for the file is looked up again.
+ * @param {CLIEngine} engine The `CLIEngine` instance of the worker.
+ * @param {string} filePath The absolute path to the file to lint.
+ * @returns {LintResult} The result of linting.
+ */
+function lintFile(engine, filePath) {
+    const slots = internalSlotsMap.get(engine);
+    const config = slots.configArrayFactory.getConfigArrayForFile(filePath);
+
+    // `--fix-type` option uses the loaded rule's meta data.
+    if (!slots.lastConfigArrays.includes(config)) {
+        slots.lastConfigArrays.push(config);
+    }
+
+    return lintFileWithSlots(slots, filePath, config);
+}
+
+/**
+ * Gets the cache of lint results to show statistics of, prune, or clear.
+ * Unlike linting, this uses the cache that the options select even if the
+ * `cache` option is off.
+ * @param {CLIEngineInternalSlots} slots The internal slots of a CLIEngine.
+ * @returns {LintResultCache|SharedLintResultCache} The cache.
+ * @private
+ */
+function getCacheToManage({ cacheFilePath, lintResultCache, options }) {
+    return lintResultCache || createLintResultCache(options, cacheFilePath);
+}
+
+/**
+ * Enumerates the files for the given patterns. Ignored files and files that
+ * have a cached result are put into the results right away, all other files
+ * are returned as targets to lint.
+ * @param {CLIEngineInternalSlots} slots The internal slots of the instance.
+ * @param {string[]} patterns An array of file and directory names.
+ * @throws {Error} As may be thrown by `fs.unlinkSync`.
+ * @returns {{results: LintResult[], targets: LintTarget[]}} The results
+ *      indexed by the position of each file, and the files to lint.
+ * @private
+ */
+function enumerateLintTargets({
+    cacheFilePath,
+    fileEnumerator,
+    lastConfigArrays,
+    lintResultCache,
+    options: {
+        cache,
+        cwd,
+        fix,
+        onlyFiles,
+        shard
+    }
+}, patterns) {
+    const results = [];
+    const targets = [];
+    const onlyFilePaths = onlyFiles && new Set(onlyFiles.map(filePath => path.resolve(cwd, filePath)));
+    let index = 0;
+
+    // Clear the last used config arrays.
+    lastConfigArrays.length = 0;
+
+    // Delete cache file; should this do here?
+    if (!cache) {
+        try {
+            fs.unlinkSync(cacheFilePath);
+        } catch (error) {
+            const errorCode = error && error.code;
+
+            // Ignore errors when no such file exists or file system is read only (and cache file does not exist)
+            if (errorCode !== "ENOENT" && !(errorCode === "EROFS" && !fs.existsSync(cacheFilePath))) {
+                throw error;
+            }
+        }
+    }
+
+    // Iterate source code files.
+    for (const { config, filePath, ignored } of fileEnumerator.iterateFiles(patterns)) {
+        if (!isFileInShard(filePath, cwd, shard) || (onlyFilePaths && !onlyFilePaths.has(filePath))) {
+            continue;
+        }
+
+        const resultIndex = index++;
+
+        if (ignored) {
+            results[resultIndex] = createIgnoreResult(filePath, cwd);
+            continue;
+        }
+
+        /*
+         * Store used configs for:
+         * - this method uses to collect used deprecated rules.
+         * - `getRules()` method uses to collect all loaded rules.
+         * - `--fix-type` option uses to get the loaded rule's meta data.
+         */
+        if (!lastConfigArrays.includes(config)) {
+            lastConfigArrays.push(config);
+        }
+
+        // Skip if there is cached result.
+        const cachedResult = lintResultCache && getCachedResult(lintResultCache, filePath, config, fix);
+
+        if (cachedResult) {
+            results[resultIndex] = cachedResult;
+            continue;
+        }
+
+        targets.push({
+            index: resultIndex,
+            filePath,
+            config,
+            cost: lintResultCache ? lintResultCache.getLintDuration(filePath) : null
+        });
+    }
+
+    return { results, targets };
+}
+
+/**
+ * Creates the report of linting files.
+ * @param {LintResult[]} results The results for all files that were linted.
+ * @param {ConfigArray[]} lastConfigArrays The list of config arrays that were used.
+ * @returns {LintReport} The report.
+ * @private
+ */
+function createLintReport(results, lastConfigArrays) {
+    let usedDeprecatedRules;
+
+    return {
+        results,
+        ...calculateStatsPerRun(results),
+
+        // Initialize it lazily because CLI and `ESLint` API don't use it.
+        get usedDeprecatedRules() {
+            if (!usedDeprecatedRules) {
+                usedDeprecatedRules = Array.from(
+                    iterateRuleDeprecationWarnings(lastConfigArrays)
+                );
+            }
+            return usedDeprecatedRules;
+        }
+    };
+}
+
 //------------------------------------------------------------------------------
 // Public Interface
 //------------------------------------------------------------------------------
@@ -634,15 +861,24 @@ class CLIEngine {
             cwd: options.cwd,
             extensions: options.extensions,
             globInputPaths: options.globInputPaths,
-            errorOnUnmatchedPattern: options.errorOnUnmatchedPattern,
+            errorOnUnmatchedPattern: options.errorOnUnmatchedPattern && reportsUnmatchedPatterns(options.shard),
             ignore: options.ignore
         });
-        const lintResultCache =
-            options.cache ? new LintResultCache(cacheFilePath, options.cacheStrategy) : null;
+        const lintResultCache = options.cache ? createLintResultCache(options, cacheFilePath) : null;
+
         const linter = new Linter({ cwd: options.cwd });
+        const tracer = new Tracer({ enabled: Boolean(options.trace) });
 
+        if (options.trace) {
+            setTracer(linter, tracer);
+        }
+
+        /*
+         * Only the config files of the current working directory are loaded
+         * here. Those of subdirectories are loaded as their files are found.
+         */
         /** @type {ConfigArray[]} */
-        const lastConfigArrays = [configArrayFactory.getConfigArrayForFile()];
+        const lastConfigArrays = [tracer.trace("Load config", "config", () => configArrayFactory.getConfigArrayForFile())];
 
         // Store private data.
         internalSlotsMap.set(this, {
@@ -654,7 +890,8 @@ class CLIEngine {
             lastConfigArrays,
             lintResultCache,
             linter,
-            options
+            options,
+            tracer
         });
 
         // setup special filter for fixes
@@ -759,125 +996,218 @@ class CLIEngine {
      * @returns {LintReport} The results for all files that were linted.
      */
     executeOnFiles(patterns) {
+        const slots = internalSlotsMap.get(this);
+        const { lastConfigArrays, lintResultCache } = slots;
+        const startTime = Date.now();
+        const { results, targets } = slots.tracer.trace("Find files", "files", () => enumerateLintTargets(slots, patterns));
+
+        for (const { index, filePath, config } of targets) {
+
+            // Do lint.
+            const result = lintFileWithSlots(slots, filePath, config);
+
+            results[index] = result;
+
+            /*
+             * Store the lint result in the LintResultCache.
+             * NOTE: The LintResultCache will remove the file source and any
+             * other properties that are difficult to serialize, and will
+             * hydrate those properties back in on future lint runs.
+             */
+            if (lintResultCache) {
+                lintResultCache.setCachedLintResults(filePath, config, result);
+            }
+        }
+
+        // Persist the cache to disk.
+        if (lintResultCache) {
+            lintResultCache.reconcile();
+        }
+
+        debug(`Linting complete in: ${Date.now() - startTime}ms`);
+
+        return createLintReport(results, lastConfigArrays);
+    }
+
+    /**
+     * Executes the current configuration on an array of file and directory
+     * names, and yields each result as soon as it's available. Ignored files
+     * and cached results come first, then the linted files in the order they
+     * are finished. The files are linted in worker threads as allowed by the
+     * `concurrency` option. The cache is written when the iteration is
+     * complete.
+     * @param {string[]} patterns An array of file and directory names.
+     * @param {() => Object|null} getWorkerOptions Gets the options to create
+     *      an `ESLint` instance with in each worker, or `null` if the files
+     *      can't be linted in workers. Only called if workers are used.
+     * @param {AbortSignal} [signal] The signal to stop linting with. The cache
+     *      isn't written if it's aborted.
+     * @throws {Error} As may be thrown by `fs.unlinkSync` or by a worker.
+     * @throws {AbortError} If the signal is aborted.
+     * @returns {AsyncGenerator<{index: number, result: LintResult}>} Each
+     *      result with the position of the file in the list of all files found.
+     */
+    async *iterateOnFiles(patterns, getWorkerOptions, signal) {
+        throwIfAborted(signal);
+
+        const slots = internalSlotsMap.get(this);
         const {
-            cacheFilePath,
-            fileEnumerator,
-            lastConfigArrays,
             lintResultCache,
-            linter,
-            options: {
-                allowInlineConfig,
-                cache,
-                cwd,
-                fix,
-                reportUnusedDisableDirectives
-            }
-        } = internalSlotsMap.get(this);
-        const results = [];
+            options: { concurrency, fix, maxFileTime, onFileEnd, onFileStart }
+        } = slots;
         const startTime = Date.now();
+        const { results, targets: uncachedTargets } = slots.tracer.trace("Find files", "files", () => enumerateLintTargets(slots, patterns));
+        let targets = uncachedTargets;
 
-        // Clear the last used config arrays.
-        lastConfigArrays.length = 0;
+        // Files that aren't in the local cache may have been linted on another machine.
+        if (lintResultCache instanceof RemoteLintResultCache && targets.length > 0) {
+            await lintResultCache.download(targets);
+            throwIfAborted(signal);
 
-        // Delete cache file; should this do here?
-        if (!cache) {
-            try {
-                fs.unlinkSync(cacheFilePath);
-            } catch (error) {
-                const errorCode = error && error.code;
+            targets = targets.filter(({ index, filePath, config }) => {
+                const cachedResult = getCachedResult(lintResultCache, filePath, config, fix);
 
-                // Ignore errors when no such file exists or file system is read only (and cache file does not exist)
-                if (errorCode !== "ENOENT" && !(errorCode === "EROFS" && !fs.existsSync(cacheFilePath))) {
-                    throw error;
+                if (cachedResult) {
+                    results[index] = cachedResult;
+                    return false;
                 }
-            }
+
+                return true;
+            });
         }
 
-        // Iterate source code files.
-        for (const { config, filePath, ignored } of fileEnumerator.iterateFiles(patterns)) {
-            if (ignored) {
-                results.push(createIgnoreResult(filePath, cwd));
-                continue;
-            }
+        const total = targets.length;
+        const workerCount = getWorkerCount(concurrency, total, maxFileTime);
+        let completed = 0;
 
-            /*
-             * Store used configs for:
-             * - this method uses to collect used deprecated rules.
-             * - `getRules()` method uses to collect all loaded rules.
-             * - `--fix-type` option uses to get the loaded rule's meta data.
-             */
-            if (!lastConfigArrays.includes(config)) {
-                lastConfigArrays.push(config);
+        for (const [index, result] of results.entries()) {
+            if (result) {
+                yield { index, result };
             }
+        }
 
-            // Skip if there is cached result.
+        /**
+         * Stores the result of a linted file in the cache.
+         * @param {LintTarget} target The linted file.
+         * @param {LintResult} result The result of linting the file.
+         * @param {number} [duration] The time in milliseconds it took a worker to lint the file.
+         * @param {boolean} [timedOut] `true` if the worker was stopped for taking longer than `maxFileTime`.
+         * @returns {void}
+         */
+        function storeResult({ filePath, config }, result, duration, timedOut) {
             if (lintResultCache) {
-                const cachedResult =
-                    lintResultCache.getCachedLintResults(filePath, config);
 
-                if (cachedResult) {
-                    const hadMessages =
-                        cachedResult.messages &&
-                        cachedResult.messages.length > 0;
-
-                    if (hadMessages && fix) {
-                        debug(`Reprocessing cached file to allow autofix: ${filePath}`);
-                    } else {
-                        debug(`Skipping file since it hasn't changed: ${filePath}`);
-                        results.push(cachedResult);
-                        continue;
-                    }
+                // The file may be linted in time on the next run, so a timeout isn't cached.
+                if (timedOut) {
+                    lintResultCache.removeCachedLintResults(filePath);
+                } else {
+                    lintResultCache.setCachedLintResults(filePath, config, result);
+                }
+
+                // Used to schedule the slowest files first in the next run.
+                if (typeof duration === "number") {
+                    lintResultCache.setLintDuration(filePath, duration);
                 }
             }
+        }
 
-            // Do lint.
-            const result = verifyText({
-                text: fs.readFileSync(filePath, "utf8"),
-                filePath,
-                config,
-                cwd,
-                fix,
-                allowInlineConfig,
-                reportUnusedDisableDirectives,
-                fileEnumerator,
-                linter
+        /**
+         * Calls the `onFileStart` option, if any.
+         * @param {{filePath: string}} target The file that is about to be linted.
+         * @returns {void}
+         */
+        function startFile({ filePath }) {
+            if (onFileStart) {
+                onFileStart({ filePath, completed, total });
+            }
+        }
+
+        /**
+         * Calls the `onFileEnd` option, if any.
+         * @param {LintResult} result The result of the file that was linted.
+         * @returns {void}
+         */
+        function endFile(result) {
+            completed++;
+
+            if (onFileEnd) {
+                onFileEnd({ filePath: result.filePath, completed, total, result });
+            }
+        }
+
+        const workerOptions = workerCount > 0 ? getWorkerOptions() : null;
+
+        if (workerOptions) {
+            const targetsByIndex = new Map(targets.map(target => [target.index, target]));
+            const pool = new LintWorkerPool({
+                size: workerCount,
+                workerData: { configType: "eslintrc", options: workerOptions },
+                maxFileTime
             });
+            const tasks = targets.map(({ index, filePath, cost }) => ({ index, filePath, cost }));
 
-            results.push(result);
+            for await (const { index, result, duration, timedOut, traceEvents } of pool.iterate(tasks, { onStart: startFile, signal })) {
+                if (traceEvents) {
+                    slots.tracer.addEvents(traceEvents);
+                }
 
-            /*
-             * Store the lint result in the LintResultCache.
-             * NOTE: The LintResultCache will remove the file source and any
-             * other properties that are difficult to serialize, and will
-             * hydrate those properties back in on future lint runs.
-             */
-            if (lintResultCache) {
-                lintResultCache.setCachedLintResults(filePath, config, result);
+                storeResult(targetsByIndex.get(index), result, duration, timedOut);
+                endFile(result);
+                yield { index, result };
+            }
+        } else {
+            for (const target of targets) {
+                throwIfAborted(signal);
+                startFile(target);
+
+                const result = lintFileWithSlots(slots, target.filePath, target.config);
+
+                storeResult(target, result);
+                endFile(result);
+                yield { index: target.index, result };
             }
         }
 
-        // Persist the cache to disk.
+        /*
+         * Persist the cache to disk. An aborted run throws before this point, so
+         * a cache that is missing the files that weren't linted is never written.
+         */
+        throwIfAborted(signal);
+
         if (lintResultCache) {
             lintResultCache.reconcile();
         }
 
+        if (lintResultCache instanceof RemoteLintResultCache) {
+            await lintResultCache.upload();
+        }
+
         debug(`Linting complete in: ${Date.now() - startTime}ms`);
-        let usedDeprecatedRules;
+    }
 
-        return {
-            results,
-            ...calculateStatsPerRun(results),
+    /**
+     * Executes the current configuration on an array of file and directory names.
+     * The files are linted in worker threads as allowed by the `concurrency`
+     * option, otherwise this works the same as `executeOnFiles()`.
+     * @param {string[]} patterns An array of file and directory names.
+     * @param {() => Object|null} getWorkerOptions Gets the options to create
+     *      an `ESLint` instance with in each worker, or `null` if the files
+     *      can't be linted in workers. Only called if workers are used.
+     * @param {AbortSignal} [signal] The signal to stop linting with. The cache
+     *      isn't written if it's aborted.
+     * @throws {Error} As may be thrown by `fs.unlinkSync` or by a worker.
+     * @throws {AbortError} If the signal is aborted.
+     * @returns {Promise<LintReport>} The results for all files that were linted.
+     */
+    async executeOnFilesInParallel(patterns, getWorkerOptions, signal) {
+        const { lastConfigArrays } = internalSlotsMap.get(this);
+        const results = [];
 
-            // Initialize it lazily because CLI and `ESLint` API don't use it.
-            get usedDeprecatedRules() {
-                if (!usedDeprecatedRules) {
-                    usedDeprecatedRules = Array.from(
-                        iterateRuleDeprecationWarnings(lastConfigArrays)
-                    );
-                }
-                return usedDeprecatedRules;
-            }
-        };
+        for await (const { index, result } of this.iterateOnFiles(patterns, getWorkerOptions, signal)) {
+            results[index] = result;
+        }
+
+        return createLintReport(results, lastConfigArrays);
     }
 
     /**
@@ -897,7 +1227,9 @@ class CLIEngine {
                 allowInlineConfig,
                 cwd,
                 fix,
-                reportUnusedDisableDirectives
+                reportUnusedDisableDirectives,
+                stats,
+                selectorStats
             }
         } = internalSlotsMap.get(this);
         const results = [];
@@ -933,6 +1265,8 @@ class CLIEngine {
                 fix,
                 allowInlineConfig,
                 reportUnusedDisableDirectives,
+                stats,
+                selectorStats,
                 fileEnumerator,
                 linter
             }));
@@ -1007,6 +1341,51 @@ class CLIEngine {
         return defaultIgnores(absolutePath);
     }
 
+    /**
+     * Gets statistics about the cache of lint results.
+     * @returns {CacheStats} The statistics.
+     */
+    getCacheStats() {
+        return getCacheToManage(internalSlotsMap.get(this)).getStats();
+    }
+
+    /**
+     * Removes the cached results of files that don't exist anymore, that
+     * the given patterns don't match anymore, or whose config changed.
+     * @param {string[]} patterns The file and directory names that are linted.
+     * @returns {number} The number of removed cached results.
+     */
+    pruneCache(patterns) {
+        const slots = internalSlotsMap.get(this);
+        const lintTargets = new Map();
+
+        for (const { config, filePath, ignored } of slots.fileEnumerator.iterateFiles(patterns)) {
+            if (!ignored) {
+                lintTargets.set(filePath, config);
+            }
+        }
+
+        return getCacheToManage(slots).prune(lintTargets);
+    }
+
+    /**
+     * Deletes the cache of lint results.
+     * @returns {void}
+     */
+    clearCache() {
+        getCacheToManage(internalSlotsMap.get(this)).clear();
+    }
+
+    /**
+     * Gets the events that were recorded since this instance was created, in
+     * the Chrome Trace Event Format, including the events of lint workers.
+     * Returns an empty array if the `trace` option is off.
+     * @returns {TraceEvent[]} The events.
+     */
+    getTraceEvents() {
+        return internalSlotsMap.get(this).tracer.getEvents();
+    }
+
     /**
      * Returns the formatter representing the given format or null if the `format` is not a string.
      * @param {string} [format] The name of the format to load or the path to a
@@ -1074,5 +1453,8 @@ module.exports = {
      */
     getCLIEngineInternalSlots(instance) {
         return internalSlotsMap.get(instance);
-    }
+    },
+
+    // for lint workers
+    lintFile
 };
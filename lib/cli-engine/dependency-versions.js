@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Utility for identifying the versions of the plugins, parsers,
+ * and processors that a config uses. Configs are serialized without their
+ * functions, so the caches need these to notice when a dependency changed.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const hash = require("./hash");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+// The core rules are part of ESLint, so they change with its version.
+const CORE_PLUGIN_NAMESPACE = "@";
+
+// Modules outside of `node_modules` belong to the project, whose package.json doesn't change with them.
+const NODE_MODULES_SEGMENT = `${path.sep}node_modules${path.sep}`;
+
+/**
+ * Gets the name of a parser or processor object from its metadata.
+ * @param {Object} object The parser or processor.
+ * @returns {string} The name, or `"(anonymous)"` if it has none.
+ */
+function getObjectName(object) {
+    return object.meta && object.meta.name || object.name || "(anonymous)";
+}
+
+/**
+ * Gets the version that a plugin, parser, or processor specifies.
+ * @param {Object|undefined} object The plugin, parser, or processor.
+ * @returns {string|null} The version, or `null` if it doesn't specify one.
+ */
+function getSpecifiedVersion(object) {
+    const version = object && (object.meta && object.meta.version || object.version);
+
+    return version ? String(version) : null;
+}
+
+/**
+ * Finds the file that an object was loaded from with `require()`, also by
+ * `import`, which adds CommonJS modules to the same cache.
+ * @param {Object} object The exports of the module, or their `default`.
+ * @returns {string|null} The path of the file, or `null` if the object isn't
+ *      the exports of a CommonJS module.
+ */
+function findModuleFile(object) {
+    for (const module of Object.values(require.cache)) {
+        const exports = module && module.exports;
+
+        if (exports === object || (exports && exports.default === object)) {
+            return module.filename;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Collects the source code of the functions of an object and of the objects
+ * it contains, such as the `create()` functions of the rules of a plugin.
+ * @param {any} value The value to collect the functions of.
+ * @param {string} keyPath The path of the value in the object.
+ * @param {Set<Object>} visited The objects that were already visited, as
+ *      plugins can refer to themselves in their configs.
+ * @param {string[]} sources The sources to add to.
+ * @returns {void}
+ */
+function collectFunctionSources(value, keyPath, visited, sources) {
+    if (typeof value === "function") {
+        sources.push(`${keyPath}:${Function.prototype.toString.call(value)}`);
+    } else if (typeof value !== "object" || value === null) {
+        return;
+    }
+
+    if (visited.has(value)) {
+        return;
+    }
+
+    visited.add(value);
+
+    for (const key of Object.keys(value)) {
+        collectFunctionSources(value[key], `${keyPath}.${key}`, visited, sources);
+    }
+}
+
+/**
+ * Adds the versions of the dependencies of an eslintrc config array.
+ * @param {DependencyVersions} dependencyVersions The instance to get the
+ *      versions with.
+ * @param {ConfigArray} configArray The config array.
+ * @param {Record<string, string>} versions The versions to add to.
+ * @returns {void}
+ */
+function addConfigArrayVersions(dependencyVersions, configArray, versions) {
+    const pluginVersions = new Map();
+
+    for (const element of configArray) {
+        for (const [id, dependency] of Object.entries(element.plugins || {})) {
+            const version = dependencyVersions.getObjectVersion(dependency.definition, dependency.filePath);
+
+            pluginVersions.set(id, version);
+            versions[`plugin:${id}`] = version;
+        }
+
+        if (element.parser) {
+            versions[`parser:${element.parser.id}`] = dependencyVersions.getObjectVersion(element.parser.definition, element.parser.filePath);
+        }
+    }
+
+    // Processors are referred to by name, so they change with their plugin.
+    for (const element of configArray) {
+        if (typeof element.processor === "string") {
+            const pluginId = element.processor.slice(0, element.processor.lastIndexOf("/"));
+
+            versions[`processor:${element.processor}`] = pluginVersions.get(pluginId) || "unknown";
+        }
+    }
+}
+
+/**
+ * Adds the versions of the dependencies of a flat config. Flat configs
+ * contain the objects, but not the files they were loaded from, so these
+ * files are looked up.
+ * @param {DependencyVersions} dependencyVersions The instance to get the
+ *      versions with.
+ * @param {Object} config The flat config.
+ * @param {Record<string, string>} versions The versions to add to.
+ * @returns {void}
+ */
+function addFlatConfigVersions(dependencyVersions, config, versions) {
+    for (const [namespace, plugin] of Object.entries(config.plugins || {})) {
+        if (namespace !== CORE_PLUGIN_NAMESPACE) {
+            versions[`plugin:${namespace}`] = dependencyVersions.getLoadedObjectVersion(plugin);
+        }
+    }
+
+    const parser = config.languageOptions && config.languageOptions.parser;
+
+    if (parser && typeof parser === "object") {
+        versions[`parser:${getObjectName(parser)}`] = dependencyVersions.getLoadedObjectVersion(parser);
+    }
+
+    if (config.processor && typeof config.processor === "object") {
+        versions[`processor:${getObjectName(config.processor)}`] = dependencyVersions.getLoadedObjectVersion(config.processor);
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * Gets the versions of the plugins, parsers, and processors of configs. The
+ * hashes that identify dependencies without versions are kept by each
+ * instance, so a cache that creates its own instance notices when a package
+ * is updated in a later run.
+ */
+class DependencyVersions {
+    constructor() {
+
+        /**
+         * The hashes of the closest package.json of each directory, or
+         * `null` if there is none.
+         * @type {Map<string, string|null>}
+         */
+        this.packageJsonHashes = new Map();
+
+        /**
+         * The versions of the objects of flat configs.
+         * @type {WeakMap<Object, string>}
+         */
+        this.loadedObjectVersions = new WeakMap();
+    }
+
+    /**
+     * Gets the versions of the plugins, parsers, and processors of a config,
+     * by `plugin:<id>`, `parser:<name>`, and `processor:<name>`.
+     * @param {ConfigArray|Object} config The eslintrc config array or flat config.
+     * @returns {Record<string, string>} The versions.
+     */
+    get(config) {
+        const versions = {};
+
+        if (Array.isArray(config)) {
+            addConfigArrayVersions(this, config, versions);
+        } else if (config) {
+            addFlatConfigVersions(this, config, versions);
+        }
+
+        return versions;
+    }
+
+    /**
+     * Finds the closest package.json of a file and calculates the hash of it.
+     * @param {string} filePath The path of the file.
+     * @returns {string|null} The hash, or `null` if there is no package.json.
+     */
+    hashOfPackageJsonFor(filePath) {
+        let directory = path.dirname(filePath);
+        const visited = [];
+
+        while (!this.packageJsonHashes.has(directory)) {
+            visited.push(directory);
+
+            try {
+                this.packageJsonHashes.set(directory, hash(fs.readFileSync(path.join(directory, "package.json"), "utf8")));
+                break;
+            } catch {
+                const parent = path.dirname(directory);
+
+                if (parent === directory) {
+                    this.packageJsonHashes.set(directory, null);
+                    break;
+                }
+
+                directory = parent;
+            }
+        }
+
+        const packageJsonHash = this.packageJsonHashes.get(directory);
+
+        for (const visitedDirectory of visited) {
+            this.packageJsonHashes.set(visitedDirectory, packageJsonHash);
+        }
+
+        return packageJsonHash;
+    }
+
+    /**
+     * Gets the version of a plugin, parser, or processor. Objects that don't
+     * specify their version are identified by the hash of the package.json of
+     * the file they were loaded from, if that is known.
+     * @param {Object|undefined} object The plugin, parser, or processor.
+     * @param {string} [filePath] The path of the file the object was loaded from.
+     * @returns {string} The version, or `"unknown"` if it can't be determined.
+     */
+    getObjectVersion(object, filePath) {
+        const version = getSpecifiedVersion(object);
+
+        if (version) {
+            return version;
+        }
+
+        const packageJsonHash = filePath ? this.hashOfPackageJsonFor(filePath) : null;
+
+        return packageJsonHash ? `package.json#${packageJsonHash}` : "unknown";
+    }
+
+    /**
+     * Gets the version of a plugin, parser, or processor of a flat config.
+     * Objects that don't specify their version are identified by the hash of
+     * the package.json of the module they were loaded from if it's in
+     * `node_modules`, or else by the hash of the source code of the module.
+     * Objects that weren't loaded from a CommonJS module, such as those
+     * defined in the config file, are identified by the hash of their functions.
+     * @param {Object} object The plugin, parser, or processor.
+     * @returns {string} The version.
+     */
+    getLoadedObjectVersion(object) {
+        const version = getSpecifiedVersion(object);
+
+        if (version) {
+            return version;
+        }
+
+        if (!this.loadedObjectVersions.has(object)) {
+            const filePath = findModuleFile(object);
+            const packageJsonHash = filePath && filePath.includes(NODE_MODULES_SEGMENT)
+                ? this.hashOfPackageJsonFor(filePath)
+                : null;
+            let loadedObjectVersion;
+
+            if (packageJsonHash) {
+                loadedObjectVersion = `package.json#${packageJsonHash}`;
+            } else if (filePath) {
+                loadedObjectVersion = `source#${hash(fs.readFileSync(filePath, "utf8"))}`;
+            } else {
+                const sources = [];
+
+                collectFunctionSources(object, "", new Set(), sources);
+                loadedObjectVersion = `source#${hash(sources.join("\n"))}`;
+            }
+
+            this.loadedObjectVersions.set(object, loadedObjectVersion);
+        }
+
+        return this.loadedObjectVersions.get(object);
+    }
+}
+
+/**
+ * Describes how versions changed, for debug output.
+ * @param {Record<string, string>|undefined} previous The previous versions,
+ *      or `undefined` if they aren't known.
+ * @param {Record<string, string>} current The current versions.
+ * @returns {string|null} The description of the changes, or `null` if no
+ *      version changed or the previous versions aren't known.
+ */
+function describeVersionChanges(previous, current) {
+    if (!previous || typeof previous !== "object") {
+        return null;
+    }
+
+    const names = [...new Set([...Object.keys(previous), ...Object.keys(current)])].sort();
+    const changes = [];
+
+    for (const name of names) {
+        if (!Object.prototype.hasOwnProperty.call(previous, name)) {
+            changes.push(`${name} was added`);
+        } else if (!Object.prototype.hasOwnProperty.call(current, name)) {
+            changes.push(`${name} was removed`);
+        } else if (previous[name] !== current[name]) {
+            changes.push(`${name} changed from ${previous[name]} to ${current[name]}`);
+        }
+    }
+
+    return changes.length > 0 ? changes.join(", ") : null;
+}
+
+module.exports = {
+    DependencyVersions,
+    describeVersionChanges
+};
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Utility for identifying the content of files by their git
+ * object IDs. Git already knows the blob hashes of tracked files that weren't
+ * modified, so those files don't have to be read and hashed.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const { execFileSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const debug = require("debug")("eslint:git-object-ids");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+// Large repositories can list many files.
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+// Matches an entry of `git ls-files --stage -z`, such as `100644 <id> 0\t<path>`.
+const INDEX_ENTRY_PATTERN = /^(\d{6}) ([0-9a-f]+) (\d)\t(.*)$/su;
+
+// Symbolic links and submodules don't have the content of a regular file.
+const REGULAR_FILE_MODES = new Set(["100644", "100755"]);
+
+/**
+ * Runs a git command.
+ * @param {string[]} args The arguments of the command.
+ * @param {string} cwd The directory to run the command in.
+ * @returns {string} The output of the command.
+ * @throws {Error} If git isn't installed or the command fails.
+ */
+function git(args, cwd) {
+    return execFileSync("git", args, {
+        cwd,
+        encoding: "utf8",
+        maxBuffer: MAX_BUFFER,
+        stdio: ["ignore", "pipe", "ignore"]
+    });
+}
+
+/**
+ * Splits the output of a git command that was run with `-z` into entries.
+ * @param {string} output The output.
+ * @returns {string[]} The entries.
+ */
+function splitEntries(output) {
+    return output.split("\0").filter(Boolean);
+}
+
+/**
+ * Reads the object IDs of the files in a git repository whose content in
+ * the working tree is the same as in the index.
+ * @param {string} root The root directory of the repository.
+ * @returns {Map<string, string>} The object IDs by absolute file path.
+ * @throws {Error} If git isn't installed or the command fails.
+ */
+function readObjectIds(root) {
+    const objectIds = new Map();
+
+    for (const entry of splitEntries(git(["ls-files", "--stage", "-z"], root))) {
+        const match = INDEX_ENTRY_PATTERN.exec(entry);
+
+        // Files with merge conflicts have entries in other stages than 0.
+        if (match && match[3] === "0" && REGULAR_FILE_MODES.has(match[1])) {
+            objectIds.set(path.join(root, match[4]), match[2]);
+        }
+    }
+
+    // Files whose stat information changed are listed too, even if their content didn't.
+    for (const relativePath of splitEntries(git(["diff-files", "--name-only", "-z"], root))) {
+        objectIds.delete(path.join(root, relativePath));
+    }
+
+    return objectIds;
+}
+
+/**
+ * Calculates the object ID that git would give a file's content, with the
+ * SHA-1 object format.
+ * @param {string} filePath The path of the file.
+ * @returns {string} The object ID.
+ */
+function hashObject(filePath) {
+    const content = fs.readFileSync(filePath);
+
+    return crypto.createHash("sha1")
+        .update(`blob ${content.length}\0`)
+        .update(content)
+        .digest("hex");
+}
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * Looks up the git object IDs of files. The object IDs of tracked files that
+ * weren't modified are read from the index of their repository, once per
+ * repository. Other files are hashed like git would hash them, so a file
+ * keeps its ID when it's committed.
+ */
+class GitObjectIds {
+
+    /**
+     * Creates a new GitObjectIds instance.
+     */
+    constructor() {
+
+        /**
+         * The root directory of the repository of each directory, or `null`
+         * for directories that aren't in a repository.
+         * @type {Map<string, string|null>}
+         */
+        this.repositoryRoots = new Map();
+
+        /**
+         * The object IDs of the unmodified files of each repository, or
+         * `null` for repositories that git couldn't read, by root directory.
+         * @type {Map<string, Map<string, string>|null>}
+         */
+        this.repositoryObjectIds = new Map();
+    }
+
+    /**
+     * Finds the root directory of the git repository that contains a
+     * directory, by looking for `.git`, which is a file in worktrees and
+     * submodules.
+     * @param {string} directory The absolute path of the directory.
+     * @returns {string|null} The root directory, or `null` if the directory
+     *      isn't in a repository.
+     * @private
+     */
+    findRepositoryRoot(directory) {
+        const visited = [];
+        let current = directory;
+        let root = null;
+
+        while (!this.repositoryRoots.has(current)) {
+            visited.push(current);
+
+            if (fs.existsSync(path.join(current, ".git"))) {
+                root = current;
+                break;
+            }
+
+            const parent = path.dirname(current);
+
+            if (parent === current) {
+                break;
+            }
+
+            current = parent;
+        }
+
+        if (this.repositoryRoots.has(current)) {
+            root = this.repositoryRoots.get(current);
+        }
+
+        for (const visitedDirectory of visited) {
+            this.repositoryRoots.set(visitedDirectory, root);
+        }
+
+        return root;
+    }
+
+    /**
+     * Gets the object IDs of the unmodified files of a repository.
+     * @param {string} root The root directory of the repository.
+     * @returns {Map<string, string>|null} The object IDs by absolute file
+     *      path, or `null` if git couldn't read the repository.
+     * @private
+     */
+    getRepositoryObjectIds(root) {
+        if (!this.repositoryObjectIds.has(root)) {
+            let objectIds = null;
+
+            try {
+                objectIds = readObjectIds(root);
+                debug(`Read the object IDs of ${objectIds.size} unmodified files in ${root}`);
+            } catch (error) {
+                debug(`Hashing the files in ${root} since git failed: ${error.message}`);
+            }
+
+            this.repositoryObjectIds.set(root, objectIds);
+        }
+
+        return this.repositoryObjectIds.get(root);
+    }
+
+    /**
+     * Gets the git object ID of a file's content.
+     * @param {string} filePath The absolute path of the file.
+     * @returns {string} The object ID.
+     * @throws {Error} If the file can't be read.
+     */
+    getObjectId(filePath) {
+        const root = this.findRepositoryRoot(path.dirname(filePath));
+        const objectIds = root && this.getRepositoryObjectIds(root);
+        const objectId = objectIds && objectIds.get(filePath);
+
+        return objectId || hashObject(filePath);
+    }
+
+    /**
+     * Forgets the object IDs that were read, so that files that were
+     * modified since are noticed.
+     * @returns {void}
+     */
+    reset() {
+        this.repositoryRoots.clear();
+        this.repositoryObjectIds.clear();
+    }
+}
+
+module.exports = GitObjectIds;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Helpers for the caches of lint results that are shared by
+ * `CLIEngine` and `FlatESLint`.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const path = require("path");
+const LintResultCache = require("./lint-result-cache");
+const SharedLintResultCache = require("./shared-lint-result-cache");
+const RemoteLintResultCache = require("./remote-lint-result-cache");
+
+const debug = require("debug")("eslint:lint-result-cache-helpers");
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("../shared/types").LintResult} LintResult */
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates the cache of lint results that the options select.
+ * @param {Object} options The processed options of `CLIEngine` or `FlatESLint`.
+ * @param {string|null} options.cacheDir The directory of a shared cache, if any.
+ * @param {string|null} options.cacheRemote The URL of a remote cache, if any.
+ * @param {string} options.cacheStrategy The strategy to detect changed files with.
+ * @param {string} options.cwd The current working directory.
+ * @param {string} cacheFilePath The path to the cache file.
+ * @returns {LintResultCache|SharedLintResultCache|RemoteLintResultCache} The cache.
+ */
+function createLintResultCache({ cacheDir, cacheRemote, cacheStrategy, cwd }, cacheFilePath) {
+    if (cacheRemote) {
+        return new RemoteLintResultCache(path.resolve(cwd, cacheDir), cwd, cacheRemote);
+    }
+
+    return cacheDir
+        ? new SharedLintResultCache(path.resolve(cwd, cacheDir), cwd)
+        : new LintResultCache(cacheFilePath, cacheStrategy);
+}
+
+/**
+ * Gets the cached result of a file, unless the file has to be linted again
+ * so that its problems can be fixed.
+ * @param {LintResultCache|SharedLintResultCache} lintResultCache The cache of lint results.
+ * @param {string} filePath The path to the file.
+ * @param {Object} config The config of the file, a `ConfigArray` or a flat config.
+ * @param {boolean|Function} fix The `fix` option.
+ * @returns {LintResult|null} The cached result, or `null` if the file has to be linted.
+ */
+function getCachedResult(lintResultCache, filePath, config, fix) {
+    const cachedResult = lintResultCache.getCachedLintResults(filePath, config);
+
+    if (!cachedResult) {
+        return null;
+    }
+
+    // Only files with problems that can be fixed have to be linted again.
+    const hadFixableMessages =
+        cachedResult.messages &&
+        cachedResult.messages.some(message => message.fix);
+
+    if (hadFixableMessages && fix) {
+        debug(`Reprocessing cached file to allow autofix: ${filePath}`);
+        return null;
+    }
+
+    debug(`Skipping file since it hasn't changed: ${filePath}`);
+    return cachedResult;
+}
+
+module.exports = {
+    createLintResultCache,
+    getCachedResult
+};
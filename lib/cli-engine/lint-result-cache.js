@@ -9,14 +9,20 @@
 //-----------------------------------------------------------------------------
 
 const assert = require("assert");
+const crypto = require("crypto");
 const fs = require("fs");
 const fileEntryCache = require("file-entry-cache");
+const flatCache = require("flat-cache");
 const stringify = require("json-stable-stringify-without-jsonify");
 const pkg = require("../../package.json");
 const hash = require("./hash");
+const GitObjectIds = require("./git-object-ids");
+const { DependencyVersions, describeVersionChanges } = require("./dependency-versions");
 
 const debug = require("debug")("eslint:lint-result-cache");
 
+/** @typedef {import("../shared/types").CacheStats} CacheStats */
+
 //-----------------------------------------------------------------------------
 // Helpers
 //-----------------------------------------------------------------------------
@@ -24,7 +30,7 @@ const debug = require("debug")("eslint:lint-result-cache");
 const configHashCache = new WeakMap();
 const nodeVersion = process && process.version;
 
-const validCacheStrategies = ["metadata", "content"];
+const validCacheStrategies = ["metadata", "content", "git"];
 const invalidCacheStrategyErrorMessage = `Cache strategy must be one of: ${validCacheStrategies
     .map(strategy => `"${strategy}"`)
     .join(", ")}`;
@@ -41,18 +47,113 @@ function isValidCacheStrategy(cacheStrategy) {
 }
 
 /**
- * Calculates the hash of the config
- * @param {ConfigArray} config The config.
- * @returns {string} The hash of the config
+ * Calculates the hash of the config, and gets the versions it depends on.
+ * Plugins, parsers, and processors aren't serialized with the config, so
+ * their versions are part of the hash.
+ * @param {ConfigArray|Object} config The config.
+ * @param {DependencyVersions} dependencyVersions The instance to get the
+ *      versions of the dependencies with.
+ * @returns {{hash: string, versions: Record<string, string>}} The hash of
+ *      the config and the versions of ESLint, Node.js, and the dependencies.
  */
-function hashOfConfigFor(config) {
+function hashOfConfigFor(config, dependencyVersions) {
     if (!configHashCache.has(config)) {
-        configHashCache.set(config, hash(`${pkg.version}_${nodeVersion}_${stringify(config)}`));
+        const versionsOfDependencies = dependencyVersions.get(config);
+
+        configHashCache.set(config, {
+            hash: hash(`${pkg.version}_${nodeVersion}_${stringify(versionsOfDependencies)}_${stringify(config)}`),
+            versions: { eslint: pkg.version, node: nodeVersion, ...versionsOfDependencies }
+        });
     }
 
     return configHashCache.get(config);
 }
 
+/**
+ * Gets the metadata that is cached for a file, to be updated.
+ * `getFileDescriptor()` returns new metadata on every call for a file that
+ * isn't in the cache yet, so the metadata is added to the cache right away.
+ * Otherwise, only the last update of a new file would be persisted.
+ * @param {Object} entryCache The file-entry-cache instance.
+ * @param {string} filePath The file to get the metadata of.
+ * @returns {Object|null} The metadata, or `null` if the file doesn't exist.
+ */
+function getFileMeta(entryCache, filePath) {
+    const fileDescriptor = entryCache.getFileDescriptor(filePath);
+
+    if (!fileDescriptor || fileDescriptor.notFound) {
+        return null;
+    }
+
+    entryCache.cache.setKey(filePath, fileDescriptor.meta);
+
+    return fileDescriptor.meta;
+}
+
+/**
+ * Calculates the hash of a file's content, to recognize the content that the
+ * fixes of a result were written as.
+ * @param {string|Buffer} content The content.
+ * @returns {string} The hash as hex string.
+ */
+function hashOfContent(content) {
+    return crypto.createHash("md5").update(content).digest("hex");
+}
+
+/**
+ * Removes the information of a lint result that will be both unnecessary and
+ * difficult to serialize.
+ * @param {Object} result The lint result.
+ * @returns {Object} The result to serialize.
+ */
+function serializeResult(result) {
+    const resultToSerialize = Object.assign({}, result);
+
+    /*
+     * Set result.source to null.
+     * In `getCachedLintResults`, if source is explicitly null, we will
+     * read the file from the filesystem to set the value again.
+     */
+    if (Object.prototype.hasOwnProperty.call(resultToSerialize, "source")) {
+        resultToSerialize.source = null;
+    }
+
+    // The statistics are of the run that linted the file, not of runs that use the cache.
+    delete resultToSerialize.stats;
+
+    return resultToSerialize;
+}
+
+/**
+ * Gets the result that linting the output of a fix run gives. The remaining
+ * messages of a fix run are the messages of its output, and the source of
+ * files with problems is kept like in results without fixes.
+ * @param {Object} result The lint result with an "output" property.
+ * @returns {Object} The result of the output.
+ */
+function getResultOfOutput(result) {
+    const resultOfOutput = Object.assign({}, result);
+
+    delete resultOfOutput.output;
+
+    if (resultOfOutput.errorCount + resultOfOutput.warningCount > 0) {
+        resultOfOutput.source = null;
+    }
+
+    return resultOfOutput;
+}
+
+/**
+ * Reads all entries of a cache file. file-entry-cache drops the entries of
+ * files that don't exist anymore when it loads a cache, so the file is read
+ * with the flat-cache module that file-entry-cache stores it with.
+ * @param {string} cacheFileLocation The cache file location.
+ * @returns {Record<string, Object>} The metadata of the files, by path.
+ */
+function readCacheFile(cacheFileLocation) {
+    return flatCache.createFromFile(cacheFileLocation).all();
+}
+
 //-----------------------------------------------------------------------------
 // Public Interface
 //-----------------------------------------------------------------------------
@@ -67,7 +168,7 @@ class LintResultCache {
     /**
      * Creates a new LintResultCache instance.
      * @param {string} cacheFileLocation The cache file location.
-     * @param {"metadata" | "content"} cacheStrategy The cache strategy to use.
+     * @param {"metadata" | "content" | "git"} cacheStrategy The cache strategy to use.
      */
     constructor(cacheFileLocation, cacheStrategy) {
         assert(cacheFileLocation, "Cache file location is required");
@@ -91,6 +192,38 @@ class LintResultCache {
             useChecksum
         );
         this.cacheFileLocation = cacheFileLocation;
+
+        /*
+         * With the "git" strategy, files are compared by their git object IDs
+         * instead of the metadata that file-entry-cache compares.
+         */
+        this.gitObjectIds = cacheStrategy === "git" ? new GitObjectIds() : null;
+
+        // Dependencies without versions are looked up once for each instance.
+        this.dependencyVersions = new DependencyVersions();
+
+        /**
+         * Whether the results of the files that were looked up were found,
+         * by file path. Entries record the last run they were looked up in,
+         * so that `getStats()` can count the hits and misses of that run.
+         * @type {Map<string, boolean>}
+         */
+        this.lookups = new Map();
+    }
+
+    /**
+     * Checks whether a file changed since its entry was cached.
+     * @param {string} filePath The file to check.
+     * @param {Object} fileDescriptor The file descriptor from file-entry-cache.
+     * @returns {boolean} `true` if the file changed or isn't in the cache.
+     * @private
+     */
+    hasFileChanged(filePath, fileDescriptor) {
+        if (!this.gitObjectIds) {
+            return fileDescriptor.changed;
+        }
+
+        return fileDescriptor.meta.gitObjectId !== this.gitObjectIds.getObjectId(filePath);
     }
 
     /**
@@ -108,26 +241,43 @@ class LintResultCache {
          * Cached lint results are valid if and only if:
          * 1. The file is present in the filesystem
          * 2. The file has not changed since the time it was previously linted
-         * 3. The ESLint configuration has not changed since the time the file
-         *    was previously linted
+         * 3. The ESLint configuration, including the versions of ESLint,
+         *    Node.js, plugins, parsers, and processors, has not changed since
+         *    the time the file was previously linted
          * If any of these are not true, we will not reuse the lint results.
+         * A file that changed may have the content that the fixes of its
+         * last results were written as, then the results of that content are
+         * reused.
          */
         const fileDescriptor = this.fileEntryCache.getFileDescriptor(filePath);
-        const hashOfConfig = hashOfConfigFor(config);
-        const changed =
-            fileDescriptor.changed ||
-            fileDescriptor.meta.hashOfConfig !== hashOfConfig;
+        const { hash: hashOfConfig, versions } = hashOfConfigFor(config, this.dependencyVersions);
 
         if (fileDescriptor.notFound) {
             debug(`File not found on the file system: ${filePath}`);
             return null;
         }
 
-        if (changed) {
+        this.lookups.set(filePath, false);
+
+        let changed = this.hasFileChanged(filePath, fileDescriptor);
+
+        if (changed && this.restoreResultsOfOutput(filePath, fileDescriptor.meta)) {
+            debug(`Using cached result of the fixed content: ${filePath}`);
+            changed = false;
+        }
+
+        if (changed || !fileDescriptor.meta.hashOfConfig) {
             debug(`Cache entry not found or no longer valid: ${filePath}`);
             return null;
         }
 
+        if (fileDescriptor.meta.hashOfConfig !== hashOfConfig) {
+            const reason = describeVersionChanges(fileDescriptor.meta.configVersions, versions) || "the config changed";
+
+            debug(`Cache entry no longer valid because ${reason}: ${filePath}`);
+            return null;
+        }
+
         // If source is present but null, need to reread the file from the filesystem.
         if (
             fileDescriptor.meta.results &&
@@ -137,14 +287,46 @@ class LintResultCache {
             fileDescriptor.meta.results.source = fs.readFileSync(filePath, "utf-8");
         }
 
+        this.lookups.set(filePath, true);
+
         return fileDescriptor.meta.results;
     }
 
+    /**
+     * Makes the cached results of a file's fixed content its results, if the
+     * file has that content now, for example because the fixes were written
+     * by `outputFixes()`.
+     * @param {string} filePath The file.
+     * @param {Object} meta The cached metadata of the file.
+     * @returns {boolean} `true` if the results of the fixed content were restored.
+     * @private
+     */
+    restoreResultsOfOutput(filePath, meta) {
+        const { resultsOfOutput } = meta;
+
+        if (!resultsOfOutput || resultsOfOutput.hashOfOutput !== hashOfContent(fs.readFileSync(filePath))) {
+            return false;
+        }
+
+        meta.results = resultsOfOutput.results;
+        meta.hashOfConfig = resultsOfOutput.hashOfConfig;
+        meta.configVersions = resultsOfOutput.configVersions;
+        delete meta.resultsOfOutput;
+
+        if (this.gitObjectIds) {
+            meta.gitObjectId = this.gitObjectIds.getObjectId(filePath);
+        }
+
+        return true;
+    }
+
     /**
      * Set the cached lint results for a given file path, after removing any
      * information that will be both unnecessary and difficult to serialize.
-     * Avoids caching results with an "output" property (meaning fixes were
-     * applied), to prevent potentially incorrect results if fixes are not
+     * Results with an "output" property (meaning fixes were applied) aren't
+     * valid for the current content of the file. Instead, the remaining
+     * messages are cached for the fixed content, and are used once the file
+     * has that content. This prevents incorrect results if fixes are not
      * written to disk.
      * @param {string} filePath The file for which to set lint results.
      * @param {ConfigArray} config The config of the file.
@@ -152,30 +334,183 @@ class LintResultCache {
      * @returns {void}
      */
     setCachedLintResults(filePath, config, result) {
+        const meta = getFileMeta(this.fileEntryCache, filePath);
+
+        if (!meta) {
+            return;
+        }
+
+        const { hash: hashOfConfig, versions } = hashOfConfigFor(config, this.dependencyVersions);
+
         if (result && Object.prototype.hasOwnProperty.call(result, "output")) {
+            debug(`Updating cached result of the fixed content: ${filePath}`);
+
+            delete meta.results;
+            delete meta.hashOfConfig;
+            delete meta.configVersions;
+            delete meta.gitObjectId;
+            meta.resultsOfOutput = {
+                hashOfOutput: hashOfContent(result.output),
+                hashOfConfig,
+                configVersions: versions,
+                results: serializeResult(getResultOfOutput(result))
+            };
             return;
         }
 
-        const fileDescriptor = this.fileEntryCache.getFileDescriptor(filePath);
+        debug(`Updating cached result: ${filePath}`);
+
+        meta.results = serializeResult(result);
+        meta.hashOfConfig = hashOfConfig;
+        meta.configVersions = versions;
+        delete meta.resultsOfOutput;
+
+        if (this.gitObjectIds) {
+            meta.gitObjectId = this.gitObjectIds.getObjectId(filePath);
+        }
+    }
+
+    /**
+     * Remove the cached lint results for a given file path, so that the file
+     * is linted again on the next run. The duration is kept.
+     * @param {string} filePath The file for which to remove lint results.
+     * @returns {void}
+     */
+    removeCachedLintResults(filePath) {
+        const meta = getFileMeta(this.fileEntryCache, filePath);
+
+        if (meta) {
+            debug(`Removing cached result: ${filePath}`);
+            delete meta.results;
+            delete meta.hashOfConfig;
+            delete meta.configVersions;
+            delete meta.resultsOfOutput;
+        }
+    }
+
+    /**
+     * Retrieve the time it took to lint a given file the last time, if
+     * present in the cache. Unlike lint results, this is also returned for
+     * files that were changed since, as an estimate for scheduling.
+     * @param {string} filePath The file for which to retrieve the duration.
+     * @returns {number|null} The duration in milliseconds, or null if the
+     *   file has no recorded duration.
+     */
+    getLintDuration(filePath) {
+        const meta = this.fileEntryCache.cache.getKey(filePath);
+
+        if (meta && typeof meta.lintDuration === "number") {
+            return meta.lintDuration;
+        }
+
+        return null;
+    }
+
+    /**
+     * Set the time it took to lint a given file. Unlike lint results, this is
+     * also recorded for results with an "output" property.
+     * @param {string} filePath The file for which to set the duration.
+     * @param {number} duration The duration in milliseconds.
+     * @returns {void}
+     */
+    setLintDuration(filePath, duration) {
+        const meta = getFileMeta(this.fileEntryCache, filePath);
+
+        if (meta) {
+            meta.lintDuration = duration;
+        }
+    }
+
+    /**
+     * Gets statistics about the cache file.
+     * @returns {CacheStats} The statistics.
+     */
+    getStats() {
+        const stats = {
+            location: this.cacheFileLocation,
+            entries: 0,
+            deletedFileEntries: 0,
+            size: 0,
+            lastRun: null
+        };
+
+        try {
+            stats.size = fs.statSync(this.cacheFileLocation).size;
+        } catch {
+            return stats;
+        }
 
-        if (fileDescriptor && !fileDescriptor.notFound) {
-            debug(`Updating cached result: ${filePath}`);
+        let lastRunTime = 0;
+        let hits = 0;
+        let misses = 0;
 
-            // Serialize the result, except that we want to remove the file source if present.
-            const resultToSerialize = Object.assign({}, result);
+        for (const [filePath, meta] of Object.entries(readCacheFile(this.cacheFileLocation))) {
+            stats.entries++;
+
+            if (!fs.existsSync(filePath)) {
+                stats.deletedFileEntries++;
+            }
 
-            /*
-             * Set result.source to null.
-             * In `getCachedLintResults`, if source is explicitly null, we will
-             * read the file from the filesystem to set the value again.
-             */
-            if (Object.prototype.hasOwnProperty.call(resultToSerialize, "source")) {
-                resultToSerialize.source = null;
+            if (meta.lastRunTime > lastRunTime) {
+                lastRunTime = meta.lastRunTime;
+                hits = misses = 0;
             }
 
-            fileDescriptor.meta.results = resultToSerialize;
-            fileDescriptor.meta.hashOfConfig = hashOfConfigFor(config);
+            if (meta.lastRunTime === lastRunTime) {
+                if (meta.lastRunHit) {
+                    hits++;
+                } else {
+                    misses++;
+                }
+            }
         }
+
+        stats.lastRun = lastRunTime ? { hits, misses } : null;
+
+        return stats;
+    }
+
+    /**
+     * Removes the entries of files that don't exist anymore, that aren't
+     * linted anymore, or whose config changed, and writes the cache file.
+     * @param {Map<string, ConfigArray|Object>} lintTargets The configs of the
+     *      files that are linted, by path.
+     * @returns {number} The number of removed entries.
+     */
+    prune(lintTargets) {
+        if (!fs.existsSync(this.cacheFileLocation)) {
+            return 0;
+        }
+
+        // Entries of files that don't exist anymore were dropped when the cache was loaded.
+        const entryCount = Object.keys(readCacheFile(this.cacheFileLocation)).length;
+        const { cache } = this.fileEntryCache;
+
+        for (const filePath of cache.keys()) {
+            const meta = cache.getKey(filePath);
+            const hashOfConfig = meta.hashOfConfig || (meta.resultsOfOutput && meta.resultsOfOutput.hashOfConfig);
+
+            if (!lintTargets.has(filePath)) {
+                debug(`Pruning cached result of a file that isn't linted: ${filePath}`);
+                cache.removeKey(filePath);
+            } else if (hashOfConfig && hashOfConfig !== hashOfConfigFor(lintTargets.get(filePath), this.dependencyVersions).hash) {
+                debug(`Pruning cached result of a file whose config changed: ${filePath}`);
+                cache.removeKey(filePath);
+            }
+        }
+
+        cache.save(true);
+
+        return entryCount - cache.keys().length;
+    }
+
+    /**
+     * Deletes the cache file.
+     * @returns {void}
+     */
+    clear() {
+        debug(`Deleting cache file: ${this.cacheFileLocation}`);
+        this.fileEntryCache.destroy();
     }
 
     /**
@@ -184,7 +519,24 @@ class LintResultCache {
      */
     reconcile() {
         debug(`Persisting cached results: ${this.cacheFileLocation}`);
+
+        const runTime = Date.now();
+
+        for (const [filePath, hit] of this.lookups) {
+            const meta = this.fileEntryCache.cache.getKey(filePath);
+
+            if (meta) {
+                meta.lastRunTime = runTime;
+                meta.lastRunHit = hit;
+            }
+        }
+
+        this.lookups.clear();
         this.fileEntryCache.reconcile();
+
+        if (this.gitObjectIds) {
+            this.gitObjectIds.reset();
+        }
     }
 }
 
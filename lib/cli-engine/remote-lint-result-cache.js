@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Utility for caching lint results on an HTTP server, with a
+ * cache directory as local fallback.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const SharedLintResultCache = require("./shared-lint-result-cache");
+
+const debug = require("debug")("eslint:remote-lint-result-cache");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+// The server is skipped rather than slowing down the run if it doesn't respond quickly.
+const DEFAULT_TIMEOUT = 2000;
+
+// A server that keeps sending data is skipped too, since `DEFAULT_TIMEOUT` only limits the time between packets.
+const DEFAULT_MAX_REQUEST_TIME = 10000;
+
+const DEFAULT_MAX_RESPONSE_SIZE = 16 * 1024 * 1024;
+
+const MAX_CONCURRENT_REQUESTS = 8;
+
+const COUNT_PROPERTIES = ["errorCount", "fatalErrorCount", "warningCount", "fixableErrorCount", "fixableWarningCount"];
+
+/**
+ * Checks if a value is a plain object.
+ * @param {any} value The value to check.
+ * @returns {boolean} `true` if the value is an object other than an array.
+ */
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks if a value is a lint message.
+ * @param {any} message The value to check.
+ * @returns {boolean} `true` if the value has the shape of a lint message.
+ */
+function isLintMessage(message) {
+    return isObject(message) &&
+        typeof message.message === "string" &&
+        (message.severity === 1 || message.severity === 2) &&
+        (message.ruleId === null || message.ruleId === void 0 || typeof message.ruleId === "string") &&
+        ["line", "column", "endLine", "endColumn"].every(name => message[name] === void 0 || typeof message[name] === "number") &&
+        (message.fix === void 0 || (isObject(message.fix) && Array.isArray(message.fix.range) && typeof message.fix.text === "string")) &&
+        (message.suggestions === void 0 || Array.isArray(message.suggestions));
+}
+
+/**
+ * Checks the shape of an entry that was downloaded from the server, and
+ * removes the properties that could change files. The server isn't trusted as
+ * much as the local cache directory, so `output` is never taken from it, and
+ * the source is read from the file like for entries without a source. When a
+ * file is fixed, it's linted again to fix it locally.
+ * @param {any} entry The downloaded entry.
+ * @returns {Object|null} The entry to store locally, or `null` if it isn't valid.
+ */
+function sanitizeEntry(entry) {
+    if (!isObject(entry) || !isObject(entry.results)) {
+        return null;
+    }
+
+    const { results } = entry;
+
+    if (
+        !Array.isArray(results.messages) ||
+        !results.messages.every(isLintMessage) ||
+        !(results.suppressedMessages === void 0 || (Array.isArray(results.suppressedMessages) && results.suppressedMessages.every(isLintMessage))) ||
+        !COUNT_PROPERTIES.every(name => results[name] === void 0 || (Number.isInteger(results[name]) && results[name] >= 0))
+    ) {
+        return null;
+    }
+
+    const sanitizedResults = { ...results };
+
+    delete sanitizedResults.output;
+
+    if (Object.prototype.hasOwnProperty.call(sanitizedResults, "source")) {
+        sanitizedResults.source = null;
+    }
+
+    return {
+        filePath: typeof entry.filePath === "string" ? entry.filePath : void 0,
+        results: sanitizedResults
+    };
+}
+
+/**
+ * Sends an HTTP request.
+ * @param {string} method The method of the request.
+ * @param {URL} url The URL.
+ * @param {string|null} body The body of the request.
+ * @param {Object} limits The limits of the request.
+ * @param {number} limits.timeout The time in milliseconds to wait for each
+ *      packet of the response.
+ * @param {number} limits.maxRequestTime The time in milliseconds the whole
+ *      request may take.
+ * @param {number} limits.maxResponseSize The size in bytes the body of the
+ *      response may have.
+ * @returns {Promise<{statusCode: number, body: string}>} The response.
+ * @throws {Error} If the request fails or exceeds a limit.
+ */
+function sendRequest(method, url, body, { timeout, maxRequestTime, maxResponseSize }) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === "https:" ? https : http;
+        const request = client.request(url, {
+            method,
+            timeout,
+            headers: body === null ? {} : {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(body)
+            }
+        });
+        const deadline = setTimeout(() => {
+            reject(new Error(`The request took longer than ${maxRequestTime}ms.`));
+            request.destroy();
+        }, maxRequestTime);
+
+        request.on("response", response => {
+            const chunks = [];
+            let size = 0;
+
+            response.on("data", chunk => {
+                size += chunk.length;
+
+                if (size > maxResponseSize) {
+                    reject(new Error(`The response is larger than ${maxResponseSize} bytes.`));
+                    request.destroy();
+                    return;
+                }
+
+                chunks.push(chunk);
+            });
+            response.on("end", () => resolve({ statusCode: response.statusCode, body: Buffer.concat(chunks).toString("utf8") }));
+            response.on("error", reject);
+        });
+        request.on("timeout", () => request.destroy(new Error(`The request timed out after ${timeout}ms.`)));
+        request.on("error", reject);
+        request.on("close", () => clearTimeout(deadline));
+        request.end(body === null ? void 0 : body);
+    });
+}
+
+/**
+ * Calls an async function for each item, a limited number at a time.
+ * @template T
+ * @param {T[]} items The items.
+ * @param {(item: T) => Promise<void>} processItem The function to call.
+ * @returns {Promise<void>} A promise that is resolved when all calls are done.
+ */
+async function forEachConcurrently(items, processItem) {
+    let nextIndex = 0;
+
+    /**
+     * Calls the function for the next items until there are none left.
+     * @returns {Promise<void>} A promise that is resolved when there are no items left.
+     */
+    async function work() {
+        while (nextIndex < items.length) {
+            await processItem(items[nextIndex++]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_REQUESTS, items.length) }, work));
+}
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * Remote lint result cache. Entries are stored in a local cache directory
+ * like in `SharedLintResultCache`, and also sent to an HTTP server with
+ * `PUT <url>/<key>`. Files that aren't in the local cache directory are
+ * looked up with `GET <url>/<key>` before linting. If the server can't be
+ * reached, doesn't respond in time, or sends a response that is too large,
+ * it isn't used for the rest of the run and only the local cache directory
+ * is used.
+ */
+class RemoteLintResultCache extends SharedLintResultCache {
+
+    /**
+     * Creates a new RemoteLintResultCache instance.
+     * @param {string} cacheDirectory The absolute path of the local cache directory.
+     * @param {string} cwd The current working directory.
+     * @param {string} remoteUrl The URL of the HTTP server.
+     * @param {Object} [options] The options.
+     * @param {number} [options.timeout] The time in milliseconds to wait for
+     *      each response of the server.
+     * @param {number} [options.maxRequestTime] The time in milliseconds each
+     *      request to the server may take in total.
+     * @param {number} [options.maxResponseSize] The size in bytes each
+     *      response of the server may have.
+     */
+    constructor(cacheDirectory, cwd, remoteUrl, {
+        timeout = DEFAULT_TIMEOUT,
+        maxRequestTime = DEFAULT_MAX_REQUEST_TIME,
+        maxResponseSize = DEFAULT_MAX_RESPONSE_SIZE
+    } = {}) {
+        super(cacheDirectory, cwd);
+
+        assert(remoteUrl, "Remote URL is required");
+
+        debug(`Caching results on ${remoteUrl}`);
+
+        this.remoteUrl = remoteUrl.replace(/\/+$/u, "");
+        this.limits = { timeout, maxRequestTime, maxResponseSize };
+        this.remoteAvailable = true;
+
+        /**
+         * The entries to send to the server on `upload()`, by key.
+         * @type {Map<string, Object>}
+         */
+        this.uploads = new Map();
+    }
+
+    /**
+     * Sends a request for an entry to the server. After the first request that
+     * fails, the server isn't used anymore.
+     * @param {string} method The method of the request.
+     * @param {string} key The key of the entry.
+     * @param {string|null} body The body of the request.
+     * @returns {Promise<{statusCode: number, body: string}|null>} The
+     *      response, or `null` if the server isn't available.
+     * @private
+     */
+    async requestEntry(method, key, body) {
+        if (!this.remoteAvailable) {
+            return null;
+        }
+
+        try {
+            return await sendRequest(method, new URL(`${this.remoteUrl}/${key}`), body, this.limits);
+        } catch (error) {
+            if (this.remoteAvailable) {
+                debug(`Using only the local cache since the remote cache failed: ${error.message}`);
+                this.remoteAvailable = false;
+            }
+
+            return null;
+        }
+    }
+
+    /**
+     * Downloads the entries of files that aren't in the local cache directory
+     * from the server into the directory, so that `getCachedLintResults()`
+     * finds them. Entries that don't have the shape of lint results are
+     * skipped, and the fixed code and source are removed from the others.
+     * @param {{filePath: string, config: ConfigArray|Object}[]} files The files
+     *      to download the entries of.
+     * @returns {Promise<void>} A promise that is resolved when the entries
+     *      are downloaded. It isn't rejected if the server fails.
+     */
+    async download(files) {
+        let downloaded = 0;
+
+        await forEachConcurrently(files, async ({ filePath, config }) => {
+            const fileKey = this.getFileKey(filePath, config);
+
+            if (!fileKey || fs.existsSync(this.getEntryPath(fileKey.key))) {
+                return;
+            }
+
+            const response = await this.requestEntry("GET", fileKey.key, null);
+
+            if (!response || response.statusCode !== 200) {
+                if (response && response.statusCode !== 404) {
+                    debug(`Unexpected status ${response.statusCode} for the cache entry of ${filePath}`);
+                }
+
+                return;
+            }
+
+            let entry;
+
+            try {
+                entry = sanitizeEntry(JSON.parse(response.body));
+            } catch {
+                entry = null;
+            }
+
+            if (!entry) {
+                debug(`Invalid remote cache entry for ${filePath}`);
+                return;
+            }
+
+            this.writeEntry(fileKey.key, entry);
+            downloaded++;
+        });
+
+        debug(`Downloaded ${downloaded} of ${files.length} cache entries`);
+    }
+
+    /**
+     * Writes the new entries to the local cache directory, and keeps them to
+     * be sent to the server by `upload()`.
+     * @returns {void}
+     */
+    reconcile() {
+        for (const [key, entry] of this.pendingEntries) {
+            this.uploads.set(key, entry);
+        }
+
+        super.reconcile();
+    }
+
+    /**
+     * Sends the entries that were written by `reconcile()` to the server.
+     * @returns {Promise<void>} A promise that is resolved when the entries
+     *      are sent. It isn't rejected if the server fails.
+     */
+    async upload() {
+        const uploads = [...this.uploads];
+        let uploaded = 0;
+
+        this.uploads.clear();
+
+        await forEachConcurrently(uploads, async ([key, entry]) => {
+            const response = await this.requestEntry("PUT", key, JSON.stringify(entry));
+
+            if (response && response.statusCode >= 200 && response.statusCode < 300) {
+                uploaded++;
+            } else if (response) {
+                debug(`Unexpected status ${response.statusCode} when uploading the cache entry ${key}`);
+            }
+        });
+
+        debug(`Uploaded ${uploaded} of ${uploads.length} cache entries`);
+    }
+}
+
+module.exports = RemoteLintResultCache;
@@ -0,0 +1,540 @@
+/**
+ * @fileoverview Utility for caching lint results in a directory that can be
+ * shared between machines and checkouts.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const stringify = require("json-stable-stringify-without-jsonify");
+const pkg = require("../../package.json");
+const { DependencyVersions } = require("./dependency-versions");
+
+const debug = require("debug")("eslint:shared-lint-result-cache");
+
+/** @typedef {import("../shared/types").CacheStats} CacheStats */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const configHashCache = new WeakMap();
+const nodeVersion = process && process.version;
+
+// The hits and misses of the last run are stored next to the subdirectories of the entries.
+const LAST_RUN_FILE_NAME = "last-run.json";
+const ENTRY_DIRECTORY_PATTERN = /^[0-9a-f]{2}$/u;
+const ENTRY_FILE_PATTERN = /^[0-9a-f]{64}\.json$/u;
+
+/**
+ * Calculates the SHA-256 hash of a string or buffer.
+ * @param {string|Buffer} data The data to hash.
+ * @returns {string} The hash as hex string.
+ */
+function sha256(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Calculates the hash of a config that doesn't depend on where the project
+ * is checked out. eslintrc configs contain the absolute paths of config files
+ * and plugins, so the current working directory is removed from them.
+ * Plugins, parsers, and processors aren't serialized with the config, so
+ * their versions are part of the hash.
+ * @param {ConfigArray|Object} config The config.
+ * @param {string} cwd The current working directory.
+ * @param {DependencyVersions} dependencyVersions The instance to get the
+ *      versions of the dependencies with.
+ * @returns {string} The hash of the config.
+ */
+function hashOfConfigFor(config, cwd, dependencyVersions) {
+    if (!configHashCache.has(config)) {
+        const escapedCwd = JSON.stringify(cwd).slice(1, -1);
+        const serializedConfig = stringify(config).split(escapedCwd).join("<cwd>");
+
+        configHashCache.set(config, sha256([
+            pkg.version,
+            nodeVersion,
+            stringify(dependencyVersions.get(config)),
+            serializedConfig
+        ].join("\n")));
+    }
+
+    return configHashCache.get(config);
+}
+
+/**
+ * Writes a JSON file through a temporary file, so that other processes never
+ * read a partially written file. Files that can't be written are skipped, as
+ * the cache is only an optimization.
+ * @param {string} filePath The path of the file.
+ * @param {any} data The data to write.
+ * @returns {void}
+ */
+function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(data));
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        debug(`Can't write the cache file ${filePath}: ${error.message}`);
+
+        try {
+            fs.unlinkSync(tempPath);
+        } catch {
+
+            // The temporary file wasn't created.
+        }
+    }
+}
+
+/**
+ * Reads the names of the files in a directory.
+ * @param {string} directory The path of the directory.
+ * @returns {string[]} The names, or an empty array if the directory doesn't exist.
+ */
+function readDirectory(directory) {
+    try {
+        return fs.readdirSync(directory);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Lists the entries in a cache directory.
+ * @param {string} cacheDirectory The path of the cache directory.
+ * @returns {{key: string, filePath: string}[]} The key and the path of the
+ *      file of each entry.
+ */
+function listEntries(cacheDirectory) {
+    const entries = [];
+
+    for (const directoryName of readDirectory(cacheDirectory)) {
+        if (!ENTRY_DIRECTORY_PATTERN.test(directoryName)) {
+            continue;
+        }
+
+        for (const fileName of readDirectory(path.join(cacheDirectory, directoryName))) {
+            if (ENTRY_FILE_PATTERN.test(fileName)) {
+                entries.push({
+                    key: fileName.slice(0, -".json".length),
+                    filePath: path.join(cacheDirectory, directoryName, fileName)
+                });
+            }
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Removes a file or an empty directory, if it exists.
+ * @param {string} filePath The path of the file or directory.
+ * @returns {void}
+ */
+function remove(filePath) {
+    try {
+        if (fs.statSync(filePath).isDirectory()) {
+            fs.rmdirSync(filePath);
+        } else {
+            fs.unlinkSync(filePath);
+        }
+    } catch (error) {
+        debug(`Can't remove ${filePath}: ${error.message}`);
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * Shared lint result cache. Each lint result is stored in a file of its own
+ * in the cache directory, named by the hash of the file's content, its path
+ * relative to the current working directory, and its config. Unlike
+ * `LintResultCache`, results are found again after the project is checked
+ * out somewhere else, so a cache directory can be restored on another CI
+ * machine or branch. Entries are written to a temporary file first and then
+ * renamed, so several processes can use the same directory at once.
+ */
+class SharedLintResultCache {
+
+    /**
+     * Creates a new SharedLintResultCache instance.
+     * @param {string} cacheDirectory The absolute path of the cache directory.
+     * @param {string} cwd The current working directory.
+     */
+    constructor(cacheDirectory, cwd) {
+        assert(cacheDirectory, "Cache directory is required");
+        assert(cwd, "Current working directory is required");
+
+        debug(`Caching results to the directory ${cacheDirectory}`);
+
+        this.cacheDirectory = cacheDirectory;
+        this.cwd = cwd;
+
+        // Dependencies without versions are looked up once for each instance.
+        this.dependencyVersions = new DependencyVersions();
+
+        /**
+         * The keys of the files that were looked up, by file path.
+         * @type {Map<string, {key: string, text: string, relativePath: string}>}
+         */
+        this.fileKeys = new Map();
+
+        /**
+         * The entries to write on `reconcile()`, by key.
+         * @type {Map<string, Object>}
+         */
+        this.pendingEntries = new Map();
+
+        /**
+         * Whether the results of the files that were looked up were found,
+         * by file path.
+         * @type {Map<string, boolean>}
+         */
+        this.lookups = new Map();
+    }
+
+    /**
+     * Calculates the key of a file's lint results from its content, its
+     * relative path, and its config.
+     * @param {string} filePath The file.
+     * @param {ConfigArray|Object} config The config of the file.
+     * @returns {{key: string, text: string, relativePath: string}|null} The
+     *      key, the content, and the relative path of the file, or `null` if
+     *      the file can't be read.
+     * @private
+     */
+    getFileKey(filePath, config) {
+        let text;
+
+        try {
+            text = fs.readFileSync(filePath, "utf8");
+        } catch {
+            return null;
+        }
+
+        const fileKey = this.createFileKey(filePath, text, config);
+
+        this.fileKeys.set(filePath, fileKey);
+
+        return fileKey;
+    }
+
+    /**
+     * Calculates the key of the lint results of a file with some content.
+     * @param {string} filePath The file.
+     * @param {string} text The content of the file.
+     * @param {ConfigArray|Object} config The config of the file.
+     * @returns {{key: string, text: string, relativePath: string}} The key,
+     *      the content, and the relative path of the file.
+     * @private
+     */
+    createFileKey(filePath, text, config) {
+        const relativePath = path.relative(this.cwd, filePath).split(path.sep).join("/");
+
+        return {
+            key: sha256([sha256(text), relativePath, hashOfConfigFor(config, this.cwd, this.dependencyVersions)].join("\n")),
+            text,
+            relativePath
+        };
+    }
+
+    /**
+     * Gets the path of the file that stores an entry. Entries are spread over
+     * subdirectories, so that no directory gets too large.
+     * @param {string} key The key of the entry.
+     * @returns {string} The path of the file.
+     * @private
+     */
+    getEntryPath(key) {
+        return path.join(this.cacheDirectory, key.slice(0, 2), `${key}.json`);
+    }
+
+    /**
+     * Retrieve cached lint results for a given file path, if there are
+     * results for its current content and config.
+     * @param {string} filePath The file for which to retrieve lint results.
+     * @param {ConfigArray|Object} config The config of the file.
+     * @returns {Object|null} The rebuilt lint results, or null if the file
+     *   isn't in the cache or not in the filesystem.
+     */
+    getCachedLintResults(filePath, config) {
+        const fileKey = this.getFileKey(filePath, config);
+
+        if (!fileKey) {
+            debug(`File not found on the file system: ${filePath}`);
+            return null;
+        }
+
+        let entry;
+
+        this.lookups.set(filePath, false);
+
+        try {
+            entry = JSON.parse(fs.readFileSync(this.getEntryPath(fileKey.key), "utf8"));
+        } catch {
+            debug(`Cache entry not found: ${filePath}`);
+            return null;
+        }
+
+        this.lookups.set(filePath, true);
+
+        const results = { ...entry.results, filePath };
+
+        if (results.source === null) {
+            results.source = fileKey.text;
+        }
+
+        return results;
+    }
+
+    /**
+     * Set the cached lint results for a given file path. The remaining
+     * messages of results with an "output" property are cached for the fixed
+     * content, like in `LintResultCache`, so they are found once the fixes
+     * are written.
+     * @param {string} filePath The file for which to set lint results.
+     * @param {ConfigArray|Object} config The config of the file.
+     * @param {Object} result The lint result to be set for the file.
+     * @returns {void}
+     */
+    setCachedLintResults(filePath, config, result) {
+        const hasOutput = Boolean(result) && Object.prototype.hasOwnProperty.call(result, "output");
+        const fileKey = hasOutput
+            ? this.createFileKey(filePath, result.output, config)
+            : this.fileKeys.get(filePath) || this.getFileKey(filePath, config);
+
+        if (fileKey) {
+            debug(`Updating cached result${hasOutput ? " of the fixed content" : ""}: ${filePath}`);
+
+            const resultToSerialize = { ...result };
+
+            if (hasOutput) {
+                delete resultToSerialize.output;
+
+                // Results without fixes have the source of files with problems.
+                if (resultToSerialize.errorCount + resultToSerialize.warningCount > 0) {
+                    resultToSerialize.source = null;
+                }
+            }
+
+            // The path is set again on retrieval, so that results are found in any checkout.
+            delete resultToSerialize.filePath;
+
+            // The statistics are of the run that linted the file, not of runs that use the cache.
+            delete resultToSerialize.stats;
+
+            if (Object.prototype.hasOwnProperty.call(resultToSerialize, "source")) {
+                resultToSerialize.source = null;
+            }
+
+            // The relative path is only stored to find the entries of deleted files.
+            this.pendingEntries.set(fileKey.key, { filePath: fileKey.relativePath, results: resultToSerialize });
+        }
+    }
+
+    /**
+     * Remove the cached lint results for a given file path that weren't
+     * written yet. Entries of other processes are kept, as they may still be
+     * valid for them.
+     * @param {string} filePath The file for which to remove lint results.
+     * @returns {void}
+     */
+    removeCachedLintResults(filePath) {
+        const fileKey = this.fileKeys.get(filePath);
+
+        if (fileKey) {
+            debug(`Removing cached result: ${filePath}`);
+            this.pendingEntries.delete(fileKey.key);
+        }
+    }
+
+    /**
+     * Durations depend on the machine, so they aren't shared.
+     * @returns {null} Always `null`.
+     */
+    // eslint-disable-next-line class-methods-use-this -- Called on either cache by the engines, like `LintResultCache#getLintDuration()`.
+    getLintDuration() {
+        return null;
+    }
+
+    /**
+     * Durations depend on the machine, so they aren't shared.
+     * @returns {void}
+     */
+    // eslint-disable-next-line class-methods-use-this -- Called on either cache by the engines, like `LintResultCache#setLintDuration()`.
+    setLintDuration() {
+
+        // Nothing to do.
+    }
+
+    /**
+     * Writes an entry to the cache directory.
+     * @param {string} key The key of the entry.
+     * @param {Object} entry The entry.
+     * @returns {void}
+     * @private
+     */
+    writeEntry(key, entry) {
+        writeJsonFile(this.getEntryPath(key), entry);
+    }
+
+    /**
+     * Gets statistics about the cache directory. Entries of deleted files are
+     * found by the paths they were stored with, relative to the current
+     * working directory.
+     * @returns {CacheStats} The statistics.
+     */
+    getStats() {
+        const stats = {
+            location: this.cacheDirectory,
+            entries: 0,
+            deletedFileEntries: 0,
+            size: 0,
+            lastRun: null
+        };
+
+        for (const entry of listEntries(this.cacheDirectory)) {
+            let text, relativePath;
+
+            try {
+                text = fs.readFileSync(entry.filePath, "utf8");
+            } catch {
+
+                // The entry was removed by another process.
+                continue;
+            }
+
+            try {
+                relativePath = JSON.parse(text).filePath;
+            } catch {
+                relativePath = null;
+            }
+
+            stats.entries++;
+            stats.size += Buffer.byteLength(text);
+
+            if (typeof relativePath === "string" && !fs.existsSync(path.resolve(this.cwd, relativePath))) {
+                stats.deletedFileEntries++;
+            }
+        }
+
+        try {
+            const lastRunPath = path.join(this.cacheDirectory, LAST_RUN_FILE_NAME);
+            const { hits, misses } = JSON.parse(fs.readFileSync(lastRunPath, "utf8"));
+
+            stats.size += fs.statSync(lastRunPath).size;
+            stats.lastRun = { hits, misses };
+        } catch {
+
+            // There was no run with the cache yet.
+        }
+
+        return stats;
+    }
+
+    /**
+     * Removes the entries that aren't the current entry of a file that is
+     * linted. These are the entries of files that don't exist anymore, that
+     * aren't linted anymore, or whose content or config changed. Entries that
+     * other checkouts still use are removed, too.
+     * @param {Map<string, ConfigArray|Object>} lintTargets The configs of the
+     *      files that are linted, by path.
+     * @returns {number} The number of removed entries.
+     */
+    prune(lintTargets) {
+        const currentKeys = new Set();
+
+        for (const [filePath, config] of lintTargets) {
+            const fileKey = this.getFileKey(filePath, config);
+
+            if (fileKey) {
+                currentKeys.add(fileKey.key);
+            }
+        }
+
+        const directories = new Set();
+        let removedCount = 0;
+
+        for (const entry of listEntries(this.cacheDirectory)) {
+            if (!currentKeys.has(entry.key)) {
+                remove(entry.filePath);
+                directories.add(path.dirname(entry.filePath));
+                removedCount++;
+            }
+        }
+
+        for (const directory of directories) {
+            if (readDirectory(directory).length === 0) {
+                remove(directory);
+            }
+        }
+
+        debug(`Pruned ${removedCount} cached results: ${this.cacheDirectory}`);
+
+        return removedCount;
+    }
+
+    /**
+     * Removes all entries from the cache directory, and the directory itself
+     * if nothing else is in it.
+     * @returns {void}
+     */
+    clear() {
+        debug(`Deleting cached results: ${this.cacheDirectory}`);
+
+        for (const directoryName of readDirectory(this.cacheDirectory)) {
+            const directory = path.join(this.cacheDirectory, directoryName);
+
+            if (ENTRY_DIRECTORY_PATTERN.test(directoryName)) {
+                readDirectory(directory).forEach(fileName => remove(path.join(directory, fileName)));
+                remove(directory);
+            }
+        }
+
+        remove(path.join(this.cacheDirectory, LAST_RUN_FILE_NAME));
+
+        if (readDirectory(this.cacheDirectory).length === 0) {
+            remove(this.cacheDirectory);
+        }
+    }
+
+    /**
+     * Writes the new entries, and the hits and misses of this run, to the
+     * cache directory.
+     * @returns {void}
+     */
+    reconcile() {
+        debug(`Persisting ${this.pendingEntries.size} cached results: ${this.cacheDirectory}`);
+
+        for (const [key, entry] of this.pendingEntries) {
+            this.writeEntry(key, entry);
+        }
+
+        if (this.lookups.size > 0) {
+            const hits = [...this.lookups.values()].filter(Boolean).length;
+
+            writeJsonFile(path.join(this.cacheDirectory, LAST_RUN_FILE_NAME), {
+                hits,
+                misses: this.lookups.size - hits
+            });
+        }
+
+        this.pendingEntries.clear();
+        this.fileKeys.clear();
+        this.lookups.clear();
+    }
+}
+
+module.exports = SharedLintResultCache;
@@ -22,7 +22,18 @@ const fs = require("fs"),
     { FlatESLint, shouldUseFlatConfig } = require("./eslint/flat-eslint"),
     createCLIOptions = require("./options"),
     log = require("./shared/logging"),
-    RuntimeInfo = require("./shared/runtime-info");
+    RuntimeInfo = require("./shared/runtime-info"),
+    { createProgressReporter } = require("./shared/progress-reporter"),
+    { parseShard } = require("./shared/shard"),
+    { getChangedFiles, getChangedLines } = require("./shared/changed-files"),
+    { countProblems } = require("./shared/result-stats"),
+    { applyBaseline, createBaseline, pruneBaseline, readBaseline, writeBaseline } = require("./shared/baseline"),
+    { watchFiles } = require("./shared/file-watcher"),
+    { LintDaemon } = require("./daemon/server"),
+    { DaemonESLint, connectToDaemon } = require("./daemon/client"),
+    { isPlainData } = require("./shared/serialization"),
+    { LanguageServer } = require("./lsp/server"),
+    { createFixSeverityPredicate, registerImportedModule } = require("./eslint/worker-pool");
 const { Legacy: { naming } } = require("@eslint/eslintrc");
 const { ModuleImporter } = require("@humanwhocodes/module-importer");
 
@@ -33,28 +44,53 @@ const debug = require("debug")("eslint:cli");
 //------------------------------------------------------------------------------
 
 /** @typedef {import("./eslint/eslint").ESLintOptions} ESLintOptions */
-/** @typedef {import("./eslint/eslint").LintMessage} LintMessage */
 /** @typedef {import("./eslint/eslint").LintResult} LintResult */
 /** @typedef {import("./options").ParsedCLIOptions} ParsedCLIOptions */
+/** @typedef {import("./shared/types").CacheStats} CacheStats */
 /** @typedef {import("./shared/types").ResultsMeta} ResultsMeta */
+/** @typedef {import("./shared/types").TraceEvent} TraceEvent */
+/** @typedef {import("./shared/baseline").StaleBaselineEntry} StaleBaselineEntry */
 
 //------------------------------------------------------------------------------
 // Helpers
 //------------------------------------------------------------------------------
 
+// The files that can configure a directory with eslintrc.
+const ESLINTRC_FILENAMES = [
+    ".eslintrc.js",
+    ".eslintrc.cjs",
+    ".eslintrc.yaml",
+    ".eslintrc.yml",
+    ".eslintrc.json",
+    ".eslintrc",
+    "package.json"
+];
+
 const mkdir = promisify(fs.mkdir);
+const readFile = promisify(fs.readFile);
 const stat = promisify(fs.stat);
 const writeFile = promisify(fs.writeFile);
 
-/**
+/*
  * Predicate function for whether or not to apply fixes in quiet mode.
- * If a message is a warning, do not apply a fix.
- * @param {LintMessage} message The lint result.
- * @returns {boolean} True if the lint message is an error (and thus should be
- * autofixed), false otherwise.
+ * If a message is a warning, do not apply a fix. Lint workers create it
+ * again from its severity.
+ */
+const quietFixPredicate = createFixSeverityPredicate("error");
+
+/**
+ * Imports a plugin or parser given on the command line. The module is
+ * registered so that lint workers can import it again by its path.
+ * @param {ModuleImporter} importer The importer to use.
+ * @param {string} name The name of the module.
+ * @returns {Promise<Object>} The imported module.
  */
-function quietFixPredicate(message) {
-    return message.severity === 2;
+async function importModule(importer, name) {
+    const importedModule = await importer.import(name);
+
+    registerImportedModule(importedModule, importer.resolve(name));
+
+    return importedModule;
 }
 
 /**
@@ -70,6 +106,9 @@ async function translateOptions({
     cacheFile,
     cacheLocation,
     cacheStrategy,
+    cacheDir,
+    cacheRemote,
+    concurrency,
     config,
     configLookup,
     env,
@@ -84,6 +123,7 @@ async function translateOptions({
     ignorePath,
     ignorePattern,
     inlineConfig,
+    maxFileTime,
     parser,
     parserOptions,
     plugin,
@@ -92,6 +132,10 @@ async function translateOptions({
     resolvePluginsRelativeTo,
     rule,
     rulesdir,
+    selectorStats,
+    shard,
+    stats,
+    trace,
     warnIgnored
 }, configType) {
 
@@ -126,7 +170,7 @@ async function translateOptions({
         }];
 
         if (parser) {
-            overrideConfig[0].languageOptions.parser = await importer.import(parser);
+            overrideConfig[0].languageOptions.parser = await importModule(importer, parser);
         }
 
         if (plugin) {
@@ -137,7 +181,7 @@ async function translateOptions({
                 const shortName = naming.getShorthandName(pluginName, "eslint-plugin");
                 const longName = naming.normalizePackageName(pluginName, "eslint-plugin");
 
-                plugins[shortName] = await importer.import(longName);
+                plugins[shortName] = await importModule(importer, longName);
             }
 
             overrideConfig[0].plugins = plugins;
@@ -172,13 +216,23 @@ async function translateOptions({
         cache,
         cacheLocation: cacheLocation || cacheFile,
         cacheStrategy,
+        cacheDir: cacheDir || null,
+        cacheRemote: cacheRemote || null,
+        concurrency,
         errorOnUnmatchedPattern,
         fix: (fix || fixDryRun) && (quiet ? quietFixPredicate : true),
         fixTypes: fixType,
         ignore,
+        maxFileTime: typeof maxFileTime === "number" ? maxFileTime : null,
         overrideConfig,
         overrideConfigFile,
-        reportUnusedDisableDirectives: reportUnusedDisableDirectives ? "error" : void 0
+        reportUnusedDisableDirectives: reportUnusedDisableDirectives ? "error" : void 0,
+        selectorStats,
+        shard: shard ? parseShard(shard) : null,
+
+        // the selector breakdown is part of the statistics
+        stats: stats || selectorStats,
+        trace: Boolean(trace)
     };
 
     if (configType === "flat") {
@@ -214,6 +268,184 @@ function countErrors(results) {
     return { errorCount, fatalErrorCount, warningCount };
 }
 
+/**
+ * Removes the messages that don't start on changed lines from the results,
+ * and counts the problems of each file again. Messages without a line and
+ * fatal errors are kept, because the latter mean that the file wasn't linted.
+ * @param {LintResult[]} results The lint results.
+ * @param {Map<string, {start:number,end:number}[]|null>} changedLines The
+ *      ranges of changed lines by file path, or `null` for files that
+ *      changed entirely.
+ * @returns {LintResult[]} The filtered results.
+ */
+function filterResultsToChangedLines(results, changedLines) {
+    return results.map(result => {
+        const ranges = changedLines.get(result.filePath);
+
+        if (ranges === null) {
+            return result;
+        }
+
+        const messages = result.messages.filter(message => (
+            message.fatal ||
+            !message.line ||
+            (ranges || []).some(({ start, end }) => message.line >= start && message.line <= end)
+        ));
+
+        return Object.assign({}, result, { messages }, countProblems(messages));
+    });
+}
+
+/**
+ * Logs the problems in a baseline that weren't found, so that they can be
+ * removed with `--baseline-prune`.
+ * @param {StaleBaselineEntry[]} staleEntries The problems that weren't found.
+ * @param {string} baselineFile The path of the baseline file as given.
+ * @returns {void}
+ */
+function logStaleBaselineEntries(staleEntries, baselineFile) {
+    const counts = new Map();
+    let total = 0;
+
+    for (const { filePath, ruleId, count } of staleEntries) {
+        const key = `${filePath}: ${ruleId}`;
+
+        counts.set(key, (counts.get(key) || 0) + count);
+        total += count;
+    }
+
+    log.error(
+        "%d problems in the baseline file %s weren't found:\n%s\nUse --baseline-prune to remove them.",
+        total,
+        baselineFile,
+        [...counts].map(([key, count]) => `  ${key} (${count})`).join("\n")
+    );
+}
+
+/**
+ * Reads the JSON reports of `--shard` runs and merges them into one list of results.
+ * @param {string[]} filePaths The paths to the reports.
+ * @returns {Promise<LintResult[]>} The results of all reports, sorted by file path.
+ * @throws {Error} If a report can't be read or isn't a JSON report.
+ */
+async function mergeReports(filePaths) {
+    const results = [];
+
+    for (const filePath of filePaths) {
+        const report = JSON.parse(await readFile(filePath, "utf8"));
+
+        if (!Array.isArray(report)) {
+            throw new Error(`${filePath} is not a report created with --format json.`);
+        }
+
+        results.push(...report);
+    }
+
+    return results.sort((a, b) => {
+        if (a.filePath < b.filePath) {
+            return -1;
+        }
+
+        if (a.filePath > b.filePath) {
+            return 1;
+        }
+
+        return 0;
+    });
+}
+
+/**
+ * Writes the events that the `trace` option recorded to a file in the Chrome
+ * Trace Event Format.
+ * @param {string} traceFile The path to the file.
+ * @param {TraceEvent[]} traceEvents The events.
+ * @returns {Promise<void>}
+ */
+async function writeTrace(traceFile, traceEvents) {
+    const filePath = path.resolve(process.cwd(), traceFile);
+
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, JSON.stringify({ traceEvents }));
+}
+
+/**
+ * Runs the daemon until it stops after being idle or asked to shut down.
+ * @returns {Promise<number>} The exit code.
+ */
+async function runDaemon() {
+    const daemon = new LintDaemon();
+
+    try {
+        await daemon.start();
+    } catch (error) {
+        log.error(error.message);
+        return 2;
+    }
+
+    log.info("ESLint daemon listening on %s", daemon.socketPath);
+    await daemon.closed;
+
+    return 0;
+}
+
+/**
+ * Formats a size in bytes for humans.
+ * @param {number} size The size in bytes.
+ * @returns {string} The formatted size.
+ */
+function formatSize(size) {
+    if (size < 1024) {
+        return `${size} B`;
+    }
+
+    if (size < 1024 * 1024) {
+        return `${(size / 1024).toFixed(1)} KB`;
+    }
+
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Formats statistics about the cache for humans.
+ * @param {CacheStats} stats The statistics.
+ * @returns {string} The formatted statistics.
+ */
+function formatCacheStats(stats) {
+    return [
+        `Cache: ${stats.location}`,
+        `Entries: ${stats.entries} (${stats.deletedFileEntries} for deleted files)`,
+        `Size: ${formatSize(stats.size)}`,
+        `Last run: ${stats.lastRun ? `${stats.lastRun.hits} hits, ${stats.lastRun.misses} misses` : "none"}`
+    ].join("\n");
+}
+
+/**
+ * Shows statistics about the cache, prunes it, or clears it, as the
+ * `--cache-stats`, `--cache-prune`, or `--cache-clear` option asks.
+ * @param {ParsedCLIOptions} options The CLI options.
+ * @param {string[]} patterns The file patterns to prune the cache for.
+ * @param {boolean} usingFlatConfig Whether flat config is used.
+ * @returns {Promise<number>} The exit code.
+ */
+async function manageCache(options, patterns, usingFlatConfig) {
+    const engine = usingFlatConfig
+        ? new FlatESLint(await translateOptions(options, "flat"))
+        : new ESLint(await translateOptions(options));
+
+    if (options.cacheClear) {
+        await engine.clearCache();
+        log.info("The cache was deleted.");
+    } else if (options.cachePrune) {
+        const removedCount = await engine.pruneCache(patterns);
+
+        log.info("Removed %d entries from the cache.", removedCount);
+    } else {
+        log.info(formatCacheStats(await engine.getCacheStats()));
+    }
+
+    return 0;
+}
+
 /**
  * Check if a given file path is a directory or not.
  * @param {string} filePath The path to a file to check.
@@ -276,6 +508,207 @@ async function printResults(engine, results, format, outputFile, resultsMeta) {
     return true;
 }
 
+/**
+ * Applies the fixes, prints the results, and determines the exit code.
+ * @param {typeof ESLint|typeof FlatESLint} ActiveESLint The class of the engine.
+ * @param {ESLint|FlatESLint} engine The engine that linted the files.
+ * @param {LintResult[]} results The lint results.
+ * @param {ParsedCLIOptions} options The CLI options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function reportResults(ActiveESLint, engine, results, options) {
+    if (options.fix) {
+        debug("Fix mode enabled - applying fixes");
+        await ActiveESLint.outputFixes(results);
+    }
+
+    let resultsToPrint = results;
+
+    if (options.quiet) {
+        debug("Quiet mode enabled - filtering out warnings");
+        resultsToPrint = ActiveESLint.getErrorResults(resultsToPrint);
+    }
+
+    const resultCounts = countErrors(results);
+    const tooManyWarnings = options.maxWarnings >= 0 && resultCounts.warningCount > options.maxWarnings;
+    const resultsMeta = tooManyWarnings
+        ? {
+            maxWarningsExceeded: {
+                maxWarnings: options.maxWarnings,
+                foundWarnings: resultCounts.warningCount
+            }
+        }
+        : {};
+
+    if (await printResults(engine, resultsToPrint, options.format, options.outputFile, resultsMeta)) {
+
+        // Errors and warnings from the original unfiltered results should determine the exit code
+        const shouldExitForFatalErrors =
+            options.exitOnFatalError && resultCounts.fatalErrorCount > 0;
+
+        if (!resultCounts.errorCount && tooManyWarnings) {
+            log.error(
+                "ESLint found too many warnings (maximum: %s).",
+                options.maxWarnings
+            );
+        }
+
+        if (shouldExitForFatalErrors) {
+            return 2;
+        }
+
+        return (resultCounts.errorCount || tooManyWarnings) ? 1 : 0;
+    }
+
+    return 2;
+}
+
+/**
+ * Finds the config and ignore files that `--watch` needs to watch to notice
+ * when the config of the linted files changes. With eslintrc, files that
+ * don't exist yet are included, so that new config files are noticed too.
+ * @param {ESLint|FlatESLint} engine The engine that linted the files.
+ * @param {string[]} filePaths The paths of the linted files.
+ * @param {ParsedCLIOptions} options The CLI options.
+ * @param {boolean} usingFlatConfig Whether flat config is used.
+ * @returns {Promise<string[]>} The paths of the files.
+ */
+async function findConfigAndIgnoreFiles(engine, filePaths, options, usingFlatConfig) {
+    if (usingFlatConfig) {
+        const configFilePath = await engine.findConfigFile();
+
+        return configFilePath ? [configFilePath] : [];
+    }
+
+    const cwd = process.cwd();
+    const configFilePaths = new Set([path.resolve(cwd, options.ignorePath || ".eslintignore")]);
+
+    if (options.config) {
+        configFilePaths.add(path.resolve(cwd, options.config));
+    }
+
+    if (options.eslintrc) {
+        const directories = new Set();
+
+        for (const filePath of filePaths) {
+            let directory = path.dirname(filePath);
+
+            while (!directories.has(directory)) {
+                directories.add(directory);
+                directory = path.dirname(directory);
+            }
+        }
+
+        for (const directory of directories) {
+            for (const filename of ESLINTRC_FILENAMES) {
+                configFilePaths.add(path.join(directory, filename));
+            }
+        }
+    }
+
+    return [...configFilePaths];
+}
+
+/**
+ * Lints files again whenever they change, and all files whenever a config or
+ * ignore file changes, and prints all results each time. Runs until the
+ * process receives `SIGINT`.
+ * @param {Object} watchOptions The options.
+ * @param {ESLint|FlatESLint} watchOptions.engine The engine of the first run.
+ * @param {LintResult[]} watchOptions.results The results of the first run.
+ * @param {number} watchOptions.exitCode The exit code of the first run.
+ * @param {string[]} watchOptions.patterns The patterns to lint when the config changes.
+ * @param {() => ESLint|FlatESLint} watchOptions.createEngine Creates an engine
+ *      that loads the config again.
+ * @param {(engine: ESLint|FlatESLint, filePaths: string[]) => Promise<string[]>} watchOptions.findConfigFiles
+ *      Finds the config and ignore files of the linted files.
+ * @param {(engine: ESLint|FlatESLint, results: LintResult[]) => Promise<number>} watchOptions.report
+ *      Prints the results and returns the exit code.
+ * @returns {Promise<number>} The exit code of the last run.
+ */
+async function runWatchMode({ engine, results, exitCode, patterns, createEngine, findConfigFiles, report }) {
+    const resultsByFilePath = new Map(results.map(result => [result.filePath, result]));
+    let currentEngine = engine;
+    let currentExitCode = exitCode;
+    let configFilePaths = new Set();
+    let watcher = null;
+    let stopped = false;
+    let pendingChanges = Promise.resolve();
+
+    /**
+     * Lints the changed files, or all files if the config changed, and prints the results.
+     * @param {string[]} changedFilePaths The paths of the changed files.
+     * @returns {Promise<boolean>} `true` if all files were linted, so the
+     *      files to watch may have changed.
+     */
+    async function lintChangedFiles(changedFilePaths) {
+        let lintedAllFiles = false;
+
+        try {
+            if (changedFilePaths.some(filePath => configFilePaths.has(filePath))) {
+                debug("Config changed - linting all files");
+                currentEngine = createEngine();
+
+                const newResults = await currentEngine.lintFiles(patterns);
+
+                resultsByFilePath.clear();
+                newResults.forEach(result => resultsByFilePath.set(result.filePath, result));
+                lintedAllFiles = true;
+            } else {
+                const existingFilePaths = changedFilePaths.filter(filePath => fs.existsSync(filePath));
+
+                debug(`Files changed - linting ${existingFilePaths.length} files`);
+                changedFilePaths.forEach(filePath => resultsByFilePath.delete(filePath));
+
+                if (existingFilePaths.length) {
+                    const newResults = await currentEngine.lintFiles(existingFilePaths);
+
+                    newResults.forEach(result => resultsByFilePath.set(result.filePath, result));
+                }
+            }
+
+            currentExitCode = await report(currentEngine, [...resultsByFilePath.values()]);
+        } catch (error) {
+            log.error("There was a problem linting the changed files:\n%s", error.message);
+        }
+
+        return lintedAllFiles;
+    }
+
+    /**
+     * Watches the linted files and their config and ignore files.
+     * @returns {Promise<void>} A promise that is resolved when the files are watched.
+     */
+    async function startWatching() {
+        const lintedFilePaths = [...resultsByFilePath.keys()];
+
+        configFilePaths = new Set(await findConfigFiles(currentEngine, lintedFilePaths));
+
+        if (watcher) {
+            watcher.close();
+        }
+
+        watcher = watchFiles([...lintedFilePaths, ...configFilePaths], changedFilePaths => {
+            pendingChanges = pendingChanges.then(async () => {
+                if (!stopped && await lintChangedFiles(changedFilePaths) && !stopped) {
+                    await startWatching();
+                }
+            });
+        });
+    }
+
+    await startWatching();
+
+    return new Promise(resolve => {
+        process.once("SIGINT", () => {
+            debug("Stopped watching");
+            stopped = true;
+            watcher.close();
+            pendingChanges.then(() => resolve(currentExitCode));
+        });
+    });
+}
+
 //------------------------------------------------------------------------------
 // Public Interface
 //------------------------------------------------------------------------------
@@ -291,9 +724,11 @@ const cli = {
      * @param {string|Array|Object} args The arguments to process.
      * @param {string} [text] The text to lint (used for TTY).
      * @param {boolean} [allowFlatConfig] Whether or not to allow flat config.
+     * @param {boolean} [allowDaemon] Whether or not to lint in a running daemon
+     *      if there is one.
      * @returns {Promise<number>} The exit code for the operation.
      */
-    async execute(args, text, allowFlatConfig) {
+    async execute(args, text, allowFlatConfig, allowDaemon) {
         if (Array.isArray(args)) {
             debug("CLI args: %o", args.slice(2));
         }
@@ -351,6 +786,25 @@ const cli = {
             }
         }
 
+        // With file patterns or piped-in code, `--daemon` lints in the daemon instead.
+        if (options.daemon && !files.length && !useStdin) {
+            return runDaemon();
+        }
+
+        if (options.lsp) {
+            if (files.length || useStdin) {
+                log.error("The --lsp option can't be used with file patterns or piped-in code.");
+                return 2;
+            }
+
+            return new LanguageServer({ input: process.stdin, output: process.stdout }).listen();
+        }
+
+        if (options.shard && !parseShard(options.shard)) {
+            log.error("The --shard option must be in the form <index>/<total>, where 1 <= index <= total.");
+            return 2;
+        }
+
         if (options.printConfig) {
             if (files.length) {
                 log.error("The --print-config option must be used with exactly one file name.");
@@ -371,6 +825,27 @@ const cli = {
             return 0;
         }
 
+        if (options.cacheStats || options.cachePrune || options.cacheClear) {
+            if ([options.cacheStats, options.cachePrune, options.cacheClear].filter(Boolean).length > 1) {
+                log.error("The --cache-stats, --cache-prune, and --cache-clear options can't be used together.");
+                return 2;
+            }
+            if (useStdin) {
+                log.error("The --cache-stats, --cache-prune, and --cache-clear options are not available for piped-in code.");
+                return 2;
+            }
+            if (options.cachePrune && !files.length) {
+                log.error("The --cache-prune option requires the file patterns that are linted.");
+                return 2;
+            }
+            if (!options.cachePrune && files.length) {
+                log.error("The --cache-stats and --cache-clear options can't be used with file patterns.");
+                return 2;
+            }
+
+            return manageCache(options, files, usingFlatConfig);
+        }
+
         debug(`Running on ${useStdin ? "text" : "files"}`);
 
         if (options.fix && options.fixDryRun) {
@@ -385,67 +860,212 @@ const cli = {
             log.error("The --fix-type option requires either --fix or --fix-dry-run.");
             return 2;
         }
+        if (options.mergeReports && useStdin) {
+            log.error("The --merge-reports option is not available for piped-in code.");
+            return 2;
+        }
+        if (options.watch && (useStdin || options.mergeReports)) {
+            log.error("The --watch option is not available for piped-in code or with --merge-reports.");
+            return 2;
+        }
+        if (options.mergeReports && (options.fix || options.fixDryRun)) {
+            log.error("The --merge-reports option can't be used with --fix or --fix-dry-run.");
+            return 2;
+        }
+        if ((options.changedSince || options.staged) && (useStdin || options.mergeReports)) {
+            log.error("The --changed-since and --staged options are not available for piped-in code or with --merge-reports.");
+            return 2;
+        }
+        if (options.diffLinesOnly && (useStdin || options.mergeReports || options.changedSince || options.staged)) {
+            log.error("The --diff-lines-only option is not available for piped-in code or with --merge-reports, --changed-since, or --staged.");
+            return 2;
+        }
+        if (options.trace && options.mergeReports) {
+            log.error("The --trace option can't be used with --merge-reports.");
+            return 2;
+        }
+        if (options.baseline && options.baselineCreate) {
+            log.error("The --baseline and --baseline-create options can't be used together.");
+            return 2;
+        }
+        if (options.baselinePrune && !options.baseline) {
+            log.error("The --baseline-prune option requires --baseline.");
+            return 2;
+        }
+        if (typeof options.maxFileTime === "number" && options.concurrency === "off") {
+            log.error("The --max-file-time option requires --concurrency.");
+            return 2;
+        }
+
+        const baselinePath = options.baseline || options.baselineCreate
+            ? path.resolve(process.cwd(), options.baseline || options.baselineCreate)
+            : null;
+        const baselineDirectory = baselinePath && path.dirname(baselinePath);
+        let baseline = null;
+
+        if (options.baseline) {
+            try {
+                baseline = await readBaseline(baselinePath);
+            } catch (error) {
+                log.error("There was a problem reading the baseline file:\n%s", error.message);
+                return 2;
+            }
+        }
 
         const ActiveESLint = usingFlatConfig ? FlatESLint : ESLint;
 
-        const engine = new ActiveESLint(await translateOptions(options, usingFlatConfig ? "flat" : "eslintrc"));
-        let results;
+        const eslintOptions = await translateOptions(options, usingFlatConfig ? "flat" : "eslintrc");
+        const lintsChangedFiles = Boolean(options.changedSince || options.staged || options.diffLinesOnly);
 
-        if (useStdin) {
-            results = await engine.lintText(text, {
-                filePath: options.stdinFilename,
+        // The changed files are looked for in the current directory if no patterns are given.
+        const patterns = lintsChangedFiles && !files.length ? ["."] : files;
+        let changedLines = null;
 
-                // flatConfig respects CLI flag and constructor warnIgnored, eslintrc forces true for backwards compatibility
-                warnIgnored: usingFlatConfig ? void 0 : true
-            });
-        } else {
-            results = await engine.lintFiles(files);
-        }
+        if (options.diffLinesOnly) {
+            try {
+                changedLines = await getChangedLines({ cwd: process.cwd(), ref: options.diffLinesOnly });
+            } catch (error) {
+                log.error("There was a problem getting the changed lines from git:\n%s", error.message);
+                return 2;
+            }
 
-        if (options.fix) {
-            debug("Fix mode enabled - applying fixes");
-            await ActiveESLint.outputFixes(results);
+            eslintOptions.onlyFiles = [...changedLines.keys()];
+        } else if (lintsChangedFiles) {
+            try {
+                eslintOptions.onlyFiles = await getChangedFiles({
+                    cwd: process.cwd(),
+                    ref: options.changedSince,
+                    staged: options.staged
+                });
+            } catch (error) {
+                log.error("There was a problem getting the changed files from git:\n%s", error.message);
+                return 2;
+            }
         }
 
-        let resultsToPrint = results;
+        const progressReporter = options.progress && process.stderr.isTTY && !useStdin && !options.mergeReports && !options.watch
+            ? createProgressReporter(process.stderr)
+            : null;
 
-        if (options.quiet) {
-            debug("Quiet mode enabled - filtering out warnings");
-            resultsToPrint = ActiveESLint.getErrorResults(resultsToPrint);
+        if (progressReporter) {
+            eslintOptions.onFileEnd = progressReporter.onFileEnd;
         }
 
-        const resultCounts = countErrors(results);
-        const tooManyWarnings = options.maxWarnings >= 0 && resultCounts.warningCount > options.maxWarnings;
-        const resultsMeta = tooManyWarnings
-            ? {
-                maxWarningsExceeded: {
-                    maxWarnings: options.maxWarnings,
-                    foundWarnings: resultCounts.warningCount
+        // The daemon only gets options that can be sent to it, so e.g. `--plugin` is always linted here, as is a run that is traced.
+        const daemonClient = allowDaemon && usingFlatConfig && options.daemon &&
+            !options.mergeReports && !options.watch && !options.trace && isPlainData(eslintOptions)
+            ? await connectToDaemon()
+            : null;
+
+        debug(`Linting in ${daemonClient ? "the daemon" : "this process"}`);
+
+        const engine = daemonClient
+            ? new DaemonESLint(daemonClient, eslintOptions)
+            : new ActiveESLint(eslintOptions);
+        let results;
+
+        try {
+            if (options.mergeReports) {
+                try {
+                    results = await mergeReports(files);
+                } catch (error) {
+                    log.error("There was a problem merging the reports:\n%s", error.message);
+                    return 2;
                 }
+            } else if (useStdin) {
+                results = await engine.lintText(text, {
+                    filePath: options.stdinFilename,
+
+                    // flatConfig respects CLI flag and constructor warnIgnored, eslintrc forces true for backwards compatibility
+                    warnIgnored: usingFlatConfig ? void 0 : true
+                });
+            } else {
+                results = await engine.lintFiles(patterns);
+            }
+        } finally {
+            if (progressReporter) {
+                progressReporter.clear();
             }
-            : {};
-
-        if (await printResults(engine, resultsToPrint, options.format, options.outputFile, resultsMeta)) {
 
-            // Errors and warnings from the original unfiltered results should determine the exit code
-            const shouldExitForFatalErrors =
-                options.exitOnFatalError && resultCounts.fatalErrorCount > 0;
+            if (daemonClient) {
+                daemonClient.close();
+            }
+        }
 
-            if (!resultCounts.errorCount && tooManyWarnings) {
-                log.error(
-                    "ESLint found too many warnings (maximum: %s).",
-                    options.maxWarnings
-                );
+        if (options.trace) {
+            try {
+                await writeTrace(options.trace, engine.getTraceEvents());
+            } catch (error) {
+                log.error("There was a problem writing the trace file:\n%s", error.message);
+                return 2;
             }
+        }
+
+        // The new baseline is applied like a given one, so the problems it records aren't reported.
+        if (options.baselineCreate) {
+            baseline = createBaseline(results, baselineDirectory);
 
-            if (shouldExitForFatalErrors) {
+            try {
+                await writeBaseline(baselinePath, baseline);
+            } catch (error) {
+                log.error("There was a problem writing the baseline file:\n%s", error.message);
                 return 2;
             }
+        }
 
-            return (resultCounts.errorCount || tooManyWarnings) ? 1 : 0;
+        /**
+         * Prints the results of a run without the problems in the baseline
+         * or on unchanged lines, and determines the exit code.
+         * @param {ESLint|FlatESLint} lintedEngine The engine that linted the files.
+         * @param {LintResult[]} lintResults The lint results.
+         * @returns {Promise<number>} The exit code.
+         */
+        async function report(lintedEngine, lintResults) {
+            let resultsToReport = lintResults;
+
+            if (baseline) {
+                const { results: newResults, staleEntries } = applyBaseline(lintResults, baseline, baselineDirectory);
+
+                resultsToReport = newResults;
+
+                if (staleEntries.length && options.baselinePrune) {
+                    baseline = pruneBaseline(baseline, staleEntries);
+
+                    try {
+                        await writeBaseline(baselinePath, baseline);
+                    } catch (error) {
+                        log.error("There was a problem writing the baseline file:\n%s", error.message);
+                        return 2;
+                    }
+
+                    debug(`Pruned ${staleEntries.length} stale entries from the baseline`);
+                } else if (staleEntries.length) {
+                    logStaleBaselineEntries(staleEntries, options.baseline);
+                }
+            }
+
+            if (changedLines) {
+                resultsToReport = filterResultsToChangedLines(resultsToReport, changedLines);
+            }
+
+            return reportResults(ActiveESLint, lintedEngine, resultsToReport, options);
         }
 
-        return 2;
+        const exitCode = await report(engine, results);
+
+        if (!options.watch) {
+            return exitCode;
+        }
+
+        return runWatchMode({
+            engine,
+            results,
+            exitCode,
+            patterns,
+            createEngine: () => new ActiveESLint(eslintOptions),
+            findConfigFiles: (lintedEngine, filePaths) => findConfigAndIgnoreFiles(lintedEngine, filePaths, options, usingFlatConfig),
+            report
+        });
     }
 };
 
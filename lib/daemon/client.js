@@ -0,0 +1,251 @@
+/**
+ * @fileoverview The client side of the ESLint daemon, used by the CLI to
+ * forward linting to a running daemon instead of loading the config itself.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const net = require("net");
+const path = require("path");
+
+const { FlatESLint } = require("../eslint/flat-eslint");
+const { deserializeError } = require("../shared/serialization");
+const { getSocketPath, isOwnSocket, readLines, writeMessage } = require("./protocol");
+
+const debug = require("debug")("eslint:daemon-client");
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("../eslint/flat-eslint").FlatESLintOptions} FlatESLintOptions */
+/** @typedef {import("../shared/types").LintResult} LintResult */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * The client and options of each `DaemonESLint` instance.
+ * @type {WeakMap<DaemonESLint, {client: DaemonClient, options: FlatESLintOptions, rulesMeta: Object}>}
+ */
+const privateMembers = new WeakMap();
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * A connection to the daemon.
+ */
+class DaemonClient {
+
+    /**
+     * @param {net.Socket} socket The connected socket.
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.nextId = 1;
+
+        /** @type {Map<number, {resolve: Function, reject: Function}>} */
+        this.pendingRequests = new Map();
+
+        readLines(socket, line => {
+            let response;
+
+            try {
+                response = JSON.parse(line);
+            } catch {
+
+                // The responses that follow can't be matched to requests anymore.
+                this.rejectAll(new Error("The ESLint daemon sent a response that is not valid JSON."));
+                socket.destroy();
+                return;
+            }
+
+            this.handleResponse(response);
+        });
+        socket.on("error", error => this.rejectAll(error));
+        socket.on("close", () => this.rejectAll(new Error("The ESLint daemon closed the connection.")));
+    }
+
+    /**
+     * Sends a request to the daemon.
+     * @param {string} method The name of the method to call.
+     * @param {Object} params The parameters of the method.
+     * @returns {Promise<any>} The result of the method.
+     */
+    request(method, params) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+
+            this.pendingRequests.set(id, { resolve, reject });
+            writeMessage(this.socket, { id, method, params });
+        });
+    }
+
+    /**
+     * Settles the request that a response answers.
+     * @param {import("./protocol").DaemonResponse} response The response.
+     * @returns {void}
+     */
+    handleResponse(response) {
+        const request = this.pendingRequests.get(response.id);
+
+        if (!request) {
+            return;
+        }
+
+        this.pendingRequests.delete(response.id);
+
+        if (response.error) {
+            request.reject(deserializeError(response.error));
+        } else {
+            request.resolve(response.result);
+        }
+    }
+
+    /**
+     * Rejects all requests that haven't been answered.
+     * @param {Error} error The error to reject the requests with.
+     * @returns {void}
+     */
+    rejectAll(error) {
+        for (const { reject } of this.pendingRequests.values()) {
+            reject(error);
+        }
+
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Closes the connection.
+     * @returns {void}
+     */
+    close() {
+        this.socket.end();
+    }
+}
+
+/**
+ * Connects to the daemon. The daemon gets the code of the user and its
+ * results are trusted, e.g. to write fixes, so a socket that belongs to
+ * another user is never connected to.
+ * @param {string} [socketPath] The path of the socket of the daemon.
+ * @returns {Promise<DaemonClient|null>} The connection, or `null` if no
+ *      daemon of the current user is running.
+ */
+function connectToDaemon(socketPath = getSocketPath()) {
+    if (!isOwnSocket(socketPath)) {
+        debug(`No socket of the current user on ${socketPath}`);
+        return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+        const socket = net.connect(socketPath);
+
+        /**
+         * Handles the error of a failed connection.
+         * @param {Error} error The error.
+         * @returns {void}
+         */
+        function onError(error) {
+            debug(`No daemon on ${socketPath}: ${error.code}`);
+            resolve(null);
+        }
+
+        socket.once("error", onError);
+        socket.once("connect", () => {
+            debug(`Connected to the daemon on ${socketPath}`);
+            socket.off("error", onError);
+            resolve(new DaemonClient(socket));
+        });
+    });
+}
+
+/**
+ * A `FlatESLint` that lints files and text in the daemon. Everything else,
+ * such as loading formatters, happens in the current process.
+ */
+class DaemonESLint extends FlatESLint {
+
+    /**
+     * @param {DaemonClient} client The connection to the daemon.
+     * @param {FlatESLintOptions} [options] The options, which must be plain data.
+     */
+    constructor(client, options = {}) {
+        super(options);
+        privateMembers.set(this, {
+            client,
+            options: { ...options, cwd: path.resolve(options.cwd || process.cwd()) },
+            rulesMeta: {}
+        });
+    }
+
+    /**
+     * Lints the files that match the given patterns in the daemon.
+     * @param {string|string[]} patterns The patterns of the files to lint.
+     * @returns {Promise<LintResult[]>} The lint results.
+     */
+    async lintFiles(patterns) {
+        return this.request("lintFiles", { patterns });
+    }
+
+    /**
+     * Lints the given text in the daemon.
+     * @param {string} code The text to lint.
+     * @param {Object} [options] The options.
+     * @param {string} [options.filePath] The path of the file of the text.
+     * @param {boolean} [options.warnIgnored] Whether to warn if the file is ignored.
+     * @returns {Promise<LintResult[]>} The lint results.
+     */
+    async lintText(code, { filePath, warnIgnored } = {}) {
+        return this.request("lintText", { code, filePath, warnIgnored });
+    }
+
+    /**
+     * Returns the meta objects that the daemon sent for the rules in the results.
+     * @param {LintResult[]} results The results to fetch rules meta for.
+     * @returns {Object} A mapping of ruleIds to rule meta objects.
+     */
+    getRulesMetaForResults(results) {
+        const { rulesMeta } = privateMembers.get(this);
+        const resultRulesMeta = {};
+
+        for (const result of results) {
+            for (const { ruleId } of result.messages.concat(result.suppressedMessages)) {
+                if (ruleId && rulesMeta[ruleId]) {
+                    resultRulesMeta[ruleId] = rulesMeta[ruleId];
+                }
+            }
+        }
+
+        return resultRulesMeta;
+    }
+
+    /**
+     * Sends a lint request to the daemon.
+     * @param {string} method The name of the method.
+     * @param {Object} params The parameters of the method, without the options.
+     * @returns {Promise<LintResult[]>} The lint results.
+     * @private
+     */
+    async request(method, params) {
+        const slots = privateMembers.get(this);
+        const { results, rulesMeta } = await slots.client.request(method, { ...params, options: slots.options });
+
+        Object.assign(slots.rulesMeta, rulesMeta);
+
+        return results;
+    }
+}
+
+module.exports = {
+    DaemonClient,
+    DaemonESLint,
+    connectToDaemon
+};
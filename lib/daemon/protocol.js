@@ -0,0 +1,178 @@
+/**
+ * @fileoverview The protocol that the ESLint daemon and its clients speak:
+ * newline-delimited JSON over a Unix domain socket (a named pipe on Windows).
+ *
+ * Each request is a line with an `id`, a `method`, and `params`. The daemon
+ * answers each request with a line with the same `id` and either a `result`
+ * or an `error`.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const { version } = require("../../package.json");
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} DaemonRequest
+ * @property {number} id The ID to answer the request with.
+ * @property {string} method The name of the method to call.
+ * @property {Object} params The parameters of the method.
+ */
+
+/**
+ * @typedef {Object} DaemonResponse
+ * @property {number|null} id The ID of the request, or `null` if the request
+ *      couldn't be parsed.
+ * @property {any} [result] The result of the method.
+ * @property {import("../shared/serialization").SerializedError} [error] The error that the method threw.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const lstat = promisify(fs.lstat);
+const mkdir = promisify(fs.mkdir);
+
+/**
+ * Gets the ID of the current user.
+ * @returns {number|string} The user ID, or the user name where there are no user IDs.
+ */
+function getUser() {
+    return typeof process.getuid === "function" ? process.getuid() : os.userInfo().username;
+}
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * Gets the directory of the sockets of the current user's daemons. This is
+ * `XDG_RUNTIME_DIR` if it's set, which only the user can access, or else a
+ * directory of the user in the temporary directory, which the daemon creates
+ * so that only the user can access it.
+ * @returns {string} The path to the directory.
+ */
+function getSocketDirectory() {
+    return process.env.XDG_RUNTIME_DIR || path.join(os.tmpdir(), `eslint-daemon-${getUser()}`);
+}
+
+/**
+ * Gets the path of the socket that the daemon listens on. There's one
+ * daemon per user and ESLint installation. The `ESLINT_DAEMON_SOCKET`
+ * environment variable overrides the path.
+ * @returns {string} The path to the socket.
+ */
+function getSocketPath() {
+    if (process.env.ESLINT_DAEMON_SOCKET) {
+        return process.env.ESLINT_DAEMON_SOCKET;
+    }
+
+    const hash = crypto.createHash("md5")
+        .update(`${getUser()}:${path.resolve(__dirname, "../..")}:${version}`)
+        .digest("hex")
+        .slice(0, 16);
+
+    if (process.platform === "win32") {
+        return `\\\\.\\pipe\\eslint-daemon-${hash}`;
+    }
+
+    return path.join(getSocketDirectory(), `eslint-daemon-${hash}.sock`);
+}
+
+/**
+ * Creates the directory of the sockets if it doesn't exist, so that only the
+ * current user can access it, and checks that nobody else can access it if it
+ * already exists.
+ * @param {string} directory The path to the directory.
+ * @returns {Promise<void>} A promise that is resolved when the directory is ready.
+ * @throws {Error} If the directory isn't private to the current user.
+ */
+async function createSocketDirectory(directory) {
+    try {
+        await mkdir(directory, { mode: 0o700 });
+    } catch (error) {
+        if (error.code !== "EEXIST") {
+            throw error;
+        }
+    }
+
+    const stats = await lstat(directory);
+
+    if (!stats.isDirectory() || stats.uid !== process.getuid() || (stats.mode & 0o077) !== 0) {
+        throw new Error(`The directory ${directory} of the daemon's socket must be a directory that only the current user can access.`);
+    }
+}
+
+/**
+ * Checks if a socket belongs to the current user, so that a daemon of another
+ * user can't answer the requests. Named pipes on Windows are always trusted,
+ * as there are no user IDs.
+ * @param {string} socketPath The path to the socket.
+ * @returns {boolean} `true` if the socket exists and belongs to the current user.
+ */
+function isOwnSocket(socketPath) {
+    if (typeof process.getuid !== "function") {
+        return true;
+    }
+
+    try {
+        return fs.statSync(socketPath).uid === process.getuid();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Calls a function with each line that arrives on a socket.
+ * @param {import("net").Socket} socket The socket to read.
+ * @param {(line: string) => void} onLine The function to call.
+ * @returns {void}
+ */
+function readLines(socket, onLine) {
+    let buffer = "";
+
+    socket.setEncoding("utf8");
+    socket.on("data", chunk => {
+        const lines = (buffer + chunk).split("\n");
+
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim()) {
+                onLine(line);
+            }
+        }
+    });
+}
+
+/**
+ * Writes a message to a socket as one line of JSON.
+ * @param {import("net").Socket} socket The socket to write to.
+ * @param {DaemonRequest|DaemonResponse} message The message to write.
+ * @returns {void}
+ */
+function writeMessage(socket, message) {
+    socket.write(`${JSON.stringify(message)}\n`);
+}
+
+module.exports = {
+    createSocketDirectory,
+    getSocketDirectory,
+    getSocketPath,
+    isOwnSocket,
+    readLines,
+    writeMessage
+};
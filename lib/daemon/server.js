@@ -0,0 +1,298 @@
+/**
+ * @fileoverview A long-running process that keeps `FlatESLint` instances,
+ * with their configs, plugins and rules already loaded, and lints files for
+ * clients that connect to its socket.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { promisify } = require("util");
+
+const { FlatESLint } = require("../eslint/flat-eslint");
+const { FlatESLintInstances } = require("../eslint/flat-eslint-instances");
+const {
+    createSocketDirectory,
+    getSocketDirectory,
+    getSocketPath,
+    readLines,
+    writeMessage
+} = require("./protocol");
+const { serializeError } = require("../shared/serialization");
+
+const debug = require("debug")("eslint:daemon");
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("../eslint/flat-eslint").FlatESLintOptions} FlatESLintOptions */
+/** @typedef {import("../shared/types").LintResult} LintResult */
+/** @typedef {import("./protocol").DaemonRequest} DaemonRequest */
+
+/**
+ * The result of the lint methods of the daemon.
+ * @typedef {Object} DaemonLintResult
+ * @property {LintResult[]} results The lint results.
+ * @property {Object} rulesMeta The meta objects of the rules in the results,
+ *      as returned by `getRulesMetaForResults()`.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const unlink = promisify(fs.unlink);
+
+// The daemon stops after not getting any requests for 15 minutes.
+const DEFAULT_IDLE_TIMEOUT = 15 * 60 * 1000;
+
+/**
+ * Starts a server listening on a socket.
+ * @param {net.Server} server The server to start.
+ * @param {string} socketPath The path of the socket.
+ * @returns {Promise<void>} A promise that is resolved when the server listens.
+ */
+function listen(server, socketPath) {
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(socketPath, () => {
+            server.off("error", reject);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Checks if a process listens on a socket.
+ * @param {string} socketPath The path of the socket.
+ * @returns {Promise<boolean>} `true` if a connection could be made.
+ */
+function isListening(socketPath) {
+    return new Promise(resolve => {
+        const socket = net.connect(socketPath);
+
+        socket.once("connect", () => {
+            socket.end();
+            resolve(true);
+        });
+        socket.once("error", () => resolve(false));
+    });
+}
+
+/**
+ * Checks the options of a request.
+ * @param {Object} params The parameters of the request.
+ * @returns {FlatESLintOptions} The options to create the instance with.
+ * @throws {Error} If the options are missing the working directory.
+ */
+function getOptions(params) {
+    const { options } = params;
+
+    if (typeof options !== "object" || options === null || typeof options.cwd !== "string") {
+        throw new Error("'params.options.cwd' must be the absolute path of the directory to lint in.");
+    }
+
+    return options;
+}
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * The daemon. Each combination of working directory and options gets its own
+ * instance, which is created again when its config file changes.
+ */
+class LintDaemon {
+
+    /**
+     * @param {Object} [options] The options.
+     * @param {string} [options.socketPath] The path of the socket to listen on.
+     * @param {number} [options.idleTimeout] The time in milliseconds without
+     *      requests after which the daemon stops.
+     */
+    constructor({ socketPath = getSocketPath(), idleTimeout = DEFAULT_IDLE_TIMEOUT } = {}) {
+        this.socketPath = socketPath;
+        this.idleTimeout = idleTimeout;
+        this.instances = new FlatESLintInstances();
+
+        /** @type {Set<net.Socket>} */
+        this.sockets = new Set();
+        this.pendingRequestCount = 0;
+        this.idleTimer = null;
+        this.server = net.createServer(socket => this.handleConnection(socket));
+
+        /**
+         * Resolved when the daemon has stopped.
+         * @type {Promise<void>}
+         */
+        this.closed = new Promise(resolve => {
+            this.server.once("close", resolve);
+        });
+    }
+
+    /**
+     * Starts listening. A socket that was left behind by a daemon that
+     * didn't stop cleanly is replaced. The directory of the default socket is
+     * created first, so that only the current user can access it.
+     * @returns {Promise<void>} A promise that is resolved when the daemon listens.
+     * @throws {Error} If another daemon already listens on the socket, or the
+     *      directory of the socket isn't private.
+     */
+    async start() {
+        if (process.platform !== "win32" && path.dirname(this.socketPath) === getSocketDirectory()) {
+            await createSocketDirectory(getSocketDirectory());
+        }
+
+        try {
+            await listen(this.server, this.socketPath);
+        } catch (error) {
+            if (error.code !== "EADDRINUSE") {
+                throw error;
+            }
+
+            if (await isListening(this.socketPath)) {
+                throw new Error(`An ESLint daemon is already running on ${this.socketPath}.`);
+            }
+
+            debug(`Removing the stale socket ${this.socketPath}`);
+            await unlink(this.socketPath);
+            await listen(this.server, this.socketPath);
+        }
+
+        debug(`Listening on ${this.socketPath}`);
+        this.resetIdleTimer();
+    }
+
+    /**
+     * Stops listening and closes all connections.
+     * @returns {Promise<void>} A promise that is resolved when the daemon has stopped.
+     */
+    stop() {
+        debug("Stopping");
+        clearTimeout(this.idleTimer);
+        this.server.close();
+
+        for (const socket of this.sockets) {
+            socket.end();
+        }
+
+        return this.closed;
+    }
+
+    /**
+     * Stops the daemon after the idle timeout unless a request arrives before.
+     * @returns {void}
+     */
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            if (this.pendingRequestCount === 0) {
+                debug(`No requests for ${this.idleTimeout}ms`);
+                this.stop();
+            }
+        }, this.idleTimeout);
+    }
+
+    /**
+     * Answers the requests that arrive on a new connection.
+     * @param {net.Socket} socket The socket of the connection.
+     * @returns {void}
+     */
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        socket.on("close", () => this.sockets.delete(socket));
+        socket.on("error", error => debug(`Connection error: ${error.message}`));
+
+        readLines(socket, async line => {
+            let request;
+
+            try {
+                request = JSON.parse(line);
+            } catch {
+                writeMessage(socket, { id: null, error: serializeError(new Error("The request is not valid JSON.")) });
+                return;
+            }
+
+            const id = typeof request === "object" && request !== null ? request.id : null;
+
+            this.pendingRequestCount++;
+            this.resetIdleTimer();
+
+            try {
+                const result = await this.handleRequest(request);
+
+                if (!socket.destroyed) {
+                    writeMessage(socket, { id, result });
+                }
+            } catch (error) {
+                if (!socket.destroyed) {
+                    writeMessage(socket, { id, error: serializeError(error) });
+                }
+            } finally {
+                this.pendingRequestCount--;
+                this.resetIdleTimer();
+            }
+        });
+    }
+
+    /**
+     * Calls the method of a request.
+     * @param {DaemonRequest} request The request.
+     * @returns {Promise<DaemonLintResult|null>} The result of the method.
+     * @throws {Error} If the method is unknown or fails.
+     */
+    async handleRequest(request) {
+        if (typeof request !== "object" || request === null) {
+            throw new Error("The request must be an object.");
+        }
+
+        const { method, params = {} } = request;
+
+        debug(`Request ${request.id}: ${method}`);
+
+        switch (method) {
+            case "lintText": {
+                const eslint = await this.instances.get(getOptions(params));
+                const results = await eslint.lintText(params.code, {
+                    filePath: params.filePath,
+                    warnIgnored: params.warnIgnored
+                });
+
+                return { results, rulesMeta: eslint.getRulesMetaForResults(results) };
+            }
+
+            case "lintFiles": {
+                const eslint = await this.instances.get(getOptions(params));
+                const results = await eslint.lintFiles(params.patterns);
+
+                return { results, rulesMeta: eslint.getRulesMetaForResults(results) };
+            }
+
+            case "fix": {
+                const eslint = await this.instances.get({ ...getOptions(params), fix: true });
+                const results = await eslint.lintFiles(params.patterns);
+
+                await FlatESLint.outputFixes(results);
+
+                return { results, rulesMeta: eslint.getRulesMetaForResults(results) };
+            }
+
+            case "shutdown":
+                setImmediate(() => this.stop());
+                return null;
+
+            default:
+                throw new Error(`Unknown method '${method}'.`);
+        }
+    }
+}
+
+module.exports = { LintDaemon };
@@ -19,6 +19,7 @@ const util = require("util");
 const fswalk = require("@nodelib/fs.walk");
 const globParent = require("glob-parent");
 const isPathInside = require("is-path-inside");
+const { isShard } = require("../shared/shard");
 
 //-----------------------------------------------------------------------------
 // Fixup references
@@ -642,6 +643,34 @@ function isFixTypeArray(x) {
     return Array.isArray(x) && x.every(isFixType);
 }
 
+/**
+ * Check if a given value is a valid concurrency setting or not.
+ * @param {any} x The value to check.
+ * @returns {boolean} `true` if `x` is a positive integer, `"auto"`, or `"off"`.
+ */
+function isConcurrency(x) {
+    return (Number.isInteger(x) && x > 0) || x === "auto" || x === "off";
+}
+
+/**
+ * Check if a given value is an HTTP or HTTPS URL or not.
+ * @param {any} x The value to check.
+ * @returns {boolean} `true` if `x` is a string that is an HTTP or HTTPS URL.
+ */
+function isHttpUrl(x) {
+    if (!isNonEmptyString(x)) {
+        return false;
+    }
+
+    try {
+        const { protocol } = new URL(x);
+
+        return protocol === "http:" || protocol === "https:";
+    } catch {
+        return false;
+    }
+}
+
 /**
  * The error for invalid options.
  */
@@ -665,6 +694,9 @@ function processOptions({
     cache = false,
     cacheLocation = ".eslintcache",
     cacheStrategy = "metadata",
+    cacheDir = null,
+    cacheRemote = null,
+    concurrency = "off",
     cwd = process.cwd(),
     errorOnUnmatchedPattern = true,
     fix = false,
@@ -672,10 +704,18 @@ function processOptions({
     globInputPaths = true,
     ignore = true,
     ignorePatterns = null,
+    maxFileTime = null,
+    onFileEnd = null,
+    onFileStart = null,
+    onlyFiles = null,
     overrideConfig = null,
     overrideConfigFile = null,
     plugins = {},
     reportUnusedDisableDirectives = null, // ← should be null by default because if it's a string then it overrides the 'reportUnusedDisableDirectives' setting in config files. And we cannot use `overrideConfig.reportUnusedDisableDirectives` instead because we cannot configure the `error` severity with that.
+    selectorStats = false,
+    shard = null,
+    stats = false,
+    trace = false,
     warnIgnored = true,
     ...unknownOptions
 }) {
@@ -735,9 +775,21 @@ function processOptions({
     }
     if (
         cacheStrategy !== "metadata" &&
-        cacheStrategy !== "content"
+        cacheStrategy !== "content" &&
+        cacheStrategy !== "git"
     ) {
-        errors.push("'cacheStrategy' must be any of \"metadata\", \"content\".");
+        errors.push("'cacheStrategy' must be any of \"metadata\", \"content\", \"git\".");
+    }
+    if (cacheDir !== null && !isNonEmptyString(cacheDir)) {
+        errors.push("'cacheDir' must be a non-empty string or null.");
+    }
+    if (cacheRemote !== null && !isHttpUrl(cacheRemote)) {
+        errors.push("'cacheRemote' must be an HTTP or HTTPS URL or null.");
+    } else if (cacheRemote !== null && cacheDir === null) {
+        errors.push("'cacheRemote' requires 'cacheDir' for the local cache.");
+    }
+    if (!isConcurrency(concurrency)) {
+        errors.push("'concurrency' must be a positive integer, \"auto\", or \"off\".");
     }
     if (!isNonEmptyString(cwd) || !path.isAbsolute(cwd)) {
         errors.push("'cwd' must be an absolute path.");
@@ -760,6 +812,20 @@ function processOptions({
     if (!isArrayOfNonEmptyString(ignorePatterns) && ignorePatterns !== null) {
         errors.push("'ignorePatterns' must be an array of non-empty strings or null.");
     }
+    if (maxFileTime !== null && !(Number.isInteger(maxFileTime) && maxFileTime > 0)) {
+        errors.push("'maxFileTime' must be a positive integer or null.");
+    } else if (maxFileTime !== null && concurrency === "off") {
+        errors.push("'maxFileTime' requires 'concurrency' to be a positive integer or \"auto\".");
+    }
+    if (typeof onFileEnd !== "function" && onFileEnd !== null) {
+        errors.push("'onFileEnd' must be a function or null.");
+    }
+    if (typeof onFileStart !== "function" && onFileStart !== null) {
+        errors.push("'onFileStart' must be a function or null.");
+    }
+    if (!isArrayOfNonEmptyString(onlyFiles) && onlyFiles !== null) {
+        errors.push("'onlyFiles' must be an array of non-empty strings or null.");
+    }
     if (typeof overrideConfig !== "object") {
         errors.push("'overrideConfig' must be an object or null.");
     }
@@ -782,6 +848,18 @@ function processOptions({
     ) {
         errors.push("'reportUnusedDisableDirectives' must be any of \"error\", \"warn\", \"off\", and null.");
     }
+    if (typeof selectorStats !== "boolean") {
+        errors.push("'selectorStats' must be a boolean.");
+    }
+    if (!isShard(shard) && shard !== null) {
+        errors.push("'shard' must be an object with integer 'index' and 'total' properties where 1 <= index <= total, or null.");
+    }
+    if (typeof stats !== "boolean") {
+        errors.push("'stats' must be a boolean.");
+    }
+    if (typeof trace !== "boolean") {
+        errors.push("'trace' must be a boolean.");
+    }
     if (typeof warnIgnored !== "boolean") {
         errors.push("'warnIgnored' must be a boolean.");
     }
@@ -795,6 +873,9 @@ function processOptions({
         cache,
         cacheLocation,
         cacheStrategy,
+        cacheDir,
+        cacheRemote,
+        concurrency,
 
         // when overrideConfigFile is true that means don't do config file lookup
         configFile: overrideConfigFile === true ? false : overrideConfigFile,
@@ -806,7 +887,15 @@ function processOptions({
         globInputPaths,
         ignore,
         ignorePatterns,
+        maxFileTime,
+        onFileEnd,
+        onFileStart,
+        onlyFiles,
         reportUnusedDisableDirectives,
+        selectorStats,
+        shard,
+        stats,
+        trace,
         warnIgnored
     };
 }
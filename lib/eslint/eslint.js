@@ -14,6 +14,9 @@ const path = require("path");
 const fs = require("fs");
 const { promisify } = require("util");
 const { CLIEngine, getCLIEngineInternalSlots } = require("../cli-engine/cli-engine");
+const { emitFallbackWarning, findUncloneablePath, getFixSeverity } = require("./worker-pool");
+const { isShard } = require("../shared/shard");
+const { isAbortSignal, throwIfAborted } = require("../shared/abort");
 const BuiltinRules = require("../rules");
 const {
     Legacy: {
@@ -29,14 +32,17 @@ const { version } = require("../../package.json");
 //------------------------------------------------------------------------------
 
 /** @typedef {import("../cli-engine/cli-engine").LintReport} CLIEngineLintReport */
+/** @typedef {import("../shared/types").CacheStats} CacheStats */
 /** @typedef {import("../shared/types").DeprecatedRuleInfo} DeprecatedRuleInfo */
 /** @typedef {import("../shared/types").ConfigData} ConfigData */
 /** @typedef {import("../shared/types").LintMessage} LintMessage */
 /** @typedef {import("../shared/types").SuppressedLintMessage} SuppressedLintMessage */
 /** @typedef {import("../shared/types").Plugin} Plugin */
 /** @typedef {import("../shared/types").Rule} Rule */
+/** @typedef {import("../shared/types").FileProgress} FileProgress */
 /** @typedef {import("../shared/types").LintResult} LintResult */
 /** @typedef {import("../shared/types").ResultsMeta} ResultsMeta */
+/** @typedef {import("../shared/types").TraceEvent} TraceEvent */
 
 /**
  * The main formatter object.
@@ -51,7 +57,11 @@ const { version } = require("../../package.json");
  * @property {ConfigData} [baseConfig] Base config object, extended by all configs used with this instance
  * @property {boolean} [cache] Enable result caching.
  * @property {string} [cacheLocation] The cache file to use instead of .eslintcache.
- * @property {"metadata" | "content"} [cacheStrategy] The strategy used to detect changed files.
+ * @property {"metadata" | "content" | "git"} [cacheStrategy] The strategy used to detect changed files.
+ * @property {string|null} [cacheDir] The directory of a cache that is keyed by file content instead of the cache file.
+ * @property {string|null} [cacheRemote] The URL of an HTTP server to share the cache in `cacheDir` through.
+ * @property {number|"auto"|"off"} [concurrency] The maximum number of worker threads used to lint files,
+ *      `"auto"` to choose it from the number of CPUs and files, or `"off"` to lint all files on the main thread.
  * @property {string} [cwd] The value to use for the current working directory.
  * @property {boolean} [errorOnUnmatchedPattern] If `false` then `ESLint#lintFiles()` doesn't throw even if no target files found. Defaults to `true`.
  * @property {string[]} [extensions] An array of file extensions to check.
@@ -60,12 +70,21 @@ const { version } = require("../../package.json");
  * @property {boolean} [globInputPaths] Set to false to skip glob resolution of input file paths to lint (default: true). If false, each input file paths is assumed to be a non-glob path to an existing file.
  * @property {boolean} [ignore] False disables use of .eslintignore.
  * @property {string} [ignorePath] The ignore file to use instead of .eslintignore.
+ * @property {number|null} [maxFileTime] The time in milliseconds a lint worker may take on a file before it's stopped
+ *      and the file gets a fatal error. Only used when files are linted in worker threads.
+ * @property {((progress: FileProgress) => void)|null} [onFileEnd] Called after each file is linted by `ESLint#lintFiles()`.
+ * @property {((progress: FileProgress) => void)|null} [onFileStart] Called before each file is linted by `ESLint#lintFiles()`.
+ * @property {string[]|null} [onlyFiles] Lint only these files of all files found. Relative paths are resolved from `cwd`.
  * @property {ConfigData} [overrideConfig] Override config object, overrides all configs used with this instance
  * @property {string} [overrideConfigFile] The configuration file to use.
  * @property {Record<string,Plugin>|null} [plugins] Preloaded plugins. This is a map-like object, keys are plugin IDs and each value is implementation.
  * @property {"error" | "warn" | "off"} [reportUnusedDisableDirectives] the severity to report unused eslint-disable directives.
  * @property {string} [resolvePluginsRelativeTo] The folder where plugins should be resolved from, defaulting to the CWD.
  * @property {string[]} [rulePaths] An array of directories to load custom rules from.
+ * @property {boolean} [selectorStats] Break the times of rules in the statistics down by selector. Requires `stats`.
+ * @property {{index: number, total: number}|null} [shard] Lint only the files in this shard of all files found. `index` is 1-based.
+ * @property {boolean} [stats] Add statistics about the times that linting each file took to the results.
+ * @property {boolean} [trace] Record what the run spends its time on, to get with `getTraceEvents()`.
  * @property {boolean} [useEslintrc] False disables looking for .eslintrc.* files.
  */
 
@@ -81,6 +100,7 @@ const { version } = require("../../package.json");
  * @typedef {Object} ESLintPrivateMembers
  * @property {CLIEngine} cliEngine The wrapped CLIEngine instance.
  * @property {ESLintOptions} options The options used to instantiate the ESLint instance.
+ * @property {() => ESLintOptions|null} getWorkerOptions Gets the options to instantiate the ESLint instance of each lint worker with, or `null` if the options can't be sent to workers.
  */
 
 //------------------------------------------------------------------------------
@@ -131,6 +151,34 @@ function isFixTypeArray(x) {
     return Array.isArray(x) && x.every(isFixType);
 }
 
+/**
+ * Check if a given value is a valid concurrency setting or not.
+ * @param {any} x The value to check.
+ * @returns {boolean} `true` if `x` is a positive integer, `"auto"`, or `"off"`.
+ */
+function isConcurrency(x) {
+    return (Number.isInteger(x) && x > 0) || x === "auto" || x === "off";
+}
+
+/**
+ * Check if a given value is an HTTP or HTTPS URL or not.
+ * @param {any} x The value to check.
+ * @returns {boolean} `true` if `x` is a string that is an HTTP or HTTPS URL.
+ */
+function isHttpUrl(x) {
+    if (!isNonEmptyString(x)) {
+        return false;
+    }
+
+    try {
+        const { protocol } = new URL(x);
+
+        return protocol === "http:" || protocol === "https:";
+    } catch {
+        return false;
+    }
+}
+
 /**
  * The error for invalid options.
  */
@@ -154,6 +202,9 @@ function processOptions({
     cache = false,
     cacheLocation = ".eslintcache",
     cacheStrategy = "metadata",
+    cacheDir = null,
+    cacheRemote = null,
+    concurrency = "off",
     cwd = process.cwd(),
     errorOnUnmatchedPattern = true,
     extensions = null, // ← should be null by default because if it's an array then it suppresses RFC20 feature.
@@ -162,12 +213,20 @@ function processOptions({
     globInputPaths = true,
     ignore = true,
     ignorePath = null, // ← should be null by default because if it's a string then it may throw ENOENT.
+    maxFileTime = null,
+    onFileEnd = null,
+    onFileStart = null,
+    onlyFiles = null,
     overrideConfig = null,
     overrideConfigFile = null,
     plugins = {},
     reportUnusedDisableDirectives = null, // ← should be null by default because if it's a string then it overrides the 'reportUnusedDisableDirectives' setting in config files. And we cannot use `overrideConfig.reportUnusedDisableDirectives` instead because we cannot configure the `error` severity with that.
     resolvePluginsRelativeTo = null, // ← should be null by default because if it's a string then it suppresses RFC47 feature.
     rulePaths = [],
+    selectorStats = false,
+    shard = null,
+    stats = false,
+    trace = false,
     useEslintrc = true,
     ...unknownOptions
 }) {
@@ -215,9 +274,21 @@ function processOptions({
     }
     if (
         cacheStrategy !== "metadata" &&
-        cacheStrategy !== "content"
+        cacheStrategy !== "content" &&
+        cacheStrategy !== "git"
     ) {
-        errors.push("'cacheStrategy' must be any of \"metadata\", \"content\".");
+        errors.push("'cacheStrategy' must be any of \"metadata\", \"content\", \"git\".");
+    }
+    if (cacheDir !== null && !isNonEmptyString(cacheDir)) {
+        errors.push("'cacheDir' must be a non-empty string or null.");
+    }
+    if (cacheRemote !== null && !isHttpUrl(cacheRemote)) {
+        errors.push("'cacheRemote' must be an HTTP or HTTPS URL or null.");
+    } else if (cacheRemote !== null && cacheDir === null) {
+        errors.push("'cacheRemote' requires 'cacheDir' for the local cache.");
+    }
+    if (!isConcurrency(concurrency)) {
+        errors.push("'concurrency' must be a positive integer, \"auto\", or \"off\".");
     }
     if (!isNonEmptyString(cwd) || !path.isAbsolute(cwd)) {
         errors.push("'cwd' must be an absolute path.");
@@ -243,6 +314,20 @@ function processOptions({
     if (!isNonEmptyString(ignorePath) && ignorePath !== null) {
         errors.push("'ignorePath' must be a non-empty string or null.");
     }
+    if (maxFileTime !== null && !(Number.isInteger(maxFileTime) && maxFileTime > 0)) {
+        errors.push("'maxFileTime' must be a positive integer or null.");
+    } else if (maxFileTime !== null && concurrency === "off") {
+        errors.push("'maxFileTime' requires 'concurrency' to be a positive integer or \"auto\".");
+    }
+    if (typeof onFileEnd !== "function" && onFileEnd !== null) {
+        errors.push("'onFileEnd' must be a function or null.");
+    }
+    if (typeof onFileStart !== "function" && onFileStart !== null) {
+        errors.push("'onFileStart' must be a function or null.");
+    }
+    if (!isArrayOfNonEmptyString(onlyFiles) && onlyFiles !== null) {
+        errors.push("'onlyFiles' must be an array of non-empty strings or null.");
+    }
     if (typeof overrideConfig !== "object") {
         errors.push("'overrideConfig' must be an object or null.");
     }
@@ -274,6 +359,18 @@ function processOptions({
     if (!isArrayOfNonEmptyString(rulePaths)) {
         errors.push("'rulePaths' must be an array of non-empty strings.");
     }
+    if (typeof selectorStats !== "boolean") {
+        errors.push("'selectorStats' must be a boolean.");
+    }
+    if (!isShard(shard) && shard !== null) {
+        errors.push("'shard' must be an object with integer 'index' and 'total' properties where 1 <= index <= total, or null.");
+    }
+    if (typeof stats !== "boolean") {
+        errors.push("'stats' must be a boolean.");
+    }
+    if (typeof trace !== "boolean") {
+        errors.push("'trace' must be a boolean.");
+    }
     if (typeof useEslintrc !== "boolean") {
         errors.push("'useEslintrc' must be a boolean.");
     }
@@ -288,6 +385,9 @@ function processOptions({
         cache,
         cacheLocation,
         cacheStrategy,
+        cacheDir,
+        cacheRemote,
+        concurrency,
         configFile: overrideConfigFile,
         cwd: path.normalize(cwd),
         errorOnUnmatchedPattern,
@@ -297,9 +397,17 @@ function processOptions({
         globInputPaths,
         ignore,
         ignorePath,
+        maxFileTime,
+        onFileEnd,
+        onFileStart,
+        onlyFiles,
         reportUnusedDisableDirectives,
         resolvePluginsRelativeTo,
         rulePaths,
+        selectorStats,
+        shard,
+        stats,
+        trace,
         useEslintrc
     };
 }
@@ -320,6 +428,75 @@ function hasDefinedProperty(obj) {
     return false;
 }
 
+/**
+ * Creates the options to instantiate the ESLint instance of each lint worker
+ * with. Each worker then builds its own config array factory and linter.
+ * @param {ESLintOptions} options The options given to the constructor.
+ * @param {string} cwd The normalized current working directory.
+ * @returns {ESLintOptions|null} The options for workers, or `null` if the
+ *      options can't be sent to workers. This is the case for the `plugins`
+ *      option and for `fix` functions other than those of
+ *      `createFixSeverityPredicate()`, which are sent as their `fixSeverity`,
+ *      and emits a warning.
+ */
+function createWorkerOptions(options, cwd) {
+    if (hasDefinedProperty(options.plugins)) {
+        emitFallbackWarning("the 'plugins' option", options.maxFileTime);
+        return null;
+    }
+
+    const fixSeverity = getFixSeverity(options.fix);
+    const workerOptions = {
+        ...options,
+        cache: false,
+        concurrency: "off",
+        cwd,
+        fix: fixSeverity ? true : options.fix,
+        fixSeverity
+    };
+
+    delete workerOptions.plugins;
+    delete workerOptions.onFileEnd;
+    delete workerOptions.onFileStart;
+
+    // Only the main thread stops files that take too long.
+    delete workerOptions.maxFileTime;
+
+    const uncloneablePath = findUncloneablePath(workerOptions, "options");
+
+    if (uncloneablePath) {
+        emitFallbackWarning(`'${uncloneablePath}'`, options.maxFileTime);
+        return null;
+    }
+
+    return workerOptions;
+}
+
+/**
+ * Validates the options of `lintFiles()` and `lintFilesIterator()`.
+ * @param {any} options The options to validate.
+ * @returns {{signal: AbortSignal|undefined}} The validated options.
+ * @throws {Error} If the options are invalid.
+ */
+function processLintFilesOptions(options) {
+    if (typeof options !== "object") {
+        throw new Error("'options' must be an object, null, or undefined");
+    }
+
+    const { signal, ...unknownOptions } = options || {};
+    const unknownOptionKeys = Object.keys(unknownOptions);
+
+    if (unknownOptionKeys.length > 0) {
+        throw new Error(`'options' must not include the unknown option(s): ${unknownOptionKeys.join(", ")}`);
+    }
+
+    if (signal !== void 0 && !isAbortSignal(signal)) {
+        throw new Error("'options.signal' must be an AbortSignal or undefined");
+    }
+
+    return { signal };
+}
+
 /**
  * Create rulesMeta object.
  * @param {Map<string,Rule>} rules a map of rules from which to generate the object.
@@ -430,7 +607,8 @@ class ESLint {
         const cliEngine = new CLIEngine(processedOptions, { preloadedPlugins: options.plugins });
         const {
             configArrayFactory,
-            lastConfigArrays
+            lastConfigArrays,
+            tracer
         } = getCLIEngineInternalSlots(cliEngine);
         let updated = false;
 
@@ -447,13 +625,14 @@ class ESLint {
         // Update caches.
         if (updated) {
             configArrayFactory.clearCache();
-            lastConfigArrays[0] = configArrayFactory.getConfigArrayForFile();
+            lastConfigArrays[0] = tracer.trace("Load config", "config", () => configArrayFactory.getConfigArrayForFile());
         }
 
         // Initialize private properties.
         privateMembersMap.set(this, {
             cliEngine,
-            options: processedOptions
+            options: processedOptions,
+            getWorkerOptions: () => createWorkerOptions(options, processedOptions.cwd)
         });
     }
 
@@ -538,26 +717,54 @@ class ESLint {
     /**
      * Executes the current configuration on an array of file and directory names.
      * @param {string[]} patterns An array of file and directory names.
+     * @param {Object} [options] The options.
+     * @param {AbortSignal} [options.signal] The signal to stop linting with. When it's aborted, the returned promise is rejected with an `AbortError` and the cache isn't written.
      * @returns {Promise<LintResult[]>} The results of linting the file patterns given.
      */
-    async lintFiles(patterns) {
+    async lintFiles(patterns, options = {}) {
         if (!isNonEmptyString(patterns) && !isArrayOfNonEmptyString(patterns)) {
             throw new Error("'patterns' must be a non-empty string or an array of non-empty strings");
         }
-        const { cliEngine } = privateMembersMap.get(this);
+        const { signal } = processLintFilesOptions(options);
+        const { cliEngine, getWorkerOptions } = privateMembersMap.get(this);
 
         return processCLIEngineLintReport(
             cliEngine,
-            cliEngine.executeOnFiles(patterns)
+            await cliEngine.executeOnFilesInParallel(patterns, getWorkerOptions, signal)
         );
     }
 
+    /**
+     * Executes the current configuration on an array of file and directory
+     * names, and yields each result as soon as the file has been linted.
+     * Unlike `lintFiles()`, this doesn't keep the results in memory, so the
+     * results are yielded in the order the files are finished instead of the
+     * order they were found in. The cache is written when the iteration is
+     * complete.
+     * @param {string[]} patterns An array of file and directory names.
+     * @param {Object} [options] The options.
+     * @param {AbortSignal} [options.signal] The signal to stop linting with. When it's aborted, the iteration throws an `AbortError` and the cache isn't written.
+     * @returns {AsyncGenerator<LintResult>} The results of linting the file patterns given.
+     */
+    async *lintFilesIterator(patterns, options = {}) {
+        if (!isNonEmptyString(patterns) && !isArrayOfNonEmptyString(patterns)) {
+            throw new Error("'patterns' must be a non-empty string or an array of non-empty strings");
+        }
+        const { signal } = processLintFilesOptions(options);
+        const { cliEngine, getWorkerOptions } = privateMembersMap.get(this);
+
+        for await (const { result } of cliEngine.iterateOnFiles(patterns, getWorkerOptions, signal)) {
+            yield processCLIEngineLintReport(cliEngine, { results: [result] })[0];
+        }
+    }
+
     /**
      * Executes the current configuration on text.
      * @param {string} code A string of JavaScript code to lint.
      * @param {Object} [options] The options.
      * @param {string} [options.filePath] The path to the file of the source code.
      * @param {boolean} [options.warnIgnored] When set to true, warn if given filePath is an ignored path.
+     * @param {AbortSignal} [options.signal] The signal to stop linting with. When it's aborted, the returned promise is rejected with an `AbortError`.
      * @returns {Promise<LintResult[]>} The results of linting the string of code given.
      */
     async lintText(code, options = {}) {
@@ -569,6 +776,7 @@ class ESLint {
         }
         const {
             filePath,
+            signal,
             warnIgnored = false,
             ...unknownOptions
         } = options || {};
@@ -585,6 +793,11 @@ class ESLint {
         if (typeof warnIgnored !== "boolean") {
             throw new Error("'options.warnIgnored' must be a boolean or undefined");
         }
+        if (signal !== void 0 && !isAbortSignal(signal)) {
+            throw new Error("'options.signal' must be an AbortSignal or undefined");
+        }
+
+        throwIfAborted(signal);
 
         const { cliEngine } = privateMembersMap.get(this);
 
@@ -680,6 +893,55 @@ class ESLint {
 
         return cliEngine.isPathIgnored(filePath);
     }
+
+    /**
+     * Gets statistics about the cache of lint results that the `cacheLocation`
+     * or `cacheDir` option selects, also if the `cache` option is off.
+     * @returns {Promise<CacheStats>} The statistics.
+     */
+    async getCacheStats() {
+        const { cliEngine } = privateMembersMap.get(this);
+
+        return cliEngine.getCacheStats();
+    }
+
+    /**
+     * Removes the cached results of files that don't exist anymore, that the
+     * given patterns don't match anymore, or whose config changed.
+     * @param {string|string[]} patterns The file and directory names that are linted.
+     * @returns {Promise<number>} The number of removed cached results.
+     */
+    async pruneCache(patterns) {
+        if (!isNonEmptyString(patterns) && !isArrayOfNonEmptyString(patterns)) {
+            throw new Error("'patterns' must be a non-empty string or an array of non-empty strings");
+        }
+        const { cliEngine } = privateMembersMap.get(this);
+
+        return cliEngine.pruneCache(patterns);
+    }
+
+    /**
+     * Deletes the cache of lint results that the `cacheLocation` or `cacheDir`
+     * option selects.
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        const { cliEngine } = privateMembersMap.get(this);
+
+        cliEngine.clearCache();
+    }
+
+    /**
+     * Gets the events that were recorded since this instance was created, in
+     * the Chrome Trace Event Format, including the events of lint workers.
+     * Returns an empty array if the `trace` option is off.
+     * @returns {TraceEvent[]} The events.
+     */
+    getTraceEvents() {
+        const { cliEngine } = privateMembersMap.get(this);
+
+        return cliEngine.getTraceEvents();
+    }
 }
 
 //------------------------------------------------------------------------------
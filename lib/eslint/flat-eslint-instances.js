@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Keeps `FlatESLint` instances for long-running processes, so
+ * that configs, plugins and rules are only loaded again when the config
+ * file changes.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const fs = require("fs");
+const { promisify } = require("util");
+
+const { FlatESLint } = require("./flat-eslint");
+
+const debug = require("debug")("eslint:flat-eslint-instances");
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./flat-eslint").FlatESLintOptions} FlatESLintOptions */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const stat = promisify(fs.stat);
+
+// Each instance holds its configs, plugins and rules, so a long-running process only keeps the most recently used ones.
+const DEFAULT_MAX_SIZE = 10;
+
+/**
+ * Gets the state of the config file of an instance, to detect when the
+ * instance must be created again because the config file has changed.
+ * @param {FlatESLint} eslint The instance.
+ * @returns {Promise<string>} The path and modification time of the config
+ *      file, or an empty string if the instance doesn't use a config file.
+ */
+async function getConfigFileState(eslint) {
+    const configFilePath = await eslint.findConfigFile();
+
+    if (!configFilePath) {
+        return "";
+    }
+
+    const { mtimeMs } = await stat(configFilePath);
+
+    return `${configFilePath}:${mtimeMs}`;
+}
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * One instance for each combination of options, created again when its
+ * config file changes. When there are more instances than the maximum, the
+ * least recently used instance is removed.
+ */
+class FlatESLintInstances {
+
+    /**
+     * @param {Object} [options] The options.
+     * @param {number} [options.maxSize] The maximum number of instances to keep.
+     */
+    constructor({ maxSize = DEFAULT_MAX_SIZE } = {}) {
+        this.maxSize = maxSize;
+
+        /**
+         * The instances by their options, from the least to the most recently used.
+         * @type {Map<string, {eslint: FlatESLint, configFileState: string}>}
+         */
+        this.instances = new Map();
+    }
+
+    /**
+     * The number of instances.
+     * @type {number}
+     */
+    get size() {
+        return this.instances.size;
+    }
+
+    /**
+     * Gets the instance for the given options, creating it if there isn't one
+     * yet or its config file has changed since it was created.
+     * @param {FlatESLintOptions} options The options of the instance, which
+     *      must be plain data.
+     * @returns {Promise<FlatESLint>} The instance.
+     */
+    async get(options) {
+        const key = JSON.stringify(options);
+        const instance = this.instances.get(key);
+
+        if (instance) {
+            if (await getConfigFileState(instance.eslint) === instance.configFileState) {
+
+                // Move the instance to the end, as the most recently used.
+                this.instances.delete(key);
+                this.instances.set(key, instance);
+                return instance.eslint;
+            }
+
+            debug(`Config file changed, reloading the config for ${options.cwd}`);
+        }
+
+        const eslint = new FlatESLint(options);
+
+        const configFileState = await getConfigFileState(eslint);
+
+        this.instances.delete(key);
+        this.instances.set(key, { eslint, configFileState });
+
+        for (const oldestKey of this.instances.keys()) {
+            if (this.instances.size <= this.maxSize) {
+                break;
+            }
+
+            debug("Removing the least recently used instance");
+            this.instances.delete(oldestKey);
+        }
+
+        return eslint;
+    }
+}
+
+module.exports = { FlatESLintInstances };
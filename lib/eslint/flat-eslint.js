@@ -14,7 +14,7 @@ const fs = require("fs").promises;
 const path = require("path");
 const findUp = require("find-up");
 const { version } = require("../../package.json");
-const { Linter } = require("../linter");
+const { Linter, setTracer } = require("../linter");
 const { getRuleFromConfig } = require("../config/flat-config-helpers");
 const {
     Legacy: {
@@ -40,7 +40,19 @@ const {
 } = require("./eslint-helpers");
 const { pathToFileURL } = require("url");
 const { FlatConfigArray } = require("../config/flat-config-array");
-const LintResultCache = require("../cli-engine/lint-result-cache");
+const { createLintResultCache, getCachedResult } = require("../cli-engine/lint-result-cache-helpers");
+const RemoteLintResultCache = require("../cli-engine/remote-lint-result-cache");
+const {
+    LintWorkerPool,
+    emitFallbackWarning,
+    findUncloneablePath,
+    getFixSeverity,
+    getWorkerCount,
+    replaceImportedModules
+} = require("./worker-pool");
+const { isFileInShard, reportsUnmatchedPatterns } = require("../shared/shard");
+const { isAbortSignal, throwIfAborted } = require("../shared/abort");
+const { Tracer } = require("../shared/tracer");
 
 /*
  * This is necessary to allow overwriting writeFile for testing purposes.
@@ -52,8 +64,10 @@ const LintResultCache = require("../cli-engine/lint-result-cache");
 //------------------------------------------------------------------------------
 
 // For VSCode IntelliSense
+/** @typedef {import("../shared/types").CacheStats} CacheStats */
 /** @typedef {import("../shared/types").ConfigData} ConfigData */
 /** @typedef {import("../shared/types").DeprecatedRuleInfo} DeprecatedRuleInfo */
+/** @typedef {import("../shared/types").FileProgress} FileProgress */
 /** @typedef {import("../shared/types").LintMessage} LintMessage */
 /** @typedef {import("../shared/types").LintResult} LintResult */
 /** @typedef {import("../shared/types").ParserOptions} ParserOptions */
@@ -61,6 +75,9 @@ const LintResultCache = require("../cli-engine/lint-result-cache");
 /** @typedef {import("../shared/types").ResultsMeta} ResultsMeta */
 /** @typedef {import("../shared/types").RuleConf} RuleConf */
 /** @typedef {import("../shared/types").Rule} Rule */
+/** @typedef {import("../shared/types").TraceEvent} TraceEvent */
+/** @typedef {import("../cli-engine/lint-result-cache")} LintResultCache */
+/** @typedef {import("../cli-engine/shared-lint-result-cache")} SharedLintResultCache */
 /** @typedef {ReturnType<ConfigArray.extractConfig>} ExtractedConfig */
 
 /**
@@ -70,7 +87,11 @@ const LintResultCache = require("../cli-engine/lint-result-cache");
  * @property {ConfigData} [baseConfig] Base config object, extended by all configs used with this instance
  * @property {boolean} [cache] Enable result caching.
  * @property {string} [cacheLocation] The cache file to use instead of .eslintcache.
- * @property {"metadata" | "content"} [cacheStrategy] The strategy used to detect changed files.
+ * @property {"metadata" | "content" | "git"} [cacheStrategy] The strategy used to detect changed files.
+ * @property {string|null} [cacheDir] The directory of a cache that is keyed by file content instead of the cache file.
+ * @property {string|null} [cacheRemote] The URL of an HTTP server to share the cache in `cacheDir` through.
+ * @property {number|"auto"|"off"} [concurrency] The maximum number of worker threads used to lint files,
+ *      `"auto"` to choose it from the number of CPUs and files, or `"off"` to lint all files on the main thread.
  * @property {string} [cwd] The value to use for the current working directory.
  * @property {boolean} [errorOnUnmatchedPattern] If `false` then `ESLint#lintFiles()` doesn't throw even if no target files found. Defaults to `true`.
  * @property {boolean|Function} [fix] Execute in autofix mode. If a function, should return a boolean.
@@ -78,12 +99,21 @@ const LintResultCache = require("../cli-engine/lint-result-cache");
  * @property {boolean} [globInputPaths] Set to false to skip glob resolution of input file paths to lint (default: true). If false, each input file paths is assumed to be a non-glob path to an existing file.
  * @property {boolean} [ignore] False disables all ignore patterns except for the default ones.
  * @property {string[]} [ignorePatterns] Ignore file patterns to use in addition to config ignores. These patterns are relative to `cwd`.
+ * @property {number|null} [maxFileTime] The time in milliseconds a lint worker may take on a file before it's stopped
+ *      and the file gets a fatal error. Only used when files are linted in worker threads.
+ * @property {((progress: FileProgress) => void)|null} [onFileEnd] Called after each file is linted by `FlatESLint#lintFiles()`.
+ * @property {((progress: FileProgress) => void)|null} [onFileStart] Called before each file is linted by `FlatESLint#lintFiles()`.
+ * @property {string[]|null} [onlyFiles] Lint only these files of all files found. Relative paths are resolved from `cwd`.
  * @property {ConfigData} [overrideConfig] Override config object, overrides all configs used with this instance
  * @property {boolean|string} [overrideConfigFile] Searches for default config file when falsy;
  *      doesn't do any config file lookup when `true`; considered to be a config filename
  *      when a string.
  * @property {Record<string,Plugin>} [plugins] An array of plugin implementations.
  * @property {"error" | "warn" | "off"} [reportUnusedDisableDirectives] the severity to report unused eslint-disable directives.
+ * @property {boolean} [selectorStats] Break the times of rules in the statistics down by selector. Requires `stats`.
+ * @property {{index: number, total: number}|null} [shard] Lint only the files in this shard of all files found. `index` is 1-based.
+ * @property {boolean} [stats] Add statistics about the times that linting each file took to the results.
+ * @property {boolean} [trace] Record what the run spends its time on, to get with `getTraceEvents()`.
  * @property {boolean} warnIgnored Show warnings when the file list includes ignored files
  */
 
@@ -364,6 +394,7 @@ async function calculateConfigArray(eslint, {
         return slots.configs;
     }
 
+    const traceStart = slots.tracer.now();
     const { configFilePath, basePath, error } = await locateConfigFileToUse({ configFile, cwd });
 
     // config file is required to calculate config
@@ -432,6 +463,7 @@ async function calculateConfigArray(eslint, {
     }
 
     await configs.normalize();
+    slots.tracer.addEvent("Load config", "config", traceStart, { configFilePath });
 
     // cache the config array for this instance
     slots.configs = configs;
@@ -449,6 +481,8 @@ async function calculateConfigArray(eslint, {
  * @param {boolean} config.fix If `true` then it does fix.
  * @param {boolean} config.allowInlineConfig If `true` then it uses directive comments.
  * @param {boolean} config.reportUnusedDisableDirectives If `true` then it reports unused `eslint-disable` comments.
+ * @param {boolean} config.stats If `true` then it adds statistics to the result.
+ * @param {boolean} config.selectorStats If `true` then the statistics break the times of rules down by selector.
  * @param {Linter} config.linter The linter instance to verify.
  * @returns {LintResult} The result of linting.
  * @private
@@ -461,6 +495,8 @@ function verifyText({
     fix,
     allowInlineConfig,
     reportUnusedDisableDirectives,
+    stats,
+    selectorStats,
     linter
 }) {
     const filePath = providedFilePath || "<text>";
@@ -481,6 +517,8 @@ function verifyText({
             filename: filePathToVerify,
             fix,
             reportUnusedDisableDirectives,
+            stats,
+            selectorStats,
 
             /**
              * Check if the linter should adopt a given code block or not.
@@ -505,6 +543,13 @@ function verifyText({
         result.output = output;
     }
 
+    if (stats) {
+        result.stats = {
+            times: linter.getTimes(),
+            fixPasses: linter.getFixPassCount()
+        };
+    }
+
     if (
         result.errorCount + result.warningCount > 0 &&
         typeof result.output === "undefined"
@@ -532,6 +577,427 @@ function shouldMessageBeFixed(message, config, fixTypes) {
     return Boolean(rule && rule.meta && fixTypes.has(rule.meta.type));
 }
 
+/**
+ * Starts reading a file, so that it's read while the file before it is linted.
+ * @param {string} filePath The absolute path of the file.
+ * @returns {Promise<string>} The text of the file.
+ */
+function readFileAhead(filePath) {
+    const readingText = fs.readFile(filePath, "utf8");
+
+    // An error is thrown when the file is linted, which doesn't happen if the run stops before.
+    readingText.catch(() => {});
+
+    return readingText;
+}
+
+/**
+ * Reads a file from disk and lints it with the config array of the given
+ * instance. This is also the unit of work performed by lint workers.
+ * @param {FlatESLint} eslint The instance to lint with.
+ * @param {string} filePath The absolute path of the file to lint.
+ * @param {Promise<string>} [readingText] The text of the file, if reading it
+ *      has already been started with `readFileAhead()`.
+ * @returns {Promise<LintResult>} The result of linting the file.
+ */
+async function lintFile(eslint, filePath, readingText) {
+    const { linter, options, tracer } = privateMembers.get(eslint);
+    const configs = await calculateConfigArray(eslint, options);
+    const traceStart = tracer.now();
+    const config = configs.getConfig(filePath);
+    const {
+        allowInlineConfig,
+        cwd,
+        fix,
+        fixTypes,
+        reportUnusedDisableDirectives,
+        stats,
+        selectorStats
+    } = options;
+
+    // set up fixer for fixTypes if necessary
+    let fixer = fix;
+
+    if (fix && fixTypes) {
+        const fixTypesSet = new Set(fixTypes);
+
+        // save original value of options.fix in case it's a function
+        const originalFix = (typeof fix === "function")
+            ? fix : () => true;
+
+        fixer = message => shouldMessageBeFixed(message, config, fixTypesSet) && originalFix(message);
+    }
+
+    const text = await (readingText || fs.readFile(filePath, "utf8"));
+    const result = verifyText({
+        text,
+        filePath,
+        configs,
+        cwd,
+        fix: fixer,
+        allowInlineConfig,
+        reportUnusedDisableDirectives,
+        stats,
+        selectorStats,
+        linter
+    });
+
+    tracer.addEvent("Lint file", "file", traceStart, { filePath });
+
+    return result;
+}
+
+/**
+ * Creates the options that lint workers use to recreate the given instance.
+ * Workers load the config file on their own, and modules imported by the CLI
+ * are imported again by each worker, but everything else has to be sent to
+ * them. A `fix` predicate of `createFixSeverityPredicate()` is sent as its
+ * `fixSeverity`. If anything else can't be cloned, this emits a warning and
+ * returns `null`.
+ * @param {FlatESLint} eslint The instance to create worker options for.
+ * @returns {FlatESLintOptions|null} The options for the `FlatESLint`
+ *      instance of each worker, or `null` if files must be linted on the
+ *      main thread.
+ */
+function createWorkerOptions(eslint) {
+    const { defaultConfigs, options } = privateMembers.get(eslint);
+
+    if (defaultConfigs.length > 0) {
+        emitFallbackWarning("the 'plugins' option", options.maxFileTime);
+        return null;
+    }
+
+    const fixSeverity = getFixSeverity(options.fix);
+    const workerOptions = replaceImportedModules({
+        allowInlineConfig: options.allowInlineConfig,
+        baseConfig: options.baseConfig,
+        cwd: options.cwd,
+        fix: fixSeverity ? true : options.fix,
+        fixSeverity,
+        fixTypes: options.fixTypes,
+        ignore: options.ignore,
+        ignorePatterns: options.ignorePatterns,
+        overrideConfig: options.overrideConfig,
+        overrideConfigFile: options.configFile === false ? true : options.configFile,
+        reportUnusedDisableDirectives: options.reportUnusedDisableDirectives,
+        stats: options.stats,
+        selectorStats: options.selectorStats,
+        trace: options.trace
+    });
+    const uncloneablePath = findUncloneablePath(workerOptions, "options");
+
+    if (uncloneablePath) {
+        emitFallbackWarning(`'${uncloneablePath}'`, options.maxFileTime);
+        return null;
+    }
+
+    return workerOptions;
+}
+
+/**
+ * Gets the cache of lint results to show statistics of, prune, or clear.
+ * Unlike linting, this uses the cache that the options select even if the
+ * `cache` option is off.
+ * @param {FlatESLint} eslint The instance.
+ * @returns {LintResultCache|SharedLintResultCache} The cache.
+ */
+function getCacheToManage(eslint) {
+    const { cacheFilePath, lintResultCache, options } = privateMembers.get(eslint);
+
+    return lintResultCache || createLintResultCache(options, cacheFilePath);
+}
+
+/**
+ * Lints the files for the given patterns and yields each result as soon as
+ * it's available. Ignored files and cached results come first, then the
+ * linted files in the order they are finished.
+ * @param {FlatESLint} eslint The instance to lint with.
+ * @param {string|string[]} patterns An array of file and directory names.
+ * @param {AbortSignal} [signal] The signal to stop linting with.
+ * @returns {AsyncGenerator<{index: number, result: LintResult}>} Each result
+ *      with the position of the file in the list of all files found.
+ */
+async function *iterateLintResults(eslint, patterns, signal) {
+    const {
+        cacheFilePath,
+        lintResultCache,
+        options: eslintOptions,
+        tracer
+    } = privateMembers.get(eslint);
+
+    throwIfAborted(signal);
+
+    const configs = await calculateConfigArray(eslint, eslintOptions);
+    const {
+        cache,
+        concurrency,
+        cwd,
+        fix,
+        globInputPaths,
+        errorOnUnmatchedPattern,
+        maxFileTime,
+        onFileEnd,
+        onFileStart,
+        onlyFiles,
+        shard,
+        warnIgnored
+    } = eslintOptions;
+    const startTime = Date.now();
+
+    // Delete cache file; should this be done here?
+    if (!cache && cacheFilePath) {
+        debug(`Deleting cache file at ${cacheFilePath}`);
+
+        try {
+            await fs.unlink(cacheFilePath);
+        } catch (error) {
+            const errorCode = error && error.code;
+
+            // Ignore errors when no such file exists or file system is read only (and cache file does not exist)
+            if (errorCode !== "ENOENT" && !(errorCode === "EROFS" && !(await fs.exists(cacheFilePath)))) {
+                throw error;
+            }
+        }
+    }
+
+    const allFilePaths = await tracer.traceAsync("Find files", "files", () => findFiles({
+        patterns: typeof patterns === "string" ? [patterns] : patterns,
+        cwd,
+        globInputPaths,
+        configs,
+        errorOnUnmatchedPattern: errorOnUnmatchedPattern && reportsUnmatchedPatterns(shard)
+    }));
+
+    debug(`${allFilePaths.length} files found in: ${Date.now() - startTime}ms`);
+    throwIfAborted(signal);
+
+    const onlyFilePaths = onlyFiles && new Set(onlyFiles.map(filePath => path.resolve(cwd, filePath)));
+    const filePaths = allFilePaths.filter(({ filePath }) => (
+        isFileInShard(filePath, cwd, shard) &&
+        (!onlyFilePaths || onlyFilePaths.has(filePath))
+    ));
+
+    if (shard) {
+        debug(`${filePaths.length} files in shard ${shard.index}/${shard.total}`);
+    }
+
+    if (onlyFilePaths) {
+        debug(`${filePaths.length} files of ${onlyFilePaths.size} given in 'onlyFiles' found`);
+    }
+
+    /*
+     * Results are yielded with the index of the file in `filePaths` so that
+     * `lintFiles()` can return them in an order that doesn't depend on which
+     * files finish linting first.
+     */
+    let tasks = [];
+
+    // Results of ignored files and cached results, which are yielded first.
+    const readyResults = [];
+
+    filePaths.forEach(({ filePath, ignored }, index) => {
+
+        /*
+         * If a filename was entered that matches an ignore
+         * pattern, then notify the user.
+         */
+        if (ignored) {
+            if (warnIgnored) {
+                readyResults.push({ index, result: createIgnoreResult(filePath, cwd) });
+            }
+
+            return;
+        }
+
+        const config = configs.getConfig(filePath);
+
+        /*
+         * Sometimes a file found through a glob pattern will
+         * be ignored. In this case, `config` will be undefined
+         * and we just silently ignore the file.
+         */
+        if (!config) {
+            return;
+        }
+
+        // Skip if there is cached result.
+        const cachedResult = lintResultCache && getCachedResult(lintResultCache, filePath, config, fix);
+
+        if (cachedResult) {
+            readyResults.push({ index, result: cachedResult });
+            return;
+        }
+
+        tasks.push({
+            index,
+            filePath,
+            cost: lintResultCache ? lintResultCache.getLintDuration(filePath) : null
+        });
+    });
+
+    // Files that aren't in the local cache may have been linted on another machine.
+    if (lintResultCache instanceof RemoteLintResultCache && tasks.length > 0) {
+        await lintResultCache.download(tasks.map(({ filePath }) => ({ filePath, config: configs.getConfig(filePath) })));
+        throwIfAborted(signal);
+
+        tasks = tasks.filter(({ index, filePath }) => {
+            const cachedResult = getCachedResult(lintResultCache, filePath, configs.getConfig(filePath), fix);
+
+            if (cachedResult) {
+                readyResults.push({ index, result: cachedResult });
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    yield* readyResults;
+
+    /**
+     * Stores the result of a linted file in the cache.
+     * @param {number} index The index of the file in `filePaths`.
+     * @param {LintResult} result The result of linting the file.
+     * @param {number} [duration] The time in milliseconds it took a worker to lint the file.
+     * @param {boolean} [timedOut] `true` if the worker was stopped for taking longer than `maxFileTime`.
+     * @returns {void}
+     */
+    function storeResult(index, result, duration, timedOut) {
+
+        /*
+         * Store the lint result in the LintResultCache.
+         * NOTE: The LintResultCache will remove the file source and any
+         * other properties that are difficult to serialize, and will
+         * hydrate those properties back in on future lint runs.
+         */
+        if (lintResultCache) {
+            const { filePath } = filePaths[index];
+
+            // The file may be linted in time on the next run, so a timeout isn't cached.
+            if (timedOut) {
+                lintResultCache.removeCachedLintResults(filePath);
+            } else {
+                lintResultCache.setCachedLintResults(filePath, configs.getConfig(filePath), result);
+            }
+
+            // Used to schedule the slowest files first in the next run.
+            if (typeof duration === "number") {
+                lintResultCache.setLintDuration(filePath, duration);
+            }
+        }
+    }
+
+    const total = tasks.length;
+    let completed = 0;
+
+    /**
+     * Calls the `onFileStart` option, if any.
+     * @param {{filePath: string}} task The file that is about to be linted.
+     * @returns {void}
+     */
+    function startFile({ filePath }) {
+        if (onFileStart) {
+            onFileStart({ filePath, completed, total });
+        }
+    }
+
+    /**
+     * Calls the `onFileEnd` option, if any.
+     * @param {LintResult} result The result of the file that was linted.
+     * @returns {void}
+     */
+    function endFile(result) {
+        completed++;
+
+        if (onFileEnd) {
+            onFileEnd({ filePath: result.filePath, completed, total, result });
+        }
+    }
+
+    const workerCount = getWorkerCount(concurrency, total, maxFileTime);
+    const workerOptions = workerCount > 0 ? createWorkerOptions(eslint) : null;
+
+    if (workerOptions) {
+        const pool = new LintWorkerPool({
+            size: workerCount,
+            workerData: { configType: "flat", options: workerOptions },
+            maxFileTime
+        });
+
+        for await (const { index, result, duration, timedOut, traceEvents } of pool.iterate(tasks, { onStart: startFile, signal })) {
+            if (traceEvents) {
+                tracer.addEvents(traceEvents);
+            }
+
+            storeResult(index, result, duration, timedOut);
+            endFile(result);
+            yield { index, result };
+        }
+    } else {
+
+        /*
+         * Files are linted one at a time so that each result can be yielded,
+         * and released by the caller, before the next file is linted. Only
+         * the next file is read while a file is linted.
+         */
+        let readingNextText = tasks.length > 0 ? readFileAhead(tasks[0].filePath) : null;
+
+        for (const [taskIndex, task] of tasks.entries()) {
+            throwIfAborted(signal);
+            startFile(task);
+
+            const readingText = readingNextText;
+
+            readingNextText = taskIndex + 1 < tasks.length ? readFileAhead(tasks[taskIndex + 1].filePath) : null;
+
+            const result = await lintFile(eslint, task.filePath, readingText);
+
+            storeResult(task.index, result);
+            endFile(result);
+            yield { index: task.index, result };
+        }
+    }
+
+    /*
+     * Persist the cache to disk. An aborted run throws before this point, so
+     * a cache that is missing the files that weren't linted is never written.
+     */
+    throwIfAborted(signal);
+
+    if (lintResultCache) {
+        lintResultCache.reconcile();
+    }
+
+    if (lintResultCache instanceof RemoteLintResultCache) {
+        await lintResultCache.upload();
+    }
+}
+
+/**
+ * Validates the options of `lintFiles()` and `lintFilesIterator()`.
+ * @param {any} options The options to validate.
+ * @returns {{signal: AbortSignal|undefined}} The validated options.
+ * @throws {Error} If the options are invalid.
+ */
+function processLintFilesOptions(options) {
+    if (typeof options !== "object") {
+        throw new Error("'options' must be an object, null, or undefined");
+    }
+
+    const { signal, ...unknownOptions } = options || {};
+    const unknownOptionKeys = Object.keys(unknownOptions);
+
+    if (unknownOptionKeys.length > 0) {
+        throw new Error(`'options' must not include the unknown option(s): ${unknownOptionKeys.join(", ")}`);
+    }
+
+    if (signal !== void 0 && !isAbortSignal(signal)) {
+        throw new Error("'options.signal' must be an AbortSignal or undefined");
+    }
+
+    return { signal };
+}
+
 /**
  * Creates an error to be thrown when an array of results passed to `getRulesMetaForResults` was not created by the current engine.
  * @returns {TypeError} An error object.
@@ -568,8 +1034,13 @@ class FlatESLint {
         );
 
         const lintResultCache = processedOptions.cache
-            ? new LintResultCache(cacheFilePath, processedOptions.cacheStrategy)
+            ? createLintResultCache(processedOptions, cacheFilePath)
             : null;
+        const tracer = new Tracer({ enabled: processedOptions.trace });
+
+        if (processedOptions.trace) {
+            setTracer(linter, tracer);
+        }
 
         privateMembers.set(this, {
             options: processedOptions,
@@ -577,7 +1048,8 @@ class FlatESLint {
             cacheFilePath,
             lintResultCache,
             defaultConfigs,
-            configs: null
+            configs: null,
+            tracer
         });
 
         /**
@@ -728,166 +1200,49 @@ class FlatESLint {
     /**
      * Executes the current configuration on an array of file and directory names.
      * @param {string|string[]} patterns An array of file and directory names.
+     * @param {Object} [options] The options.
+     * @param {AbortSignal} [options.signal] The signal to stop linting with. When it's aborted, the returned promise is rejected with an `AbortError` and the cache isn't written.
      * @returns {Promise<LintResult[]>} The results of linting the file patterns given.
      */
-    async lintFiles(patterns) {
+    async lintFiles(patterns, options = {}) {
         if (!isNonEmptyString(patterns) && !isArrayOfNonEmptyString(patterns)) {
             throw new Error("'patterns' must be a non-empty string or an array of non-empty strings");
         }
 
-        const {
-            cacheFilePath,
-            lintResultCache,
-            linter,
-            options: eslintOptions
-        } = privateMembers.get(this);
-        const configs = await calculateConfigArray(this, eslintOptions);
-        const {
-            allowInlineConfig,
-            cache,
-            cwd,
-            fix,
-            fixTypes,
-            reportUnusedDisableDirectives,
-            globInputPaths,
-            errorOnUnmatchedPattern,
-            warnIgnored
-        } = eslintOptions;
-        const startTime = Date.now();
-        const fixTypesSet = fixTypes ? new Set(fixTypes) : null;
-
-        // Delete cache file; should this be done here?
-        if (!cache && cacheFilePath) {
-            debug(`Deleting cache file at ${cacheFilePath}`);
-
-            try {
-                await fs.unlink(cacheFilePath);
-            } catch (error) {
-                const errorCode = error && error.code;
+        const { signal } = processLintFilesOptions(options);
+        const results = [];
 
-                // Ignore errors when no such file exists or file system is read only (and cache file does not exist)
-                if (errorCode !== "ENOENT" && !(errorCode === "EROFS" && !(await fs.exists(cacheFilePath)))) {
-                    throw error;
-                }
-            }
+        for await (const { index, result } of iterateLintResults(this, patterns, signal)) {
+            results[index] = result;
         }
 
-        const filePaths = await findFiles({
-            patterns: typeof patterns === "string" ? [patterns] : patterns,
-            cwd,
-            globInputPaths,
-            configs,
-            errorOnUnmatchedPattern
+        return processLintReport(this, {
+            results: results.filter(result => !!result)
         });
+    }
 
-        debug(`${filePaths.length} files found in: ${Date.now() - startTime}ms`);
-
-        /*
-         * Because we need to process multiple files, including reading from disk,
-         * it is most efficient to start by reading each file via promises so that
-         * they can be done in parallel. Then, we can lint the returned text. This
-         * ensures we are waiting the minimum amount of time in between lints.
-         */
-        const results = await Promise.all(
-
-            filePaths.map(({ filePath, ignored }) => {
-
-                /*
-                 * If a filename was entered that matches an ignore
-                 * pattern, then notify the user.
-                 */
-                if (ignored) {
-                    if (warnIgnored) {
-                        return createIgnoreResult(filePath, cwd);
-                    }
-
-                    return void 0;
-                }
-
-                const config = configs.getConfig(filePath);
-
-                /*
-                 * Sometimes a file found through a glob pattern will
-                 * be ignored. In this case, `config` will be undefined
-                 * and we just silently ignore the file.
-                 */
-                if (!config) {
-                    return void 0;
-                }
-
-                // Skip if there is cached result.
-                if (lintResultCache) {
-                    const cachedResult =
-                        lintResultCache.getCachedLintResults(filePath, config);
-
-                    if (cachedResult) {
-                        const hadMessages =
-                            cachedResult.messages &&
-                            cachedResult.messages.length > 0;
-
-                        if (hadMessages && fix) {
-                            debug(`Reprocessing cached file to allow autofix: ${filePath}`);
-                        } else {
-                            debug(`Skipping file since it hasn't changed: ${filePath}`);
-                            return cachedResult;
-                        }
-                    }
-                }
-
-
-                // set up fixer for fixTypes if necessary
-                let fixer = fix;
-
-                if (fix && fixTypesSet) {
-
-                    // save original value of options.fix in case it's a function
-                    const originalFix = (typeof fix === "function")
-                        ? fix : () => true;
-
-                    fixer = message => shouldMessageBeFixed(message, config, fixTypesSet) && originalFix(message);
-                }
-
-                return fs.readFile(filePath, "utf8")
-                    .then(text => {
-
-                        // do the linting
-                        const result = verifyText({
-                            text,
-                            filePath,
-                            configs,
-                            cwd,
-                            fix: fixer,
-                            allowInlineConfig,
-                            reportUnusedDisableDirectives,
-                            linter
-                        });
-
-                        /*
-                         * Store the lint result in the LintResultCache.
-                         * NOTE: The LintResultCache will remove the file source and any
-                         * other properties that are difficult to serialize, and will
-                         * hydrate those properties back in on future lint runs.
-                         */
-                        if (lintResultCache) {
-                            lintResultCache.setCachedLintResults(filePath, config, result);
-                        }
-
-                        return result;
-                    });
-
-            })
-        );
-
-        // Persist the cache to disk.
-        if (lintResultCache) {
-            lintResultCache.reconcile();
+    /**
+     * Executes the current configuration on an array of file and directory
+     * names, and yields each result as soon as the file has been linted.
+     * Unlike `lintFiles()`, this doesn't keep the results in memory, so the
+     * results are yielded in the order the files are finished instead of the
+     * order they were found in. The cache is written when the iteration is
+     * complete.
+     * @param {string|string[]} patterns An array of file and directory names.
+     * @param {Object} [options] The options.
+     * @param {AbortSignal} [options.signal] The signal to stop linting with. When it's aborted, the iteration throws an `AbortError` and the cache isn't written.
+     * @returns {AsyncGenerator<LintResult>} The results of linting the file patterns given.
+     */
+    async *lintFilesIterator(patterns, options = {}) {
+        if (!isNonEmptyString(patterns) && !isArrayOfNonEmptyString(patterns)) {
+            throw new Error("'patterns' must be a non-empty string or an array of non-empty strings");
         }
 
-        const finalResults = results.filter(result => !!result);
+        const { signal } = processLintFilesOptions(options);
 
-        return processLintReport(this, {
-            results: finalResults
-        });
+        for await (const { result } of iterateLintResults(this, patterns, signal)) {
+            yield processLintReport(this, { results: [result] })[0];
+        }
     }
 
     /**
@@ -896,6 +1251,7 @@ class FlatESLint {
      * @param {Object} [options] The options.
      * @param {string} [options.filePath] The path to the file of the source code.
      * @param {boolean} [options.warnIgnored] When set to true, warn if given filePath is an ignored path.
+     * @param {AbortSignal} [options.signal] The signal to stop linting with. When it's aborted, the returned promise is rejected with an `AbortError`.
      * @returns {Promise<LintResult[]>} The results of linting the string of code given.
      */
     async lintText(code, options = {}) {
@@ -914,6 +1270,7 @@ class FlatESLint {
 
         const {
             filePath,
+            signal,
             warnIgnored,
             ...unknownOptions
         } = options || {};
@@ -932,8 +1289,14 @@ class FlatESLint {
             throw new Error("'options.warnIgnored' must be a boolean or undefined");
         }
 
+        if (signal !== void 0 && !isAbortSignal(signal)) {
+            throw new Error("'options.signal' must be an AbortSignal or undefined");
+        }
+
         // Now we can get down to linting
 
+        throwIfAborted(signal);
+
         const {
             linter,
             options: eslintOptions
@@ -944,6 +1307,8 @@ class FlatESLint {
             cwd,
             fix,
             reportUnusedDisableDirectives,
+            stats,
+            selectorStats,
             warnIgnored: constructorWarnIgnored
         } = eslintOptions;
         const results = [];
@@ -959,6 +1324,9 @@ class FlatESLint {
             }
         } else {
 
+            // The config and the ignore check are asynchronous, so the signal may have been aborted since.
+            throwIfAborted(signal);
+
             // Do lint.
             results.push(verifyText({
                 text: code,
@@ -968,6 +1336,8 @@ class FlatESLint {
                 fix,
                 allowInlineConfig,
                 reportUnusedDisableDirectives,
+                stats,
+                selectorStats,
                 linter
             }));
         }
@@ -1117,13 +1487,76 @@ class FlatESLint {
 
         return config === void 0;
     }
+
+    /**
+     * Gets statistics about the cache of lint results that the `cacheLocation`
+     * or `cacheDir` option selects, also if the `cache` option is off.
+     * @returns {Promise<CacheStats>} The statistics.
+     */
+    async getCacheStats() {
+        return getCacheToManage(this).getStats();
+    }
+
+    /**
+     * Removes the cached results of files that don't exist anymore, that the
+     * given patterns don't match anymore, or whose config changed.
+     * @param {string|string[]} patterns The file and directory names that are linted.
+     * @returns {Promise<number>} The number of removed cached results.
+     */
+    async pruneCache(patterns) {
+        if (!isNonEmptyString(patterns) && !isArrayOfNonEmptyString(patterns)) {
+            throw new Error("'patterns' must be a non-empty string or an array of non-empty strings");
+        }
+
+        const { options } = privateMembers.get(this);
+        const configs = await calculateConfigArray(this, options);
+        const filePaths = await findFiles({
+            patterns: typeof patterns === "string" ? [patterns] : patterns,
+            cwd: options.cwd,
+            globInputPaths: options.globInputPaths,
+            configs,
+            errorOnUnmatchedPattern: options.errorOnUnmatchedPattern
+        });
+        const lintTargets = new Map();
+
+        for (const { filePath, ignored } of filePaths) {
+            const config = !ignored && configs.getConfig(filePath);
+
+            if (config) {
+                lintTargets.set(filePath, config);
+            }
+        }
+
+        return getCacheToManage(this).prune(lintTargets);
+    }
+
+    /**
+     * Deletes the cache of lint results that the `cacheLocation` or `cacheDir`
+     * option selects.
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        getCacheToManage(this).clear();
+    }
+
+    /**
+     * Gets the events that were recorded since this instance was created, in
+     * the Chrome Trace Event Format, including the events of lint workers.
+     * Returns an empty array if the `trace` option is off.
+     * @returns {TraceEvent[]} The events.
+     */
+    getTraceEvents() {
+        return privateMembers.get(this).tracer.getEvents();
+    }
 }
 
 /**
  * Returns whether flat config should be used.
+ * @param {string} [cwd] The directory to look for a flat config file from.
+ *      Defaults to the current working directory.
  * @returns {Promise<boolean>} Whether flat config should be used.
  */
-async function shouldUseFlatConfig() {
+async function shouldUseFlatConfig(cwd = process.cwd()) {
     switch (process.env.ESLINT_USE_FLAT_CONFIG) {
         case "true":
             return true;
@@ -1135,7 +1568,7 @@ async function shouldUseFlatConfig() {
              * If neither explicitly enabled nor disabled, then use the presence
              * of a flat config file to determine enablement.
              */
-            return !!(await findFlatConfigFile(process.cwd()));
+            return !!(await findFlatConfigFile(cwd));
     }
 }
 
@@ -1145,5 +1578,26 @@ async function shouldUseFlatConfig() {
 
 module.exports = {
     FlatESLint,
-    shouldUseFlatConfig
+    shouldUseFlatConfig,
+
+    // for lint workers
+    lintFile,
+
+    /**
+     * Gets the `Linter` instance of a given FlatESLint instance.
+     * @param {FlatESLint} instance The FlatESLint instance.
+     * @returns {Linter} The linter that lints the files.
+     */
+    getLinter(instance) {
+        return privateMembers.get(instance).linter;
+    },
+
+    /**
+     * Gets the `Tracer` instance of a given FlatESLint instance.
+     * @param {FlatESLint} instance The FlatESLint instance.
+     * @returns {Tracer} The tracer that records the events of the instance.
+     */
+    getTracer(instance) {
+        return privateMembers.get(instance).tracer;
+    }
 };
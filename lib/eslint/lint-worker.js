@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Entry point of the worker threads started by `LintWorkerPool`.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const { parentPort, workerData } = require("worker_threads");
+const { serializeError } = require("../shared/serialization");
+const { getCLIEngineInternalSlots, lintFile: lintEslintrcFile } = require("../cli-engine/cli-engine");
+const { setRuleTimer } = require("../linter/linter");
+const { ESLint, getESLintPrivateMembers } = require("./eslint");
+const { FlatESLint, getLinter, getTracer, lintFile: lintFlatFile } = require("./flat-eslint");
+const { RuleTimings } = require("./rule-timings");
+const { createFixSeverityPredicate, importModuleReferences } = require("./worker-pool");
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("../shared/types").LintResult} LintResult */
+/** @typedef {import("../shared/tracer").Tracer} Tracer */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates the function that lints a file in this worker. The engine is
+ * created once per worker so that configs are only loaded once, no matter how
+ * many files this worker lints. Modules that the main thread imported for the
+ * options, such as plugins given on the command line, are imported again here,
+ * and so is the `fix` predicate of `fixSeverity`.
+ * @param {Object} data The data the worker was started with.
+ * @param {"flat"|"eslintrc"} data.configType The config system to use.
+ * @param {Object} data.options The options to create the engine with.
+ * @param {RuleTimings|null} ruleTimings The shared memory to time the rules in, if any.
+ * @returns {Promise<{lintFile: (filePath: string) => Promise<LintResult>|LintResult, tracer: Tracer}>}
+ *      The function that lints a file, and the tracer of the engine.
+ */
+async function createLintFile({ configType, options: data }, ruleTimings) {
+    const options = await importModuleReferences(data);
+
+    if (options.fixSeverity) {
+        options.fix = createFixSeverityPredicate(options.fixSeverity);
+    }
+    delete options.fixSeverity;
+
+    if (configType === "eslintrc") {
+        const { cliEngine } = getESLintPrivateMembers(new ESLint(options));
+        const { linter, tracer } = getCLIEngineInternalSlots(cliEngine);
+
+        setRuleTimer(linter, ruleTimings);
+
+        return { lintFile: filePath => lintEslintrcFile(cliEngine, filePath), tracer };
+    }
+
+    const eslint = new FlatESLint(options);
+
+    setRuleTimer(getLinter(eslint), ruleTimings);
+
+    return { lintFile: filePath => lintFlatFile(eslint, filePath), tracer: getTracer(eslint) };
+}
+
+//-----------------------------------------------------------------------------
+// Main
+//-----------------------------------------------------------------------------
+
+/*
+ * The rules are only timed if the main thread stops files that take too long,
+ * so that it can name the slowest rule of the file.
+ */
+const ruleTimings = workerData.ruleTimings ? new RuleTimings(workerData.ruleTimings) : null;
+
+/*
+ * Messages sent to the worker are queued until the listener is added, so
+ * nothing is lost while the engine is created.
+ */
+createLintFile(workerData, ruleTimings).then(({ lintFile, tracer }) => {
+    parentPort.on("message", async ({ index, filePath }) => {
+        try {
+            if (ruleTimings) {
+                ruleTimings.reset();
+                parentPort.postMessage({ type: "start", index });
+            }
+
+            const startTime = process.hrtime();
+            const result = await lintFile(filePath);
+            const [seconds, nanoseconds] = process.hrtime(startTime);
+
+            parentPort.postMessage({
+                type: "result",
+                index,
+                result,
+                duration: seconds * 1e3 + nanoseconds / 1e6,
+
+                // Sent with each result, so that the events of a worker that is terminated later aren't lost.
+                traceEvents: tracer.enabled ? tracer.takeEvents() : void 0
+            });
+        } catch (error) {
+            parentPort.postMessage({ type: "error", error: serializeError(error) });
+        }
+    });
+}, error => {
+    parentPort.postMessage({ type: "error", error: serializeError(error) });
+});
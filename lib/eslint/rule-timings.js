@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Shares the time each rule took on the file that a lint worker
+ * is linting with the main thread. When a file takes too long, the worker may
+ * be stuck in a rule and can't answer messages anymore, so the timings are
+ * kept in shared memory that the main thread can read at any time.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const { now } = require("../shared/clock");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+// Rules after the first `MAX_RULES` rules of a worker aren't timed.
+const MAX_RULES = 1024;
+
+// The bytes to store the rule IDs in, separated by null characters.
+const MAX_RULE_ID_BYTES = 64 * 1024;
+
+// The indices of the counters in the `Int32Array` at the start of the buffer.
+const RULE_COUNT = 0;
+const CURRENT_RULE = 1;
+const RULE_ID_BYTES = 2;
+const INT32_COUNT = 4;
+
+// The `Float64Array` after the counters holds the start time of the current call, then the time of each rule.
+const FLOAT64_OFFSET = INT32_COUNT * Int32Array.BYTES_PER_ELEMENT;
+const RULE_IDS_OFFSET = FLOAT64_OFFSET + (MAX_RULES + 1) * Float64Array.BYTES_PER_ELEMENT;
+const BUFFER_SIZE = RULE_IDS_OFFSET + MAX_RULE_ID_BYTES;
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * The time each rule took on a file, in shared memory. The lint worker times
+ * the rules with `time()` and the main thread reads the slowest rule with
+ * `getSlowestRule()`, including the time of a call that hasn't returned yet.
+ */
+class RuleTimings {
+
+    /**
+     * @param {SharedArrayBuffer} [buffer] The shared memory to use. A new
+     *      buffer is created if omitted, to be passed to the worker.
+     */
+    constructor(buffer = new SharedArrayBuffer(BUFFER_SIZE)) {
+        this.buffer = buffer;
+        this.counters = new Int32Array(buffer, 0, INT32_COUNT);
+        this.times = new Float64Array(buffer, FLOAT64_OFFSET, MAX_RULES + 1);
+        this.ruleIdBytes = new Uint8Array(buffer, RULE_IDS_OFFSET, MAX_RULE_ID_BYTES);
+        this.ruleIndices = new Map();
+
+        Atomics.store(this.counters, CURRENT_RULE, -1);
+    }
+
+    /**
+     * Sets the time of all rules back to zero before the next file.
+     * @returns {void}
+     */
+    reset() {
+        Atomics.store(this.counters, CURRENT_RULE, -1);
+        this.times.fill(0);
+    }
+
+    /**
+     * Wraps a function of a rule so that its calls are added to the time of
+     * the rule. The function is returned as is if there's no room for the rule.
+     * @param {string} ruleId The ID of the rule.
+     * @param {Function} fn The function to wrap.
+     * @returns {Function} The wrapped function.
+     */
+    time(ruleId, fn) {
+        const index = this.getRuleIndex(ruleId);
+
+        if (index === -1) {
+            return fn;
+        }
+
+        const { counters, times } = this;
+
+        return function(...args) {
+            times[0] = now();
+            Atomics.store(counters, CURRENT_RULE, index);
+
+            try {
+                return fn(...args);
+            } finally {
+                Atomics.store(counters, CURRENT_RULE, -1);
+                times[index + 1] += now() - times[0];
+            }
+        };
+    }
+
+    /**
+     * Gets the index of a rule, and stores its ID in the shared memory the
+     * first time the rule is seen.
+     * @param {string} ruleId The ID of the rule.
+     * @returns {number} The index of the rule, or -1 if there's no room for it.
+     */
+    getRuleIndex(ruleId) {
+        if (this.ruleIndices.has(ruleId)) {
+            return this.ruleIndices.get(ruleId);
+        }
+
+        const count = Atomics.load(this.counters, RULE_COUNT);
+        const offset = Atomics.load(this.counters, RULE_ID_BYTES);
+        const bytes = Buffer.from(`${ruleId}\0`);
+
+        if (count >= MAX_RULES || offset + bytes.length > MAX_RULE_ID_BYTES) {
+            this.ruleIndices.set(ruleId, -1);
+            return -1;
+        }
+
+        // The count is updated last, so the main thread never reads an incomplete rule ID.
+        this.ruleIdBytes.set(bytes, offset);
+        Atomics.store(this.counters, RULE_ID_BYTES, offset + bytes.length);
+        Atomics.store(this.counters, RULE_COUNT, count + 1);
+        this.ruleIndices.set(ruleId, count);
+
+        return count;
+    }
+
+    /**
+     * Gets the rule that took the most time on the current file so far.
+     * @returns {{ruleId: string, time: number}|null} The rule and its time
+     *      in milliseconds, or `null` if no rule has run yet.
+     */
+    getSlowestRule() {
+        const count = Atomics.load(this.counters, RULE_COUNT);
+        const currentRule = Atomics.load(this.counters, CURRENT_RULE);
+        const byteLength = Atomics.load(this.counters, RULE_ID_BYTES);
+        const ruleIds = Buffer.from(this.ruleIdBytes.slice(0, byteLength)).toString().split("\0");
+        let slowestRule = null;
+
+        for (let index = 0; index < count; index++) {
+            let time = this.times[index + 1];
+
+            if (index === currentRule) {
+                time += now() - this.times[0];
+            }
+
+            if (time > 0 && (!slowestRule || time > slowestRule.time)) {
+                slowestRule = { ruleId: ruleIds[index], time };
+            }
+        }
+
+        return slowestRule;
+    }
+}
+
+module.exports = { RuleTimings };
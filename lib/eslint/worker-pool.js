@@ -0,0 +1,659 @@
+/**
+ * @fileoverview A pool of worker threads used to lint files in parallel.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const v8 = require("v8");
+const { Worker } = require("worker_threads");
+
+const { AbortError, throwIfAborted } = require("../shared/abort");
+const { deserializeError } = require("../shared/serialization");
+const { RuleTimings } = require("./rule-timings");
+
+const debug = require("debug")("eslint:worker-pool");
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("../shared/types").LintMessage} LintMessage */
+/** @typedef {import("../shared/types").LintResult} LintResult */
+/** @typedef {import("../shared/types").TraceEvent} TraceEvent */
+
+/**
+ * A file to be linted by the pool.
+ * @typedef {Object} LintTask
+ * @property {number} index The position of the file in the list of all files
+ *      found for the run. Results are reported with this index so the caller
+ *      can restore the order of a serial run.
+ * @property {string} filePath The absolute path of the file to lint.
+ * @property {number|null} [cost] The time in milliseconds it took to lint the
+ *      file the last time, if known. Files with a higher cost are linted first.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const LINT_WORKER_PATH = path.join(__dirname, "lint-worker.js");
+
+// The key of the objects that replace imported modules in worker data.
+const MODULE_REFERENCE_KEY = "@@eslint/module";
+
+/** @type {WeakMap<Object, string>} */
+const importedModulePaths = new WeakMap();
+
+/** @type {WeakMap<Function, "error"|"warn">} */
+const fixSeverities = new WeakMap();
+
+// The numeric severities of the names that `createFixSeverityPredicate()` accepts.
+const SEVERITIES = { error: 2, warn: 1 };
+
+/*
+ * Each worker loads the config file and all plugins again, so with
+ * `concurrency: "auto"` a worker is only started for at least this many files.
+ */
+const MIN_FILES_PER_AUTO_WORKER = 32;
+
+/**
+ * Calculates the number of workers to lint the given number of files with.
+ * @param {number|"auto"|"off"} concurrency The `concurrency` option.
+ * @param {number} fileCount The number of files to lint.
+ * @param {number|null} [maxFileTime] The `maxFileTime` option. Only files
+ *      that are linted in workers can be stopped, so at least one worker is
+ *      used if it's set.
+ * @returns {number} The number of workers, or `0` if the files should be
+ *      linted on the main thread.
+ */
+function getWorkerCount(concurrency, fileCount, maxFileTime = null) {
+    if (concurrency === "off" || fileCount === 0) {
+        return 0;
+    }
+
+    const workerCount = concurrency === "auto"
+        ? Math.min(os.cpus().length, Math.floor(fileCount / MIN_FILES_PER_AUTO_WORKER))
+        : Math.min(concurrency, fileCount);
+
+    if (maxFileTime !== null) {
+        return Math.max(workerCount, 1);
+    }
+
+    // A single worker would only add the cost of starting it.
+    return workerCount > 1 ? workerCount : 0;
+}
+
+/**
+ * Checks whether a value can be sent to a worker thread. Values that
+ * contain functions (plugins, parsers, processors, etc.) can't be cloned
+ * by the structured clone algorithm.
+ * @param {any} value The value to check.
+ * @returns {boolean} `true` if the value can be posted to a worker.
+ */
+function isCloneable(value) {
+    try {
+        v8.serialize(value);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a value is an object literal or an array, whose properties
+ * are sent to workers one by one.
+ * @param {any} value The value to check.
+ * @returns {boolean} `true` if the value is an object literal or an array.
+ */
+function isPlainObjectOrArray(value) {
+    if (Array.isArray(value)) {
+        return true;
+    }
+
+    if (typeof value !== "object" || value === null) {
+        return false;
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Remembers the file that a module namespace object was imported from, so
+ * that workers can import the module themselves instead of receiving the
+ * object, which can't be cloned.
+ * @param {Object} value The module namespace object.
+ * @param {string} filePath The absolute path to the module.
+ * @returns {void}
+ */
+function registerImportedModule(value, filePath) {
+    importedModulePaths.set(value, filePath);
+}
+
+/**
+ * Replaces module namespace objects registered with
+ * `registerImportedModule()` with references to their modules.
+ * @param {any} value The value to send to workers.
+ * @returns {any} A copy of the value with references to modules.
+ */
+function replaceImportedModules(value) {
+    if (importedModulePaths.has(value)) {
+        return { [MODULE_REFERENCE_KEY]: importedModulePaths.get(value) };
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(replaceImportedModules);
+    }
+
+    if (isPlainObjectOrArray(value)) {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, child]) => [key, replaceImportedModules(child)])
+        );
+    }
+
+    return value;
+}
+
+/**
+ * Imports the modules that `replaceImportedModules()` replaced with
+ * references. Used in workers.
+ * @param {any} value The value received by a worker.
+ * @returns {Promise<any>} A copy of the value with imported modules.
+ */
+async function importModuleReferences(value) {
+    if (Array.isArray(value)) {
+        return Promise.all(value.map(importModuleReferences));
+    }
+
+    if (isPlainObjectOrArray(value)) {
+        if (typeof value[MODULE_REFERENCE_KEY] === "string") {
+            return import(pathToFileURL(value[MODULE_REFERENCE_KEY]).href);
+        }
+
+        return Object.fromEntries(await Promise.all(
+            Object.entries(value).map(async ([key, child]) => [key, await importModuleReferences(child)])
+        ));
+    }
+
+    return value;
+}
+
+/**
+ * Creates a `fix` predicate that only fixes the problems of the given
+ * severity, such as the one used by `--fix --quiet`. Workers can't receive
+ * functions, so they get the severity instead and create the predicate again
+ * with this function.
+ * @param {"error"|"warn"} severity The severity of the problems to fix.
+ * @returns {(message: LintMessage) => boolean} The predicate.
+ */
+function createFixSeverityPredicate(severity) {
+
+    /**
+     * Checks whether a problem has the severity to fix.
+     * @param {LintMessage} message The problem.
+     * @returns {boolean} `true` if the problem should be fixed.
+     */
+    function fixSeverityPredicate(message) {
+        return message.severity === SEVERITIES[severity];
+    }
+
+    fixSeverities.set(fixSeverityPredicate, severity);
+
+    return fixSeverityPredicate;
+}
+
+/**
+ * Gets the severity that a `fix` predicate was created with by
+ * `createFixSeverityPredicate()`.
+ * @param {any} fix The `fix` option.
+ * @returns {"error"|"warn"|null} The severity, or `null` if the option isn't
+ *      such a predicate.
+ */
+function getFixSeverity(fix) {
+    return (typeof fix === "function" && fixSeverities.get(fix)) || null;
+}
+
+/**
+ * Finds the part of a value that can't be sent to a worker.
+ * @param {any} value The value to check.
+ * @param {string} keyPath The name of the value.
+ * @returns {string|null} The key path to the first part that can't be cloned,
+ *      e.g. `overrideConfig[0].plugins.foo`, or `null` if the whole value can
+ *      be sent to workers.
+ */
+function findUncloneablePath(value, keyPath) {
+    if (isCloneable(value)) {
+        return null;
+    }
+
+    if (isPlainObjectOrArray(value)) {
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = Array.isArray(value) ? `${keyPath}[${key}]` : `${keyPath}.${key}`;
+            const uncloneablePath = findUncloneablePath(child, childPath);
+
+            if (uncloneablePath) {
+                return uncloneablePath;
+            }
+        }
+    }
+
+    return keyPath;
+}
+
+/**
+ * Emits a warning that files are linted on the main thread even though
+ * `concurrency` asks for workers.
+ * @param {string} cause What can't be sent to workers, e.g. `the 'plugins' option`
+ *      or the key path that `findUncloneablePath()` returned.
+ * @param {number|null} [maxFileTime] The `maxFileTime` option, which can't
+ *      stop files on the main thread.
+ * @returns {void}
+ */
+function emitFallbackWarning(cause, maxFileTime = null) {
+    debug(`Linting on the main thread because ${cause} can't be sent to workers`);
+
+    const consequence = maxFileTime === null
+        ? ""
+        : ` Files that take longer than ${maxFileTime}ms aren't stopped.`;
+    const advice = cause === "'options.fix'"
+        ? "Pass `true` to fix all problems instead, or lint with `concurrency: \"off\"`."
+        : "Define plugins, parsers, and processors in the config file instead, which each worker loads itself.";
+
+    process.emitWarning(
+        `Files are linted on the main thread because ${cause} can't be passed to lint worker threads.${consequence} ${advice}`,
+        "Warning",
+        "ESLINT_LINT_WORKER_FALLBACK"
+    );
+}
+
+/**
+ * Creates the result of a file that was stopped because it took longer than
+ * `maxFileTime` to lint.
+ * @param {string} filePath The path to the file.
+ * @param {number} maxFileTime The time in milliseconds the file was allowed to take.
+ * @param {{ruleId: string, time: number}|null} slowestRule The rule that took
+ *      the most time on the file before it was stopped, if any rule ran.
+ * @returns {LintResult} The result with a fatal error.
+ */
+function createTimeoutResult(filePath, maxFileTime, slowestRule) {
+    const message = slowestRule
+        ? `Linting took longer than ${maxFileTime}ms and was stopped. The slowest rule was '${slowestRule.ruleId}' (${Math.round(slowestRule.time)}ms).`
+        : `Linting took longer than ${maxFileTime}ms and was stopped before any rule ran.`;
+
+    return {
+        filePath,
+        messages: [
+            {
+                ruleId: null,
+                fatal: true,
+                severity: 2,
+                message,
+                line: 1,
+                column: 1,
+                nodeType: null
+            }
+        ],
+        suppressedMessages: [],
+        errorCount: 1,
+        warningCount: 0,
+        fatalErrorCount: 1,
+        fixableErrorCount: 0,
+        fixableWarningCount: 0
+    };
+}
+
+/**
+ * Gets the cost of a task for scheduling. Files without a known cost may be
+ * new or large, so they are treated as the most expensive ones.
+ * @param {LintTask} task The task.
+ * @returns {number} The cost of the task.
+ */
+function getCost(task) {
+    return typeof task.cost === "number" ? task.cost : Infinity;
+}
+
+/**
+ * Compares tasks so that tasks with a higher cost come first.
+ * @param {LintTask} a The first task to compare.
+ * @param {LintTask} b The second task to compare.
+ * @returns {number} A negative number if `a` should be linted before `b`.
+ */
+function compareTasksByCost(a, b) {
+    const costA = getCost(a);
+    const costB = getCost(b);
+
+    if (costA === costB) {
+        return 0;
+    }
+
+    return costA > costB ? -1 : 1;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * A pool of worker threads that lint files. Each worker builds its own
+ * ESLint instance from `workerData` once, and then lints one file at a time,
+ * posting each result back as soon as it's available.
+ */
+class LintWorkerPool {
+
+    /**
+     * @param {Object} options The options for the pool.
+     * @param {number} options.size The number of workers to start.
+     * @param {Object} options.workerData The data used by each worker to
+     *      create its ESLint instance. Must be cloneable.
+     * @param {number|null} [options.maxFileTime] The time in milliseconds a
+     *      worker may take to lint a file before it's terminated, or `null`
+     *      to wait as long as it takes.
+     */
+    constructor({ size, workerData, maxFileTime = null }) {
+
+        /**
+         * The number of workers in the pool.
+         * @type {number}
+         */
+        this.size = size;
+
+        /**
+         * The data sent to each worker on start up.
+         * @type {Object}
+         */
+        this.workerData = workerData;
+
+        /**
+         * The time in milliseconds a worker may take to lint a file.
+         * @type {number|null}
+         */
+        this.maxFileTime = maxFileTime;
+    }
+
+    /**
+     * Lints the given files and yields each result as soon as a worker has
+     * finished the file. The files with the highest cost are handed out
+     * first, and each worker gets its next file as soon as it's done with the
+     * previous one, so that a few slow files don't hold up a whole worker's
+     * share of the files. If the caller stops iterating early or the signal
+     * is aborted, the workers are terminated. A worker that takes longer
+     * than `maxFileTime` on a file is terminated and replaced, and the file
+     * gets a result with a fatal error that names the slowest rule.
+     * @param {LintTask[]} tasks The files to lint.
+     * @param {Object} [options] The options.
+     * @param {(task: LintTask) => void} [options.onStart] Called with each
+     *      task when it's sent to a worker.
+     * @param {AbortSignal} [options.signal] The signal to abort linting with.
+     * @returns {AsyncGenerator<{index: number, result: LintResult, duration: number, timedOut?: boolean, traceEvents?: TraceEvent[]}>}
+     *      The index of the task, the result, and the time in milliseconds
+     *      it took to lint the file, in the order the files were finished.
+     *      `timedOut` is `true` if the file was stopped after `maxFileTime`.
+     *      `traceEvents` are the events the worker recorded since its
+     *      previous file, if the engine's `trace` option is enabled.
+     * @throws {Error} The first error any worker reports, or an `AbortError`.
+     */
+    async *iterate(tasks, { onStart = () => {}, signal } = {}) {
+        const { maxFileTime } = this;
+        const queue = tasks.slice().sort(compareTasksByCost);
+        const workerCount = Math.min(this.size, queue.length);
+        const workers = [];
+        const timeouts = new Set();
+        const received = [];
+        let nextTaskIndex = 0;
+        let finishedWorkerCount = 0;
+        let failure = null;
+        let notify = null;
+
+        /**
+         * Wakes up the generator if it's waiting for a worker.
+         * @returns {void}
+         */
+        function wakeUp() {
+            if (notify) {
+                notify();
+                notify = null;
+            }
+        }
+
+        /**
+         * Records the first error of any worker.
+         * @param {Error} error The error.
+         * @returns {void}
+         */
+        function fail(error) {
+            if (!failure) {
+                failure = error;
+            }
+            wakeUp();
+        }
+
+        /**
+         * Waits until a worker has posted a result, has finished, or has failed.
+         * @returns {Promise<void>} A promise that is fulfilled when something happened.
+         */
+        function waitForWorkers() {
+            return new Promise(resolve => {
+                notify = resolve;
+            });
+        }
+
+        /**
+         * Checks if there are results left to yield.
+         * @returns {boolean} `true` if a result is waiting or a worker is still busy.
+         */
+        function hasPendingResults() {
+            return received.length > 0 || finishedWorkerCount < workerCount;
+        }
+
+        /**
+         * Starts a worker that lints files until the queue is empty.
+         * @param {Object} workerData The data to start the worker with.
+         * @returns {Worker} The worker.
+         */
+        function startWorker(workerData) {
+            const ruleTimings = maxFileTime ? new RuleTimings() : null;
+            const worker = new Worker(LINT_WORKER_PATH, {
+                workerData: ruleTimings ? { ...workerData, ruleTimings: ruleTimings.buffer } : workerData
+            });
+            let done = false;
+            let currentTask = null;
+            let timeout = null;
+
+            /**
+             * Terminates the worker because it took too long on the current
+             * file, and starts another worker for the rest of the files.
+             * @returns {void}
+             */
+            function stopFile() {
+                const task = currentTask;
+                const slowestRule = ruleTimings.getSlowestRule();
+
+                debug(`Terminating the worker linting ${task.filePath} after ${maxFileTime}ms`);
+                timeouts.delete(timeout);
+                done = true;
+                worker.terminate();
+
+                received.push({
+                    index: task.index,
+                    result: createTimeoutResult(task.filePath, maxFileTime, slowestRule),
+                    duration: maxFileTime,
+                    timedOut: true
+                });
+
+                if (failure || nextTaskIndex >= queue.length) {
+                    finishedWorkerCount++;
+                } else {
+                    workers.push(startWorker(workerData));
+                }
+
+                wakeUp();
+            }
+
+            /**
+             * Sends the next file in the queue to the worker, or marks the
+             * worker as finished if there are no files left.
+             * @returns {void}
+             */
+            function lintNextFile() {
+
+                // Nothing new is scheduled once a worker failed or the signal was aborted.
+                if (failure || nextTaskIndex >= queue.length) {
+                    done = true;
+                    finishedWorkerCount++;
+                    wakeUp();
+                    return;
+                }
+
+                const task = queue[nextTaskIndex++];
+
+                try {
+                    onStart(task);
+                } catch (error) {
+                    done = true;
+                    fail(error);
+                    return;
+                }
+
+                currentTask = task;
+                worker.postMessage({ type: "lint", index: task.index, filePath: task.filePath });
+            }
+
+            worker.on("message", message => {
+
+                // Messages may still arrive after the worker was stopped for taking too long.
+                if (done) {
+                    return;
+                }
+
+                if (message.type !== "start") {
+                    clearTimeout(timeout);
+                    timeouts.delete(timeout);
+                }
+
+                switch (message.type) {
+
+                    /*
+                     * Only sent if `maxFileTime` is set. The time starts when
+                     * the worker starts the file rather than when the file is
+                     * sent, so that starting the worker isn't counted.
+                     */
+                    case "start":
+                        timeout = setTimeout(stopFile, maxFileTime);
+                        timeouts.add(timeout);
+                        break;
+
+                    case "result":
+                        received.push({
+                            index: message.index,
+                            result: message.result,
+                            duration: message.duration,
+                            traceEvents: message.traceEvents
+                        });
+                        lintNextFile();
+                        wakeUp();
+                        break;
+
+                    case "error":
+                        done = true;
+                        fail(deserializeError(message.error));
+                        break;
+
+                    /* c8 ignore next 2 */
+                    default:
+                        throw new Error(`Unexpected message from lint worker: ${message.type}`);
+                }
+            });
+            worker.on("error", error => {
+                done = true;
+                fail(error);
+            });
+            worker.on("exit", code => {
+                if (!done) {
+                    fail(new Error(`Lint worker exited unexpectedly with code ${code}.`));
+                }
+            });
+
+            lintNextFile();
+
+            return worker;
+        }
+
+        /**
+         * Stops linting when the signal is aborted.
+         * @returns {void}
+         */
+        function abort() {
+            fail(new AbortError(signal.reason));
+        }
+
+        throwIfAborted(signal);
+        debug(`Linting ${tasks.length} files with ${workerCount} workers`);
+
+        if (signal) {
+            signal.addEventListener("abort", abort);
+        }
+
+        try {
+            for (let i = 0; i < workerCount; i++) {
+                workers.push(startWorker(this.workerData));
+            }
+
+            while (hasPendingResults()) {
+                if (failure) {
+                    throw failure;
+                }
+
+                if (received.length > 0) {
+                    yield received.shift();
+                } else {
+                    await waitForWorkers();
+                }
+            }
+        } finally {
+            if (signal) {
+                signal.removeEventListener("abort", abort);
+            }
+
+            timeouts.forEach(clearTimeout);
+
+            await Promise.all(workers.map(worker => worker.terminate()));
+        }
+    }
+
+    /**
+     * Lints the given files in the same order as `iterate()`.
+     * @param {LintTask[]} tasks The files to lint.
+     * @param {(index: number, result: LintResult, duration: number) => void} onResult
+     *      Called with each result and the time in milliseconds it took to
+     *      lint the file, as soon as a worker has finished the file.
+     * @returns {Promise<void>} A promise that is fulfilled when all files
+     *      have been linted, or rejected with the first error any worker
+     *      reports.
+     */
+    async run(tasks, onResult) {
+        for await (const { index, result, duration } of this.iterate(tasks)) {
+            onResult(index, result, duration);
+        }
+    }
+}
+
+module.exports = {
+    LintWorkerPool,
+    createFixSeverityPredicate,
+    emitFallbackWarning,
+    findUncloneablePath,
+    getFixSeverity,
+    getWorkerCount,
+    importModuleReferences,
+    isCloneable,
+    registerImportedModule,
+    replaceImportedModules
+};
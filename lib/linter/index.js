@@ -1,6 +1,6 @@
 "use strict";
 
-const { Linter } = require("./linter");
+const { Linter, setTracer } = require("./linter");
 const interpolate = require("./interpolate");
 const SourceCodeFixer = require("./source-code-fixer");
 
@@ -9,5 +9,8 @@ module.exports = {
 
     // For testers.
     SourceCodeFixer,
-    interpolate
+    interpolate,
+
+    // For engines.
+    setTracer
 };
@@ -46,6 +46,9 @@ const { RuleValidator } = require("../config/rule-validator");
 const { assertIsRuleOptions, assertIsRuleSeverity } = require("../config/flat-config-schema");
 const debug = require("debug")("eslint:linter");
 const MAX_AUTOFIX_PASSES = 10;
+
+// Calls of rule listeners that are shorter than this many microseconds aren't traced, to keep traces small.
+const MIN_TRACED_LISTENER_DURATION = 100;
 const DEFAULT_PARSER_NAME = "espree";
 const DEFAULT_ECMA_VERSION = 5;
 const commentParser = new ConfigCommentParser();
@@ -67,6 +70,10 @@ const parserSymbol = Symbol.for("eslint.RuleTester.parser");
 /** @typedef {import("../shared/types").LanguageOptions} LanguageOptions */
 /** @typedef {import("../shared/types").Processor} Processor */
 /** @typedef {import("../shared/types").Rule} Rule */
+/** @typedef {import("../shared/types").RuleTime} RuleTime */
+/** @typedef {import("../shared/types").SelectorTime} SelectorTime */
+/** @typedef {import("../shared/types").TimePass} TimePass */
+/** @typedef {import("../shared/tracer").Tracer} Tracer */
 
 /* eslint-disable jsdoc/valid-types -- https://github.com/jsdoc-type-pratt-parser/jsdoc-type-pratt-parser/issues/4#issuecomment-778805577 */
 /**
@@ -92,6 +99,20 @@ const parserSymbol = Symbol.for("eslint.RuleTester.parser");
  * @property {SuppressedLintMessage[]} lastSuppressedMessages The `SuppressedLintMessage[]` instance that the last `verify()` call produced.
  * @property {Map<string, Parser>} parserMap The loaded parsers.
  * @property {Rules} ruleMap The loaded rules.
+ * @property {RuleTimer|null} ruleTimer The timer that measures the time each rule takes, set by lint workers.
+ * @property {{passes: TimePass[]}|null} times The times of the last `verify()` or `verifyAndFix()` call, if it was made with the `stats` option.
+ * @property {number} fixPasses Number of passes of the last `verifyAndFix()` call that applied fixes.
+ * @property {boolean} fixing `true` while `verifyAndFix()` runs, so that its passes are recorded together.
+ * @property {TimePass|null} currentTimes The times of the pass that is running, if it's recorded.
+ * @property {Tracer|null} tracer The tracer that records what linting spends its time on, set by the engines.
+ */
+
+/**
+ * Measures the time that rules take. Used by lint workers to report the
+ * slowest rule of a file that takes too long.
+ * @typedef {Object} RuleTimer
+ * @property {(ruleId: string, fn: Function, selector?: string) => Function} time Wraps a function of a rule so that
+ *      its calls are timed. `selector` is the selector that the function listens to, if it's a listener.
  */
 
 /**
@@ -104,6 +125,10 @@ const parserSymbol = Symbol.for("eslint.RuleTester.parser");
  * @property {string} [filename] the filename of the source code.
  * @property {boolean | "off" | "warn" | "error"} [reportUnusedDisableDirectives] Adds reported errors for
  *      unused `eslint-disable` directives.
+ * @property {boolean} [stats] Record the times that parsing, scope analysis, rules, and fixes take,
+ *      which `getTimes()` returns afterwards.
+ * @property {boolean} [selectorStats] Also break the times of rules down by selector, and record the
+ *      time that matching each selector takes and how many nodes it matched. Requires `stats`.
  */
 
 /**
@@ -785,6 +810,142 @@ function getRuleOptions(ruleConfig) {
 
 }
 
+/**
+ * Creates the record of the times of a pass.
+ * @param {boolean} [selectorStats] `true` to break the times down by selector.
+ * @returns {TimePass} The times, all zero.
+ */
+function createTimePass(selectorStats) {
+    const times = {
+        parse: { total: 0 },
+        scope: { total: 0 },
+        rules: {},
+        fix: { total: 0 },
+        total: 0
+    };
+
+    if (selectorStats) {
+        times.selectors = {};
+    }
+
+    return times;
+}
+
+/**
+ * Calls a function and adds the time it took to a total.
+ * @template T
+ * @param {{total: number}|null} time The total to add to, or `null` to not measure the call.
+ * @param {() => T} fn The function to call.
+ * @returns {T} The return value of the function.
+ */
+function measure(time, fn) {
+    if (!time) {
+        return fn();
+    }
+
+    const start = timing.startTime();
+
+    try {
+        return fn();
+    } finally {
+        time.total += timing.endTime(start);
+    }
+}
+
+/**
+ * Calls a function and records the call as a trace event.
+ * @template T
+ * @param {Tracer|null} tracer The tracer, or `null` to not trace the call.
+ * @param {string} name The name of the event.
+ * @param {() => T} fn The function to call.
+ * @param {Object} [args] Additional information about the event.
+ * @returns {T} The return value of the function.
+ */
+function trace(tracer, name, fn, args) {
+    return tracer ? tracer.trace(name, "lint", fn, args) : fn();
+}
+
+/**
+ * Gets the record of the times of a rule in a pass, and creates it if it
+ * doesn't exist yet.
+ * @param {TimePass} times The times of the pass.
+ * @param {string} ruleId The ID of the rule.
+ * @returns {RuleTime} The times of the rule.
+ */
+function getRuleTime(times, ruleId) {
+    if (!times.rules[ruleId]) {
+        times.rules[ruleId] = times.selectors ? { total: 0, selectors: {} } : { total: 0 };
+    }
+
+    return times.rules[ruleId];
+}
+
+/**
+ * Gets the timer to measure each rule with. This is the timer of lint workers,
+ * if any, and adds the time of each rule to the times of the running pass, if
+ * it's recorded, and traces slow calls, if tracing is enabled. If the pass
+ * breaks the times down by selector, the time of each listener is also added
+ * to the time of its selector, along with the number of calls.
+ * @param {LinterInternalSlots} slots The internal slots of the linter.
+ * @returns {RuleTimer|null} The timer, or `null` if rules aren't timed.
+ */
+function getRuleTimer({ ruleTimer, currentTimes, tracer }) {
+    if (!currentTimes && !tracer) {
+        return ruleTimer;
+    }
+
+    return {
+        time(ruleId, fn, selector) {
+            const traced = tracer ? tracer.wrap(ruleId, "rule", fn, MIN_TRACED_LISTENER_DURATION) : fn;
+            const ruleTime = currentTimes && getRuleTime(currentTimes, ruleId);
+            let selectorTime = null;
+
+            if (ruleTime && ruleTime.selectors && typeof selector === "string") {
+                selectorTime = ruleTime.selectors[selector] || (ruleTime.selectors[selector] = { total: 0, count: 0 });
+            }
+
+            /**
+             * Calls the function of the rule and adds the time it took.
+             * @param {...any} args The arguments of the call.
+             * @returns {any} The return value of the function.
+             */
+            function timed(...args) {
+                return measure(ruleTime, () => traced(...args));
+            }
+
+            /**
+             * Calls the listener of the rule and adds the time it took to
+             * both the rule and the selector.
+             * @param {...any} args The arguments of the call.
+             * @returns {any} The return value of the listener.
+             */
+            function timedListener(...args) {
+                const start = timing.startTime();
+
+                try {
+                    return traced(...args);
+                } finally {
+                    const duration = timing.endTime(start);
+
+                    ruleTime.total += duration;
+                    selectorTime.total += duration;
+                    selectorTime.count++;
+                }
+            }
+
+            let wrapped = traced;
+
+            if (selectorTime) {
+                wrapped = timedListener;
+            } else if (ruleTime) {
+                wrapped = timed;
+            }
+
+            return ruleTimer ? ruleTimer.time(ruleId, wrapped, selector) : wrapped;
+        }
+    };
+}
+
 /**
  * Analyze scope of the given AST.
  * @param {ASTNode} ast The `Program` node to analyze.
@@ -815,11 +976,13 @@ function analyzeScope(ast, languageOptions, visitorKeys) {
  * @param {string} text The text to parse.
  * @param {LanguageOptions} languageOptions Options to pass to the parser
  * @param {string} filePath The path to the file being parsed.
+ * @param {TimePass|null} times The times to add the parse and scope analysis times to, if any.
+ * @param {Tracer|null} tracer The tracer to record parsing and scope analysis with, if any.
  * @returns {{success: false, error: LintMessage}|{success: true, sourceCode: SourceCode}}
  * An object containing the AST and parser services if parsing was successful, or the error if parsing failed
  * @private
  */
-function parse(text, languageOptions, filePath) {
+function parse(text, languageOptions, filePath, times, tracer) {
     const textToParse = stripUnicodeBOM(text).replace(astUtils.shebangPattern, (match, captured) => `//${captured}`);
     const { ecmaVersion, sourceType, parser } = languageOptions;
     const parserOptions = Object.assign(
@@ -845,9 +1008,9 @@ function parse(text, languageOptions, filePath) {
      */
     try {
         debug("Parsing:", filePath);
-        const parseResult = (typeof parser.parseForESLint === "function")
+        const parseResult = measure(times && times.parse, () => trace(tracer, "Parse", () => ((typeof parser.parseForESLint === "function")
             ? parser.parseForESLint(textToParse, parserOptions)
-            : { ast: parser.parse(textToParse, parserOptions) };
+            : { ast: parser.parse(textToParse, parserOptions) })));
 
         debug("Parsing successful:", filePath);
         const ast = parseResult.ast;
@@ -855,7 +1018,8 @@ function parse(text, languageOptions, filePath) {
         const visitorKeys = parseResult.visitorKeys || evk.KEYS;
 
         debug("Scope analysis:", filePath);
-        const scopeManager = parseResult.scopeManager || analyzeScope(ast, languageOptions, visitorKeys);
+        const scopeManager = parseResult.scopeManager ||
+            measure(times && times.scope, () => trace(tracer, "Analyze scope", () => analyzeScope(ast, languageOptions, visitorKeys)));
 
         debug("Scope analysis successful:", filePath);
 
@@ -963,9 +1127,24 @@ const BASE_TRAVERSAL_CONTEXT = Object.freeze(
  * @param {boolean} disableFixes If true, it doesn't make `fix` properties.
  * @param {string | undefined} cwd cwd of the cli
  * @param {string} physicalFilename The full path of the file on disk without any code block information
+ * @param {RuleTimer|null} ruleTimer The timer to measure each rule with, if any.
+ * @param {Record<string, SelectorTime>|null} selectorTimes The times of matching each selector to add to, if any.
  * @returns {LintMessage[]} An array of reported problems
  */
-function runRules(sourceCode, configuredRules, ruleMapper, parserName, languageOptions, settings, filename, disableFixes, cwd, physicalFilename) {
+function runRules(
+    sourceCode,
+    configuredRules,
+    ruleMapper,
+    parserName,
+    languageOptions,
+    settings,
+    filename,
+    disableFixes,
+    cwd,
+    physicalFilename,
+    ruleTimer,
+    selectorTimes
+) {
     const emitter = createEmitter();
     const nodeQueue = [];
     let currentNode = sourceCode.ast;
@@ -1078,7 +1257,19 @@ function runRules(sourceCode, configuredRules, ruleMapper, parserName, languageO
             )
         );
 
-        const ruleListeners = timing.enabled ? timing.time(ruleId, createRuleListeners)(rule, ruleContext) : createRuleListeners(rule, ruleContext);
+        /**
+         * Wraps a function of the rule with the enabled timers.
+         * @param {Function} fn The function to wrap.
+         * @param {string} [selector] The selector that the function listens to, if it's a listener.
+         * @returns {Function} The function that is timed, or `fn` if no timer is enabled.
+         */
+        function time(fn, selector) {
+            const timed = timing.enabled ? timing.time(ruleId, fn) : fn;
+
+            return ruleTimer ? ruleTimer.time(ruleId, timed, selector) : timed;
+        }
+
+        const ruleListeners = time(createRuleListeners)(rule, ruleContext);
 
         /**
          * Include `ruleId` in error logs
@@ -1102,9 +1293,7 @@ function runRules(sourceCode, configuredRules, ruleMapper, parserName, languageO
 
         // add all the selectors from the rule as listeners
         Object.keys(ruleListeners).forEach(selector => {
-            const ruleListener = timing.enabled
-                ? timing.time(ruleId, ruleListeners[selector])
-                : ruleListeners[selector];
+            const ruleListener = time(ruleListeners[selector], selector);
 
             emitter.on(
                 selector,
@@ -1113,10 +1302,16 @@ function runRules(sourceCode, configuredRules, ruleMapper, parserName, languageO
         });
     });
 
+    const nodeEventGenerator = new NodeEventGenerator(
+        emitter,
+        { visitorKeys: sourceCode.visitorKeys, fallback: Traverser.getKeys },
+        selectorTimes
+    );
+
     // only run code path analyzer if the top level node is "Program", skip otherwise
     const eventGenerator = nodeQueue[0].node.type === "Program"
-        ? new CodePathAnalyzer(new NodeEventGenerator(emitter, { visitorKeys: sourceCode.visitorKeys, fallback: Traverser.getKeys }))
-        : new NodeEventGenerator(emitter, { visitorKeys: sourceCode.visitorKeys, fallback: Traverser.getKeys });
+        ? new CodePathAnalyzer(nodeEventGenerator)
+        : nodeEventGenerator;
 
     nodeQueue.forEach(traversalInfo => {
         currentNode = traversalInfo.node;
@@ -1242,7 +1437,13 @@ class Linter {
             lastSuppressedMessages: [],
             configType, // TODO: Remove after flat config conversion
             parserMap: new Map([["espree", espree]]),
-            ruleMap: new Rules()
+            ruleMap: new Rules(),
+            ruleTimer: null,
+            times: null,
+            fixPasses: 0,
+            fixing: false,
+            currentTimes: null,
+            tracer: null
         });
 
         this.version = pkg.version;
@@ -1326,7 +1527,9 @@ class Linter {
             const parseResult = parse(
                 text,
                 languageOptions,
-                options.filename
+                options.filename,
+                slots.currentTimes,
+                slots.tracer
             );
 
             if (!parseResult.success) {
@@ -1346,7 +1549,10 @@ class Linter {
                     ast: slots.lastSourceCode.ast,
                     parserServices: slots.lastSourceCode.parserServices,
                     visitorKeys: slots.lastSourceCode.visitorKeys,
-                    scopeManager: analyzeScope(slots.lastSourceCode.ast, languageOptions)
+                    scopeManager: measure(
+                        slots.currentTimes && slots.currentTimes.scope,
+                        () => trace(slots.tracer, "Analyze scope", () => analyzeScope(slots.lastSourceCode.ast, languageOptions))
+                    )
                 });
             }
         }
@@ -1367,7 +1573,7 @@ class Linter {
         let lintingProblems;
 
         try {
-            lintingProblems = runRules(
+            lintingProblems = trace(slots.tracer, "Run rules", () => runRules(
                 sourceCode,
                 configuredRules,
                 ruleId => getRule(slots, ruleId),
@@ -1377,8 +1583,10 @@ class Linter {
                 options.filename,
                 options.disableFixes,
                 slots.cwd,
-                providedOptions.physicalFilename
-            );
+                providedOptions.physicalFilename,
+                getRuleTimer(slots),
+                slots.currentTimes && slots.currentTimes.selectors
+            ));
         } catch (err) {
             err.message += `\nOccurred while linting ${options.filename}`;
             debug("An error occurred while traversing");
@@ -1422,12 +1630,46 @@ class Linter {
     verify(textOrSourceCode, config, filenameOrOptions) {
         debug("Verify");
 
-        const { configType } = internalSlotsMap.get(this);
+        const slots = internalSlotsMap.get(this);
 
         const options = typeof filenameOrOptions === "string"
             ? { filename: filenameOrOptions }
             : filenameOrOptions || {};
 
+        if (!slots.fixing) {
+            slots.times = options.stats ? { passes: [] } : null;
+            slots.fixPasses = 0;
+        }
+
+        if (!options.stats) {
+            return trace(slots.tracer, "Verify", () => this._verify(textOrSourceCode, config, options), { filePath: options.filename });
+        }
+
+        const times = createTimePass(options.selectorStats);
+        const start = timing.startTime();
+
+        slots.times.passes.push(times);
+        slots.currentTimes = times;
+
+        try {
+            return trace(slots.tracer, "Verify", () => this._verify(textOrSourceCode, config, options), { filePath: options.filename });
+        } finally {
+            times.total += timing.endTime(start);
+            slots.currentTimes = null;
+        }
+    }
+
+    /**
+     * Verifies the text against the rules specified by the second argument,
+     * after `verify()` normalized the options.
+     * @param {string|SourceCode} textOrSourceCode The text to parse or a SourceCode object.
+     * @param {ConfigData|ConfigArray} config An ESLintConfig instance to configure everything.
+     * @param {VerifyOptions&ProcessorOptions} options The options.
+     * @returns {LintMessage[]} The results as an array of messages or an empty array if no messages.
+     */
+    _verify(textOrSourceCode, config, options) {
+        const { configType } = internalSlotsMap.get(this);
+
         if (config) {
             if (configType === "flat") {
 
@@ -1608,7 +1850,9 @@ class Linter {
             const parseResult = parse(
                 text,
                 languageOptions,
-                options.filename
+                options.filename,
+                slots.currentTimes,
+                slots.tracer
             );
 
             if (!parseResult.success) {
@@ -1628,7 +1872,10 @@ class Linter {
                     ast: slots.lastSourceCode.ast,
                     parserServices: slots.lastSourceCode.parserServices,
                     visitorKeys: slots.lastSourceCode.visitorKeys,
-                    scopeManager: analyzeScope(slots.lastSourceCode.ast, languageOptions)
+                    scopeManager: measure(
+                        slots.currentTimes && slots.currentTimes.scope,
+                        () => trace(slots.tracer, "Analyze scope", () => analyzeScope(slots.lastSourceCode.ast, languageOptions))
+                    )
                 });
             }
         }
@@ -1742,7 +1989,7 @@ class Linter {
         sourceCode.finalize();
 
         try {
-            lintingProblems = runRules(
+            lintingProblems = trace(slots.tracer, "Run rules", () => runRules(
                 sourceCode,
                 configuredRules,
                 ruleId => getRuleFromConfig(ruleId, config),
@@ -1752,8 +1999,10 @@ class Linter {
                 options.filename,
                 options.disableFixes,
                 slots.cwd,
-                providedOptions.physicalFilename
-            );
+                providedOptions.physicalFilename,
+                getRuleTimer(slots),
+                slots.currentTimes && slots.currentTimes.selectors
+            ));
         } catch (err) {
             err.message += `\nOccurred while linting ${options.filename}`;
             debug("An error occurred while traversing");
@@ -1998,6 +2247,24 @@ class Linter {
         return internalSlotsMap.get(this).lastSuppressedMessages;
     }
 
+    /**
+     * Gets the times of the last `verify()` or `verifyAndFix()` call, which
+     * are only recorded if it was made with the `stats` option.
+     * @returns {{passes: TimePass[]}|null} The times of each pass in milliseconds,
+     *      or `null` if they weren't recorded.
+     */
+    getTimes() {
+        return internalSlotsMap.get(this).times;
+    }
+
+    /**
+     * Gets the number of passes of the last `verifyAndFix()` call that applied fixes.
+     * @returns {number} The number of passes.
+     */
+    getFixPassCount() {
+        return internalSlotsMap.get(this).fixPasses;
+    }
+
     /**
      * Defines a new linting rule.
      * @param {string} ruleId A unique rule identifier
@@ -2059,6 +2326,29 @@ class Linter {
      *      SourceCodeFixer.
      */
     verifyAndFix(text, config, options) {
+        const slots = internalSlotsMap.get(this);
+        const stats = Boolean(options && options.stats);
+
+        slots.times = stats ? { passes: [] } : null;
+        slots.fixPasses = 0;
+        slots.fixing = true;
+
+        try {
+            return this._verifyAndFix(text, config, options);
+        } finally {
+            slots.fixing = false;
+        }
+    }
+
+    /**
+     * Performs the passes of `verifyAndFix()`.
+     * @param {string} text The source text to apply fixes to.
+     * @param {ConfigData|ConfigArray|FlatConfigArray} config The ESLint config object to use.
+     * @param {VerifyOptions&ProcessorOptions&FixOptions} options The ESLint options object to use.
+     * @returns {{fixed:boolean,messages:LintMessage[],output:string}} The result of the fix operation.
+     */
+    _verifyAndFix(text, config, options) {
+        const slots = internalSlotsMap.get(this);
         let messages = [],
             fixedResult,
             fixed = false,
@@ -2083,7 +2373,25 @@ class Linter {
             messages = this.verify(currentText, config, options);
 
             debug(`Generating fixed text for ${debugTextDescription} (pass ${passNumber})`);
-            fixedResult = SourceCodeFixer.applyFixes(currentText, messages, shouldFix);
+            const traceStart = slots.tracer && slots.tracer.now();
+
+            if (slots.times) {
+                const times = slots.times.passes[slots.times.passes.length - 1];
+                const start = timing.startTime();
+
+                fixedResult = SourceCodeFixer.applyFixes(currentText, messages, shouldFix);
+
+                const fixTime = timing.endTime(start);
+
+                times.fix.total += fixTime;
+                times.total += fixTime;
+            } else {
+                fixedResult = SourceCodeFixer.applyFixes(currentText, messages, shouldFix);
+            }
+
+            if (slots.tracer) {
+                slots.tracer.addEvent("Apply fixes", "lint", traceStart, { filePath: options && options.filename, pass: passNumber });
+            }
 
             /*
              * stop if there are any syntax errors.
@@ -2096,6 +2404,10 @@ class Linter {
             // keep track if any fixes were ever applied - important for return value
             fixed = fixed || fixedResult.fixed;
 
+            if (fixedResult.fixed) {
+                slots.fixPasses++;
+            }
+
             // update to use the fixed output instead of the original text
             currentText = fixedResult.output;
 
@@ -2130,5 +2442,29 @@ module.exports = {
      */
     getLinterInternalSlots(instance) {
         return internalSlotsMap.get(instance);
+    },
+
+    // for lint workers
+
+    /**
+     * Sets the timer that measures the time each rule takes.
+     * @param {Linter} instance The Linter instance to set the timer of.
+     * @param {RuleTimer|null} ruleTimer The timer, or `null` to stop timing rules.
+     * @returns {void}
+     */
+    setRuleTimer(instance, ruleTimer) {
+        internalSlotsMap.get(instance).ruleTimer = ruleTimer;
+    },
+
+    // for the engines
+
+    /**
+     * Sets the tracer that records what linting spends its time on.
+     * @param {Linter} instance The Linter instance to set the tracer of.
+     * @param {Tracer|null} tracer The tracer, or `null` to stop tracing.
+     * @returns {void}
+     */
+    setTracer(instance, tracer) {
+        internalSlotsMap.get(instance).tracer = tracer;
     }
 };
@@ -10,11 +10,14 @@
 //------------------------------------------------------------------------------
 
 const esquery = require("esquery");
+const timing = require("./timing");
 
 //------------------------------------------------------------------------------
 // Typedefs
 //------------------------------------------------------------------------------
 
+/** @typedef {import("../shared/types").SelectorTime} SelectorTime */
+
 /**
  * An object describing an AST selector
  * @typedef {Object} ASTSelector
@@ -250,11 +253,14 @@ class NodeEventGenerator {
      * have registered listeners for all of the events that it needs to listen for.
      * (See lib/linter/safe-emitter.js for more details on `SafeEmitter`.)
      * @param {ESQueryOptions} esqueryOptions `esquery` options for traversing custom nodes.
+     * @param {Record<string, SelectorTime>|null} [selectorTimes] If given, the time spent matching each
+     * selector and the number of nodes it matched are added to this object, by raw selector.
      * @returns {NodeEventGenerator} new instance
      */
-    constructor(emitter, esqueryOptions) {
+    constructor(emitter, esqueryOptions, selectorTimes = null) {
         this.emitter = emitter;
         this.esqueryOptions = esqueryOptions;
+        this.selectorTimes = selectorTimes;
         this.currentAncestry = [];
         this.enterSelectorsByNodeType = new Map();
         this.exitSelectorsByNodeType = new Map();
@@ -293,11 +299,37 @@ class NodeEventGenerator {
      * @returns {void}
      */
     applySelector(node, selector) {
+        if (this.selectorTimes) {
+            this.applySelectorAndMeasure(node, selector);
+            return;
+        }
+
         if (esquery.matches(node, selector.parsedSelector, this.currentAncestry, this.esqueryOptions)) {
             this.emitter.emit(selector.rawSelector, node);
         }
     }
 
+    /**
+     * Checks a selector against a node like `applySelector()`, and adds the time
+     * that matching took and whether the node matched to `selectorTimes`
+     * @param {ASTNode} node The node to check
+     * @param {ASTSelector} selector An AST selector descriptor
+     * @returns {void}
+     */
+    applySelectorAndMeasure(node, selector) {
+        const { rawSelector } = selector;
+        const selectorTime = this.selectorTimes[rawSelector] || (this.selectorTimes[rawSelector] = { total: 0, count: 0 });
+        const start = timing.startTime();
+        const matches = esquery.matches(node, selector.parsedSelector, this.currentAncestry, this.esqueryOptions);
+
+        selectorTime.total += timing.endTime(start);
+
+        if (matches) {
+            selectorTime.count++;
+            this.emitter.emit(rawSelector, node);
+        }
+    }
+
     /**
      * Applies all appropriate selectors to a node, in specificity order
      * @param {ASTNode} node The node to check
@@ -146,6 +146,25 @@ module.exports = (function() {
         };
     }
 
+    /**
+     * Starts measuring a duration.
+     * @returns {[number, number]} The start time, to pass to `endTime()`.
+     */
+    function startTime() {
+        return process.hrtime();
+    }
+
+    /**
+     * Ends measuring a duration.
+     * @param {[number, number]} start The start time that `startTime()` returned.
+     * @returns {number} The duration in milliseconds.
+     */
+    function endTime(start) {
+        const t = process.hrtime(start);
+
+        return t[0] * 1e3 + t[1] / 1e6;
+    }
+
     if (enabled) {
         process.on("exit", () => {
             display(data);
@@ -154,6 +173,8 @@ module.exports = (function() {
 
     return {
         time,
+        startTime,
+        endTime,
         enabled,
         getListSize
     };
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview The base protocol of the Language Server Protocol: JSON-RPC
+ * messages with a `Content-Length` header.
+ * @see https://microsoft.github.io/language-server-protocol/specifications/lsp/3.17/specification/#baseProtocol
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const HEADER_DELIMITER = "\r\n\r\n";
+const CONTENT_LENGTH_PATTERN = /^Content-Length: *(\d+)$/imu;
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * The error codes of JSON-RPC and LSP that the server uses.
+ */
+const ErrorCodes = {
+    ParseError: -32700,
+    InvalidRequest: -32600,
+    MethodNotFound: -32601,
+    InvalidParams: -32602,
+    InternalError: -32603,
+    ServerNotInitialized: -32002
+};
+
+/**
+ * Calls a function with each message that arrives on a stream.
+ * @param {import("stream").Readable} stream The stream to read.
+ * @param {(message: any) => void} onMessage The function to call with the
+ *      parsed message.
+ * @param {(error: Error) => void} onError The function to call if a message
+ *      isn't valid JSON.
+ * @returns {void}
+ */
+function readMessages(stream, onMessage, onError) {
+    let buffer = Buffer.alloc(0);
+
+    stream.on("data", chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        for (;;) {
+            const headerEnd = buffer.indexOf(HEADER_DELIMITER);
+
+            if (headerEnd === -1) {
+                return;
+            }
+
+            const match = CONTENT_LENGTH_PATTERN.exec(buffer.toString("ascii", 0, headerEnd));
+            const contentStart = headerEnd + HEADER_DELIMITER.length;
+
+            if (!match) {
+                buffer = buffer.subarray(contentStart);
+                onError(new Error("A message is missing the Content-Length header."));
+                continue;
+            }
+
+            const contentEnd = contentStart + Number(match[1]);
+
+            if (buffer.length < contentEnd) {
+                return;
+            }
+
+            const content = buffer.toString("utf8", contentStart, contentEnd);
+
+            buffer = buffer.subarray(contentEnd);
+
+            let message;
+
+            try {
+                message = JSON.parse(content);
+            } catch (error) {
+                onError(error);
+                continue;
+            }
+
+            onMessage(message);
+        }
+    });
+}
+
+/**
+ * Writes a JSON-RPC message with its header to a stream.
+ * @param {import("stream").Writable} stream The stream to write to.
+ * @param {Object} message The message without the `jsonrpc` property.
+ * @returns {void}
+ */
+function writeMessage(stream, message) {
+    const content = Buffer.from(JSON.stringify({ jsonrpc: "2.0", ...message }), "utf8");
+
+    stream.write(`Content-Length: ${content.length}${HEADER_DELIMITER}`);
+    stream.write(content);
+}
+
+module.exports = {
+    ErrorCodes,
+    readMessages,
+    writeMessage
+};
@@ -0,0 +1,640 @@
+/**
+ * @fileoverview A language server that lints the documents open in an editor
+ * and offers fixes and suggestions as code actions.
+ * @see https://microsoft.github.io/language-server-protocol/specifications/lsp/3.17/specification/
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const { fileURLToPath } = require("url");
+
+const { ESLint } = require("../eslint/eslint");
+const { shouldUseFlatConfig } = require("../eslint/flat-eslint");
+const { FlatESLintInstances } = require("../eslint/flat-eslint-instances");
+const { ErrorCodes, readMessages, writeMessage } = require("./protocol");
+const { version } = require("../../package.json");
+
+const debug = require("debug")("eslint:lsp");
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("../shared/types").LintMessage} LintMessage */
+/** @typedef {import("../shared/types").EditInfo} EditInfo */
+/** @typedef {import("../eslint/flat-eslint").FlatESLint} FlatESLint */
+
+/**
+ * @typedef {Object} Position
+ * @property {number} line The zero-based line.
+ * @property {number} character The zero-based UTF-16 offset in the line.
+ */
+
+/**
+ * @typedef {Object} Range
+ * @property {Position} start The start of the range.
+ * @property {Position} end The end of the range, exclusive.
+ */
+
+/**
+ * A document that is open in the editor.
+ * @typedef {Object} TextDocument
+ * @property {string} uri The URI of the document.
+ * @property {number} version The version of the document, increased by the
+ *      editor on every change.
+ * @property {string} text The content of the document.
+ * @property {LintMessage[]} messages The messages of the last lint.
+ * @property {Object} rulesMeta The meta objects of the rules in the messages.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const QUICK_FIX = "quickfix";
+const FIX_ALL = "source.fixAll.eslint";
+
+// The values of the `DiagnosticSeverity` and `MessageType` enums of LSP.
+const DIAGNOSTIC_SEVERITY_ERROR = 1;
+const DIAGNOSTIC_SEVERITY_WARNING = 2;
+const MESSAGE_TYPE_ERROR = 1;
+
+// `TextDocumentSyncKind.Full`: the editor sends the whole document on each change.
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+
+/**
+ * An error to answer a request with.
+ */
+class ResponseError extends Error {
+
+    /**
+     * @param {number} code The error code of the response.
+     * @param {string} message The error message.
+     */
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * Converts a line and column of a lint message to a position.
+ * @param {number} line The one-based line.
+ * @param {number} column The one-based column.
+ * @returns {Position} The position.
+ */
+function toPosition(line, column) {
+    return {
+        line: Math.max(line - 1, 0),
+        character: Math.max(column - 1, 0)
+    };
+}
+
+/**
+ * Gets the range of the code that a lint message is about.
+ * @param {LintMessage} message The lint message.
+ * @returns {Range} The range.
+ */
+function getMessageRange(message) {
+    const start = toPosition(message.line || 1, message.column || 1);
+    const end = typeof message.endLine === "number"
+        ? toPosition(message.endLine, message.endColumn)
+        : start;
+
+    return { start, end };
+}
+
+/**
+ * Compares two positions.
+ * @param {Position} a The first position.
+ * @param {Position} b The second position.
+ * @returns {number} A negative number if `a` is before `b`, a positive number
+ *      if it is after `b`, and `0` if they are the same.
+ */
+function comparePositions(a, b) {
+    return a.line - b.line || a.character - b.character;
+}
+
+/**
+ * Checks if two ranges overlap or touch.
+ * @param {Range} a The first range.
+ * @param {Range} b The second range.
+ * @returns {boolean} `true` if the ranges overlap.
+ */
+function rangesOverlap(a, b) {
+    return comparePositions(a.start, b.end) <= 0 && comparePositions(b.start, a.end) <= 0;
+}
+
+/**
+ * Converts an offset in a text to a position. Lines are split the way LSP
+ * does, at `\r\n`, `\n`, and `\r`.
+ * @param {string} text The text.
+ * @param {number} offset The offset.
+ * @returns {Position} The position of the offset.
+ */
+function offsetToPosition(text, offset) {
+    const lineBreakPattern = /\r\n|[\r\n]/gu;
+    let line = 0;
+    let lineStart = 0;
+    let match;
+
+    while ((match = lineBreakPattern.exec(text)) && match.index < offset) {
+        line++;
+        lineStart = match.index + match[0].length;
+    }
+
+    return { line, character: offset - lineStart };
+}
+
+/**
+ * Creates a diagnostic for a lint message, with a link to the documentation
+ * of the rule if it has one.
+ * @param {LintMessage} message The lint message.
+ * @param {Object} rulesMeta The meta objects of the rules.
+ * @returns {Object} The diagnostic.
+ */
+function createDiagnostic(message, rulesMeta) {
+    const diagnostic = {
+        range: getMessageRange(message),
+        severity: message.severity === 2 ? DIAGNOSTIC_SEVERITY_ERROR : DIAGNOSTIC_SEVERITY_WARNING,
+        source: "eslint",
+        message: message.message
+    };
+
+    if (message.ruleId) {
+        const meta = rulesMeta[message.ruleId];
+
+        diagnostic.code = message.ruleId;
+
+        if (meta && meta.docs && meta.docs.url) {
+            diagnostic.codeDescription = { href: meta.docs.url };
+        }
+    }
+
+    return diagnostic;
+}
+
+/**
+ * Creates a code action that applies a fix to a document.
+ * @param {string} title The title of the code action.
+ * @param {TextDocument} document The document.
+ * @param {EditInfo} fix The fix.
+ * @param {Object} diagnostic The diagnostic that the code action fixes.
+ * @returns {Object} The code action.
+ */
+function createQuickFix(title, document, fix, diagnostic) {
+    return {
+        title,
+        kind: QUICK_FIX,
+        diagnostics: [diagnostic],
+        edit: {
+            changes: {
+                [document.uri]: [{
+                    range: {
+                        start: offsetToPosition(document.text, fix.range[0]),
+                        end: offsetToPosition(document.text, fix.range[1])
+                    },
+                    newText: fix.text
+                }]
+            }
+        }
+    };
+}
+
+/**
+ * Checks if the editor asked for code actions of a kind.
+ * @param {string} kind The kind of the code action.
+ * @param {string[]} [only] The kinds that the editor asked for, if any.
+ * @returns {boolean} `true` if code actions of the kind should be returned.
+ */
+function isKindRequested(kind, only) {
+    return !only || only.some(requestedKind => kind === requestedKind || kind.startsWith(`${requestedKind}.`));
+}
+
+/**
+ * Gets the path of the file of a document.
+ * @param {string} uri The URI of the document.
+ * @returns {string|undefined} The path, or `undefined` if the document isn't a file.
+ */
+function getFilePath(uri) {
+    return uri.startsWith("file:") ? fileURLToPath(uri) : void 0;
+}
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * The language server. All documents are linted with the config of the
+ * workspace, which is loaded again when the config file changes. Like the
+ * CLI, the server uses flat config if the workspace has a flat config file or
+ * `ESLINT_USE_FLAT_CONFIG` is `true`, and eslintrc otherwise.
+ */
+class LanguageServer {
+
+    /**
+     * @param {Object} options The options.
+     * @param {import("stream").Readable} options.input The stream that the editor writes to.
+     * @param {import("stream").Writable} options.output The stream that the editor reads.
+     */
+    constructor({ input, output }) {
+        this.input = input;
+        this.output = output;
+        this.cwd = process.cwd();
+        this.instances = new FlatESLintInstances();
+        this.initialized = false;
+        this.shutdownRequested = false;
+        this.lastErrorMessage = null;
+        this.resolveExitCode = null;
+
+        /** @type {Map<string, TextDocument>} */
+        this.documents = new Map();
+
+        /**
+         * The last lint of each document by its URI, which is never rejected.
+         * @type {Map<string, Promise<void>>}
+         */
+        this.lints = new Map();
+    }
+
+    /**
+     * Answers the messages of the editor until it asks the server to exit.
+     * @returns {Promise<number>} The exit code: `0` if the editor asked the
+     *      server to shut down before, `1` otherwise.
+     */
+    listen() {
+        return new Promise(resolve => {
+            this.resolveExitCode = resolve;
+
+            readMessages(
+                this.input,
+                message => this.handleMessage(message),
+                error => this.send({ id: null, error: { code: ErrorCodes.ParseError, message: error.message } })
+            );
+            this.input.once("end", () => this.exit());
+        });
+    }
+
+    /**
+     * Stops reading messages and sets the exit code.
+     * @returns {void}
+     */
+    exit() {
+        debug("Exiting");
+        this.input.destroy();
+        this.resolveExitCode(this.shutdownRequested ? 0 : 1);
+    }
+
+    /**
+     * Writes a message to the editor.
+     * @param {Object} message The message.
+     * @returns {void}
+     */
+    send(message) {
+        writeMessage(this.output, message);
+    }
+
+    /**
+     * Handles a request or notification of the editor.
+     * @param {Object} message The message.
+     * @returns {Promise<void>} A promise that is resolved when the message has been handled.
+     */
+    async handleMessage(message) {
+        const { id, method, params = {} } = message;
+
+        // The server doesn't send requests, so it doesn't expect any responses.
+        if (typeof method !== "string") {
+            return;
+        }
+
+        debug(`Received ${method}`);
+
+        if (typeof id === "undefined") {
+            try {
+                await this.handleNotification(method, params);
+            } catch (error) {
+                this.showError(error);
+            }
+            return;
+        }
+
+        try {
+            this.send({ id, result: await this.handleRequest(method, params) });
+        } catch (error) {
+            this.send({
+                id,
+                error: {
+                    code: error instanceof ResponseError ? error.code : ErrorCodes.InternalError,
+                    message: error.message
+                }
+            });
+        }
+    }
+
+    /**
+     * Answers a request.
+     * @param {string} method The method of the request.
+     * @param {Object} params The parameters of the request.
+     * @returns {Promise<any>} The result of the request.
+     * @throws {ResponseError} If the request can't be answered.
+     */
+    async handleRequest(method, params) {
+        if (method === "initialize") {
+            return this.initialize(params);
+        }
+
+        if (!this.initialized) {
+            throw new ResponseError(ErrorCodes.ServerNotInitialized, "The server has not been initialized.");
+        }
+
+        if (this.shutdownRequested) {
+            throw new ResponseError(ErrorCodes.InvalidRequest, "The server is shutting down.");
+        }
+
+        switch (method) {
+            case "shutdown":
+                this.shutdownRequested = true;
+                return null;
+
+            case "textDocument/codeAction":
+                return this.getCodeActions(params);
+
+            default:
+                throw new ResponseError(ErrorCodes.MethodNotFound, `Unknown method '${method}'.`);
+        }
+    }
+
+    /**
+     * Handles a notification.
+     * @param {string} method The method of the notification.
+     * @param {Object} params The parameters of the notification.
+     * @returns {Promise<void>} A promise that is resolved when the notification has been handled.
+     */
+    async handleNotification(method, params) {
+        switch (method) {
+            case "exit":
+                this.exit();
+                break;
+
+            case "textDocument/didOpen": {
+                const { uri, version: documentVersion, text } = params.textDocument;
+
+                await this.lintDocument({ uri, version: documentVersion, text, messages: [], rulesMeta: {} });
+                break;
+            }
+
+            case "textDocument/didChange": {
+                const { uri, version: documentVersion } = params.textDocument;
+                const { text } = params.contentChanges[params.contentChanges.length - 1];
+
+                await this.lintDocument({ uri, version: documentVersion, text, messages: [], rulesMeta: {} });
+                break;
+            }
+
+            case "textDocument/didClose": {
+                const { uri } = params.textDocument;
+
+                this.documents.delete(uri);
+                this.send({ method: "textDocument/publishDiagnostics", params: { uri, diagnostics: [] } });
+                break;
+            }
+
+            // Other notifications, such as `initialized`, don't need to be handled.
+            default:
+        }
+    }
+
+    /**
+     * Answers the `initialize` request with the capabilities of the server.
+     * @param {Object} params The parameters of the request.
+     * @returns {Object} The result of the request.
+     */
+    initialize(params) {
+        const rootUri = params.workspaceFolders && params.workspaceFolders.length
+            ? params.workspaceFolders[0].uri
+            : params.rootUri;
+
+        if (rootUri && rootUri.startsWith("file:")) {
+            this.cwd = fileURLToPath(rootUri);
+        } else if (params.rootPath) {
+            this.cwd = params.rootPath;
+        }
+
+        debug(`Workspace root: ${this.cwd}`);
+        this.initialized = true;
+
+        return {
+            capabilities: {
+                textDocumentSync: {
+                    openClose: true,
+                    change: TEXT_DOCUMENT_SYNC_FULL
+                },
+                codeActionProvider: {
+                    codeActionKinds: [QUICK_FIX, FIX_ALL]
+                }
+            },
+            serverInfo: {
+                name: "eslint",
+                version
+            }
+        };
+    }
+
+    /**
+     * Gets the engine to lint the documents of the workspace with.
+     * @param {{fix?: boolean}} [options] More options for the engine.
+     * @returns {Promise<FlatESLint|ESLint>} The engine.
+     */
+    async getESLint(options) {
+        const engineOptions = Object.assign({ cwd: this.cwd }, options);
+
+        if (await shouldUseFlatConfig(this.cwd)) {
+            return this.instances.get(engineOptions);
+        }
+
+        // An instance caches the eslintrc files it has loaded, so a new one is needed to notice changes to them.
+        return new ESLint(engineOptions);
+    }
+
+    /**
+     * Checks if a document is still the latest version of its URI that the
+     * editor sent.
+     * @param {TextDocument} document The document.
+     * @returns {boolean} `true` if the document hasn't changed or been closed since.
+     */
+    isCurrent(document) {
+        return this.documents.get(document.uri) === document;
+    }
+
+    /**
+     * Lints a document and publishes its diagnostics. The versions of a
+     * document are linted one after the other, and a version that has
+     * changed again before or while it was linted is skipped.
+     * @param {TextDocument} document The document.
+     * @returns {Promise<void>} A promise that is resolved when the document has been linted.
+     */
+    async lintDocument(document) {
+        const { uri } = document;
+        const previousLint = this.lints.get(uri) || Promise.resolve();
+        const lint = previousLint.then(() => this.lintCurrentDocument(document));
+        const settledLint = lint.catch(() => {});
+
+        this.documents.set(uri, document);
+        this.lints.set(uri, settledLint);
+
+        try {
+            await lint;
+        } finally {
+            if (this.lints.get(uri) === settledLint) {
+                this.lints.delete(uri);
+            }
+        }
+    }
+
+    /**
+     * Lints a document and publishes its diagnostics if it's still the latest
+     * version.
+     * @param {TextDocument} document The document.
+     * @returns {Promise<void>} A promise that is resolved when the document has been linted.
+     */
+    async lintCurrentDocument(document) {
+        if (!this.isCurrent(document)) {
+            debug(`Skipping version ${document.version} of ${document.uri}`);
+            return;
+        }
+
+        const eslint = await this.getESLint();
+        const results = await eslint.lintText(document.text, {
+            filePath: getFilePath(document.uri),
+            warnIgnored: false
+        });
+
+        if (!this.isCurrent(document)) {
+            return;
+        }
+
+        this.lastErrorMessage = null;
+        document.messages = results.length ? results[0].messages : [];
+        document.rulesMeta = eslint.getRulesMetaForResults(results);
+
+        this.send({
+            method: "textDocument/publishDiagnostics",
+            params: {
+                uri: document.uri,
+                version: document.version,
+                diagnostics: document.messages.map(message => createDiagnostic(message, document.rulesMeta))
+            }
+        });
+    }
+
+    /**
+     * Gets the code actions for a range of a document: a quick fix for each
+     * fix and suggestion of the messages in the range, and an action that
+     * fixes all problems of the document.
+     * @param {Object} params The parameters of the `textDocument/codeAction` request.
+     * @param {{uri: string}} params.textDocument The document.
+     * @param {Range} params.range The range to get the code actions for.
+     * @param {{only?: string[]}} [params.context] The kinds of code actions to get.
+     * @returns {Promise<Object[]>} The code actions.
+     */
+    async getCodeActions({ textDocument, range, context = {} }) {
+        const document = this.documents.get(textDocument.uri);
+        const codeActions = [];
+
+        if (!document) {
+            return codeActions;
+        }
+
+        if (isKindRequested(QUICK_FIX, context.only)) {
+            for (const message of document.messages) {
+                if (!message.ruleId || !rangesOverlap(getMessageRange(message), range)) {
+                    continue;
+                }
+
+                const diagnostic = createDiagnostic(message, document.rulesMeta);
+
+                if (message.fix) {
+                    codeActions.push(createQuickFix(`Fix this ${message.ruleId} problem`, document, message.fix, diagnostic));
+                }
+
+                for (const suggestion of message.suggestions || []) {
+                    codeActions.push(createQuickFix(suggestion.desc, document, suggestion.fix, diagnostic));
+                }
+            }
+        }
+
+        if (isKindRequested(FIX_ALL, context.only) && document.messages.some(message => message.fix)) {
+            const fixAll = await this.getFixAllAction(document);
+
+            if (fixAll) {
+                codeActions.push(fixAll);
+            }
+        }
+
+        return codeActions;
+    }
+
+    /**
+     * Creates a code action that fixes all problems of a document. The fixes
+     * are applied in several passes with `verifyAndFix()`, just like `--fix`.
+     * @param {TextDocument} document The document.
+     * @returns {Promise<Object|null>} The code action, or `null` if nothing could be fixed.
+     */
+    async getFixAllAction(document) {
+        const eslint = await this.getESLint({ fix: true });
+        const [result] = await eslint.lintText(document.text, {
+            filePath: getFilePath(document.uri),
+            warnIgnored: false
+        });
+
+        if (!result || typeof result.output !== "string") {
+            return null;
+        }
+
+        return {
+            title: "Fix all auto-fixable problems",
+            kind: FIX_ALL,
+            edit: {
+                changes: {
+                    [document.uri]: [{
+                        range: {
+                            start: { line: 0, character: 0 },
+                            end: offsetToPosition(document.text, document.text.length)
+                        },
+                        newText: result.output
+                    }]
+                }
+            }
+        };
+    }
+
+    /**
+     * Shows an error in the editor. The same error isn't shown again until
+     * a different one happens, so a broken config doesn't show an error for
+     * every change.
+     * @param {Error} error The error.
+     * @returns {void}
+     */
+    showError(error) {
+        debug(`Error: ${error.stack}`);
+
+        if (error.message === this.lastErrorMessage) {
+            return;
+        }
+
+        this.lastErrorMessage = error.message;
+        this.send({
+            method: "window/showMessage",
+            params: { type: MESSAGE_TYPE_ERROR, message: `ESLint: ${error.message}` }
+        });
+    }
+}
+
+module.exports = {
+    LanguageServer,
+    offsetToPosition
+};
@@ -18,12 +18,24 @@ const optionator = require("optionator");
 /**
  * The options object parsed by Optionator.
  * @typedef {Object} ParsedCLIOptions
+ * @property {string} [baseline] Report only problems that aren't in the given baseline file
+ * @property {string} [baselineCreate] Create a baseline file of all problems, so that --baseline reports only new problems
+ * @property {boolean} baselinePrune Remove problems that weren't found from the file given with --baseline
  * @property {boolean} cache Only check changed files
+ * @property {boolean} cacheClear Delete the cache and exit
+ * @property {string} [cacheDir] Path to a directory for a cache keyed by file content that can be shared between checkouts
  * @property {string} cacheFile Path to the cache file. Deprecated: use --cache-location
  * @property {string} [cacheLocation] Path to the cache file or directory
- * @property {"metadata" | "content"} cacheStrategy Strategy to use for detecting changed files in the cache
+ * @property {boolean} cachePrune Remove cache entries of files that are deleted, no longer linted, or whose config changed, and exit
+ * @property {string} [cacheRemote] URL of an HTTP server to share the cache in --cache-dir through
+ * @property {boolean} cacheStats Show statistics about the cache and exit
+ * @property {"metadata" | "content" | "git"} cacheStrategy Strategy to use for detecting changed files in the cache
+ * @property {string} [changedSince] Lint only files that changed since the given git ref
  * @property {boolean} [color] Force enabling/disabling of color
+ * @property {number | "auto" | "off"} concurrency Number of linting threads, auto to choose automatically, off for no multithreading
  * @property {string} [config] Use this configuration, overriding .eslintrc.* config options if present
+ * @property {boolean} [daemon] Start a daemon, or with file patterns or piped-in code, lint in the running daemon
+ * @property {string} [diffLinesOnly] Report only problems on lines that changed since the given git ref
  * @property {boolean} debug Output debugging information
  * @property {string[]} [env] Specify environments
  * @property {boolean} envInfo Output execution environment information
@@ -35,27 +47,37 @@ const optionator = require("optionator");
  * @property {("directive" | "problem" | "suggestion" | "layout")[]} [fixType] Specify the types of fixes to apply (directive, problem, suggestion, layout)
  * @property {string} format Use a specific output format
  * @property {string[]} [global] Define global variables
+ * @property {boolean} lsp Start a language server for editors that communicates over stdio
  * @property {boolean} [help] Show help
  * @property {boolean} ignore Disable use of ignore files and patterns
  * @property {string} [ignorePath] Specify path of ignore file
  * @property {string[]} [ignorePattern] Pattern of files to ignore (in addition to those in .eslintignore)
  * @property {boolean} init Run config initialization wizard
  * @property {boolean} inlineConfig Prevent comments from changing config or rules
+ * @property {number} [maxFileTime] Stop linting a file in a worker thread after this many milliseconds
  * @property {number} maxWarnings Number of warnings to trigger nonzero exit code
+ * @property {boolean} mergeReports Merge the JSON reports of --shard runs given as arguments into one report
  * @property {string} [outputFile] Specify file to write report to
  * @property {string} [parser] Specify the parser to be used
  * @property {Object} [parserOptions] Specify parser options
  * @property {string[]} [plugin] Specify plugins
  * @property {string} [printConfig] Print the configuration for the given file
+ * @property {boolean} progress Show the progress of the run on stderr when it is a terminal
  * @property {boolean | undefined} reportUnusedDisableDirectives Adds reported errors for unused eslint-disable and eslint-enable directives
  * @property {string} [resolvePluginsRelativeTo] A folder where plugins should be resolved from, CWD by default
  * @property {Object} [rule] Specify rules
  * @property {string[]} [rulesdir] Load additional rules from this directory. Deprecated: Use rules from plugins
+ * @property {boolean} selectorStats Break the statistics of --stats down by selector, with the number of nodes each selector matched
+ * @property {string} [shard] Lint only the given shard of all files, e.g. 1/3
+ * @property {boolean} staged Lint only files with changes that are staged in git
+ * @property {boolean} stats Add statistics about the times that linting each file took to the lint report
  * @property {boolean} stdin Lint code provided on <STDIN>
+ * @property {string} [trace] Write a Chrome Trace Event file of the run to the given path
  * @property {string} [stdinFilename] Specify filename to process STDIN as
  * @property {boolean} quiet Report errors only
  * @property {boolean} [version] Output the version number
  * @property {boolean} warnIgnored Show warnings when the file list includes ignored files
+ * @property {boolean} watch Lint files again when they or the config change
  * @property {string[]} _ Positional filenames or patterns
  */
 
@@ -331,9 +353,39 @@ module.exports = function(usingFlatConfig) {
                 dependsOn: ["cache"],
                 type: "String",
                 default: "metadata",
-                enum: ["metadata", "content"],
+                enum: ["metadata", "content", "git"],
                 description: "Strategy to use for detecting changed files in the cache"
             },
+            {
+                option: "cache-dir",
+                dependsOn: ["cache"],
+                type: "path::String",
+                description: "Path to a directory for a cache keyed by file content that can be shared between checkouts"
+            },
+            {
+                option: "cache-remote",
+                dependsOn: ["cache-dir"],
+                type: "String",
+                description: "URL of an HTTP server to share the cache in --cache-dir through"
+            },
+            {
+                option: "cache-stats",
+                type: "Boolean",
+                default: "false",
+                description: "Show statistics about the cache and exit"
+            },
+            {
+                option: "cache-prune",
+                type: "Boolean",
+                default: "false",
+                description: "Remove cache entries of files that are deleted, no longer linted, or whose config changed, and exit"
+            },
+            {
+                option: "cache-clear",
+                type: "Boolean",
+                default: "false",
+                description: "Delete the cache and exit"
+            },
             {
                 heading: "Miscellaneous"
             },
@@ -361,6 +413,100 @@ module.exports = function(usingFlatConfig) {
                 default: "false",
                 description: "Exit with exit code 2 in case of fatal error"
             },
+            {
+                option: "concurrency",
+                type: "Int|String",
+                default: "off",
+                description: "Number of linting threads, auto to choose automatically, off for no multithreading"
+            },
+            {
+                option: "max-file-time",
+                type: "Int",
+                description: "Stop linting a file in a worker thread after this many milliseconds"
+            },
+            {
+                option: "stats",
+                type: "Boolean",
+                default: "false",
+                description: "Add statistics about the times that linting each file took to the lint report"
+            },
+            {
+                option: "selector-stats",
+                type: "Boolean",
+                default: "false",
+                description: "Break the statistics of --stats down by selector, with the number of nodes each selector matched"
+            },
+            {
+                option: "trace",
+                type: "path::String",
+                description: "Write a Chrome Trace Event file of the run to the given path"
+            },
+            {
+                option: "shard",
+                type: "String",
+                description: "Lint only the given shard of all files, e.g. 1/3"
+            },
+            {
+                option: "merge-reports",
+                type: "Boolean",
+                default: "false",
+                description: "Merge the JSON reports of --shard runs given as arguments into one report"
+            },
+            {
+                option: "changed-since",
+                type: "String",
+                description: "Lint only files that changed since the given git ref"
+            },
+            {
+                option: "staged",
+                type: "Boolean",
+                default: "false",
+                description: "Lint only files with changes that are staged in git"
+            },
+            {
+                option: "diff-lines-only",
+                type: "String",
+                description: "Report only problems on lines that changed since the given git ref"
+            },
+            {
+                option: "baseline",
+                type: "path::String",
+                description: "Report only problems that aren't in the given baseline file"
+            },
+            {
+                option: "baseline-create",
+                type: "path::String",
+                description: "Create a baseline file of all problems, so that --baseline reports only new problems"
+            },
+            {
+                option: "baseline-prune",
+                type: "Boolean",
+                default: "false",
+                description: "Remove problems that weren't found from the file given with --baseline"
+            },
+            {
+                option: "progress",
+                type: "Boolean",
+                default: "false",
+                description: "Show the progress of the run on stderr when it is a terminal"
+            },
+            {
+                option: "watch",
+                type: "Boolean",
+                default: "false",
+                description: "Lint files again when they or the config change"
+            },
+            {
+                option: "daemon",
+                type: "Boolean",
+                description: "Keep ESLint running in the background, or with files, lint in the running daemon"
+            },
+            {
+                option: "lsp",
+                type: "Boolean",
+                default: "false",
+                description: "Start a language server for editors that communicates over stdio"
+            },
             warnIgnoredFlag,
             {
                 option: "debug",
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Utilities to abort lint runs with an `AbortSignal`.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * The error that lint runs are rejected with when their signal is aborted.
+ * It has the same `name` and `code` as the errors of Node.js APIs.
+ */
+class AbortError extends Error {
+
+    /**
+     * @param {any} [reason] The reason the signal was aborted with, if any.
+     */
+    constructor(reason) {
+        super("The operation was aborted");
+        this.name = "AbortError";
+        this.code = "ABORT_ERR";
+
+        if (reason !== void 0) {
+            this.cause = reason;
+        }
+    }
+}
+
+/**
+ * Checks if a given value looks like an `AbortSignal`. Signals aren't checked
+ * with `instanceof` because older versions of Node.js don't have a global
+ * `AbortSignal`, so signals may come from a polyfill.
+ * @param {any} x The value to check.
+ * @returns {boolean} `true` if `x` is an `AbortSignal`.
+ */
+function isAbortSignal(x) {
+    return (
+        typeof x === "object" &&
+        x !== null &&
+        typeof x.aborted === "boolean" &&
+        typeof x.addEventListener === "function" &&
+        typeof x.removeEventListener === "function"
+    );
+}
+
+/**
+ * Throws an `AbortError` if the given signal has been aborted.
+ * @param {AbortSignal|undefined} signal The signal, if any.
+ * @returns {void}
+ * @throws {AbortError} If the signal has been aborted.
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new AbortError(signal.reason);
+    }
+}
+
+module.exports = {
+    AbortError,
+    isAbortSignal,
+    throwIfAborted
+};
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Baselines of existing problems, so that only new problems
+ * are reported.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+
+const { lineBreakPattern } = require("./ast-utils");
+const { countProblems } = require("./result-stats");
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/** @typedef {import("./types").LintMessage} LintMessage */
+/** @typedef {import("./types").LintResult} LintResult */
+
+/**
+ * The problems in a baseline, as the number of problems by fingerprint, by
+ * rule ID, by the path of the file relative to the baseline file.
+ * @typedef {Record<string, Record<string, Record<string, number>>>} BaselineFiles
+ */
+
+/**
+ * A baseline of existing problems.
+ * @typedef {Object} Baseline
+ * @property {number} version The version of the format.
+ * @property {BaselineFiles} files The problems.
+ */
+
+/**
+ * Problems in a baseline that weren't found.
+ * @typedef {Object} StaleBaselineEntry
+ * @property {string} filePath The path of the file relative to the baseline file.
+ * @property {string} ruleId The rule ID of the problems.
+ * @property {string} fingerprint The fingerprint of the problems.
+ * @property {number} count The number of problems that weren't found.
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const mkdir = promisify(fs.mkdir);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Gets the path of a file relative to the baseline file, which is how files
+ * are identified in a baseline.
+ * @param {string} filePath The absolute path of the file.
+ * @param {string} baselineDirectory The directory of the baseline file.
+ * @returns {string} The relative path with `/` as separator.
+ */
+function getBaselinePath(filePath, baselineDirectory) {
+    return path.relative(baselineDirectory, filePath).split(path.sep).join("/");
+}
+
+/**
+ * Gets the lines of the source code that the messages of a result refer to.
+ * @param {LintResult} result The lint result.
+ * @returns {string[]} The lines.
+ */
+function getSourceLines(result) {
+    let text = typeof result.output === "string" ? result.output : result.source;
+
+    if (typeof text !== "string") {
+        try {
+            text = fs.readFileSync(result.filePath, "utf8");
+        } catch {
+            text = "";
+        }
+    }
+
+    return text.split(lineBreakPattern);
+}
+
+/**
+ * Creates a fingerprint of a problem from its message and the source code of
+ * the line it starts on, without whitespace around it. Line and column numbers
+ * aren't included, so the fingerprint stays the same when code above the
+ * problem changes. Problems often end on the next line, such as a missing
+ * semicolon, so that line isn't included either.
+ * @param {LintMessage} message The message of the problem.
+ * @param {string[]} lines The lines of the source code.
+ * @returns {string} The fingerprint.
+ */
+function getFingerprint(message, lines) {
+    const source = message.line > 0 && message.line <= lines.length
+        ? lines[message.line - 1].trim()
+        : "";
+
+    return crypto.createHash("md5")
+        .update(`${message.message}\n${source}`)
+        .digest("hex")
+        .slice(0, 16);
+}
+
+/**
+ * Creates a copy of an object with its keys sorted, recursively, so that a
+ * baseline file doesn't change when files are linted in a different order.
+ * @param {Object} object The object.
+ * @returns {Object} The sorted copy.
+ */
+function sortKeys(object) {
+    const sorted = {};
+
+    for (const key of Object.keys(object).sort()) {
+        const value = object[key];
+
+        sorted[key] = typeof value === "object" ? sortKeys(value) : value;
+    }
+
+    return sorted;
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a baseline of the problems in lint results. Problems without a
+ * rule, such as parsing errors, aren't included.
+ * @param {LintResult[]} results The lint results.
+ * @param {string} baselineDirectory The directory of the baseline file.
+ * @returns {Baseline} The baseline.
+ */
+function createBaseline(results, baselineDirectory) {
+
+    /** @type {BaselineFiles} */
+    const files = {};
+
+    for (const result of results) {
+        const messages = result.messages.filter(message => message.ruleId);
+
+        if (messages.length === 0) {
+            continue;
+        }
+
+        const lines = getSourceLines(result);
+        const rules = files[getBaselinePath(result.filePath, baselineDirectory)] = {};
+
+        for (const message of messages) {
+            const fingerprint = getFingerprint(message, lines);
+
+            if (!Object.prototype.hasOwnProperty.call(rules, message.ruleId)) {
+                rules[message.ruleId] = {};
+            }
+
+            const fingerprints = rules[message.ruleId];
+
+            fingerprints[fingerprint] = (fingerprints[fingerprint] || 0) + 1;
+        }
+    }
+
+    return { version: BASELINE_VERSION, files: sortKeys(files) };
+}
+
+/**
+ * Moves the problems that are in a baseline to the suppressed messages of
+ * the lint results, and counts the remaining problems again. Problems in the
+ * baseline that weren't found are returned as stale entries. Problems of
+ * files that weren't linted are only stale if the file was deleted.
+ * @param {LintResult[]} results The lint results.
+ * @param {Baseline} baseline The baseline.
+ * @param {string} baselineDirectory The directory of the baseline file.
+ * @returns {{results: LintResult[], staleEntries: StaleBaselineEntry[]}}
+ *      The filtered results and the stale entries.
+ */
+function applyBaseline(results, baseline, baselineDirectory) {
+    const staleEntries = [];
+    const lintedPaths = new Set();
+    const filteredResults = results.map(result => {
+        const baselinePath = getBaselinePath(result.filePath, baselineDirectory);
+        const rules = Object.prototype.hasOwnProperty.call(baseline.files, baselinePath)
+            ? baseline.files[baselinePath]
+            : null;
+
+        lintedPaths.add(baselinePath);
+
+        if (!rules) {
+            return result;
+        }
+
+        const remaining = new Map(Object.entries(rules).map(([ruleId, fingerprints]) => [ruleId, { ...fingerprints }]));
+        const lines = getSourceLines(result);
+        const messages = [];
+        const suppressedMessages = [...(result.suppressedMessages || [])];
+
+        for (const message of result.messages) {
+            const fingerprints = message.ruleId && remaining.get(message.ruleId);
+            const fingerprint = fingerprints && getFingerprint(message, lines);
+
+            if (fingerprints && fingerprints[fingerprint] > 0) {
+                fingerprints[fingerprint]--;
+                suppressedMessages.push({ ...message, suppressions: [{ kind: "baseline", justification: "" }] });
+            } else {
+                messages.push(message);
+            }
+        }
+
+        for (const [ruleId, fingerprints] of remaining) {
+            for (const [fingerprint, count] of Object.entries(fingerprints)) {
+                if (count > 0) {
+                    staleEntries.push({ filePath: baselinePath, ruleId, fingerprint, count });
+                }
+            }
+        }
+
+        return { ...result, messages, suppressedMessages, ...countProblems(messages) };
+    });
+
+    for (const [baselinePath, rules] of Object.entries(baseline.files)) {
+        if (lintedPaths.has(baselinePath) || fs.existsSync(path.resolve(baselineDirectory, baselinePath))) {
+            continue;
+        }
+
+        for (const [ruleId, fingerprints] of Object.entries(rules)) {
+            for (const [fingerprint, count] of Object.entries(fingerprints)) {
+                staleEntries.push({ filePath: baselinePath, ruleId, fingerprint, count });
+            }
+        }
+    }
+
+    return { results: filteredResults, staleEntries };
+}
+
+/**
+ * Removes stale entries from a baseline.
+ * @param {Baseline} baseline The baseline.
+ * @param {StaleBaselineEntry[]} staleEntries The stale entries returned by `applyBaseline()`.
+ * @returns {Baseline} A new baseline without the stale entries.
+ */
+function pruneBaseline(baseline, staleEntries) {
+    const files = JSON.parse(JSON.stringify(baseline.files));
+
+    for (const { filePath, ruleId, fingerprint, count } of staleEntries) {
+        const rules = files[filePath];
+        const fingerprints = rules[ruleId];
+
+        fingerprints[fingerprint] -= count;
+
+        if (fingerprints[fingerprint] <= 0) {
+            delete fingerprints[fingerprint];
+        }
+
+        if (Object.keys(fingerprints).length === 0) {
+            delete rules[ruleId];
+        }
+
+        if (Object.keys(rules).length === 0) {
+            delete files[filePath];
+        }
+    }
+
+    return { version: BASELINE_VERSION, files };
+}
+
+/**
+ * Reads a baseline file.
+ * @param {string} filePath The absolute path of the baseline file.
+ * @returns {Promise<Baseline>} The baseline.
+ * @throws {Error} If the file can't be read or isn't a baseline file.
+ */
+async function readBaseline(filePath) {
+    const baseline = JSON.parse(await readFile(filePath, "utf8"));
+
+    if (
+        typeof baseline !== "object" || baseline === null ||
+        baseline.version !== BASELINE_VERSION ||
+        typeof baseline.files !== "object" || baseline.files === null
+    ) {
+        throw new Error(`${filePath} isn't a baseline file of this version of ESLint.`);
+    }
+
+    return baseline;
+}
+
+/**
+ * Writes a baseline file.
+ * @param {string} filePath The absolute path of the baseline file.
+ * @param {Baseline} baseline The baseline.
+ * @returns {Promise<void>} A promise that is resolved when the file is written.
+ */
+async function writeBaseline(filePath, baseline) {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+module.exports = {
+    applyBaseline,
+    createBaseline,
+    pruneBaseline,
+    readBaseline,
+    writeBaseline
+};
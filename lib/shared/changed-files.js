@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Utilities to ask git which files and lines have changed.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const { execFile } = require("child_process");
+const path = require("path");
+const { promisify } = require("util");
+
+const debug = require("debug")("eslint:changed-files");
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/**
+ * A range of changed lines.
+ * @typedef {Object} LineRange
+ * @property {number} start The 1-based number of the first changed line.
+ * @property {number} end The 1-based number of the last changed line.
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const execFileAsync = promisify(execFile);
+
+// Large repositories can list many files.
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+// Matches the lines of the new file in a hunk header such as `@@ -1,2 +3,4 @@`.
+const HUNK_HEADER_PATTERN = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/u;
+
+// Matches an escape sequence or a run of other characters in a quoted path.
+const QUOTED_PATH_PART_PATTERN = /\\([0-7]{1,3}|.)|[^\\]+/gsu;
+
+// The bytes of the escape sequences that git uses in quoted paths besides octal ones.
+const ESCAPED_BYTES = { a: 0x07, b: 0x08, t: 0x09, n: 0x0a, v: 0x0b, f: 0x0c, r: 0x0d, "\"": 0x22, "\\": 0x5c };
+
+/**
+ * Runs a git command.
+ * @param {string[]} args The arguments of the command.
+ * @param {string} cwd The directory to run the command in.
+ * @returns {Promise<string>} The output of the command.
+ * @throws {Error} If git isn't installed or the command fails.
+ */
+async function git(args, cwd) {
+    try {
+        const { stdout } = await execFileAsync("git", args, { cwd, maxBuffer: MAX_BUFFER });
+
+        return stdout;
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            throw new Error("git was not found. Make sure that it is installed and in the PATH.");
+        }
+
+        throw new Error((error.stderr || error.message).trim());
+    }
+}
+
+/**
+ * Splits the output of a git command that was run with `-z` into paths.
+ * @param {string} output The output.
+ * @returns {string[]} The paths.
+ */
+function splitPaths(output) {
+    return output.split("\0").filter(Boolean);
+}
+
+/**
+ * Gets the root directory of the git repository that contains a directory,
+ * after making sure that a ref can't be mistaken for an option.
+ * @param {string} cwd A directory in the git repository.
+ * @param {string|null} ref The ref that will be passed to git.
+ * @returns {Promise<string>} The absolute path of the root directory.
+ * @throws {Error} If the directory isn't in a git repository or the ref looks like an option.
+ */
+async function getRoot(cwd, ref) {
+    if (ref && ref.startsWith("-")) {
+        throw new Error(`'${ref}' is not a valid git ref.`);
+    }
+
+    return (await git(["rev-parse", "--show-toplevel"], cwd)).trim();
+}
+
+/**
+ * Gets the untracked files that aren't ignored by git.
+ * @param {string} root The root directory of the git repository.
+ * @returns {Promise<string[]>} The paths of the files relative to `root`.
+ */
+async function getUntrackedFiles(root) {
+    return splitPaths(await git(["ls-files", "--others", "--exclude-standard", "-z"], root));
+}
+
+/**
+ * Removes the quotes and escape sequences from a path that git quoted in the
+ * style of a C string. Octal escape sequences stand for single bytes of the
+ * UTF-8 encoded path, e.g. `"\\303\\244.js"` for `ä.js`.
+ * @param {string} quotedPath The path in double quotes.
+ * @returns {string} The path.
+ */
+function unquotePath(quotedPath) {
+    const bytes = [];
+
+    for (const [part, escaped] of quotedPath.slice(1, -1).matchAll(QUOTED_PATH_PART_PATTERN)) {
+        if (escaped === void 0) {
+            bytes.push(...Buffer.from(part));
+        } else if (/^[0-7]/u.test(escaped)) {
+            bytes.push(parseInt(escaped, 8));
+        } else if (Object.hasOwnProperty.call(ESCAPED_BYTES, escaped)) {
+            bytes.push(ESCAPED_BYTES[escaped]);
+        } else {
+            bytes.push(...Buffer.from(escaped));
+        }
+    }
+
+    return Buffer.from(bytes).toString("utf8");
+}
+
+/**
+ * Gets the path of the new file from a `+++ b/path` line of a diff. Git
+ * quotes paths with special characters in the style of a C string, and ends
+ * the line with a tab when an unquoted path contains a space.
+ * @param {string} line The line without the `+++ ` prefix.
+ * @returns {string} The path relative to the root of the repository.
+ */
+function parseNewFilePath(line) {
+    const quoted = line.startsWith("\"");
+    const prefixedPath = quoted ? unquotePath(line) : line.replace(/\t$/u, "");
+
+    return prefixedPath.slice("b/".length);
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Gets the files that were added, modified, or renamed, relative to a ref or
+ * in the index. Deleted files aren't included. When the working tree is
+ * compared, untracked files that aren't ignored by git are included too.
+ * @param {Object} options The options.
+ * @param {string} options.cwd A directory in the git repository.
+ * @param {string|null} [options.ref] The ref to compare with. Defaults to
+ *      `HEAD` if `staged` is `true`.
+ * @param {boolean} [options.staged] `true` to compare the index instead of
+ *      the working tree.
+ * @returns {Promise<string[]>} The absolute paths of the changed files.
+ * @throws {Error} If the directory isn't in a git repository or the ref doesn't exist.
+ */
+async function getChangedFiles({ cwd, ref = null, staged = false }) {
+    const root = await getRoot(cwd, ref);
+    const diffArgs = ["diff", "--name-only", "-z", "--diff-filter=ACMR"];
+
+    if (staged) {
+        diffArgs.push("--cached");
+    }
+
+    if (ref) {
+        diffArgs.push(ref);
+    }
+
+    // Git prints paths relative to the root of the repository when it runs there.
+    const relativePaths = splitPaths(await git([...diffArgs, "--"], root));
+
+    if (!staged) {
+        relativePaths.push(...await getUntrackedFiles(root));
+    }
+
+    const filePaths = [...new Set(relativePaths.map(relativePath => path.resolve(root, relativePath)))];
+
+    debug(`${filePaths.length} files changed ${staged ? "in the index" : "in the working tree"} since ${ref || "HEAD"}`);
+
+    return filePaths;
+}
+
+/**
+ * Gets the lines that were added or modified in the working tree relative to
+ * a ref. Lines that were only deleted aren't included. All lines of untracked
+ * files that aren't ignored by git count as changed.
+ * @param {Object} options The options.
+ * @param {string} options.cwd A directory in the git repository.
+ * @param {string} options.ref The ref to compare with.
+ * @returns {Promise<Map<string, LineRange[]|null>>} The ranges of changed
+ *      lines by the absolute path of each changed file, or `null` for files
+ *      that changed entirely.
+ * @throws {Error} If the directory isn't in a git repository or the ref doesn't exist.
+ */
+async function getChangedLines({ cwd, ref }) {
+    const root = await getRoot(cwd, ref);
+
+    // Without `core.quotePath`, git only quotes paths with control characters, quotes, or backslashes.
+    const diff = await git([
+        "-c",
+        "core.quotePath=false",
+        "diff",
+        "--unified=0",
+        "--no-color",
+        "--no-ext-diff",
+        "--src-prefix=a/",
+        "--dst-prefix=b/",
+        "--diff-filter=ACMR",
+        ref,
+        "--"
+    ], root);
+
+    /** @type {Map<string, LineRange[]|null>} */
+    const changedLines = new Map();
+    let ranges = null;
+
+    // Added lines can also start with `+++`, so the path is only read from the header of each file.
+    let inHeader = false;
+
+    for (const line of diff.split("\n")) {
+        if (line.startsWith("diff --git ")) {
+            inHeader = true;
+            ranges = null;
+            continue;
+        }
+
+        if (inHeader && line.startsWith("+++ ")) {
+            ranges = [];
+            changedLines.set(path.resolve(root, parseNewFilePath(line.slice("+++ ".length))), ranges);
+            continue;
+        }
+
+        const match = ranges && HUNK_HEADER_PATTERN.exec(line);
+
+        if (match) {
+            inHeader = false;
+
+            const start = Number(match[1]);
+            const count = match[2] === void 0 ? 1 : Number(match[2]);
+
+            if (count > 0) {
+                ranges.push({ start, end: start + count - 1 });
+            }
+        }
+    }
+
+    for (const relativePath of await getUntrackedFiles(root)) {
+        changedLines.set(path.resolve(root, relativePath), null);
+    }
+
+    debug(`Lines changed in ${changedLines.size} files since ${ref}`);
+
+    return changedLines;
+}
+
+module.exports = {
+    getChangedFiles,
+    getChangedLines
+};
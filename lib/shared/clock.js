@@ -0,0 +1,27 @@
+/**
+ * @fileoverview A clock that lint workers and the main thread share.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const { performance } = require("perf_hooks");
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * Gets the current time in milliseconds. Unlike `performance.now()`, this is
+ * the same in all threads, so times taken in lint workers can be compared
+ * with times taken on the main thread.
+ * @returns {number} The current time.
+ */
+function now() {
+    return performance.timeOrigin + performance.now();
+}
+
+module.exports = { now };
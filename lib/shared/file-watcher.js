@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Watches files for changes, for `--watch`.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+
+const debug = require("debug")("eslint:file-watcher");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+// Editors often write a file in several steps, so changes are collected for a short while.
+const DEFAULT_DELAY = 100;
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * Watches files for changes. The directories of the files are watched rather
+ * than the files themselves, so that files that editors replace on save, and
+ * files that don't exist yet, are noticed too.
+ * @param {string[]} filePaths The absolute paths of the files to watch.
+ * @param {(changedFilePaths: string[]) => void} onChange The function to call
+ *      with the files that have changed, including removed files.
+ * @param {Object} [options] The options.
+ * @param {number} [options.delay] The time in milliseconds to collect changes
+ *      for before calling `onChange`.
+ * @returns {{close: () => void}} An object to stop watching with.
+ */
+function watchFiles(filePaths, onChange, { delay = DEFAULT_DELAY } = {}) {
+
+    /** @type {Map<string, Set<string>>} */
+    const fileNamesByDirectory = new Map();
+    const changedFilePaths = new Set();
+    const watchers = [];
+    let timer = null;
+
+    /**
+     * Adds a changed file and calls `onChange` once no more changes arrive.
+     * @param {string} filePath The path of the changed file.
+     * @returns {void}
+     */
+    function addChange(filePath) {
+        changedFilePaths.add(filePath);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const changes = [...changedFilePaths];
+
+            changedFilePaths.clear();
+            onChange(changes);
+        }, delay);
+    }
+
+    for (const filePath of filePaths) {
+        const directory = path.dirname(filePath);
+
+        if (!fileNamesByDirectory.has(directory)) {
+            fileNamesByDirectory.set(directory, new Set());
+        }
+
+        fileNamesByDirectory.get(directory).add(path.basename(filePath));
+    }
+
+    for (const [directory, fileNames] of fileNamesByDirectory) {
+        let watcher;
+
+        try {
+            watcher = fs.watch(directory, (eventType, fileName) => {
+                if (!fileName || !fileNames.has(fileName)) {
+                    return;
+                }
+
+                addChange(path.join(directory, fileName));
+            });
+        } catch (error) {
+            debug(`Can't watch ${directory}: ${error.message}`);
+            continue;
+        }
+
+        watcher.on("error", error => debug(`Stopped watching ${directory}: ${error.message}`));
+        watchers.push(watcher);
+    }
+
+    debug(`Watching ${filePaths.length} files in ${watchers.length} directories`);
+
+    return {
+        close() {
+            clearTimeout(timer);
+
+            for (const watcher of watchers) {
+                watcher.close();
+            }
+        }
+    };
+}
+
+module.exports = { watchFiles };
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Renders the progress of a lint run on a terminal.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/** @typedef {import("./types").FileProgress} FileProgress */
+
+/**
+ * A progress line on a terminal.
+ * @typedef {Object} ProgressReporter
+ * @property {(progress: FileProgress) => void} onFileEnd Updates the line after each file.
+ * @property {() => void} clear Removes the line, so that other output can be written.
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+// The line is redrawn at most this often, in milliseconds.
+const RENDER_INTERVAL = 100;
+
+// Moves the cursor to the start of the line and erases the line.
+const CLEAR_LINE = "\r\u001b[K";
+
+/**
+ * Formats a duration for the progress line, e.g. `42s` or `3m 05s`.
+ * @param {number} milliseconds The duration.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(milliseconds) {
+    const seconds = Math.round(milliseconds / 1000);
+
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+/**
+ * Formats the progress line.
+ * @param {FileProgress} progress The progress of the run.
+ * @param {number} elapsed The time in milliseconds since the run started.
+ * @returns {string} The progress line.
+ */
+function formatProgress({ completed, total }, elapsed) {
+    const remaining = elapsed / completed * (total - completed);
+
+    return `${completed}/${total} files linted, ${formatDuration(elapsed)} elapsed, ETA ${formatDuration(remaining)}`;
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a reporter that renders the number of linted files, the elapsed
+ * time, and the estimated remaining time on a single line of a terminal.
+ * The estimate assumes that the remaining files take as long on average as
+ * the files that have been linted so far.
+ * @param {NodeJS.WritableStream} stream The stream to write to, usually `process.stderr`.
+ * @returns {ProgressReporter} The reporter.
+ */
+function createProgressReporter(stream) {
+    const startTime = Date.now();
+    let lastRenderTime = -Infinity;
+    let rendered = false;
+
+    return {
+        onFileEnd(progress) {
+            const now = Date.now();
+
+            // Always render the last file so the line doesn't stop short of the total.
+            if (progress.completed < progress.total && now - lastRenderTime < RENDER_INTERVAL) {
+                return;
+            }
+
+            lastRenderTime = now;
+            rendered = true;
+            stream.write(`${CLEAR_LINE}${formatProgress(progress, now - startTime)}`);
+        },
+
+        clear() {
+            if (rendered) {
+                stream.write(CLEAR_LINE);
+                rendered = false;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createProgressReporter,
+    formatDuration
+};
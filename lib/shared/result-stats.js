@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Counts the problems in a lint result.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Counts the problems of a file, for lint results whose messages were
+ * filtered after linting.
+ * @param {LintMessage[]} messages The messages of the file.
+ * @returns {{errorCount:number,fatalErrorCount:number,warningCount:number,fixableErrorCount:number,fixableWarningCount:number}}
+ *      The number of problems.
+ */
+function countProblems(messages) {
+    const counts = {
+        errorCount: 0,
+        fatalErrorCount: 0,
+        warningCount: 0,
+        fixableErrorCount: 0,
+        fixableWarningCount: 0
+    };
+
+    for (const message of messages) {
+        if (message.fatal || message.severity === 2) {
+            counts.errorCount++;
+            counts.fatalErrorCount += message.fatal ? 1 : 0;
+            counts.fixableErrorCount += message.fix ? 1 : 0;
+        } else {
+            counts.warningCount++;
+            counts.fixableWarningCount += message.fix ? 1 : 0;
+        }
+    }
+
+    return counts;
+}
+
+module.exports = { countProblems };
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Utilities to send values to lint worker threads and to the
+ * ESLint daemon, which get them as structured clones and as JSON.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} SerializedError
+ * @property {string} name The name of the error.
+ * @property {string} message The message of the error.
+ * @property {string} [stack] The stack trace of the error.
+ * @property {string} [messageTemplate] The template to show the error with.
+ * @property {Object} [messageData] The data of the template.
+ */
+
+//-----------------------------------------------------------------------------
+// Public Interface
+//-----------------------------------------------------------------------------
+
+/**
+ * Checks if a value consists only of data that survives being sent as JSON:
+ * `null`, booleans, numbers, strings, arrays and plain objects.
+ * Object properties that are `undefined` are allowed as they mean the default.
+ * @param {any} value The value to check.
+ * @returns {boolean} `true` if the value can be sent as JSON.
+ */
+function isPlainData(value) {
+    if (value === null || typeof value === "boolean" || typeof value === "string") {
+        return true;
+    }
+
+    if (typeof value === "number") {
+        return Number.isFinite(value);
+    }
+
+    if (Array.isArray(value)) {
+        return value.every(isPlainData);
+    }
+
+    if (typeof value !== "object") {
+        return false;
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+
+    if (prototype !== Object.prototype && prototype !== null) {
+        return false;
+    }
+
+    return Object.values(value).every(item => item === void 0 || isPlainData(item));
+}
+
+/**
+ * Converts an error into plain data. Own enumerable properties such as
+ * `code`, `messageTemplate`, and `messageData` are kept if they're plain data,
+ * so that the CLI can still render the error nicely.
+ * @param {any} error The thrown value.
+ * @returns {SerializedError} The data of the error.
+ */
+function serializeError(error) {
+    if (typeof error !== "object" || error === null) {
+        return { name: "Error", message: String(error) };
+    }
+
+    const serializedError = {
+        name: error.name,
+        message: error.message,
+        stack: error.stack
+    };
+
+    for (const [key, value] of Object.entries(error)) {
+        if (isPlainData(value)) {
+            serializedError[key] = value;
+        }
+    }
+
+    return serializedError;
+}
+
+/**
+ * Recreates an error that was converted with `serializeError()`.
+ * @param {SerializedError} data The data of the error.
+ * @returns {Error} The error.
+ */
+function deserializeError(data) {
+    return Object.assign(new Error(data.message), data);
+}
+
+module.exports = {
+    deserializeError,
+    isPlainData,
+    serializeError
+};
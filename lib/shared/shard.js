@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Utilities to split the files to lint into shards.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const path = require("path");
+const murmur = require("imurmurhash");
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/**
+ * A slice of the files to lint.
+ * @typedef {Object} Shard
+ * @property {number} index The 1-based index of the shard.
+ * @property {number} total The total number of shards.
+ */
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Checks if a given value is a valid shard.
+ * @param {any} x The value to check.
+ * @returns {boolean} `true` if `x` is a valid shard.
+ */
+function isShard(x) {
+    return (
+        typeof x === "object" &&
+        x !== null &&
+        Number.isInteger(x.total) &&
+        Number.isInteger(x.index) &&
+        x.index >= 1 &&
+        x.index <= x.total
+    );
+}
+
+/**
+ * Parses a shard given in the form `<index>/<total>`.
+ * @param {string} text The text to parse.
+ * @returns {Shard|null} The shard, or `null` if the text isn't a valid shard.
+ */
+function parseShard(text) {
+    const match = /^(\d+)\/(\d+)$/u.exec(text);
+
+    if (!match) {
+        return null;
+    }
+
+    const shard = { index: Number(match[1]), total: Number(match[2]) };
+
+    return isShard(shard) ? shard : null;
+}
+
+/**
+ * Checks if a file belongs to a shard. Files are assigned by a hash of their
+ * path relative to `cwd`, so a file is in the same shard on every machine and
+ * in every run, as long as the total number of shards stays the same.
+ * @param {string} filePath The absolute path to the file.
+ * @param {string} cwd The current working directory.
+ * @param {Shard|null} shard The shard, or `null` if files aren't sharded.
+ * @returns {boolean} `true` if the file should be linted in the shard.
+ */
+function isFileInShard(filePath, cwd, shard) {
+    if (!shard) {
+        return true;
+    }
+
+    const relativePath = path.relative(cwd, filePath).split(path.sep).join("/");
+
+    return murmur(relativePath).result() % shard.total === shard.index - 1;
+}
+
+/**
+ * Checks if a shard should report patterns that don't match any files. Only
+ * the first shard does, so that such an error is reported only once.
+ * @param {Shard|null} shard The shard, or `null` if files aren't sharded.
+ * @returns {boolean} `true` if the shard should report unmatched patterns.
+ */
+function reportsUnmatchedPatterns(shard) {
+    return !shard || shard.index === 1;
+}
+
+module.exports = {
+    isFileInShard,
+    isShard,
+    parseShard,
+    reportsUnmatchedPatterns
+};
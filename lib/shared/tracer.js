@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Records what a lint run spends its time on as events in the
+ * Chrome Trace Event Format, which the performance panels of browsers open.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const { isMainThread, threadId } = require("worker_threads");
+const clock = require("./clock");
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/** @typedef {import("./types").TraceEvent} TraceEvent */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Gets the current time in microseconds, the unit of trace events. The
+ * events of lint workers line up with the events of the main thread.
+ * @returns {number} The current time.
+ */
+function now() {
+    return clock.now() * 1000;
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Records trace events of the thread it's created in. A disabled tracer
+ * records nothing, so that code can be traced without checking whether
+ * tracing is enabled first.
+ */
+class Tracer {
+
+    /**
+     * @param {Object} [options] The options.
+     * @param {boolean} [options.enabled=true] `false` to record nothing.
+     */
+    constructor({ enabled = true } = {}) {
+
+        /**
+         * `true` if events are recorded.
+         * @type {boolean}
+         */
+        this.enabled = enabled;
+
+        /**
+         * The recorded events. The first event names the thread.
+         * @type {TraceEvent[]}
+         */
+        this.events = enabled
+            ? [{
+                name: "thread_name",
+                ph: "M",
+                pid: process.pid,
+                tid: threadId,
+                args: { name: isMainThread ? "Main thread" : `Lint worker ${threadId}` }
+            }]
+            : [];
+    }
+
+    /**
+     * Gets the current time in microseconds, to pass to `addEvent()` later.
+     * @returns {number} The current time.
+     */
+    // eslint-disable-next-line class-methods-use-this -- Part of the tracer interface.
+    now() {
+        return now();
+    }
+
+    /**
+     * Records an event of something that started at the given time and
+     * ends now.
+     * @param {string} name The name of the event.
+     * @param {string} category The category of the event, to filter events by.
+     * @param {number} start The start time that `now()` returned.
+     * @param {Object} [args] Additional information about the event.
+     * @returns {void}
+     */
+    addEvent(name, category, start, args) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const event = {
+            name,
+            cat: category,
+            ph: "X",
+            ts: start,
+            dur: now() - start,
+            pid: process.pid,
+            tid: threadId
+        };
+
+        if (args) {
+            event.args = args;
+        }
+
+        this.events.push(event);
+    }
+
+    /**
+     * Calls a function and records the call as an event.
+     * @template T
+     * @param {string} name The name of the event.
+     * @param {string} category The category of the event.
+     * @param {() => T} fn The function to call.
+     * @param {Object} [args] Additional information about the event.
+     * @returns {T} The return value of the function.
+     */
+    trace(name, category, fn, args) {
+        if (!this.enabled) {
+            return fn();
+        }
+
+        const start = now();
+
+        try {
+            return fn();
+        } finally {
+            this.addEvent(name, category, start, args);
+        }
+    }
+
+    /**
+     * Calls an async function and records the time until its promise is
+     * settled as an event.
+     * @template T
+     * @param {string} name The name of the event.
+     * @param {string} category The category of the event.
+     * @param {() => Promise<T>} fn The function to call.
+     * @param {Object} [args] Additional information about the event.
+     * @returns {Promise<T>} The promise that the function returned.
+     */
+    async traceAsync(name, category, fn, args) {
+        if (!this.enabled) {
+            return fn();
+        }
+
+        const start = now();
+
+        try {
+            return await fn();
+        } finally {
+            this.addEvent(name, category, start, args);
+        }
+    }
+
+    /**
+     * Wraps a function that is called many times, so that each call that
+     * takes at least the given time is recorded as an event. Shorter calls
+     * are left out so that traces stay small enough to open.
+     * @param {string} name The name of the events.
+     * @param {string} category The category of the events.
+     * @param {Function} fn The function to wrap.
+     * @param {number} minDuration The minimum duration of the recorded calls, in microseconds.
+     * @returns {Function} The wrapped function, or `fn` if the tracer is disabled.
+     */
+    wrap(name, category, fn, minDuration) {
+        if (!this.enabled) {
+            return fn;
+        }
+
+        const tracer = this;
+
+        return function traced(...args) {
+            const start = now();
+
+            try {
+                return fn(...args);
+            } finally {
+                if (now() - start >= minDuration) {
+                    tracer.addEvent(name, category, start);
+                }
+            }
+        };
+    }
+
+    /**
+     * Adds events that were recorded in another thread.
+     * @param {TraceEvent[]} events The events.
+     * @returns {void}
+     */
+    addEvents(events) {
+        if (this.enabled) {
+            this.events.push(...events);
+        }
+    }
+
+    /**
+     * Gets the events recorded so far and forgets them, so that a lint
+     * worker can send each event to the main thread once.
+     * @returns {TraceEvent[]} The events.
+     */
+    takeEvents() {
+        const { events } = this;
+
+        this.events = [];
+
+        return events;
+    }
+
+    /**
+     * Gets the events recorded so far.
+     * @returns {TraceEvent[]} The events.
+     */
+    getEvents() {
+        return this.events.slice();
+    }
+}
+
+module.exports = { Tracer };
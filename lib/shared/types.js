@@ -178,6 +178,53 @@ module.exports = {};
  * @property {string[]} replacedBy The rule IDs that replace this deprecated rule.
  */
 
+/**
+ * The time spent on a selector in milliseconds, and how many times it was spent.
+ * @typedef {Object} SelectorTime
+ * @property {number} total The time spent.
+ * @property {number} count The number of nodes that the selector matched, or the number of calls of a listener.
+ */
+
+/**
+ * The time that a rule took in one pass, in milliseconds.
+ * @typedef {Object} RuleTime
+ * @property {number} total The time spent creating the listeners of the rule and running them.
+ * @property {Record<string, SelectorTime>} [selectors] The time spent running the listener of each selector,
+ *      present if the `selectorStats` option is enabled. The rest of `total` is spent in the `create()` function.
+ */
+
+/**
+ * The times that one pass of linting a file took, in milliseconds.
+ * @typedef {Object} TimePass
+ * @property {{total: number}} parse The time spent parsing.
+ * @property {{total: number}} scope The time spent analyzing scopes.
+ * @property {Record<string, RuleTime>} rules The time spent running each rule, by rule ID.
+ * @property {Record<string, SelectorTime>} [selectors] The time spent matching each selector against nodes,
+ *      present if the `selectorStats` option is enabled. Matching is shared by all rules that listen to a selector.
+ * @property {{total: number}} fix The time spent applying fixes.
+ * @property {number} total The time of the whole pass.
+ */
+
+/**
+ * Statistics about linting a file, present in results if the `stats` option is enabled.
+ * @typedef {Object} Stats
+ * @property {{passes: TimePass[]}} times The times of each pass of linting the file.
+ * @property {number} fixPasses Number of passes that applied fixes.
+ */
+
+/**
+ * An event in the Chrome Trace Event Format, returned by `getTraceEvents()` if the `trace` option is enabled.
+ * @typedef {Object} TraceEvent
+ * @property {string} name The name of the event.
+ * @property {string} [cat] The category of the event.
+ * @property {"X"|"M"} ph The type of the event: `"X"` for a complete event with a duration, `"M"` for metadata.
+ * @property {number} [ts] The start time in microseconds since the Unix epoch.
+ * @property {number} [dur] The duration in microseconds.
+ * @property {number} pid The ID of the process.
+ * @property {number} tid The ID of the thread, `0` for the main thread.
+ * @property {Object} [args] Additional information about the event.
+ */
+
 /**
  * A linting result.
  * @typedef {Object} LintResult
@@ -192,6 +239,26 @@ module.exports = {};
  * @property {string} [source] The source code of the file that was linted.
  * @property {string} [output] The source code of the file that was linted, with as many fixes applied as possible.
  * @property {DeprecatedRuleInfo[]} usedDeprecatedRules The list of used deprecated rules.
+ * @property {Stats} [stats] Statistics about linting the file. Only present if the `stats` option is enabled.
+ */
+
+/**
+ * The progress of a lint run, passed to the `onFileStart` and `onFileEnd` options.
+ * @typedef {Object} FileProgress
+ * @property {string} filePath The path to the file that is started or finished.
+ * @property {number} completed Number of files that have been linted so far.
+ * @property {number} total Number of files to lint in this run. Ignored files and files with cached results aren't counted.
+ * @property {LintResult} [result] The result of the file. Only present in `onFileEnd`.
+ */
+
+/**
+ * Statistics about a cache of lint results, returned by `getCacheStats()`.
+ * @typedef {Object} CacheStats
+ * @property {string} location The path to the cache file or directory.
+ * @property {number} entries Number of cached results.
+ * @property {number} deletedFileEntries Number of cached results of files that don't exist anymore.
+ * @property {number} size The size of the cache in bytes.
+ * @property {{hits: number, misses: number}|null} lastRun Number of files that were and weren't found in the cache in the last run, or `null` if there was no run with the cache yet.
  */
 
 /**
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Fixtures for tests that lint, cache, or compare files in
+ * temporary checkouts of a project, which may be git repositories.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ESLint } = require("../../lib/eslint/eslint");
+const { FlatESLint } = require("../../lib/eslint/flat-eslint");
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("../../lib/shared/types").LintResult} LintResult */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+// Commits don't depend on the git config of the machine that runs the tests.
+const GIT_CONFIG_ARGS = ["-c", "user.name=test", "-c", "user.email=test@example.com", "-c", "commit.gpgsign=false"];
+
+/**
+ * Creates a temporary directory. Its path is resolved, since the temporary
+ * directory of some systems is a symbolic link.
+ * @param {string} prefix The prefix of the name of the directory.
+ * @returns {string} The path of the directory.
+ */
+function createTempDirectory(prefix) {
+    return fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), prefix)));
+}
+
+/**
+ * Writes files, and creates the directories they're in.
+ * @param {string} cwd The directory to write the files in.
+ * @param {Record<string, string>} files The content of each file by its relative path.
+ * @returns {void}
+ */
+function writeFiles(cwd, files) {
+    for (const [relativePath, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(cwd, relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(cwd, relativePath), content);
+    }
+}
+
+/**
+ * Creates a checkout of a project. By default, it has a file `a.js` with a
+ * problem that `no-undef` reports.
+ * @param {string} parentDirectory The directory to create the checkout in.
+ * @param {string} name The name of the checkout directory.
+ * @param {Record<string, string>} [files] The content of each file by its relative path.
+ * @returns {string} The path of the checkout directory.
+ */
+function createCheckout(parentDirectory, name, files = { "a.js": "foo;\n" }) {
+    const cwd = path.join(parentDirectory, name);
+
+    fs.mkdirSync(cwd);
+    writeFiles(cwd, files);
+
+    return cwd;
+}
+
+/**
+ * Runs a git command.
+ * @param {string} cwd The directory to run the command in.
+ * @param {...string} args The arguments of the command.
+ * @returns {string} The output of the command, without the final newline.
+ */
+function git(cwd, ...args) {
+    return execFileSync("git", [...GIT_CONFIG_ARGS, ...args], { cwd, encoding: "utf8", stdio: "pipe" }).trim();
+}
+
+/**
+ * Creates a git repository in a temporary directory and commits the given
+ * files in it.
+ * @param {string} prefix The prefix of the name of the directory.
+ * @param {Record<string, string>} files The content of each file by its relative path.
+ * @returns {string} The path of the repository.
+ */
+function createGitCheckout(prefix, files) {
+    const root = createTempDirectory(prefix);
+
+    git(root, "init", "-q");
+    writeFiles(root, files);
+    git(root, "add", "-A");
+    git(root, "commit", "-q", "-m", "first");
+
+    return root;
+}
+
+/**
+ * Creates the lint result of the `a.js` file of a checkout that
+ * `createCheckout()` created with the default files.
+ * @param {string} cwd The path of the checkout directory.
+ * @returns {Object} The lint result.
+ */
+function createResult(cwd) {
+    return {
+        filePath: path.join(cwd, "a.js"),
+        messages: [{ ruleId: "no-undef", severity: 2, message: "'foo' is not defined.", line: 1, column: 1 }],
+        errorCount: 1,
+        warningCount: 0,
+        source: "foo;\n"
+    };
+}
+
+/**
+ * Creates an instance that lints with the `no-undef` rule and no config files.
+ * @param {Object} options The options of the instance.
+ * @param {"eslintrc"|"flat"} options.configType The type of the instance.
+ * @returns {ESLint|FlatESLint} The instance.
+ */
+function createEngine({ configType, ...options }) {
+    const baseOptions = { overrideConfig: { rules: { "no-undef": 2 } } };
+
+    return configType === "flat"
+        ? new FlatESLint({ overrideConfigFile: true, ...baseOptions, ...options })
+        : new ESLint({ useEslintrc: false, ...baseOptions, ...options });
+}
+
+/**
+ * Lints the `a.js` file of a checkout with an instance of `createEngine()`.
+ * @param {Object} options The options of the instance.
+ * @param {"eslintrc"|"flat"} options.configType The type of the instance.
+ * @param {string} options.cwd The path of the checkout directory.
+ * @returns {Promise<LintResult[]>} The lint results.
+ */
+function lintCheckout(options) {
+    return createEngine(options).lintFiles(["a.js"]);
+}
+
+/**
+ * Creates options that record the calls of `onFileStart` and `onFileEnd`.
+ * @param {Array<Object>} events The array to record the calls in.
+ * @returns {Object} The options.
+ */
+function recordProgress(events) {
+    return {
+        onFileStart: ({ filePath, completed, total }) => events.push({ type: "start", file: path.basename(filePath), completed, total }),
+        onFileEnd({ filePath, completed, total, result }) {
+            assert.strictEqual(result.filePath, filePath);
+            events.push({ type: "end", file: path.basename(filePath), completed, total });
+        }
+    };
+}
+
+/**
+ * Collects the results yielded by `lintFilesIterator()`.
+ * @param {AsyncIterable<LintResult>} iterator The iterator.
+ * @returns {Promise<LintResult[]>} The results in the order they were yielded.
+ */
+async function collect(iterator) {
+    const results = [];
+
+    for await (const result of iterator) {
+        results.push(result);
+    }
+
+    return results;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+module.exports = {
+    collect,
+    createCheckout,
+    createEngine,
+    createGitCheckout,
+    createResult,
+    createTempDirectory,
+    git,
+    lintCheckout,
+    recordProgress,
+    writeFiles
+};
@@ -0,0 +1 @@
+var d = 4;
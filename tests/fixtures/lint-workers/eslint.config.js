@@ -0,0 +1,17 @@
+module.exports = [{
+    plugins: {
+        test: {
+            rules: {
+                "report-thread": require("./rules/report-thread"),
+                "no-crash": require("./rules/no-crash"),
+                "no-hang": require("./rules/no-hang")
+            }
+        }
+    },
+    rules: {
+        "test/report-thread": "warn",
+        "test/no-crash": "error",
+        "test/no-hang": "error",
+        semi: "error"
+    }
+}];
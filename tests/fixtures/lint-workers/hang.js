@@ -0,0 +1 @@
+hang();
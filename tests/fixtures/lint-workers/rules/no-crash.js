@@ -0,0 +1,11 @@
+module.exports = {
+    create(context) {
+        return {
+            Program() {
+                if (context.getFilename().endsWith("crash.js")) {
+                    throw new Error("Crashed while linting.");
+                }
+            }
+        };
+    }
+};
@@ -0,0 +1,13 @@
+module.exports = {
+    create(context) {
+        return {
+            Program() {
+                if (context.getFilename().endsWith("hang.js")) {
+
+                    // Never returns, like a regular expression with catastrophic backtracking.
+                    for (;;) {}
+                }
+            }
+        };
+    }
+};
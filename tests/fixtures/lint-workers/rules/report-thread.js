@@ -0,0 +1,11 @@
+const { isMainThread } = require("worker_threads");
+
+module.exports = {
+    create(context) {
+        return {
+            Program(node) {
+                context.report({ node, message: isMainThread ? "main" : "worker" });
+            }
+        };
+    }
+};
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Tests for the versions of the dependencies of configs.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert,
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    sh = require("shelljs"),
+    hash = require("../../../lib/cli-engine/hash"),
+    { DependencyVersions, describeVersionChanges } = require("../../../lib/cli-engine/dependency-versions");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("dependency-versions", () => {
+    describe("DependencyVersions", () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "eslint-dependency-versions-")));
+        });
+
+        afterEach(() => {
+            sh.rm("-r", tmpDir);
+        });
+
+        /**
+         * Creates a package with a package.json in the temporary directory.
+         * @param {string} name The name of the package.
+         * @param {string} packageJson The content of the package.json.
+         * @returns {string} The path of the main file of the package.
+         */
+        function createPackage(name, packageJson) {
+            const directory = path.join(tmpDir, name);
+
+            fs.mkdirSync(path.join(directory, "lib"), { recursive: true });
+            fs.writeFileSync(path.join(directory, "package.json"), packageJson);
+
+            return path.join(directory, "lib", "index.js");
+        }
+
+        it("should return the versions of the plugins, parser, and processor of a flat config", () => {
+            const versions = new DependencyVersions().get({
+                plugins: {
+                    "@": { rules: {} },
+                    foo: { meta: { name: "eslint-plugin-foo", version: "1.2.3" } },
+                    bar: { version: "4.5.6" }
+                },
+                languageOptions: {
+                    parser: { meta: { name: "custom-parser", version: "7.8.9" } }
+                },
+                processor: { meta: { name: "custom-processor", version: "1.0.0" } }
+            });
+
+            assert.deepStrictEqual(versions, {
+                "plugin:foo": "1.2.3",
+                "plugin:bar": "4.5.6",
+                "parser:custom-parser": "7.8.9",
+                "processor:custom-processor": "1.0.0"
+            });
+        });
+
+        it("should return the versions of the plugins, parsers, and processors of an eslintrc config array", () => {
+            const versions = new DependencyVersions().get([
+                {
+                    plugins: {
+                        foo: { definition: { meta: { version: "1.2.3" } }, filePath: createPackage("foo", "{\"name\":\"foo\"}") }
+                    },
+                    parser: { id: "custom-parser", definition: { meta: { version: "7.8.9" } } }
+                },
+                {
+                    processor: "foo/md"
+                }
+            ]);
+
+            assert.deepStrictEqual(versions, {
+                "plugin:foo": "1.2.3",
+                "parser:custom-parser": "7.8.9",
+                "processor:foo/md": "1.2.3"
+            });
+        });
+
+        it("should identify dependencies without versions by the hash of their package.json", () => {
+            const config = [{
+                plugins: {
+                    foo: { definition: {}, filePath: createPackage("foo", "{\"version\":\"1.0.0\"}") },
+                    bar: { definition: {}, filePath: createPackage("bar", "{\"version\":\"2.0.0\"}") }
+                },
+                parser: { id: "baz", definition: {}, filePath: createPackage("baz", "{\"version\":\"1.0.0\"}") }
+            }];
+            const versions = new DependencyVersions().get(config);
+
+            assert.match(versions["plugin:foo"], /^package\.json#/u);
+            assert.notStrictEqual(versions["plugin:foo"], versions["plugin:bar"]);
+            assert.strictEqual(versions["parser:baz"], versions["plugin:foo"]);
+        });
+
+        it("should identify dependencies of flat configs without versions by the hash of the package.json of their module", () => {
+            const pluginPath = createPackage(path.join("node_modules", "eslint-plugin-foo"), "{\"version\":\"1.0.0\"}");
+
+            fs.writeFileSync(pluginPath, "module.exports = { rules: {} };");
+
+            const plugin = require(pluginPath);
+            const dependencyVersions = new DependencyVersions();
+            const versions = dependencyVersions.get({ plugins: { foo: plugin } });
+
+            fs.writeFileSync(path.join(path.dirname(pluginPath), "..", "package.json"), "{\"version\":\"1.0.1\"}");
+
+            assert.match(versions["plugin:foo"], /^package\.json#/u);
+            assert.strictEqual(dependencyVersions.get({ plugins: { foo: plugin } })["plugin:foo"], versions["plugin:foo"]);
+            assert.notStrictEqual(new DependencyVersions().get({ plugins: { foo: plugin } })["plugin:foo"], versions["plugin:foo"]);
+        });
+
+        it("should identify dependencies of flat configs without versions outside of node_modules by the hash of their module", () => {
+            const processorPath = path.join(tmpDir, "processor.js");
+
+            fs.writeFileSync(processorPath, "module.exports = { preprocess: text => [text] };");
+
+            const versions = new DependencyVersions().get({ processor: require(processorPath) });
+
+            assert.strictEqual(versions["processor:(anonymous)"], `source#${hash(fs.readFileSync(processorPath, "utf8"))}`);
+        });
+
+        it("should identify dependencies of flat configs that weren't loaded from a module by the hash of their functions", () => {
+            const versions = new DependencyVersions().get({
+                plugins: {
+                    foo: { rules: { bar: { create: () => ({}) } } },
+                    baz: { rules: { bar: { create: () => ({ Program() {} }) } } }
+                },
+                processor: { preprocess: text => [text], postprocess: messages => messages.flat() }
+            });
+
+            assert.match(versions["plugin:foo"], /^source#/u);
+            assert.notStrictEqual(versions["plugin:foo"], versions["plugin:baz"]);
+            assert.match(versions["processor:(anonymous)"], /^source#/u);
+        });
+
+        it("should identify plugins that refer to themselves", () => {
+            const plugin = { rules: { bar: { create: () => ({}) } }, configs: {} };
+
+            plugin.configs.recommended = { plugins: { foo: plugin } };
+
+            assert.match(new DependencyVersions().get({ plugins: { foo: plugin } })["plugin:foo"], /^source#/u);
+        });
+
+        it("should return an empty object for a config without dependencies", () => {
+            assert.deepStrictEqual(new DependencyVersions().get({ rules: {} }), {});
+            assert.deepStrictEqual(new DependencyVersions().get([]), {});
+        });
+    });
+
+    describe("describeVersionChanges", () => {
+        it("should describe changed, added, and removed versions", () => {
+            assert.strictEqual(
+                describeVersionChanges(
+                    { eslint: "8.0.0", "plugin:bar": "1.0.0", "plugin:foo": "1.0.0" },
+                    { eslint: "8.0.0", "parser:baz": "2.0.0", "plugin:foo": "1.1.0" }
+                ),
+                "parser:baz was added, plugin:bar was removed, plugin:foo changed from 1.0.0 to 1.1.0"
+            );
+        });
+
+        it("should return null if no version changed", () => {
+            assert.isNull(describeVersionChanges({ eslint: "8.0.0" }, { eslint: "8.0.0" }));
+        });
+
+        it("should return null if the previous versions aren't known", () => {
+            assert.isNull(describeVersionChanges(void 0, { eslint: "8.0.0" }));
+        });
+    });
+});
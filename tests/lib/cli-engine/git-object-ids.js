@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Tests for the utility to identify files by their git object IDs.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert,
+    fs = require("fs"),
+    path = require("path"),
+    sh = require("shelljs"),
+    sinon = require("sinon"),
+    GitObjectIds = require("../../../lib/cli-engine/git-object-ids"),
+    { createGitCheckout, git, writeFiles } = require("../../_utils/checkouts");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("GitObjectIds", () => {
+    let root;
+
+    beforeEach(() => {
+        root = createGitCheckout("eslint-git-object-ids-", {
+            "a.js": "a\n",
+            "sub/b.js": "b\n"
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        sh.rm("-r", root);
+    });
+
+    it("should read the object IDs of unmodified files from the index without reading the files", () => {
+        const readFileSync = sinon.spy(fs, "readFileSync");
+        const gitObjectIds = new GitObjectIds();
+
+        assert.strictEqual(gitObjectIds.getObjectId(path.join(root, "a.js")), git(root, "rev-parse", "HEAD:a.js"));
+        assert.strictEqual(gitObjectIds.getObjectId(path.join(root, "sub", "b.js")), git(root, "rev-parse", "HEAD:sub/b.js"));
+        assert.isTrue(readFileSync.notCalled);
+    });
+
+    it("should hash modified and untracked files like git", () => {
+        const gitObjectIds = new GitObjectIds();
+
+        writeFiles(root, {
+            "a.js": "modified\n",
+            "c.js": "c\n"
+        });
+
+        assert.strictEqual(gitObjectIds.getObjectId(path.join(root, "a.js")), git(root, "hash-object", "a.js"));
+        assert.strictEqual(gitObjectIds.getObjectId(path.join(root, "c.js")), git(root, "hash-object", "c.js"));
+    });
+
+    it("should hash files outside of a git repository like git", () => {
+        const gitObjectIds = new GitObjectIds();
+
+        sh.rm("-r", path.join(root, ".git"));
+
+        // The object ID of "a\n", as `git hash-object` prints it.
+        assert.strictEqual(gitObjectIds.getObjectId(path.join(root, "a.js")), "78981922613b2afb6025042ff6bd878ac1994e85");
+    });
+
+    it("should notice modified files only after reset()", () => {
+        const gitObjectIds = new GitObjectIds();
+        const objectId = gitObjectIds.getObjectId(path.join(root, "a.js"));
+
+        writeFiles(root, { "a.js": "modified\n" });
+        assert.strictEqual(gitObjectIds.getObjectId(path.join(root, "a.js")), objectId);
+
+        gitObjectIds.reset();
+        assert.strictEqual(gitObjectIds.getObjectId(path.join(root, "a.js")), git(root, "hash-object", "a.js"));
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Unit tests for the helpers of the lint result caches.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert,
+    path = require("path"),
+    LintResultCache = require("../../../lib/cli-engine/lint-result-cache"),
+    SharedLintResultCache = require("../../../lib/cli-engine/shared-lint-result-cache"),
+    RemoteLintResultCache = require("../../../lib/cli-engine/remote-lint-result-cache"),
+    { createLintResultCache, getCachedResult } = require("../../../lib/cli-engine/lint-result-cache-helpers");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("createLintResultCache()", () => {
+    const cwd = path.resolve("/project");
+    const options = { cacheDir: null, cacheRemote: null, cacheStrategy: "metadata", cwd };
+
+    it("should create a cache file if no cache directory is given", () => {
+        assert.instanceOf(createLintResultCache(options, path.join(cwd, ".eslintcache")), LintResultCache);
+    });
+
+    it("should create a shared cache in the cache directory", () => {
+        const cache = createLintResultCache({ ...options, cacheDir: ".cache" }, path.join(cwd, ".eslintcache"));
+
+        assert.instanceOf(cache, SharedLintResultCache);
+        assert.notInstanceOf(cache, RemoteLintResultCache);
+        assert.strictEqual(cache.cacheDirectory, path.join(cwd, ".cache"));
+    });
+
+    it("should create a remote cache if a URL is given", () => {
+        const cache = createLintResultCache({ ...options, cacheDir: ".cache", cacheRemote: "http://localhost/cache/" }, path.join(cwd, ".eslintcache"));
+
+        assert.instanceOf(cache, RemoteLintResultCache);
+        assert.strictEqual(cache.remoteUrl, "http://localhost/cache");
+    });
+});
+
+describe("getCachedResult()", () => {
+    const filePath = path.resolve("/project/a.js");
+    const config = {};
+
+    /**
+     * Creates a cache that returns the given result for every file.
+     * @param {Object|null} result The cached result.
+     * @returns {Object} The cache.
+     */
+    function createCache(result) {
+        return { getCachedLintResults: () => result };
+    }
+
+    it("should return null if the file isn't cached", () => {
+        assert.isNull(getCachedResult(createCache(null), filePath, config, false));
+    });
+
+    it("should return the cached result of a file", () => {
+        const result = { filePath, messages: [{ message: "foo", severity: 2 }] };
+
+        assert.strictEqual(getCachedResult(createCache(result), filePath, config, false), result);
+    });
+
+    it("should return null for a file with fixable problems if fixes are applied", () => {
+        const result = { filePath, messages: [{ message: "foo", severity: 2, fix: { range: [0, 1], text: "" } }] };
+
+        assert.strictEqual(getCachedResult(createCache(result), filePath, config, false), result);
+        assert.isNull(getCachedResult(createCache(result), filePath, config, true));
+    });
+});
@@ -9,10 +9,15 @@
 //-----------------------------------------------------------------------------
 
 const assert = require("chai").assert,
+    crypto = require("crypto"),
     { CLIEngine } = require("../../../lib/cli-engine"),
     fs = require("fs"),
+    { git } = require("../../_utils/checkouts"),
+    os = require("os"),
     path = require("path"),
+    pkg = require("../../../package.json"),
     proxyquire = require("proxyquire"),
+    sh = require("shelljs"),
     sinon = require("sinon");
 
 //-----------------------------------------------------------------------------
@@ -174,6 +179,15 @@ describe("LintResultCache", () => {
                 assert.ok(hashStub.calledOnce);
                 assert.ok(hashStub.calledWithMatch(version));
             });
+
+            it("contains plugin versions during hashing", () => {
+                const version = "plugin-=-version";
+
+                lintResultsCache.getCachedLintResults(filePath, { plugins: { foo: { meta: { version } } } });
+
+                assert.ok(hashStub.calledOnce);
+                assert.ok(hashStub.calledWithMatch(version));
+            });
         });
 
         describe("When file is changed", () => {
@@ -207,6 +221,27 @@ describe("LintResultCache", () => {
                 assert.ok(getFileDescriptorStub.calledOnce);
                 assert.isNull(result);
             });
+
+            it("should explain which version changed", () => {
+                const debugStub = sandbox.stub();
+                const NewLintResultCache = proxyquire("../../../lib/cli-engine/lint-result-cache.js", {
+                    "file-entry-cache": fileEntryCacheStubs,
+                    "./hash": hashStub,
+                    debug: () => debugStub
+                });
+
+                cacheEntry.meta.configVersions = { eslint: "1.0.0", node: process.version, "plugin:foo": "1.0.0" };
+
+                const result = new NewLintResultCache(cacheFileLocation, "metadata").getCachedLintResults(
+                    filePath,
+                    { plugins: { foo: { meta: { version: "2.0.0" } } } }
+                );
+
+                assert.isNull(result);
+                assert.ok(debugStub.calledWithMatch(
+                    `eslint changed from 1.0.0 to ${pkg.version}, plugin:foo changed from 1.0.0 to 2.0.0: ${filePath}`
+                ));
+            });
         });
 
         describe("When file is not found on filesystem", () => {
@@ -250,13 +285,15 @@ describe("LintResultCache", () => {
         const filePath = path.join(fixturePath, "test-with-errors.js");
         const hashOfConfig = "hashOfConfig";
 
-        let cacheEntry, getFileDescriptorStub, lintResultsCache;
+        let cacheEntry, getFileDescriptorStub, setKeyStub, lintResultsCache;
 
         before(() => {
             getFileDescriptorStub = sandbox.stub();
+            setKeyStub = sandbox.stub();
 
             fileEntryCacheStubs.create = () => ({
-                getFileDescriptor: getFileDescriptorStub
+                getFileDescriptor: getFileDescriptorStub,
+                cache: { setKey: setKeyStub }
             });
         });
 
@@ -279,7 +316,7 @@ describe("LintResultCache", () => {
         });
 
         describe("When lint result has output property", () => {
-            it("does not modify file entry", () => {
+            it("does not store results for the current content in file entry", () => {
                 lintResultsCache.setCachedLintResults(
                     filePath,
                     fakeConfig,
@@ -289,6 +326,21 @@ describe("LintResultCache", () => {
                 assert.notProperty(cacheEntry.meta, "results");
                 assert.notProperty(cacheEntry.meta, "hashOfConfig");
             });
+
+            it("stores the remaining results for the fixed content in file entry", () => {
+                lintResultsCache.setCachedLintResults(
+                    filePath,
+                    fakeConfig,
+                    fakeErrorResultsAutofix
+                );
+
+                const { resultsOfOutput } = cacheEntry.meta;
+
+                assert.strictEqual(resultsOfOutput.hashOfOutput, crypto.createHash("md5").update(fakeErrorResultsAutofix.output).digest("hex"));
+                assert.strictEqual(resultsOfOutput.hashOfConfig, hashOfConfig);
+                assert.notProperty(resultsOfOutput.results, "output");
+                assert.deepStrictEqual(resultsOfOutput.results.messages, fakeErrorResultsAutofix.messages);
+            });
         });
 
         describe("When file is not found on filesystem", () => {
@@ -321,6 +373,11 @@ describe("LintResultCache", () => {
                 assert.strictEqual(cacheEntry.meta.hashOfConfig, hashOfConfig);
             });
 
+            it("stores versions of the config in file entry", () => {
+                assert.deepStrictEqual(Object.keys(cacheEntry.meta.configVersions), ["eslint", "node"]);
+                assert.strictEqual(cacheEntry.meta.configVersions.eslint, pkg.version);
+            });
+
             it("stores results (except source) in file entry", () => {
                 const expectedCachedResults = Object.assign({}, fakeErrorResults, {
                     source: null
@@ -353,6 +410,157 @@ describe("LintResultCache", () => {
         });
     });
 
+    describe("getLintDuration", () => {
+        const filePath = path.join(fixturePath, "test-with-errors.js");
+
+        let getKeyStub, lintResultsCache;
+
+        before(() => {
+            getKeyStub = sandbox.stub();
+
+            fileEntryCacheStubs.create = () => ({
+                cache: { getKey: getKeyStub }
+            });
+        });
+
+        after(() => {
+            delete fileEntryCacheStubs.create;
+        });
+
+        beforeEach(() => {
+            lintResultsCache = new LintResultCache(cacheFileLocation, "metadata");
+        });
+
+        describe("When file is not in the cache", () => {
+            it("should return null", () => {
+                assert.isNull(lintResultsCache.getLintDuration(filePath));
+            });
+        });
+
+        describe("When file has no recorded duration", () => {
+            beforeEach(() => {
+                getKeyStub.withArgs(filePath).returns({ hashOfConfig: "hashOfConfig" });
+            });
+
+            it("should return null", () => {
+                assert.isNull(lintResultsCache.getLintDuration(filePath));
+            });
+        });
+
+        describe("When file has a recorded duration", () => {
+            beforeEach(() => {
+                getKeyStub.withArgs(filePath).returns({ lintDuration: 12.5 });
+            });
+
+            it("should return the duration", () => {
+                assert.strictEqual(lintResultsCache.getLintDuration(filePath), 12.5);
+            });
+        });
+    });
+
+    describe("setLintDuration", () => {
+        const filePath = path.join(fixturePath, "test-with-errors.js");
+
+        let cacheEntry, getFileDescriptorStub, setKeyStub, lintResultsCache;
+
+        before(() => {
+            getFileDescriptorStub = sandbox.stub();
+            setKeyStub = sandbox.stub();
+
+            fileEntryCacheStubs.create = () => ({
+                getFileDescriptor: getFileDescriptorStub,
+                cache: { setKey: setKeyStub }
+            });
+        });
+
+        after(() => {
+            delete fileEntryCacheStubs.create;
+        });
+
+        beforeEach(() => {
+            cacheEntry = {
+                meta: {}
+            };
+
+            getFileDescriptorStub.withArgs(filePath).returns(cacheEntry);
+
+            lintResultsCache = new LintResultCache(cacheFileLocation, "metadata");
+        });
+
+        describe("When file is not found on filesystem", () => {
+            beforeEach(() => {
+                cacheEntry.notFound = true;
+            });
+
+            it("does not modify file entry", () => {
+                lintResultsCache.setLintDuration(filePath, 12.5);
+
+                assert.notProperty(cacheEntry.meta, "lintDuration");
+            });
+        });
+
+        describe("When file is found on filesystem", () => {
+            it("stores the duration in file entry", () => {
+                lintResultsCache.setLintDuration(filePath, 12.5);
+
+                assert.strictEqual(cacheEntry.meta.lintDuration, 12.5);
+            });
+
+            it("adds the file entry to the cache so that the results of a new file are kept", () => {
+                lintResultsCache.setLintDuration(filePath, 12.5);
+
+                assert(setKeyStub.calledWith(filePath, cacheEntry.meta));
+            });
+        });
+    });
+
+    describe("removeCachedLintResults", () => {
+        const filePath = path.join(fixturePath, "test-with-errors.js");
+
+        let cacheEntry, getFileDescriptorStub, lintResultsCache;
+
+        before(() => {
+            getFileDescriptorStub = sandbox.stub();
+
+            fileEntryCacheStubs.create = () => ({
+                getFileDescriptor: getFileDescriptorStub,
+                cache: { setKey: sandbox.stub() }
+            });
+        });
+
+        after(() => {
+            delete fileEntryCacheStubs.create;
+        });
+
+        beforeEach(() => {
+            cacheEntry = {
+                meta: {
+                    results: {},
+                    hashOfConfig: "hashOfConfig",
+                    lintDuration: 12.5
+                }
+            };
+
+            getFileDescriptorStub.withArgs(filePath).returns(cacheEntry);
+
+            lintResultsCache = new LintResultCache(cacheFileLocation, "metadata");
+        });
+
+        it("removes the results and the hash of config but keeps the duration", () => {
+            lintResultsCache.removeCachedLintResults(filePath);
+
+            assert.deepStrictEqual(cacheEntry.meta, { lintDuration: 12.5 });
+        });
+
+        it("does not modify file entry when file is not found on filesystem", () => {
+            cacheEntry.notFound = true;
+
+            lintResultsCache.removeCachedLintResults(filePath);
+
+            assert.property(cacheEntry.meta, "results");
+        });
+    });
+
     describe("reconcile", () => {
         let reconcileStub, lintResultsCache;
 
@@ -378,4 +586,225 @@ describe("LintResultCache", () => {
             assert.isTrue(reconcileStub.calledOnce);
         });
     });
+
+    describe("getStats, prune, and clear", () => {
+        const RealLintResultCache = require("../../../lib/cli-engine/lint-result-cache");
+        const config = { rules: { semi: 2 } };
+        let tmpDir, location, clock;
+
+        /**
+         * Looks up files in a new cache, and caches the results of the files
+         * that weren't found, like a lint run.
+         * @param {string[]} fileNames The names of the files.
+         * @param {Object} [fileConfig] The config of the files.
+         * @returns {void}
+         */
+        function run(fileNames, fileConfig = config) {
+            const cache = new RealLintResultCache(location, "metadata");
+
+            for (const fileName of fileNames) {
+                const filePath = path.join(tmpDir, fileName);
+
+                if (!cache.getCachedLintResults(filePath, fileConfig)) {
+                    cache.setCachedLintResults(filePath, fileConfig, { filePath, messages: [], errorCount: 0 });
+                }
+            }
+
+            cache.reconcile();
+            clock.tick(1000);
+        }
+
+        beforeEach(() => {
+            tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "eslint-lint-result-cache-")));
+            location = path.join(tmpDir, ".eslintcache");
+            clock = sinon.useFakeTimers({ now: 1000, toFake: ["Date"] });
+
+            for (const fileName of ["a.js", "b.js", "c.js"]) {
+                fs.writeFileSync(path.join(tmpDir, fileName), "foo;\n");
+            }
+        });
+
+        afterEach(() => {
+            clock.restore();
+            sh.rm("-r", tmpDir);
+        });
+
+        it("should return empty statistics if there is no cache file", () => {
+            assert.deepStrictEqual(new RealLintResultCache(location, "metadata").getStats(), {
+                location,
+                entries: 0,
+                deletedFileEntries: 0,
+                size: 0,
+                lastRun: null
+            });
+        });
+
+        it("should count the entries, the entries of deleted files, and the hits and misses of the last run", () => {
+            run(["a.js", "b.js", "c.js"]);
+            run(["a.js", "b.js"], { rules: { semi: 1 } });
+            fs.unlinkSync(path.join(tmpDir, "c.js"));
+
+            const stats = new RealLintResultCache(location, "metadata").getStats();
+
+            assert.strictEqual(stats.entries, 3);
+            assert.strictEqual(stats.deletedFileEntries, 1);
+            assert.strictEqual(stats.size, fs.statSync(location).size);
+            assert.deepStrictEqual(stats.lastRun, { hits: 0, misses: 2 });
+        });
+
+        it("should prune the entries of deleted files, files that aren't linted, and files whose config changed", () => {
+            fs.writeFileSync(path.join(tmpDir, "d.js"), "foo;\n");
+            run(["a.js", "b.js", "c.js", "d.js"]);
+            fs.unlinkSync(path.join(tmpDir, "d.js"));
+
+            const removedCount = new RealLintResultCache(location, "metadata").prune(new Map([
+                [path.join(tmpDir, "a.js"), config],
+                [path.join(tmpDir, "b.js"), { rules: { semi: 1 } }]
+            ]));
+            const cache = new RealLintResultCache(location, "metadata");
+
+            assert.strictEqual(removedCount, 3);
+            assert.strictEqual(cache.getStats().entries, 1);
+            assert.isNotNull(cache.getCachedLintResults(path.join(tmpDir, "a.js"), config));
+        });
+
+        it("should delete the cache file on clear()", () => {
+            run(["a.js"]);
+            new RealLintResultCache(location, "metadata").clear();
+
+            assert.isFalse(fs.existsSync(location));
+        });
+    });
+
+    describe("with results of fix runs", () => {
+        const RealLintResultCache = require("../../../lib/cli-engine/lint-result-cache");
+        const config = { rules: { semi: 2, "no-undef": 2 } };
+        let tmpDir, location, filePath;
+
+        /**
+         * Creates the result of a fix run that added a semicolon.
+         * @returns {Object} The result.
+         */
+        function createFixResult() {
+            return {
+                filePath,
+                messages: [{ ruleId: "no-undef", severity: 2, message: "'foo' is not defined.", line: 1, column: 1 }],
+                errorCount: 1,
+                warningCount: 0,
+                fixableErrorCount: 0,
+                fixableWarningCount: 0,
+                output: "foo;\n"
+            };
+        }
+
+        beforeEach(() => {
+            tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "eslint-lint-result-cache-")));
+            location = path.join(tmpDir, ".eslintcache");
+            filePath = path.join(tmpDir, "a.js");
+            fs.writeFileSync(filePath, "foo\n");
+        });
+
+        afterEach(() => {
+            sh.rm("-r", tmpDir);
+        });
+
+        ["metadata", "content", "git"].forEach(cacheStrategy => {
+            it(`should use the remaining results once the fixes are written with the ${cacheStrategy} strategy`, () => {
+                const cache = new RealLintResultCache(location, cacheStrategy);
+
+                assert.isNull(cache.getCachedLintResults(filePath, config));
+                cache.setCachedLintResults(filePath, config, createFixResult());
+                cache.reconcile();
+
+                // The fixes aren't written yet.
+                assert.isNull(new RealLintResultCache(location, cacheStrategy).getCachedLintResults(filePath, config));
+
+                fs.writeFileSync(filePath, createFixResult().output);
+
+                const expectedResult = Object.assign(createFixResult(), { source: "foo;\n" });
+                const nextCache = new RealLintResultCache(location, cacheStrategy);
+
+                delete expectedResult.output;
+                assert.deepStrictEqual(nextCache.getCachedLintResults(filePath, config), expectedResult);
+                nextCache.reconcile();
+
+                assert.deepStrictEqual(new RealLintResultCache(location, cacheStrategy).getCachedLintResults(filePath, config), expectedResult);
+            });
+        });
+
+        it("should not use the remaining results if the file has other content", () => {
+            const cache = new RealLintResultCache(location, "metadata");
+
+            cache.setCachedLintResults(filePath, config, createFixResult());
+            cache.reconcile();
+            fs.writeFileSync(filePath, "bar;\n");
+
+            assert.isNull(new RealLintResultCache(location, "metadata").getCachedLintResults(filePath, config));
+        });
+
+        it("should not use the remaining results if the config changed", () => {
+            const cache = new RealLintResultCache(location, "metadata");
+
+            cache.setCachedLintResults(filePath, config, createFixResult());
+            cache.reconcile();
+            fs.writeFileSync(filePath, createFixResult().output);
+
+            assert.isNull(new RealLintResultCache(location, "metadata").getCachedLintResults(filePath, { rules: { semi: 1 } }));
+        });
+    });
+
+    describe("with the git strategy", () => {
+        const RealLintResultCache = require("../../../lib/cli-engine/lint-result-cache");
+        const config = { rules: { semi: 2 } };
+        let tmpDir, location, filePath;
+
+        /**
+         * Looks up a file in a new cache, and caches its results if they
+         * weren't found, like a lint run.
+         * @returns {boolean} `true` if the results were found.
+         */
+        function run() {
+            const cache = new RealLintResultCache(location, "git");
+            const found = cache.getCachedLintResults(filePath, config) !== null;
+
+            if (!found) {
+                cache.setCachedLintResults(filePath, config, { filePath, messages: [], errorCount: 0 });
+            }
+
+            cache.reconcile();
+
+            return found;
+        }
+
+        beforeEach(() => {
+            tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "eslint-lint-result-cache-")));
+            location = path.join(tmpDir, ".eslintcache");
+            filePath = path.join(tmpDir, "a.js");
+            fs.writeFileSync(filePath, "foo;\n");
+            fs.writeFileSync(path.join(tmpDir, ".gitignore"), ".eslintcache\n");
+            git(tmpDir, "init", "-q");
+            git(tmpDir, "add", "-A");
+        });
+
+        afterEach(() => {
+            sh.rm("-r", tmpDir);
+        });
+
+        it("should reuse the results of a file whose modification time changed but whose content didn't", () => {
+            assert.isFalse(run());
+
+            fs.utimesSync(filePath, new Date(2000, 0, 1), new Date(2000, 0, 1));
+
+            assert.isTrue(run());
+        });
+
+        it("should not reuse the results of a file whose content changed", () => {
+            assert.isFalse(run());
+
+            fs.writeFileSync(filePath, "bar;\n");
+
+            assert.isFalse(run());
+            assert.isTrue(run());
+        });
+    });
 });
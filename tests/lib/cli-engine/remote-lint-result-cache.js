@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Unit tests for the remote lint result cache.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert,
+    fs = require("fs"),
+    http = require("http"),
+    path = require("path"),
+    sh = require("shelljs"),
+    RemoteLintResultCache = require("../../../lib/cli-engine/remote-lint-result-cache"),
+    { createCheckout, createResult, createTempDirectory } = require("../../_utils/checkouts");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Starts an HTTP server that stores blobs in memory, as a stand-in for a
+ * remote cache.
+ * @param {Object} [options] The options.
+ * @param {boolean} [options.respond] `false` to never respond to requests.
+ * @param {boolean} [options.trickle] `true` to respond with a body that
+ *      never ends, one byte at a time.
+ * @returns {Promise<{url: string, blobs: Map<string, string>, requests: string[], close: () => Promise<void>}>}
+ *      The URL of the server, the stored blobs by path, the requests it
+ *      received, and a function to stop the server with.
+ */
+function startServer({ respond = true, trickle = false } = {}) {
+    const blobs = new Map();
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+
+        request.on("data", chunk => chunks.push(chunk));
+        request.on("end", () => {
+            requests.push(`${request.method} ${request.url}`);
+
+            if (!respond) {
+                return;
+            }
+
+            if (trickle) {
+                const interval = setInterval(() => response.write(" "), 10);
+
+                response.writeHead(200, { "Content-Type": "application/json" });
+                response.on("close", () => clearInterval(interval));
+                return;
+            }
+
+            if (request.method === "PUT") {
+                blobs.set(request.url, Buffer.concat(chunks).toString("utf8"));
+                response.writeHead(201);
+                response.end();
+            } else if (blobs.has(request.url)) {
+                response.writeHead(200, { "Content-Type": "application/json" });
+                response.end(blobs.get(request.url));
+            } else {
+                response.writeHead(404);
+                response.end();
+            }
+        });
+    });
+
+    const sockets = new Set();
+
+    // Connections are closed when the server is stopped, even if a request is waiting for its response.
+    server.on("connection", socket => {
+        sockets.add(socket);
+        socket.on("close", () => sockets.delete(socket));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, "127.0.0.1", () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/cache/`,
+                blobs,
+                requests,
+                close: () => new Promise(resolveClose => {
+                    for (const socket of sockets) {
+                        socket.destroy();
+                    }
+                    server.close(() => resolveClose());
+                })
+            });
+        });
+    });
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("RemoteLintResultCache", () => {
+    const config = { rules: { "no-undef": 2 } };
+    let tmpDir, server;
+
+    /**
+     * Creates a cache with a local cache directory of its own, as on another machine.
+     * @param {string} cwd The path of the checkout directory.
+     * @param {Object} [options] The options of the cache.
+     * @returns {RemoteLintResultCache} The cache.
+     */
+    function createCache(cwd, options) {
+        return new RemoteLintResultCache(path.join(cwd, ".cache"), cwd, server.url, options);
+    }
+
+    beforeEach(async () => {
+        tmpDir = createTempDirectory("eslint-remote-cache-");
+        server = await startServer();
+    });
+
+    afterEach(async () => {
+        await server.close();
+        sh.rm("-r", tmpDir);
+    });
+
+    it("should upload the new entries after reconcile()", async () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = createCache(cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), config, createResult(cwd));
+        cache.reconcile();
+        await cache.upload();
+
+        assert.strictEqual(server.requests.length, 1);
+        assert.match(server.requests[0], /^PUT \/cache\/[0-9a-f]{64}$/u);
+        assert.isNotNull(cache.getCachedLintResults(path.join(cwd, "a.js"), config));
+    });
+
+    it("should download the entries of files that aren't in the local cache", async () => {
+        const cwd1 = createCheckout(tmpDir, "a");
+        const cache1 = createCache(cwd1);
+
+        cache1.setCachedLintResults(path.join(cwd1, "a.js"), config, createResult(cwd1));
+        cache1.reconcile();
+        await cache1.upload();
+
+        const cwd2 = createCheckout(tmpDir, "b");
+        const cache2 = createCache(cwd2);
+
+        assert.isNull(cache2.getCachedLintResults(path.join(cwd2, "a.js"), config));
+
+        await cache2.download([{ filePath: path.join(cwd2, "a.js"), config }]);
+
+        assert.deepStrictEqual(cache2.getCachedLintResults(path.join(cwd2, "a.js"), config), createResult(cwd2));
+
+        // The entry is in the local cache now.
+        await cache2.download([{ filePath: path.join(cwd2, "a.js"), config }]);
+        assert.strictEqual(server.requests.filter(request => request.startsWith("GET")).length, 1);
+    });
+
+    it("should not download entries that aren't valid", async () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = createCache(cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), config, createResult(cwd));
+        cache.reconcile();
+        await cache.upload();
+
+        const cwd2 = createCheckout(tmpDir, "b");
+        const cache2 = createCache(cwd2);
+
+        for (const key of server.blobs.keys()) {
+            server.blobs.set(key, "{\"results\":");
+        }
+
+        await cache2.download([{ filePath: path.join(cwd2, "a.js"), config }]);
+
+        assert.isNull(cache2.getCachedLintResults(path.join(cwd2, "a.js"), config));
+    });
+
+    it("should not download entries that don't have the shape of lint results", async () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = createCache(cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), config, createResult(cwd));
+        cache.reconcile();
+        await cache.upload();
+
+        const cwd2 = createCheckout(tmpDir, "b");
+
+        for (const results of [
+            { messages: "foo" },
+            { messages: [{ message: "foo", severity: 3 }] },
+            { messages: [], errorCount: -1 },
+            { messages: [{ message: "foo", severity: 2, fix: { text: "bar" } }] }
+        ]) {
+            const cache2 = createCache(cwd2);
+
+            for (const key of server.blobs.keys()) {
+                server.blobs.set(key, JSON.stringify({ results }));
+            }
+
+            await cache2.download([{ filePath: path.join(cwd2, "a.js"), config }]);
+
+            assert.isNull(cache2.getCachedLintResults(path.join(cwd2, "a.js"), config), JSON.stringify(results));
+        }
+    });
+
+    it("should remove the fixed code and source from downloaded entries", async () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = createCache(cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), config, createResult(cwd));
+        cache.reconcile();
+        await cache.upload();
+
+        for (const key of server.blobs.keys()) {
+            const entry = JSON.parse(server.blobs.get(key));
+
+            entry.results.output = "evil();\n";
+            entry.results.source = "evil();\n";
+            server.blobs.set(key, JSON.stringify(entry));
+        }
+
+        const cwd2 = createCheckout(tmpDir, "b");
+        const cache2 = createCache(cwd2);
+
+        await cache2.download([{ filePath: path.join(cwd2, "a.js"), config }]);
+
+        const results = cache2.getCachedLintResults(path.join(cwd2, "a.js"), config);
+
+        assert.notProperty(results, "output");
+        assert.strictEqual(results.source, "foo;\n");
+    });
+
+    it("should use only the local cache after the server couldn't be reached", async () => {
+        const cwd = createCheckout(tmpDir, "a");
+
+        fs.writeFileSync(path.join(cwd, "b.js"), "bar;\n");
+        await server.close();
+
+        const cache = createCache(cwd);
+
+        await cache.download([
+            { filePath: path.join(cwd, "a.js"), config },
+            { filePath: path.join(cwd, "b.js"), config }
+        ]);
+        cache.setCachedLintResults(path.join(cwd, "a.js"), config, createResult(cwd));
+        cache.reconcile();
+        await cache.upload();
+
+        assert.isFalse(cache.remoteAvailable);
+        assert.isNotNull(cache.getCachedLintResults(path.join(cwd, "a.js"), config));
+    });
+
+    it("should time out quickly if the server doesn't respond", async () => {
+        await server.close();
+        server = await startServer({ respond: false });
+
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = createCache(cwd, { timeout: 50 });
+        const startTime = Date.now();
+
+        await cache.download([{ filePath: path.join(cwd, "a.js"), config }]);
+        cache.setCachedLintResults(path.join(cwd, "a.js"), config, createResult(cwd));
+        cache.reconcile();
+        await cache.upload();
+
+        assert.isFalse(cache.remoteAvailable);
+        assert.strictEqual(server.requests.length, 1);
+        assert.isBelow(Date.now() - startTime, 1000);
+    });
+
+    it("should stop waiting for a response that doesn't end", async () => {
+        await server.close();
+        server = await startServer({ trickle: true });
+
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = createCache(cwd, { timeout: 50, maxRequestTime: 200 });
+        const startTime = Date.now();
+
+        await cache.download([{ filePath: path.join(cwd, "a.js"), config }]);
+
+        assert.isFalse(cache.remoteAvailable);
+        assert.isNull(cache.getCachedLintResults(path.join(cwd, "a.js"), config));
+        assert.isBelow(Date.now() - startTime, 1000);
+    });
+
+    it("should not download responses that are too large", async () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = createCache(cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), config, createResult(cwd));
+        cache.reconcile();
+        await cache.upload();
+
+        const cwd2 = createCheckout(tmpDir, "b");
+        const cache2 = createCache(cwd2, { maxResponseSize: 10 });
+
+        await cache2.download([{ filePath: path.join(cwd2, "a.js"), config }]);
+
+        assert.isFalse(cache2.remoteAvailable);
+        assert.isNull(cache2.getCachedLintResults(path.join(cwd2, "a.js"), config));
+    });
+});
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Unit tests for the shared lint result cache.
+ */
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert,
+    fs = require("fs"),
+    path = require("path"),
+    sh = require("shelljs"),
+    SharedLintResultCache = require("../../../lib/cli-engine/shared-lint-result-cache"),
+    { createCheckout, createResult, createTempDirectory } = require("../../_utils/checkouts");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("SharedLintResultCache", () => {
+    let tmpDir, cacheDirectory;
+
+    /**
+     * Lists the files in the cache directory.
+     * @returns {string[]} The paths of the files relative to the cache directory.
+     */
+    function listCacheFiles() {
+        return fs.readdirSync(cacheDirectory).flatMap(
+            subdirectory => fs.readdirSync(path.join(cacheDirectory, subdirectory)).map(name => `${subdirectory}/${name}`)
+        );
+    }
+
+    beforeEach(() => {
+        tmpDir = createTempDirectory("eslint-shared-cache-");
+        cacheDirectory = path.join(tmpDir, "cache");
+    });
+
+    afterEach(() => {
+        sh.rm("-r", tmpDir);
+    });
+
+    it("should return null for a file that isn't in the cache", () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+
+        assert.isNull(cache.getCachedLintResults(path.join(cwd, "a.js"), { rules: {} }));
+    });
+
+    it("should return the results of the same file in another checkout", () => {
+        const cwd1 = createCheckout(tmpDir, "a");
+        const cwd2 = createCheckout(tmpDir, "b");
+        const cache1 = new SharedLintResultCache(cacheDirectory, cwd1);
+
+        cache1.getCachedLintResults(path.join(cwd1, "a.js"), { rules: {}, basePath: cwd1 });
+        cache1.setCachedLintResults(path.join(cwd1, "a.js"), { rules: {}, basePath: cwd1 }, createResult(cwd1));
+        cache1.reconcile();
+
+        const cache2 = new SharedLintResultCache(cacheDirectory, cwd2);
+
+        assert.deepStrictEqual(
+            cache2.getCachedLintResults(path.join(cwd2, "a.js"), { rules: {}, basePath: cwd2 }),
+            createResult(cwd2)
+        );
+    });
+
+    it("should not return the results of a file with different content", () => {
+        const cwd1 = createCheckout(tmpDir, "a");
+        const cwd2 = createCheckout(tmpDir, "b", { "a.js": "bar;\n" });
+        const cache1 = new SharedLintResultCache(cacheDirectory, cwd1);
+
+        cache1.setCachedLintResults(path.join(cwd1, "a.js"), { rules: {} }, createResult(cwd1));
+        cache1.reconcile();
+
+        assert.isNull(new SharedLintResultCache(cacheDirectory, cwd2).getCachedLintResults(path.join(cwd2, "a.js"), { rules: {} }));
+    });
+
+    it("should not return the results of a file with a different config", () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), { rules: { "no-undef": 2 } }, createResult(cwd));
+        cache.reconcile();
+
+        assert.isNull(cache.getCachedLintResults(path.join(cwd, "a.js"), { rules: { "no-undef": 1 } }));
+    });
+
+    it("should not return the results of a file with a different version of a plugin", () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), { plugins: { foo: { meta: { version: "1.0.0" } } } }, createResult(cwd));
+        cache.reconcile();
+
+        assert.isNotNull(cache.getCachedLintResults(path.join(cwd, "a.js"), { plugins: { foo: { meta: { version: "1.0.0" } } } }));
+        assert.isNull(cache.getCachedLintResults(path.join(cwd, "a.js"), { plugins: { foo: { meta: { version: "2.0.0" } } } }));
+    });
+
+    it("should cache the remaining results of a fix run for the fixed content", () => {
+        const cwd = createCheckout(tmpDir, "a", { "a.js": "foo\n" });
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+        const { source, ...fixResult } = createResult(cwd);
+
+        assert.isNull(cache.getCachedLintResults(path.join(cwd, "a.js"), { rules: {} }));
+        cache.setCachedLintResults(path.join(cwd, "a.js"), { rules: {} }, { ...fixResult, output: source });
+        cache.reconcile();
+
+        // The fixes aren't written yet.
+        assert.isNull(new SharedLintResultCache(cacheDirectory, cwd).getCachedLintResults(path.join(cwd, "a.js"), { rules: {} }));
+
+        fs.writeFileSync(path.join(cwd, "a.js"), source);
+
+        assert.deepStrictEqual(
+            new SharedLintResultCache(cacheDirectory, cwd).getCachedLintResults(path.join(cwd, "a.js"), { rules: {} }),
+            createResult(cwd)
+        );
+    });
+
+    it("should not write results that were removed before reconcile()", () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), { rules: {} }, createResult(cwd));
+        cache.removeCachedLintResults(path.join(cwd, "a.js"));
+        cache.reconcile();
+
+        assert.isFalse(fs.existsSync(cacheDirectory));
+    });
+
+    it("should write each entry to a file of its own without leaving temporary files", () => {
+        const cwd = createCheckout(tmpDir, "a");
+
+        fs.writeFileSync(path.join(cwd, "b.js"), "bar;\n");
+
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), { rules: {} }, createResult(cwd));
+        cache.setCachedLintResults(path.join(cwd, "b.js"), { rules: {} }, { ...createResult(cwd), filePath: path.join(cwd, "b.js") });
+        cache.reconcile();
+
+        const cacheFiles = listCacheFiles();
+
+        assert.strictEqual(cacheFiles.length, 2);
+        cacheFiles.forEach(cacheFile => assert.match(cacheFile, /^[0-9a-f]{2}\/[0-9a-f]{64}\.json$/u));
+    });
+
+    it("should count the entries, the entries of deleted files, and the hits and misses of the last run", () => {
+        const cwd = createCheckout(tmpDir, "a");
+
+        fs.writeFileSync(path.join(cwd, "b.js"), "bar;\n");
+
+        const cache1 = new SharedLintResultCache(cacheDirectory, cwd);
+
+        for (const fileName of ["a.js", "b.js"]) {
+            cache1.getCachedLintResults(path.join(cwd, fileName), { rules: {} });
+            cache1.setCachedLintResults(path.join(cwd, fileName), { rules: {} }, { ...createResult(cwd), filePath: path.join(cwd, fileName) });
+        }
+        cache1.reconcile();
+        fs.unlinkSync(path.join(cwd, "b.js"));
+
+        const cache2 = new SharedLintResultCache(cacheDirectory, cwd);
+
+        cache2.getCachedLintResults(path.join(cwd, "a.js"), { rules: {} });
+        cache2.getCachedLintResults(path.join(cwd, "a.js"), { rules: { semi: 2 } });
+        cache2.getCachedLintResults(path.join(tmpDir, "c.js"), { rules: {} });
+        cache2.reconcile();
+
+        const stats = cache2.getStats();
+
+        assert.strictEqual(stats.location, cacheDirectory);
+        assert.strictEqual(stats.entries, 2);
+        assert.strictEqual(stats.deletedFileEntries, 1);
+        assert.isAbove(stats.size, 0);
+        assert.deepStrictEqual(stats.lastRun, { hits: 0, misses: 1 });
+    });
+
+    it("should prune the entries that aren't the current entry of a linted file", () => {
+        const cwd = createCheckout(tmpDir, "a");
+
+        fs.writeFileSync(path.join(cwd, "b.js"), "bar;\n");
+
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), { rules: {} }, createResult(cwd));
+        cache.setCachedLintResults(path.join(cwd, "b.js"), { rules: {} }, { ...createResult(cwd), filePath: path.join(cwd, "b.js") });
+        cache.reconcile();
+        fs.writeFileSync(path.join(cwd, "a.js"), "foo();\n");
+        cache.setCachedLintResults(path.join(cwd, "a.js"), { rules: {} }, createResult(cwd));
+        cache.reconcile();
+
+        assert.strictEqual(listCacheFiles().length, 3);
+        assert.strictEqual(cache.prune(new Map([[path.join(cwd, "a.js"), { rules: {} }]])), 2);
+        assert.strictEqual(listCacheFiles().length, 1);
+        assert.isNotNull(cache.getCachedLintResults(path.join(cwd, "a.js"), { rules: {} }));
+    });
+
+    it("should remove the entries and then the empty directory on clear()", () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+
+        cache.getCachedLintResults(path.join(cwd, "a.js"), { rules: {} });
+        cache.setCachedLintResults(path.join(cwd, "a.js"), { rules: {} }, createResult(cwd));
+        cache.reconcile();
+        cache.clear();
+
+        assert.isFalse(fs.existsSync(cacheDirectory));
+    });
+
+    it("should keep files that aren't entries on clear()", () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+
+        cache.setCachedLintResults(path.join(cwd, "a.js"), { rules: {} }, createResult(cwd));
+        cache.reconcile();
+        fs.writeFileSync(path.join(cacheDirectory, "README.md"), "Lint results\n");
+        cache.clear();
+
+        assert.deepStrictEqual(fs.readdirSync(cacheDirectory), ["README.md"]);
+    });
+
+    it("should not return durations", () => {
+        const cwd = createCheckout(tmpDir, "a");
+        const cache = new SharedLintResultCache(cacheDirectory, cwd);
+
+        cache.setLintDuration(path.join(cwd, "a.js"), 100);
+
+        assert.isNull(cache.getLintDuration(path.join(cwd, "a.js")));
+    });
+});
@@ -17,12 +17,14 @@
 const assert = require("chai").assert,
     stdAssert = require("assert"),
     { ESLint } = require("../../lib/eslint"),
+    { LintDaemon } = require("../../lib/daemon/server"),
     BuiltinRules = require("../../lib/rules"),
     path = require("path"),
     sinon = require("sinon"),
     fs = require("fs"),
     os = require("os"),
-    sh = require("shelljs");
+    sh = require("shelljs"),
+    { git, writeFiles } = require("../_utils/checkouts");
 
 const proxyquire = require("proxyquire").noCallThru().noPreserveCache();
 
@@ -759,6 +761,653 @@ describe("cli", () => {
             });
 
 
+            describe("when given the shard flag", () => {
+                it(`should lint only the files in the shard with configType:${configType}`, async () => {
+                    const flag = useFlatConfig ? "--no-config-lookup" : "--no-eslintrc";
+                    const filePaths = ["a.js", "b.js", "c.js", "d.js"].map(name => getFixturePath("lint-workers", name));
+                    const lintedFilePaths = [];
+
+                    for (const shard of ["1/2", "2/2"]) {
+                        log.info.resetHistory();
+                        await cli.execute(`${flag} --rule semi:warn --shard ${shard} -f json ${filePaths.join(" ")}`, null, useFlatConfig);
+                        lintedFilePaths.push(...JSON.parse(log.info.args[0][0]).map(result => result.filePath));
+                    }
+
+                    assert.sameMembers(lintedFilePaths, filePaths);
+                });
+
+                it(`should return an error for an invalid shard with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`--shard 3/2 ${getFixturePath("passing.js")}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.isTrue(log.error.calledOnce);
+                    assert.include(log.error.args[0][0], "The --shard option must be in the form <index>/<total>");
+                });
+            });
+
+            describe("when given the stats flag", () => {
+                it(`should add statistics to the results in the report with configType:${configType}`, async () => {
+                    const flag = useFlatConfig ? "--no-config-lookup" : "--no-eslintrc";
+                    const filePath = getFixturePath("lint-workers", "a.js");
+
+                    await cli.execute(`${flag} --no-ignore --rule semi:warn --stats -f json ${filePath}`, null, useFlatConfig);
+
+                    const [result] = JSON.parse(log.info.args[0][0]);
+
+                    assert.strictEqual(result.stats.times.passes.length, 1);
+                    assert.hasAllKeys(result.stats.times.passes[0].rules, ["semi"]);
+                    assert.strictEqual(result.stats.fixPasses, 0);
+                });
+
+                it(`should not add statistics to the results without the flag with configType:${configType}`, async () => {
+                    const flag = useFlatConfig ? "--no-config-lookup" : "--no-eslintrc";
+                    const filePath = getFixturePath("lint-workers", "a.js");
+
+                    await cli.execute(`${flag} --no-ignore --rule semi:warn -f json ${filePath}`, null, useFlatConfig);
+
+                    assert.notProperty(JSON.parse(log.info.args[0][0])[0], "stats");
+                });
+            });
+
+            describe("when given the selector-stats flag", () => {
+                it(`should add statistics broken down by selector to the results in the report with configType:${configType}`, async () => {
+                    const flag = useFlatConfig ? "--no-config-lookup" : "--no-eslintrc";
+                    const filePath = getFixturePath("lint-workers", "a.js");
+
+                    await cli.execute(`${flag} --no-ignore --rule semi:warn --selector-stats -f json ${filePath}`, null, useFlatConfig);
+
+                    const [result] = JSON.parse(log.info.args[0][0]);
+                    const [pass] = result.stats.times.passes;
+
+                    assert.strictEqual(pass.rules.semi.selectors.VariableDeclaration.count, 1);
+                    assert.strictEqual(pass.selectors.VariableDeclaration.count, 1);
+                });
+            });
+
+            describe("when given the trace flag", () => {
+
+                // The current working directory is the fixtures directory, so the path has to be absolute.
+                const outputDirectory = path.join(originalCwd(), "tests", "output");
+                const traceFile = path.join(outputDirectory, "eslint-trace.json");
+
+                afterEach(() => {
+                    sh.rm("-rf", outputDirectory);
+                });
+
+                it(`should write the trace events of the run to the file with configType:${configType}`, async () => {
+                    const flag = useFlatConfig ? "--no-config-lookup" : "--no-eslintrc";
+                    const filePath = getFixturePath("lint-workers", "a.js");
+
+                    const exitCode = await cli.execute(`${flag} --no-ignore --rule semi:warn --trace ${traceFile} ${filePath}`, null, useFlatConfig);
+                    const { traceEvents } = JSON.parse(fs.readFileSync(traceFile, "utf8"));
+
+                    assert.strictEqual(exitCode, 0);
+                    assert.deepStrictEqual(
+                        traceEvents.filter(event => event.name === "Lint file").map(event => event.args.filePath),
+                        [filePath]
+                    );
+                    assert.isTrue(traceEvents.some(event => event.name === "Find files"));
+                });
+
+                it(`should return an error if the trace file could not be written with configType:${configType}`, async () => {
+                    const flag = useFlatConfig ? "--no-config-lookup" : "--no-eslintrc";
+                    const filePath = getFixturePath("lint-workers", "a.js");
+
+                    fs.writeFileSync(outputDirectory, "foo");
+
+                    const exitCode = await cli.execute(`${flag} --no-ignore --rule semi:warn --trace ${traceFile} ${filePath}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.include(log.error.args[0][0], "There was a problem writing the trace file");
+                });
+
+                it(`should return an error with --merge-reports with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`--merge-reports --trace ${traceFile} report.json`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], "The --trace option can't be used with --merge-reports.");
+                });
+            });
+
+            describe("when given the progress flag", () => {
+                const isTTYDescriptor = Object.getOwnPropertyDescriptor(process.stderr, "isTTY");
+
+                /**
+                 * Runs the CLI with stderr looking like a terminal or not.
+                 * @param {string} args The arguments to run the CLI with.
+                 * @param {boolean} isTTY Whether stderr should be a terminal.
+                 * @returns {Promise<string>} Everything written to stderr.
+                 */
+                async function executeWithStderr(args, isTTY) {
+                    const write = sinon.stub(process.stderr, "write");
+
+                    Object.defineProperty(process.stderr, "isTTY", { value: isTTY, configurable: true });
+
+                    try {
+                        await cli.execute(args, null, useFlatConfig);
+                    } finally {
+                        write.restore();
+
+                        if (isTTYDescriptor) {
+                            Object.defineProperty(process.stderr, "isTTY", isTTYDescriptor);
+                        } else {
+                            delete process.stderr.isTTY;
+                        }
+                    }
+
+                    return write.args.map(([chunk]) => chunk).join("");
+                }
+
+                it(`should render the progress on stderr if it is a terminal with configType:${configType}`, async () => {
+                    const flag = useFlatConfig ? "--no-config-lookup" : "--no-eslintrc";
+                    const filePaths = ["a.js", "b.js"].map(name => getFixturePath("lint-workers", name));
+                    const output = await executeWithStderr(`${flag} --no-ignore --progress ${filePaths.join(" ")}`, true);
+
+                    assert.match(output, /2\/2 files linted, \d+s elapsed, ETA 0s/u);
+                    assert.isTrue(output.endsWith("\r\u001b[K"), "the progress line should be cleared");
+                });
+
+                it(`should not render the progress if stderr is not a terminal with configType:${configType}`, async () => {
+                    const flag = useFlatConfig ? "--no-config-lookup" : "--no-eslintrc";
+                    const output = await executeWithStderr(`${flag} --no-ignore --progress ${getFixturePath("lint-workers", "a.js")}`, false);
+
+                    assert.strictEqual(output, "");
+                });
+            });
+
+            describe("when given the merge-reports flag", () => {
+
+                /**
+                 * Creates a lint result with the given number of errors and warnings.
+                 * @param {string} name The name of the linted file.
+                 * @param {number} errorCount The number of errors.
+                 * @param {number} warningCount The number of warnings.
+                 * @returns {LintResult} The lint result.
+                 */
+                function createResult(name, errorCount, warningCount) {
+                    const messages = [
+                        ...Array.from({ length: errorCount }, () => ({ ruleId: "semi", severity: 2, message: "Missing semicolon.", line: 1, column: 1 })),
+                        ...Array.from({ length: warningCount }, () => ({ ruleId: "no-var", severity: 1, message: "Unexpected var.", line: 1, column: 1 }))
+                    ];
+
+                    return {
+                        filePath: getFixturePath("shards", name),
+                        messages,
+                        suppressedMessages: [],
+                        errorCount,
+                        fatalErrorCount: 0,
+                        warningCount,
+                        fixableErrorCount: 0,
+                        fixableWarningCount: 0,
+                        usedDeprecatedRules: []
+                    };
+                }
+
+                /**
+                 * Writes a JSON report into the fixture directory.
+                 * @param {string} name The name of the report file.
+                 * @param {any} report The report.
+                 * @returns {string} The path to the report file.
+                 */
+                function writeReport(name, report) {
+                    const reportPath = getFixturePath(name);
+
+                    fs.writeFileSync(reportPath, JSON.stringify(report));
+                    return reportPath;
+                }
+
+                it(`should print the results of all reports sorted by file path with configType:${configType}`, async () => {
+                    const firstReport = writeReport("shard-1.json", [createResult("c.js", 0, 1), createResult("a.js", 0, 0)]);
+                    const secondReport = writeReport("shard-2.json", [createResult("b.js", 0, 1)]);
+                    const exitCode = await cli.execute(`--merge-reports -f json ${firstReport} ${secondReport}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 0);
+                    assert.deepStrictEqual(
+                        JSON.parse(log.info.args[0][0]).map(result => path.basename(result.filePath)),
+                        ["a.js", "b.js", "c.js"]
+                    );
+                });
+
+                it(`should exit with exit code 1 if any report has errors with configType:${configType}`, async () => {
+                    const firstReport = writeReport("shard-1.json", [createResult("a.js", 0, 1)]);
+                    const secondReport = writeReport("shard-2.json", [createResult("b.js", 1, 0)]);
+                    const exitCode = await cli.execute(`--merge-reports ${firstReport} ${secondReport}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 1);
+                });
+
+                it(`should exit with exit code 1 if all reports together have too many warnings with configType:${configType}`, async () => {
+                    const firstReport = writeReport("shard-1.json", [createResult("a.js", 0, 1)]);
+                    const secondReport = writeReport("shard-2.json", [createResult("b.js", 0, 1)]);
+                    const exitCode = await cli.execute(`--merge-reports --max-warnings 1 ${firstReport} ${secondReport}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 1);
+                });
+
+                it(`should return an error if a report isn't a JSON report with configType:${configType}`, async () => {
+                    const report = writeReport("shard-1.json", { results: [] });
+                    const exitCode = await cli.execute(`--merge-reports ${report}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.isTrue(log.error.calledOnce);
+                });
+
+                it(`should return an error for piped-in code with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute("--merge-reports", "var foo = 'bar';", useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.isTrue(log.error.calledOnce);
+                });
+            });
+
+            describe("when a daemon is running", () => {
+                const socketPath = process.platform === "win32"
+                    ? `\\\\.\\pipe\\eslint-cli-test-${process.pid}`
+                    : path.join(os.tmpdir(), `eslint-cli-test-${process.pid}.sock`);
+                const flag = useFlatConfig ? "--no-config-lookup" : "--no-eslintrc";
+                let daemon;
+
+                beforeEach(async () => {
+                    process.env.ESLINT_DAEMON_SOCKET = socketPath;
+                    daemon = new LintDaemon({ socketPath });
+                    sinon.spy(daemon, "handleRequest");
+                    await daemon.start();
+                });
+
+                afterEach(async () => {
+                    delete process.env.ESLINT_DAEMON_SOCKET;
+                    await daemon.stop();
+                });
+
+                it(`should lint files in the daemon only with flat config with configType:${configType}`, async () => {
+                    const filePath = getFixturePath("lint-workers", "a.js");
+                    const exitCode = await cli.execute(`${flag} --daemon --no-ignore --rule semi:error -f json ${filePath}`, null, useFlatConfig, true);
+
+                    assert.strictEqual(exitCode, 1);
+                    assert.strictEqual(JSON.parse(log.info.args[0][0])[0].filePath, filePath);
+                    assert.strictEqual(daemon.handleRequest.callCount, useFlatConfig ? 1 : 0);
+                });
+
+                it(`should lint text in the daemon only with flat config with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`${flag} --daemon --rule semi:error`, "foo()", useFlatConfig, true);
+
+                    assert.strictEqual(exitCode, 1);
+                    assert.strictEqual(daemon.handleRequest.callCount, useFlatConfig ? 1 : 0);
+                });
+
+                it(`should not lint in the daemon if not allowed with configType:${configType}`, async () => {
+                    await cli.execute(`${flag} --daemon ${getFixturePath("passing.js")}`, null, useFlatConfig);
+
+                    assert.isTrue(daemon.handleRequest.notCalled);
+                });
+
+                it(`should not lint in the daemon without --daemon with configType:${configType}`, async () => {
+                    await cli.execute(`${flag} ${getFixturePath("passing.js")}`, null, useFlatConfig, true);
+
+                    assert.isTrue(daemon.handleRequest.notCalled);
+                });
+
+                it(`should not lint in the daemon if the options can't be sent to it with configType:${configType}`, async () => {
+                    await cli.execute(`${flag} --daemon --fix-dry-run --quiet ${getFixturePath("passing.js")}`, null, useFlatConfig, true);
+
+                    assert.isTrue(daemon.handleRequest.notCalled);
+                });
+
+                it(`should return an error if another daemon is started with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute("--daemon", null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], `An ESLint daemon is already running on ${socketPath}.`);
+                });
+
+                if (process.platform !== "win32") {
+                    it(`should not lint in a daemon of another user with configType:${configType}`, async () => {
+                        const realUid = process.getuid();
+
+                        sinon.stub(process, "getuid").returns(realUid + 1);
+                        await cli.execute(`${flag} --daemon ${getFixturePath("passing.js")}`, null, useFlatConfig, true);
+                        process.getuid.restore();
+
+                        assert.isTrue(daemon.handleRequest.notCalled);
+                    });
+                }
+            });
+
+            describe("when given the lsp flag", () => {
+                it(`should return an error if files are given with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`--lsp ${getFixturePath("passing.js")}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], "The --lsp option can't be used with file patterns or piped-in code.");
+                });
+
+                it(`should return an error for piped-in code with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute("--lsp", "foo();", useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.isTrue(log.error.calledOnce);
+                });
+            });
+
+            describe("when given the changed-since or staged flag", () => {
+                const flag = useFlatConfig ? "" : "--no-eslintrc --rulesdir rules -c .eslintrc.json";
+                let getChangedFiles, localCLI;
+
+                beforeEach(() => {
+                    process.cwd = () => getFixturePath("lint-workers");
+                    getChangedFiles = sinon.stub().resolves([getFixturePath("lint-workers", "a.js"), getFixturePath("lint-workers", "b.js"), getFixturePath("deleted.js")]);
+                    localCLI = proxyquire("../../lib/cli", {
+                        "./shared/changed-files": { getChangedFiles },
+                        "./shared/logging": log
+                    });
+                });
+
+                it(`should lint only the changed files with configType:${configType}`, async () => {
+                    await localCLI.execute(`${flag} --changed-since main -f json a.js c.js`, null, useFlatConfig);
+
+                    assert.isTrue(getChangedFiles.calledOnceWithExactly({ cwd: getFixturePath("lint-workers"), ref: "main", staged: false }));
+                    assert.deepStrictEqual(JSON.parse(log.info.args[0][0]).map(result => path.basename(result.filePath)), ["a.js"]);
+                });
+
+                it(`should lint the changed files in the current directory if no patterns are given with configType:${configType}`, async () => {
+                    await localCLI.execute(`${flag} --staged -f json`, null, useFlatConfig);
+
+                    assert.isTrue(getChangedFiles.calledOnceWithExactly({ cwd: getFixturePath("lint-workers"), ref: void 0, staged: true }));
+                    assert.deepStrictEqual(JSON.parse(log.info.args[0][0]).map(result => path.basename(result.filePath)), ["a.js", "b.js"]);
+                });
+
+                it(`should return an error if git fails with configType:${configType}`, async () => {
+                    getChangedFiles.rejects(new Error("fatal: bad revision 'nope'"));
+
+                    const exitCode = await localCLI.execute(`${flag} --changed-since nope`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.deepStrictEqual(log.error.args[0], ["There was a problem getting the changed files from git:\n%s", "fatal: bad revision 'nope'"]);
+                });
+
+                it(`should return an error for piped-in code with configType:${configType}`, async () => {
+                    const exitCode = await localCLI.execute("--staged", "foo();", useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], "The --changed-since and --staged options are not available for piped-in code or with --merge-reports.");
+                    assert.isTrue(getChangedFiles.notCalled);
+                });
+            });
+
+            describe("when given the diff-lines-only flag", () => {
+                const flag = useFlatConfig ? "" : "--no-eslintrc";
+                let tmpDir, configFile, getChangedLines, localCLI;
+
+                beforeEach(() => {
+                    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "eslint-diff-lines-"));
+                    configFile = path.join(tmpDir, useFlatConfig ? "eslint.config.js" : "config.js");
+                    fs.writeFileSync(configFile, `module.exports = ${JSON.stringify(useFlatConfig ? [{ rules: { semi: "error" } }] : { rules: { semi: "error" } })};`);
+                    fs.writeFileSync(path.join(tmpDir, "a.js"), "foo()\n\nbar()\n\nbaz()\n");
+                    fs.writeFileSync(path.join(tmpDir, "b.js"), "foo()\n");
+                    process.cwd = () => tmpDir;
+                    getChangedLines = sinon.stub().resolves(new Map([
+                        [path.join(tmpDir, "a.js"), [{ start: 2, end: 3 }]],
+                        [path.join(tmpDir, "b.js"), null]
+                    ]));
+                    localCLI = proxyquire("../../lib/cli", {
+                        "./shared/changed-files": { getChangedLines },
+                        "./shared/logging": log
+                    });
+                });
+
+                afterEach(() => {
+                    sh.rm("-r", tmpDir);
+                });
+
+                it(`should report only problems on changed lines with configType:${configType}`, async () => {
+                    const exitCode = await localCLI.execute(`${flag} --no-ignore -c ${configFile} --diff-lines-only main -f json`, null, useFlatConfig);
+                    const results = JSON.parse(log.info.args[0][0]);
+
+                    assert.strictEqual(exitCode, 1);
+                    assert.isTrue(getChangedLines.calledOnceWithExactly({ cwd: tmpDir, ref: "main" }));
+                    assert.deepStrictEqual(results.map(result => path.basename(result.filePath)), ["a.js", "b.js"]);
+                    assert.deepStrictEqual(results[0].messages.map(message => message.line), [3]);
+                    assert.strictEqual(results[0].errorCount, 1);
+                    assert.strictEqual(results[0].fixableErrorCount, 1);
+                    assert.strictEqual(results[1].errorCount, 1);
+                });
+
+                it(`should determine the exit code from the problems on changed lines with configType:${configType}`, async () => {
+                    getChangedLines.resolves(new Map([[path.join(tmpDir, "a.js"), [{ start: 2, end: 2 }]]]));
+
+                    const exitCode = await localCLI.execute(`${flag} --no-ignore -c ${configFile} --diff-lines-only main -f json`, null, useFlatConfig);
+                    const results = JSON.parse(log.info.args[0][0]);
+
+                    assert.strictEqual(exitCode, 0);
+                    assert.deepStrictEqual(results.map(result => [path.basename(result.filePath), result.errorCount]), [["a.js", 0]]);
+                });
+
+                it(`should return an error if git fails with configType:${configType}`, async () => {
+                    getChangedLines.rejects(new Error("fatal: bad revision 'nope'"));
+
+                    const exitCode = await localCLI.execute(`${flag} --diff-lines-only nope`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.deepStrictEqual(log.error.args[0], ["There was a problem getting the changed lines from git:\n%s", "fatal: bad revision 'nope'"]);
+                });
+
+                it(`should report problems on changed lines of files with non-ASCII names with configType:${configType}`, async () => {
+                    const root = fs.realpathSync(tmpDir);
+
+                    process.cwd = () => root;
+                    writeFiles(root, { "\u00e4.js": "foo()\n" });
+                    git(root, "init", "-q");
+                    git(root, "add", "\u00e4.js");
+                    git(root, "commit", "-q", "-m", "first");
+                    writeFiles(root, { "\u00e4.js": "foo()\nbar()\n" });
+
+                    const exitCode = await proxyquire("../../lib/cli", { "./shared/logging": log })
+                        .execute(`${flag} --no-ignore -c ${configFile} --diff-lines-only HEAD -f json`, null, useFlatConfig);
+                    const result = JSON.parse(log.info.args[0][0]).find(({ filePath }) => path.basename(filePath) === "\u00e4.js");
+
+                    assert.strictEqual(exitCode, 1);
+                    assert.deepStrictEqual(result.messages.map(message => message.line), [2]);
+                });
+
+                it(`should return an error with --changed-since with configType:${configType}`, async () => {
+                    const exitCode = await localCLI.execute(`${flag} --diff-lines-only main --changed-since main`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], "The --diff-lines-only option is not available for piped-in code or with --merge-reports, --changed-since, or --staged.");
+                    assert.isTrue(getChangedLines.notCalled);
+                });
+            });
+
+            describe("when given the baseline flags", () => {
+                const flag = useFlatConfig ? "" : "--no-eslintrc";
+                let tmpDir, configFile, baselineFile;
+
+                beforeEach(() => {
+                    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "eslint-baseline-"));
+                    configFile = path.join(tmpDir, useFlatConfig ? "eslint.config.js" : "config.js");
+                    baselineFile = path.join(tmpDir, "baseline", "eslint-baseline.json");
+                    fs.writeFileSync(configFile, `module.exports = ${JSON.stringify(useFlatConfig ? [{ rules: { semi: "error" } }] : { rules: { semi: "error" } })};`);
+                    fs.writeFileSync(path.join(tmpDir, "a.js"), "foo()\nbar()\n");
+                    process.cwd = () => tmpDir;
+                });
+
+                afterEach(() => {
+                    sh.rm("-r", tmpDir);
+                });
+
+                it(`should create a baseline file of all problems and report none of them with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`${flag} --no-ignore -c ${configFile} a.js --baseline-create baseline/eslint-baseline.json -f json`, null, useFlatConfig);
+                    const results = JSON.parse(log.info.args[0][0]);
+                    const baseline = JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+
+                    assert.strictEqual(exitCode, 0);
+                    assert.strictEqual(results[0].errorCount, 0);
+                    assert.strictEqual(results[0].suppressedMessages.length, 2);
+                    assert.deepStrictEqual(Object.keys(baseline.files), ["../a.js"]);
+                    assert.deepStrictEqual(Object.keys(baseline.files["../a.js"]), ["semi"]);
+                });
+
+                it(`should report only problems that aren't in the baseline with configType:${configType}`, async () => {
+                    await cli.execute(`${flag} --no-ignore -c ${configFile} a.js --baseline-create ${baselineFile}`, null, useFlatConfig);
+                    fs.writeFileSync(path.join(tmpDir, "a.js"), "// new\nfoo()\nbar()\nbaz()\n");
+                    log.info.resetHistory();
+
+                    const exitCode = await cli.execute(`${flag} --no-ignore -c ${configFile} a.js --baseline ${baselineFile} -f json`, null, useFlatConfig);
+                    const results = JSON.parse(log.info.args[0][0]);
+
+                    assert.strictEqual(exitCode, 1);
+                    assert.deepStrictEqual(results[0].messages.map(message => message.line), [4]);
+                    assert.deepStrictEqual(results[0].suppressedMessages.map(message => [message.line, message.suppressions[0].kind]), [[2, "baseline"], [3, "baseline"]]);
+                    assert.strictEqual(results[0].errorCount, 1);
+                });
+
+                it(`should log the stale entries of the baseline with configType:${configType}`, async () => {
+                    await cli.execute(`${flag} --no-ignore -c ${configFile} a.js --baseline-create ${baselineFile}`, null, useFlatConfig);
+                    fs.writeFileSync(path.join(tmpDir, "a.js"), "foo();\nbar()\n");
+
+                    const exitCode = await cli.execute(`${flag} --no-ignore -c ${configFile} a.js --baseline ${baselineFile}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 0);
+                    assert.deepStrictEqual(log.error.args[0], [
+                        "%d problems in the baseline file %s weren't found:\n%s\nUse --baseline-prune to remove them.",
+                        1,
+                        baselineFile,
+                        "  ../a.js: semi (1)"
+                    ]);
+                });
+
+                it(`should remove the stale entries from the baseline with --baseline-prune with configType:${configType}`, async () => {
+                    await cli.execute(`${flag} --no-ignore -c ${configFile} a.js --baseline-create ${baselineFile}`, null, useFlatConfig);
+                    fs.writeFileSync(path.join(tmpDir, "a.js"), "foo();\nbar();\n");
+
+                    const exitCode = await cli.execute(`${flag} --no-ignore -c ${configFile} a.js --baseline ${baselineFile} --baseline-prune`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 0);
+                    assert.isTrue(log.error.notCalled);
+                    assert.deepStrictEqual(JSON.parse(fs.readFileSync(baselineFile, "utf8")), { version: 1, files: {} });
+                });
+
+                it(`should return an error if the baseline file can't be read with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`${flag} --no-ignore -c ${configFile} a.js --baseline ${baselineFile}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], "There was a problem reading the baseline file:\n%s");
+                    assert.isTrue(log.info.notCalled);
+                });
+
+                it(`should return an error with both --baseline and --baseline-create with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`${flag} a.js --baseline ${baselineFile} --baseline-create ${baselineFile}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], "The --baseline and --baseline-create options can't be used together.");
+                });
+
+                it(`should return an error with --baseline-prune without --baseline with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`${flag} a.js --baseline-prune`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], "The --baseline-prune option requires --baseline.");
+                });
+            });
+
+            describe("when given the max-file-time flag", () => {
+                const flag = useFlatConfig ? "" : "--no-eslintrc";
+
+                it(`should return an error without --concurrency with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`${flag} --max-file-time 1000 ${getFixturePath("passing.js")}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], "The --max-file-time option requires --concurrency.");
+                });
+
+                it(`should lint with --concurrency with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute(`${flag} --concurrency 2 --max-file-time 1000 ${getFixturePath("passing.js")}`, null, useFlatConfig);
+
+                    assert.strictEqual(exitCode, 0);
+                });
+            });
+
+            describe("when given the watch flag", () => {
+                const flag = useFlatConfig ? "" : "--no-eslintrc";
+                let tmpDir, srcDir, configFile;
+
+                /**
+                 * Waits until the results have been printed a number of times,
+                 * and a little longer so that the files are watched again.
+                 * @param {number} count The number of times.
+                 * @returns {Promise<void>} A promise that is resolved after the results have been printed.
+                 */
+                async function waitForReports(count) {
+                    while (log.info.callCount < count) {
+                        await new Promise(resolve => setTimeout(resolve, 20));
+                    }
+
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                }
+
+                /**
+                 * Writes a config file with the given rules.
+                 * @param {Object} rules The rules.
+                 * @returns {void}
+                 */
+                function writeConfig(rules) {
+                    const config = useFlatConfig ? [{ rules }] : { rules };
+
+                    fs.writeFileSync(configFile, `module.exports = ${JSON.stringify(config)};`);
+                }
+
+                beforeEach(() => {
+                    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "eslint-watch-"));
+                    srcDir = path.join(tmpDir, "src");
+                    configFile = path.join(tmpDir, useFlatConfig ? "eslint.config.js" : "config.js");
+                    fs.mkdirSync(srcDir);
+                    writeConfig({ semi: "error" });
+                    fs.writeFileSync(path.join(srcDir, "a.js"), "foo()");
+                    fs.writeFileSync(path.join(srcDir, "b.js"), "bar();");
+                    process.cwd = () => tmpDir;
+                });
+
+                afterEach(() => {
+
+                    // stops watching if a test failed before it did
+                    process.emit("SIGINT");
+                    sh.rm("-r", tmpDir);
+                });
+
+                it(`should lint a file again when it changes with configType:${configType}`, async () => {
+                    const exitCode = cli.execute(`${flag} --no-ignore -c ${configFile} -f json --watch ${srcDir}`, null, useFlatConfig);
+
+                    await waitForReports(1);
+                    assert.deepStrictEqual(JSON.parse(log.info.args[0][0]).map(result => result.errorCount), [1, 0]);
+
+                    fs.writeFileSync(path.join(srcDir, "a.js"), "foo();");
+                    await waitForReports(2);
+                    assert.deepStrictEqual(JSON.parse(log.info.args[1][0]).map(result => result.errorCount), [0, 0]);
+
+                    process.emit("SIGINT");
+                    assert.strictEqual(await exitCode, 0);
+                });
+
+                it(`should lint all files again when the config changes with configType:${configType}`, async () => {
+                    const exitCode = cli.execute(`${flag} --no-ignore -c ${configFile} -f json --watch ${srcDir}`, null, useFlatConfig);
+
+                    await waitForReports(1);
+                    writeConfig({ semi: ["error", "never"] });
+                    await waitForReports(2);
+                    assert.deepStrictEqual(JSON.parse(log.info.args[1][0]).map(result => result.errorCount), [0, 1]);
+
+                    process.emit("SIGINT");
+                    assert.strictEqual(await exitCode, 1);
+                });
+
+                it(`should return an error for piped-in code with configType:${configType}`, async () => {
+                    const exitCode = await cli.execute("--watch", "foo();", useFlatConfig);
+
+                    assert.strictEqual(exitCode, 2);
+                    assert.strictEqual(log.error.args[0][0], "The --watch option is not available for piped-in code or with --merge-reports.");
+                });
+            });
+
             describe("Ignores", () => {
 
                 describe("when given a directory with eslint excluded files in the directory", () => {
@@ -1367,6 +2016,83 @@ describe("cli", () => {
             });
         });
 
+        describe("when passing --cache-stats, --cache-prune, or --cache-clear", () => {
+            const originalCwd = process.cwd;
+            let tmpDir, cacheLocation, flags;
+
+            beforeEach(async () => {
+                tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "eslint-cli-cache-")));
+                process.cwd = () => tmpDir;
+                cacheLocation = path.join(tmpDir, ".eslintcache");
+                flags = `${useFlatConfig ? "" : "--no-eslintrc --rule no-undef:2 "}--cache-location ${cacheLocation}`;
+                fs.writeFileSync(path.join(tmpDir, "eslint.config.js"), "module.exports = [{ rules: { 'no-undef': 2 } }];\n");
+                fs.writeFileSync(path.join(tmpDir, "a.js"), "var a;\n");
+                fs.writeFileSync(path.join(tmpDir, "b.js"), "var b;\n");
+                await cli.execute(`${flags} --cache a.js b.js`, null, useFlatConfig);
+                log.info.resetHistory();
+            });
+
+            afterEach(() => {
+                process.cwd = originalCwd;
+                sh.rm("-r", tmpDir);
+            });
+
+            it(`should print statistics about the cache with configType:${configType}`, async () => {
+                fs.unlinkSync(path.join(tmpDir, "b.js"));
+
+                const exitCode = await cli.execute(`${flags} --cache-stats`, null, useFlatConfig);
+
+                assert.strictEqual(exitCode, 0);
+                assert.isTrue(log.info.calledOnce);
+                assert.include(log.info.firstCall.args[0], `Cache: ${cacheLocation}`);
+                assert.include(log.info.firstCall.args[0], "Entries: 2 (1 for deleted files)");
+                assert.include(log.info.firstCall.args[0], "Last run: 0 hits, 2 misses");
+            });
+
+            it(`should remove the entries of files that aren't linted anymore with configType:${configType}`, async () => {
+                const exitCode = await cli.execute(`${flags} --cache-prune a.js`, null, useFlatConfig);
+
+                assert.strictEqual(exitCode, 0);
+                assert.isTrue(log.info.calledOnceWithExactly("Removed %d entries from the cache.", 1));
+            });
+
+            it(`should delete the cache with configType:${configType}`, async () => {
+                const exitCode = await cli.execute(`${flags} --cache-clear`, null, useFlatConfig);
+
+                assert.strictEqual(exitCode, 0);
+                assert.isTrue(log.info.calledOnceWithExactly("The cache was deleted."));
+                assert.isFalse(fs.existsSync(cacheLocation));
+            });
+
+            it(`should error if more than one of the options is passed with configType:${configType}`, async () => {
+                const exitCode = await cli.execute(`${flags} --cache-stats --cache-clear`, null, useFlatConfig);
+
+                assert.isTrue(log.error.calledOnceWithExactly("The --cache-stats, --cache-prune, and --cache-clear options can't be used together."));
+                assert.strictEqual(exitCode, 2);
+            });
+
+            it(`should error if --cache-prune is passed without file patterns with configType:${configType}`, async () => {
+                const exitCode = await cli.execute(`${flags} --cache-prune`, null, useFlatConfig);
+
+                assert.isTrue(log.error.calledOnceWithExactly("The --cache-prune option requires the file patterns that are linted."));
+                assert.strictEqual(exitCode, 2);
+            });
+
+            it(`should error if --cache-stats is passed with file patterns with configType:${configType}`, async () => {
+                const exitCode = await cli.execute(`${flags} --cache-stats a.js`, null, useFlatConfig);
+
+                assert.isTrue(log.error.calledOnceWithExactly("The --cache-stats and --cache-clear options can't be used with file patterns."));
+                assert.strictEqual(exitCode, 2);
+            });
+
+            it(`should error out when executing on text with configType:${configType}`, async () => {
+                const exitCode = await cli.execute(`${flags} --cache-stats`, "var a;", useFlatConfig);
+
+                assert.isTrue(log.error.calledOnceWithExactly("The --cache-stats, --cache-prune, and --cache-clear options are not available for piped-in code."));
+                assert.strictEqual(exitCode, 2);
+            });
+        });
+
         // ---------
     });
 
@@ -1528,6 +2254,64 @@ describe("cli", () => {
 
         });
 
+        describe("when supplied with a concurrency", () => {
+            it("should pass the option to ESLint", async () => {
+                await verifyESLintOpts("--concurrency auto foo.js", {
+                    concurrency: "auto"
+                });
+            });
+        });
+
+        describe("when supplied with the stats flag", () => {
+            it("should pass the option to ESLint", async () => {
+                await verifyESLintOpts("--stats foo.js", {
+                    stats: true
+                });
+            });
+        });
+
+        describe("when supplied with the selector-stats flag", () => {
+            it("should pass the option to ESLint and enable the stats option", async () => {
+                await verifyESLintOpts("--selector-stats foo.js", {
+                    selectorStats: true,
+                    stats: true
+                });
+            });
+        });
+
+        describe("when supplied with a trace file", () => {
+            it("should enable the trace option of ESLint", async () => {
+                await verifyESLintOpts("--trace trace.json foo.js", {
+                    trace: true
+                });
+            });
+        });
+
+        describe("when supplied with a shard", () => {
+            it("should pass the parsed shard to ESLint", async () => {
+                await verifyESLintOpts("--shard 2/3 foo.js", {
+                    shard: { index: 2, total: 3 }
+                });
+            });
+        });
+
+        describe("when supplied with a cache directory", () => {
+            it("should pass the option to ESLint", async () => {
+                await verifyESLintOpts("--cache --cache-dir .cache/eslint foo.js", {
+                    cache: true,
+                    cacheDir: ".cache/eslint",
+                    cacheRemote: null
+                });
+            });
+
+            it("should pass the URL of the remote cache to ESLint", async () => {
+                await verifyESLintOpts("--cache --cache-dir .cache/eslint --cache-remote https://cache.example.com/eslint foo.js", {
+                    cacheDir: ".cache/eslint",
+                    cacheRemote: "https://cache.example.com/eslint"
+                });
+            });
+        });
+
         describe("when supplied with a plugin-loading path", () => {
             it("should pass the option to ESLint", async () => {
                 const examplePluginDirPath = "foo/bar";
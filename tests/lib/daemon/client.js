@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Tests for the client side of the ESLint daemon.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { LintDaemon } = require("../../../lib/daemon/server");
+const { DaemonESLint, connectToDaemon } = require("../../../lib/daemon/client");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const socketPath = process.platform === "win32"
+    ? `\\\\.\\pipe\\eslint-daemon-client-test-${process.pid}`
+    : path.join(os.tmpdir(), `eslint-daemon-client-test-${process.pid}.sock`);
+const cwd = path.resolve(__dirname, "../../fixtures/lint-workers");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("connectToDaemon", () => {
+    it("should return null if no daemon is running", async () => {
+        assert.isNull(await connectToDaemon(socketPath));
+    });
+
+    if (process.platform !== "win32") {
+        it("should return null if the socket belongs to another user", async () => {
+            const daemon = new LintDaemon({ socketPath });
+
+            await daemon.start();
+            sinon.stub(process, "getuid").returns(process.getuid() + 1);
+
+            try {
+                assert.isNull(await connectToDaemon(socketPath));
+            } finally {
+                sinon.restore();
+                await daemon.stop();
+            }
+        });
+    }
+});
+
+describe("DaemonClient", () => {
+    let daemon;
+
+    beforeEach(async () => {
+        daemon = new LintDaemon({ socketPath });
+        await daemon.start();
+    });
+
+    afterEach(async () => {
+        await daemon.stop();
+    });
+
+    it("should answer parallel requests with their own results", async () => {
+        const client = await connectToDaemon(socketPath);
+        const options = { cwd, overrideConfigFile: true, overrideConfig: { rules: { semi: "error" } } };
+        const [first, second] = await Promise.all([
+            client.request("lintText", { options, code: "foo()", filePath: "first.js" }),
+            client.request("lintText", { options, code: "bar();", filePath: "second.js" })
+        ]);
+
+        client.close();
+
+        assert.strictEqual(path.basename(first.results[0].filePath), "first.js");
+        assert.strictEqual(first.results[0].errorCount, 1);
+        assert.strictEqual(path.basename(second.results[0].filePath), "second.js");
+        assert.strictEqual(second.results[0].errorCount, 0);
+    });
+
+    it("should reject pending requests if the daemon stops", async () => {
+        const client = await connectToDaemon(socketPath);
+
+        sinon.stub(daemon, "handleRequest").returns(new Promise(() => {}));
+
+        const request = client.request("lintText", { options: { cwd }, code: "foo()" });
+
+        await daemon.stop();
+
+        try {
+            await request;
+            assert.fail("Expected an error");
+        } catch (error) {
+            assert.strictEqual(error.message, "The ESLint daemon closed the connection.");
+        }
+    });
+
+    it("should reject pending requests and close the connection if a response is not valid JSON", async () => {
+        const client = await connectToDaemon(socketPath);
+        let receivedCount = 0;
+        let onReceived;
+        const received = new Promise(resolve => {
+            onReceived = resolve;
+        });
+
+        sinon.stub(daemon, "handleRequest").callsFake(() => {
+            receivedCount++;
+
+            if (receivedCount === 2) {
+                onReceived();
+            }
+
+            return new Promise(() => {});
+        });
+
+        const errors = Promise.all([
+            client.request("lintText", { options: { cwd }, code: "foo()" }),
+            client.request("lintText", { options: { cwd }, code: "bar()" })
+        ].map(request => request.then(() => null, error => error)));
+
+        await received;
+        client.socket.emit("data", "not json\n");
+
+        for (const error of await errors) {
+            assert.instanceOf(error, Error);
+            assert.strictEqual(error.message, "The ESLint daemon sent a response that is not valid JSON.");
+        }
+
+        assert.isTrue(client.socket.destroyed);
+    });
+});
+
+describe("DaemonESLint", () => {
+    let daemon, client;
+
+    beforeEach(async () => {
+        daemon = new LintDaemon({ socketPath });
+        sinon.spy(daemon, "handleRequest");
+        await daemon.start();
+        client = await connectToDaemon(socketPath);
+    });
+
+    afterEach(async () => {
+        client.close();
+        await daemon.stop();
+    });
+
+    it("should lint files in the daemon", async () => {
+        const eslint = new DaemonESLint(client, { cwd, overrideConfigFile: true, overrideConfig: { rules: { semi: "error" } } });
+        const results = await eslint.lintFiles(["a.js"]);
+
+        assert.strictEqual(results.length, 1);
+        assert.strictEqual(results[0].filePath, path.join(cwd, "a.js"));
+        assert.strictEqual(daemon.handleRequest.firstCall.args[0].method, "lintFiles");
+    });
+
+    it("should lint text in the daemon", async () => {
+        const eslint = new DaemonESLint(client, { cwd, overrideConfigFile: true, overrideConfig: { rules: { semi: "error" } } });
+        const results = await eslint.lintText("foo()", { filePath: "foo.js" });
+
+        assert.strictEqual(results[0].filePath, path.join(cwd, "foo.js"));
+        assert.strictEqual(results[0].messages[0].ruleId, "semi");
+        assert.strictEqual(daemon.handleRequest.firstCall.args[0].method, "lintText");
+    });
+
+    it("should send the current working directory if none is given", async () => {
+        const eslint = new DaemonESLint(client, { overrideConfigFile: true });
+
+        await eslint.lintText("foo()");
+
+        assert.strictEqual(daemon.handleRequest.firstCall.args[0].params.options.cwd, process.cwd());
+    });
+
+    it("should give formatters the meta of the rules in the results", async () => {
+        const eslint = new DaemonESLint(client, { cwd, overrideConfigFile: true, overrideConfig: { rules: { semi: "error", "no-var": "error" } } });
+        const results = await eslint.lintText("foo()");
+        const formatter = await eslint.loadFormatter("json-with-metadata");
+        const { metadata } = JSON.parse(formatter.format(results));
+
+        assert.deepStrictEqual(Object.keys(metadata.rulesMeta), ["semi"]);
+        assert.strictEqual(metadata.rulesMeta.semi.type, "layout");
+    });
+});
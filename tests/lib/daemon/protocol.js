@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Tests for the protocol of the ESLint daemon.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sh = require("shelljs");
+const sinon = require("sinon");
+
+const {
+    createSocketDirectory,
+    getSocketDirectory,
+    getSocketPath,
+    isOwnSocket,
+    readLines
+} = require("../../../lib/daemon/protocol");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("getSocketPath", () => {
+    const { ESLINT_DAEMON_SOCKET } = process.env;
+
+    afterEach(() => {
+        if (typeof ESLINT_DAEMON_SOCKET === "string") {
+            process.env.ESLINT_DAEMON_SOCKET = ESLINT_DAEMON_SOCKET;
+        } else {
+            delete process.env.ESLINT_DAEMON_SOCKET;
+        }
+    });
+
+    it("should return the same path each time", () => {
+        delete process.env.ESLINT_DAEMON_SOCKET;
+
+        assert.match(getSocketPath(), /eslint-daemon-[0-9a-f]{16}/u);
+        assert.strictEqual(getSocketPath(), getSocketPath());
+    });
+
+    it("should return the path in ESLINT_DAEMON_SOCKET if set", () => {
+        process.env.ESLINT_DAEMON_SOCKET = "/tmp/foo.sock";
+
+        assert.strictEqual(getSocketPath(), "/tmp/foo.sock");
+    });
+
+    if (process.platform !== "win32") {
+        it("should return a path in the socket directory of the user", () => {
+            delete process.env.ESLINT_DAEMON_SOCKET;
+
+            assert.strictEqual(path.dirname(getSocketPath()), getSocketDirectory());
+        });
+    }
+});
+
+describe("getSocketDirectory", () => {
+    const { XDG_RUNTIME_DIR } = process.env;
+
+    afterEach(() => {
+        if (typeof XDG_RUNTIME_DIR === "string") {
+            process.env.XDG_RUNTIME_DIR = XDG_RUNTIME_DIR;
+        } else {
+            delete process.env.XDG_RUNTIME_DIR;
+        }
+    });
+
+    it("should return XDG_RUNTIME_DIR if set", () => {
+        process.env.XDG_RUNTIME_DIR = "/run/user/1000";
+
+        assert.strictEqual(getSocketDirectory(), "/run/user/1000");
+    });
+
+    it("should return a directory of the user in the temporary directory otherwise", () => {
+        delete process.env.XDG_RUNTIME_DIR;
+
+        assert.strictEqual(path.dirname(getSocketDirectory()), os.tmpdir());
+        assert.match(path.basename(getSocketDirectory()), /^eslint-daemon-/u);
+    });
+});
+
+if (process.platform !== "win32") {
+    describe("createSocketDirectory", () => {
+        const directory = path.join(os.tmpdir(), `eslint-daemon-protocol-test-${process.pid}`);
+
+        /**
+         * Asserts that a promise is rejected because the directory isn't private.
+         * @param {Promise<void>} promise The promise.
+         * @returns {Promise<void>} A promise that is resolved if the assertion passes.
+         */
+        async function assertRejected(promise) {
+            try {
+                await promise;
+                assert.fail("Expected an error");
+            } catch (error) {
+                assert.include(error.message, "only the current user can access");
+            }
+        }
+
+        afterEach(() => {
+            sh.rm("-rf", directory);
+        });
+
+        it("should create a directory that only the current user can access", async () => {
+            await createSocketDirectory(directory);
+
+            assert.strictEqual(fs.statSync(directory).mode & 0o777, 0o700);
+        });
+
+        it("should accept an existing directory that only the current user can access", async () => {
+            fs.mkdirSync(directory, { mode: 0o700 });
+
+            await createSocketDirectory(directory);
+        });
+
+        it("should reject a directory that other users can access", async () => {
+            fs.mkdirSync(directory);
+            fs.chmodSync(directory, 0o777);
+
+            await assertRejected(createSocketDirectory(directory));
+        });
+
+        it("should reject a directory of another user", async () => {
+            fs.mkdirSync(directory, { mode: 0o700 });
+            sinon.stub(process, "getuid").returns(process.getuid() + 1);
+
+            try {
+                await assertRejected(createSocketDirectory(directory));
+            } finally {
+                sinon.restore();
+            }
+        });
+    });
+
+    describe("isOwnSocket", () => {
+        const filePath = path.join(os.tmpdir(), `eslint-daemon-protocol-test-${process.pid}.sock`);
+
+        afterEach(() => {
+            sinon.restore();
+            sh.rm("-f", filePath);
+        });
+
+        it("should return false if the socket doesn't exist", () => {
+            assert.isFalse(isOwnSocket(filePath));
+        });
+
+        it("should return true if the socket belongs to the current user", () => {
+            fs.writeFileSync(filePath, "");
+
+            assert.isTrue(isOwnSocket(filePath));
+        });
+
+        it("should return false if the socket belongs to another user", () => {
+            fs.writeFileSync(filePath, "");
+            sinon.stub(process, "getuid").returns(process.getuid() + 1);
+
+            assert.isFalse(isOwnSocket(filePath));
+        });
+    });
+}
+
+describe("readLines", () => {
+    it("should call the function with each non-empty line, even if it arrives in parts", () => {
+        const socket = new EventEmitter();
+        const lines = [];
+
+        socket.setEncoding = () => {};
+        readLines(socket, line => lines.push(line));
+
+        socket.emit("data", "{\"id\":1}\n{\"id\"");
+        socket.emit("data", ":2}\n\n{\"id\":3}");
+
+        assert.deepStrictEqual(lines, ["{\"id\":1}", "{\"id\":2}"]);
+    });
+});
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Tests for the ESLint daemon.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const sh = require("shelljs");
+
+const { LintDaemon } = require("../../../lib/daemon/server");
+const { connectToDaemon } = require("../../../lib/daemon/client");
+const { createCustomTeardown } = require("../../_utils");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const socketPath = process.platform === "win32"
+    ? `\\\\.\\pipe\\eslint-daemon-test-${process.pid}`
+    : path.join(os.tmpdir(), `eslint-daemon-test-${process.pid}.sock`);
+
+/**
+ * Sends a line to the daemon and waits for the response.
+ * @param {string} line The line to send.
+ * @returns {Promise<Object>} The parsed response.
+ */
+function sendLine(line) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(socketPath, () => socket.write(`${line}\n`));
+
+        socket.setEncoding("utf8");
+        socket.on("data", data => {
+            socket.end();
+            resolve(JSON.parse(data));
+        });
+        socket.on("error", reject);
+    });
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("LintDaemon", () => {
+    const teardown = createCustomTeardown({
+        cwd: path.join(os.tmpdir(), "eslint", "daemon"),
+        files: {
+            "eslint.config.js": "module.exports = [{ rules: { semi: 'error' } }];",
+            "a.js": "var a = 1"
+        }
+    });
+    let cwd, daemon, client;
+
+    beforeEach(async () => {
+        await teardown.prepare();
+        cwd = teardown.getPath();
+        daemon = new LintDaemon({ socketPath });
+        await daemon.start();
+        client = await connectToDaemon(socketPath);
+    });
+
+    afterEach(async () => {
+        client.close();
+        await daemon.stop();
+        await teardown.cleanup();
+    });
+
+    it("should lint text", async () => {
+        const { results, rulesMeta } = await client.request("lintText", {
+            options: { cwd },
+            code: "foo()",
+            filePath: "b.js"
+        });
+
+        assert.strictEqual(results.length, 1);
+        assert.strictEqual(results[0].filePath, path.join(cwd, "b.js"));
+        assert.strictEqual(results[0].messages[0].ruleId, "semi");
+        assert.deepStrictEqual(Object.keys(rulesMeta), ["semi"]);
+    });
+
+    it("should lint files", async () => {
+        const { results } = await client.request("lintFiles", { options: { cwd }, patterns: ["a.js"] });
+
+        assert.strictEqual(results.length, 1);
+        assert.strictEqual(results[0].filePath, path.join(cwd, "a.js"));
+        assert.strictEqual(results[0].messages[0].ruleId, "semi");
+    });
+
+    it("should fix files", async () => {
+        const { results } = await client.request("fix", { options: { cwd }, patterns: ["a.js"] });
+
+        assert.strictEqual(results[0].output, "var a = 1;");
+        assert.strictEqual(fs.readFileSync(path.join(cwd, "a.js"), "utf8"), "var a = 1;");
+    });
+
+    it("should reuse the instance for the same options", async () => {
+        await client.request("lintFiles", { options: { cwd }, patterns: ["a.js"] });
+        await client.request("lintText", { options: { cwd }, code: "foo()" });
+
+        assert.strictEqual(daemon.instances.size, 1);
+    });
+
+    it("should reload the config when the config file changes", async () => {
+        const configFilePath = path.join(cwd, "eslint.config.js");
+
+        await client.request("lintFiles", { options: { cwd }, patterns: ["a.js"] });
+
+        fs.writeFileSync(configFilePath, "module.exports = [{ rules: { 'no-var': 'error' } }];");
+
+        // Make sure that the modification time differs on file systems with a low resolution.
+        const mtime = new Date(Date.now() + 10000);
+
+        fs.utimesSync(configFilePath, mtime, mtime);
+
+        const { results } = await client.request("lintFiles", { options: { cwd }, patterns: ["a.js"] });
+
+        assert.strictEqual(results[0].messages.length, 1);
+        assert.strictEqual(results[0].messages[0].ruleId, "no-var");
+    });
+
+    it("should send errors with their message template", async () => {
+        try {
+            await client.request("lintFiles", { options: { cwd }, patterns: ["missing.js"] });
+            assert.fail("Expected an error");
+        } catch (error) {
+            assert.strictEqual(error.messageTemplate, "file-not-found");
+            assert.deepStrictEqual(error.messageData, { pattern: "missing.js", globDisabled: false });
+        }
+    });
+
+    it("should send an error for an unknown method", async () => {
+        try {
+            await client.request("lint", {});
+            assert.fail("Expected an error");
+        } catch (error) {
+            assert.strictEqual(error.message, "Unknown method 'lint'.");
+        }
+    });
+
+    it("should send an error if the working directory is missing", async () => {
+        try {
+            await client.request("lintText", { options: {}, code: "foo()" });
+            assert.fail("Expected an error");
+        } catch (error) {
+            assert.match(error.message, /'params\.options\.cwd'/u);
+        }
+    });
+
+    it("should send an error for a request that isn't valid JSON", async () => {
+        const response = await sendLine("{");
+
+        assert.strictEqual(response.id, null);
+        assert.strictEqual(response.error.message, "The request is not valid JSON.");
+    });
+
+    it("should stop when asked to shut down", async () => {
+        assert.isNull(await client.request("shutdown", {}));
+        await daemon.closed;
+    });
+
+    it("should not start if another daemon is running", async () => {
+        try {
+            await new LintDaemon({ socketPath }).start();
+            assert.fail("Expected an error");
+        } catch (error) {
+            assert.strictEqual(error.message, `An ESLint daemon is already running on ${socketPath}.`);
+        }
+    });
+});
+
+describe("LintDaemon without clients", () => {
+    it("should stop after not getting any requests", async () => {
+        const daemon = new LintDaemon({ socketPath, idleTimeout: 50 });
+
+        await daemon.start();
+        await daemon.closed;
+
+        assert.isNull(await connectToDaemon(socketPath));
+    });
+
+    if (process.platform !== "win32") {
+        it("should replace a socket that was left behind", async () => {
+            fs.writeFileSync(socketPath, "");
+
+            const daemon = new LintDaemon({ socketPath });
+
+            await daemon.start();
+            const client = await connectToDaemon(socketPath);
+
+            assert.isNotNull(client);
+            client.close();
+            await daemon.stop();
+        });
+
+        describe("with the default socket", () => {
+            const { ESLINT_DAEMON_SOCKET, XDG_RUNTIME_DIR } = process.env;
+            const runtimeDir = path.join(os.tmpdir(), `eslint-daemon-runtime-${process.pid}`);
+
+            beforeEach(() => {
+                delete process.env.ESLINT_DAEMON_SOCKET;
+                process.env.XDG_RUNTIME_DIR = runtimeDir;
+            });
+
+            afterEach(() => {
+                for (const [name, value] of Object.entries({ ESLINT_DAEMON_SOCKET, XDG_RUNTIME_DIR })) {
+                    if (typeof value === "string") {
+                        process.env[name] = value;
+                    } else {
+                        delete process.env[name];
+                    }
+                }
+
+                sh.rm("-rf", runtimeDir);
+            });
+
+            it("should create the directory of the socket so that only the current user can access it", async () => {
+                const daemon = new LintDaemon();
+
+                await daemon.start();
+                await daemon.stop();
+
+                assert.strictEqual(path.dirname(daemon.socketPath), runtimeDir);
+                assert.strictEqual(fs.statSync(runtimeDir).mode & 0o777, 0o700);
+            });
+
+            it("should not start if other users can access the directory of the socket", async () => {
+                fs.mkdirSync(runtimeDir, { mode: 0o755 });
+                fs.chmodSync(runtimeDir, 0o755);
+
+                try {
+                    await new LintDaemon().start();
+                    assert.fail("Expected an error");
+                } catch (error) {
+                    assert.include(error.message, "must be a directory that only the current user can access");
+                }
+            });
+        });
+    }
+});
@@ -12,6 +12,7 @@
 
 const assert = require("assert");
 const fs = require("fs");
+const http = require("http");
 const os = require("os");
 const path = require("path");
 const escapeStringRegExp = require("escape-string-regexp");
@@ -25,7 +26,9 @@ const {
     }
 } = require("@eslint/eslintrc");
 const hash = require("../../../lib/cli-engine/hash");
+const { createFixSeverityPredicate } = require("../../../lib/eslint/worker-pool");
 const { unIndent, createCustomTeardown } = require("../../_utils");
+const { collect, createCheckout, createEngine, createTempDirectory, lintCheckout, recordProgress } = require("../../_utils/checkouts");
 const coreRules = require("../../../lib/rules");
 const childProcess = require("child_process");
 
@@ -200,6 +203,9 @@ describe("ESLint", () => {
                     baseConfig: "",
                     cache: "",
                     cacheLocation: "",
+                    cacheDir: "",
+                    cacheRemote: "ftp://example.com",
+                    concurrency: 0,
                     cwd: "foo",
                     errorOnUnmatchedPattern: "",
                     extensions: "",
@@ -208,12 +214,20 @@ describe("ESLint", () => {
                     globInputPaths: "",
                     ignore: "",
                     ignorePath: "",
+                    maxFileTime: 0,
+                    onFileEnd: "",
+                    onFileStart: "",
+                    onlyFiles: "",
                     overrideConfig: "",
                     overrideConfigFile: "",
                     plugins: "",
                     reportUnusedDisableDirectives: "",
                     resolvePluginsRelativeTo: "",
                     rulePaths: "",
+                    selectorStats: "",
+                    shard: { index: 0, total: 2 },
+                    stats: "",
+                    trace: "",
                     useEslintrc: ""
                 }),
                 new RegExp(escapeStringRegExp([
@@ -222,6 +236,9 @@ describe("ESLint", () => {
                     "- 'baseConfig' must be an object or null.",
                     "- 'cache' must be a boolean.",
                     "- 'cacheLocation' must be a non-empty string.",
+                    "- 'cacheDir' must be a non-empty string or null.",
+                    "- 'cacheRemote' must be an HTTP or HTTPS URL or null.",
+                    "- 'concurrency' must be a positive integer, \"auto\", or \"off\".",
                     "- 'cwd' must be an absolute path.",
                     "- 'errorOnUnmatchedPattern' must be a boolean.",
                     "- 'extensions' must be an array of non-empty strings or null.",
@@ -230,17 +247,32 @@ describe("ESLint", () => {
                     "- 'globInputPaths' must be a boolean.",
                     "- 'ignore' must be a boolean.",
                     "- 'ignorePath' must be a non-empty string or null.",
+                    "- 'maxFileTime' must be a positive integer or null.",
+                    "- 'onFileEnd' must be a function or null.",
+                    "- 'onFileStart' must be a function or null.",
+                    "- 'onlyFiles' must be an array of non-empty strings or null.",
                     "- 'overrideConfig' must be an object or null.",
                     "- 'overrideConfigFile' must be a non-empty string or null.",
                     "- 'plugins' must be an object or null.",
                     "- 'reportUnusedDisableDirectives' must be any of \"error\", \"warn\", \"off\", and null.",
                     "- 'resolvePluginsRelativeTo' must be a non-empty string or null.",
                     "- 'rulePaths' must be an array of non-empty strings.",
+                    "- 'selectorStats' must be a boolean.",
+                    "- 'shard' must be an object with integer 'index' and 'total' properties where 1 <= index <= total, or null.",
+                    "- 'stats' must be a boolean.",
+                    "- 'trace' must be a boolean.",
                     "- 'useEslintrc' must be a boolean."
                 ].join("\n")), "u")
             );
         });
 
+        it("should throw a readable message if 'maxFileTime' is given without 'concurrency'", () => {
+            assert.throws(
+                () => new ESLint({ maxFileTime: 1000 }),
+                /- 'maxFileTime' requires 'concurrency' to be a positive integer or "auto"\./u
+            );
+        });
+
         it("should throw readable messages if 'plugins' option contains empty key", () => {
             assert.throws(
                 () => new ESLint({
@@ -1916,6 +1948,43 @@ describe("ESLint", () => {
 
                 assert(results.some(result => result.output));
             });
+
+            it("should not lint files again after their fixes were written", async () => {
+                const tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "eslint-fix-cache-")));
+                const options = {
+                    cwd: tmpDir,
+                    useEslintrc: false,
+                    overrideConfig: {
+                        rules: {
+                            semi: 2,
+                            "no-undef": 2
+                        }
+                    },
+                    cache: true,
+                    fix: true
+                };
+
+                try {
+                    fs.writeFileSync(path.join(tmpDir, "a.js"), "foo\n");
+
+                    eslint = new ESLint(options);
+                    await ESLint.outputFixes(await eslint.lintFiles(["a.js"]));
+
+                    const onFileStart = sinon.spy();
+
+                    eslint = new ESLint({ ...options, onFileStart });
+                    const results = await eslint.lintFiles(["a.js"]);
+
+                    assert(onFileStart.notCalled);
+                    assert.strictEqual(results.length, 1);
+                    assert.strictEqual(results[0].messages.length, 1);
+                    assert.strictEqual(results[0].messages[0].ruleId, "no-undef");
+                    assert.strictEqual(results[0].source, "foo;\n");
+                    assert(!Object.prototype.hasOwnProperty.call(results[0], "output"));
+                } finally {
+                    shell.rm("-r", tmpDir);
+                }
+            });
         });
 
         // These tests have to do with https://github.com/eslint/eslint/issues/963
@@ -3055,6 +3124,178 @@ describe("ESLint", () => {
                     assert(fileCache.getFileDescriptor(badFile).changed === false, `the entry for ${badFile} should have been unchanged`);
                     assert(fileCache.getFileDescriptor(goodFileCopy).changed === true, `the entry for ${goodFileCopy} should have been changed`);
                 });
+
+                it("should identify files by their git object IDs when set to 'git'", async () => {
+                    cacheFilePath = getFixturePath(".eslintcache");
+                    doDelete(cacheFilePath);
+                    assert(!shell.test("-f", cacheFilePath), "the cache file already exists and wasn't successfully deleted");
+
+                    eslint = new ESLint({
+                        cwd: path.join(fixtureDir, ".."),
+                        useEslintrc: false,
+
+                        // specifying cache true the cache will be created
+                        cache: true,
+                        cacheLocation: cacheFilePath,
+                        cacheStrategy: "git",
+                        overrideConfig: {
+                            rules: {
+                                "no-console": 0,
+                                "no-unused-vars": 2
+                            }
+                        },
+                        extensions: ["js"]
+                    });
+                    const badFile = fs.realpathSync(getFixturePath("cache/src", "fail-file.js"));
+                    const goodFile = fs.realpathSync(getFixturePath("cache/src", "test-file.js"));
+
+                    await eslint.lintFiles([badFile, goodFile]);
+
+                    const fileCache = fCache.createFromFile(cacheFilePath);
+                    const badFileObjectId = fileCache.cache.getKey(badFile).gitObjectId;
+                    const goodFileObjectId = fileCache.cache.getKey(goodFile).gitObjectId;
+
+                    assert.match(badFileObjectId, /^[0-9a-f]{40}$/u);
+                    assert.match(goodFileObjectId, /^[0-9a-f]{40}$/u);
+                    assert.notStrictEqual(badFileObjectId, goodFileObjectId);
+                });
+            });
+
+            describe("cacheDir", () => {
+                let tmpDir, cacheOptions;
+
+                /**
+                 * Replaces the messages of all cache entries, so that cached results can be told apart.
+                 * @returns {void}
+                 */
+                function markCacheEntries() {
+                    const cacheDir = path.join(tmpDir, "cache");
+
+                    for (const subdirectory of fs.readdirSync(cacheDir).filter(name => /^[0-9a-f]{2}$/u.test(name))) {
+                        for (const name of fs.readdirSync(path.join(cacheDir, subdirectory))) {
+                            const entryPath = path.join(cacheDir, subdirectory, name);
+                            const entry = JSON.parse(fs.readFileSync(entryPath, "utf8"));
+
+                            entry.results.messages[0].message = "cached";
+                            fs.writeFileSync(entryPath, JSON.stringify(entry));
+                        }
+                    }
+                }
+
+                beforeEach(() => {
+                    tmpDir = createTempDirectory("eslint-cache-dir-");
+                    cacheOptions = { configType: "eslintrc", cache: true, cacheDir: path.join(tmpDir, "cache") };
+                });
+
+                afterEach(() => {
+                    shell.rm("-r", tmpDir);
+                });
+
+                it("should use the results of the same file in another checkout", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+                    markCacheEntries();
+
+                    const cwd = createCheckout(tmpDir, "b");
+                    const results = await lintCheckout({ ...cacheOptions, cwd });
+
+                    assert.strictEqual(results[0].filePath, path.join(cwd, "a.js"));
+                    assert.strictEqual(results[0].messages[0].message, "cached");
+                    assert(!fs.existsSync(path.join(cwd, ".eslintcache")), "the cache file should not have been created");
+                });
+
+                it("should lint a file again when its content changed", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+                    markCacheEntries();
+
+                    const cwd = createCheckout(tmpDir, "b");
+
+                    fs.writeFileSync(path.join(cwd, "a.js"), "bar;\n");
+
+                    const results = await lintCheckout({ ...cacheOptions, cwd });
+
+                    assert.strictEqual(results[0].messages[0].message, "'bar' is not defined.");
+                });
+
+                it("should lint a file again when its config changed", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+                    markCacheEntries();
+
+                    const results = await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "b"), overrideConfig: { rules: { "no-undef": 1 } } });
+
+                    assert.strictEqual(results[0].messages[0].message, "'foo' is not defined.");
+                    assert.strictEqual(results[0].warningCount, 1);
+                });
+            });
+
+            describe("cacheRemote", () => {
+                const blobs = new Map();
+                let tmpDir, server, serverUrl, cacheOptions;
+
+                beforeEach(done => {
+                    tmpDir = createTempDirectory("eslint-cache-remote-");
+                    blobs.clear();
+                    server = http.createServer((request, response) => {
+                        const chunks = [];
+
+                        request.on("data", chunk => chunks.push(chunk));
+                        request.on("end", () => {
+                            if (request.method === "PUT") {
+                                blobs.set(request.url, Buffer.concat(chunks).toString("utf8"));
+                                response.writeHead(201);
+                            } else {
+                                response.writeHead(blobs.has(request.url) ? 200 : 404);
+                            }
+                            response.end(request.method === "GET" && blobs.get(request.url));
+                        });
+                    });
+                    server.listen(0, "127.0.0.1", () => {
+                        serverUrl = `http://127.0.0.1:${server.address().port}`;
+                        cacheOptions = { configType: "eslintrc", cache: true, cacheDir: ".cache", cacheRemote: serverUrl };
+                        done();
+                    });
+                });
+
+                afterEach(done => {
+                    shell.rm("-r", tmpDir);
+
+                    if (server.listening) {
+                        server.close(done);
+                    } else {
+                        done();
+                    }
+                });
+
+                it("should use the results that another machine uploaded", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+
+                    assert.strictEqual(blobs.size, 1);
+
+                    for (const [key, blob] of blobs) {
+                        const entry = JSON.parse(blob);
+
+                        entry.results.messages[0].message = "cached";
+                        blobs.set(key, JSON.stringify(entry));
+                    }
+
+                    const results = await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "b") });
+
+                    assert.strictEqual(results[0].messages[0].message, "cached");
+                });
+
+                it("should lint the files if the remote cache can't be reached", async () => {
+                    await new Promise(resolve => server.close(resolve));
+
+                    const results = await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+
+                    assert.strictEqual(results[0].messages[0].message, "'foo' is not defined.");
+                });
+
+                it("should throw an error without cacheDir", () => {
+                    assert.throws(
+                        () => new ESLint({ cache: true, cacheRemote: serverUrl }),
+                        /'cacheRemote' requires 'cacheDir' for the local cache\./u
+                    );
+                });
             });
         });
 
@@ -4322,148 +4563,811 @@ describe("ESLint", () => {
             await assert.rejects(() => eslint.lintFiles(777), /'patterns' must be a non-empty string or an array of non-empty strings/u);
             await assert.rejects(() => eslint.lintFiles([null]), /'patterns' must be a non-empty string or an array of non-empty strings/u);
         });
-    });
-
-    describe("calculateConfigForFile", () => {
-        it("should return the info from Config#getConfig when called", async () => {
-            const options = {
-                overrideConfigFile: getFixturePath("configurations", "quotes-error.json")
-            };
-            const engine = new ESLint(options);
-            const filePath = getFixturePath("single-quoted.js");
-            const actualConfig = await engine.calculateConfigForFile(filePath);
-            const expectedConfig = new CascadingConfigArrayFactory({ specificConfigPath: options.overrideConfigFile })
-                .getConfigArrayForFile(filePath)
-                .extractConfig(filePath)
-                .toCompatibleObjectAsConfigFileContent();
-
-            assert.deepStrictEqual(actualConfig, expectedConfig);
-        });
 
-        it("should return the config for a file that doesn't exist", async () => {
-            const engine = new ESLint();
-            const filePath = getFixturePath("does_not_exist.js");
-            const existingSiblingFilePath = getFixturePath("single-quoted.js");
-            const actualConfig = await engine.calculateConfigForFile(filePath);
-            const expectedConfig = await engine.calculateConfigForFile(existingSiblingFilePath);
+        describe("with 'concurrency' option", () => {
 
-            assert.deepStrictEqual(actualConfig, expectedConfig);
-        });
+            /**
+             * Returns the message reported by the `report-thread` rule for each result.
+             * @param {LintResult[]} results The lint results.
+             * @returns {string[]} `"main"` or `"worker"` for each result.
+             */
+            function getThreads(results) {
+                return results.map(result => result.messages.find(message => message.ruleId === "report-thread").message);
+            }
 
-        it("should return the config for a virtual file that is a child of an existing file", async () => {
-            const engine = new ESLint();
-            const parentFileName = "single-quoted.js";
-            const filePath = getFixturePath(parentFileName, "virtual.js"); // single-quoted.js/virtual.js
-            const parentFilePath = getFixturePath(parentFileName);
-            const actualConfig = await engine.calculateConfigForFile(filePath);
-            const expectedConfig = await engine.calculateConfigForFile(parentFilePath);
+            let emitWarning;
 
-            assert.deepStrictEqual(actualConfig, expectedConfig);
-        });
+            beforeEach(() => {
 
-        it("should return the config when run from within a subdir", async () => {
-            const options = {
-                cwd: getFixturePath("config-hierarchy", "root-true", "parent", "root", "subdir")
-            };
-            const engine = new ESLint(options);
-            const filePath = getFixturePath("config-hierarchy", "root-true", "parent", "root", ".eslintrc");
-            const actualConfig = await engine.calculateConfigForFile("./.eslintrc");
-            const expectedConfig = new CascadingConfigArrayFactory(options)
-                .getConfigArrayForFile(filePath)
-                .extractConfig(filePath)
-                .toCompatibleObjectAsConfigFileContent();
+                // Lint workers are unavailable in some tests, which emits warnings.
+                emitWarning = sinon.stub(process, "emitWarning");
+            });
 
-            assert.deepStrictEqual(actualConfig, expectedConfig);
-        });
+            afterEach(() => {
+                sinon.restore();
+            });
 
-        it("should throw an error if a directory path was given.", async () => {
-            const engine = new ESLint();
+            it("should lint files in worker threads", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js", "d.js"]);
 
-            try {
-                await engine.calculateConfigForFile(".");
-            } catch (error) {
-                assert.strictEqual(error.messageTemplate, "print-config-with-directory-path");
-                return;
-            }
-            assert.fail("should throw an error");
-        });
+                assert.deepStrictEqual(getThreads(results), ["worker", "worker", "worker", "worker"]);
+            });
 
-        it("should throw if non-string value is given to 'filePath' parameter", async () => {
-            const eslint = new ESLint();
+            it("should return the same results in the same order as a serial run", async () => {
+                const options = { cwd: getFixturePath("lint-workers"), rulePaths: ["rules"] };
+                const patterns = ["d.js", "b.js", "a.js", "c.js"];
+                const serialResults = await new ESLint(options).lintFiles(patterns);
+                const parallelResults = await new ESLint({ ...options, concurrency: 3 }).lintFiles(patterns);
 
-            await assert.rejects(() => eslint.calculateConfigForFile(null), /'filePath' must be a non-empty string/u);
-        });
+                assert.deepStrictEqual(
+                    parallelResults.map(result => result.filePath),
+                    serialResults.map(result => result.filePath)
+                );
+                assert.deepStrictEqual(
+                    parallelResults.map(result => result.messages.filter(message => message.ruleId === "semi")),
+                    serialResults.map(result => result.messages.filter(message => message.ruleId === "semi"))
+                );
+                assert.deepStrictEqual(
+                    parallelResults.map(({ errorCount, warningCount, fixableErrorCount, source }) => ({ errorCount, warningCount, fixableErrorCount, source })),
+                    serialResults.map(({ errorCount, warningCount, fixableErrorCount, source }) => ({ errorCount, warningCount, fixableErrorCount, source }))
+                );
+            });
 
-        // https://github.com/eslint/eslint/issues/13793
-        it("should throw with an invalid built-in rule config", async () => {
-            const options = {
-                baseConfig: {
-                    rules: {
-                        "no-alert": ["error", {
-                            thisDoesNotExist: true
-                        }]
+            it("should use 'overrideConfig' in worker threads", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    overrideConfig: {
+                        rules: { semi: "off" }
                     }
-                }
-            };
-            const engine = new ESLint(options);
-            const filePath = getFixturePath("single-quoted.js");
+                });
+                const results = await eslint.lintFiles(["a.js", "c.js"]);
 
-            await assert.rejects(
-                () => engine.calculateConfigForFile(filePath),
-                /Configuration for rule "no-alert" is invalid:/u
-            );
-        });
-    });
+                assert.deepStrictEqual(getThreads(results), ["worker", "worker"]);
+                assert.deepStrictEqual(results.map(result => result.errorCount), [0, 0]);
+            });
 
-    describe("isPathIgnored", () => {
-        it("should check if the given path is ignored", async () => {
-            const engine = new ESLint({
-                ignorePath: getFixturePath(".eslintignore2"),
-                cwd: getFixturePath()
+            it("should lint on the main thread when 'concurrency' is \"off\"", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: "off"
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
+
+                assert.deepStrictEqual(getThreads(results), ["main", "main"]);
             });
 
-            assert(await engine.isPathIgnored("undef.js"));
-            assert(!await engine.isPathIgnored("passing.js"));
-        });
+            it("should lint on the main thread when plugins are passed to the constructor", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    plugins: { foo: {} }
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
 
-        it("should return false if ignoring is disabled", async () => {
-            const engine = new ESLint({
-                ignore: false,
-                ignorePath: getFixturePath(".eslintignore2"),
-                cwd: getFixturePath()
+                assert.deepStrictEqual(getThreads(results), ["main", "main"]);
             });
 
-            assert(!await engine.isPathIgnored("undef.js"));
-        });
+            it("should warn that files are linted on the main thread when plugins are passed to the constructor", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    plugins: { foo: {} }
+                });
+                await eslint.lintFiles(["a.js", "b.js"]);
 
-        // https://github.com/eslint/eslint/issues/5547
-        it("should return true for default ignores even if ignoring is disabled", async () => {
-            const engine = new ESLint({
-                ignore: false,
-                cwd: getFixturePath("cli-engine")
+                assert.strictEqual(emitWarning.callCount, 1);
+                assert.match(emitWarning.firstCall.args[0], /^Files are linted on the main thread because the 'plugins' option can't be passed to lint worker threads\./u);
+                assert.strictEqual(emitWarning.firstCall.args[2], "ESLINT_LINT_WORKER_FALLBACK");
             });
 
-            assert(await engine.isPathIgnored("node_modules/foo.js"));
-        });
+            it("should lint on the main thread and name the option in the warning when a 'fix' function is given", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    fix: () => true
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
 
-        describe("about the default ignore patterns", () => {
-            it("should always apply defaultPatterns if ignore option is true", async () => {
-                const cwd = getFixturePath("ignored-paths");
-                const engine = new ESLint({ cwd });
+                assert.deepStrictEqual(getThreads(results), ["main", "main"]);
+                assert.strictEqual(emitWarning.callCount, 1);
+                assert.match(emitWarning.firstCall.args[0], /because 'options\.fix' can't be passed to lint worker threads\. Pass `true` to fix all problems instead/u);
+            });
 
-                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "node_modules/package/file.js")));
-                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "subdir/node_modules/package/file.js")));
+            it("should only fix problems of the severity of a 'fix' predicate in worker threads", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    overrideConfig: { rules: { semi: "warn" } },
+                    fix: createFixSeverityPredicate("error")
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                assert.deepStrictEqual(getThreads(results), ["worker", "worker", "worker"]);
+                assert.deepStrictEqual(results.map(result => result.output), [void 0, void 0, void 0]);
+                assert.strictEqual(emitWarning.callCount, 0);
             });
 
-            it("should still apply defaultPatterns if ignore option is is false", async () => {
-                const cwd = getFixturePath("ignored-paths");
-                const engine = new ESLint({ ignore: false, cwd });
+            it("should not warn when files are linted on the main thread because 'concurrency' is \"off\"", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    plugins: { foo: {} }
+                });
+                await eslint.lintFiles(["a.js", "b.js"]);
 
-                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "node_modules/package/file.js")));
-                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "subdir/node_modules/package/file.js")));
+                assert.strictEqual(emitWarning.callCount, 0);
             });
 
-            it("should allow subfolders of defaultPatterns to be unignored by ignorePattern", async () => {
+            it("should apply fixes in worker threads", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    fix: true,
+                    fixTypes: ["layout"]
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                assert.deepStrictEqual(getThreads(results), ["worker", "worker", "worker"]);
+                assert.deepStrictEqual(results.map(result => result.output), ["var a = 1;\n", void 0, "var c = 3;\n"]);
+            });
+
+            it("should record the time it took to lint each file in the cache", async () => {
+                const cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    cache: true,
+                    cacheLocation: cacheFilePath
+                });
+
+                try {
+                    const results = await eslint.lintFiles(["a.js", "b.js"]);
+                    const { cache } = fCache.createFromFile(cacheFilePath);
+
+                    assert.deepStrictEqual(getThreads(results), ["worker", "worker"]);
+                    results.forEach(({ filePath }) => {
+                        assert.strictEqual(typeof cache.getKey(filePath).lintDuration, "number");
+                    });
+                } finally {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+
+            it("should reject with the error thrown in a worker", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2
+                });
+
+                await assert.rejects(
+                    () => eslint.lintFiles(["a.js", "crash.js"]),
+                    /Crashed while linting\.\nOccurred while linting .*crash\.js:1\nRule: "no-crash"/u
+                );
+            });
+        });
+
+        describe("with 'onFileStart' and 'onFileEnd' options", () => {
+
+            it("should call 'onFileStart' before and 'onFileEnd' after each file", async () => {
+                const events = [];
+
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    ...recordProgress(events)
+                });
+                await eslint.lintFiles(["a.js", "b.js"]);
+
+                assert.deepStrictEqual(events, [
+                    { type: "start", file: "a.js", completed: 0, total: 2 },
+                    { type: "end", file: "a.js", completed: 1, total: 2 },
+                    { type: "start", file: "b.js", completed: 1, total: 2 },
+                    { type: "end", file: "b.js", completed: 2, total: 2 }
+                ]);
+            });
+
+            it("should call 'onFileStart' and 'onFileEnd' for files linted in worker threads", async () => {
+                const events = [];
+
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    ...recordProgress(events)
+                });
+                await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                assert.deepStrictEqual(
+                    events.filter(event => event.type === "start").map(event => event.file).sort(),
+                    ["a.js", "b.js", "c.js"]
+                );
+                assert.deepStrictEqual(
+                    events.filter(event => event.type === "end").map(event => event.completed),
+                    [1, 2, 3]
+                );
+                events.forEach(event => assert.strictEqual(event.total, 3));
+            });
+
+            it("should not count files with cached results", async () => {
+                const cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+                const events = [];
+
+                try {
+                    await new ESLint({
+                        cwd: getFixturePath("lint-workers"),
+                        rulePaths: ["rules"],
+                        cache: true,
+                        cacheLocation: cacheFilePath
+                    }).lintFiles(["a.js"]);
+
+                    eslint = new ESLint({
+                        cwd: getFixturePath("lint-workers"),
+                        rulePaths: ["rules"],
+                        cache: true,
+                        cacheLocation: cacheFilePath,
+                        ...recordProgress(events)
+                    });
+                    await eslint.lintFiles(["a.js", "b.js"]);
+
+                    assert.deepStrictEqual(events, [
+                        { type: "start", file: "b.js", completed: 0, total: 1 },
+                        { type: "end", file: "b.js", completed: 1, total: 1 }
+                    ]);
+                } finally {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+        });
+
+        describe("with 'maxFileTime' option", () => {
+            const cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+
+            afterEach(() => {
+                if (fs.existsSync(cacheFilePath)) {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+
+            it("should stop a file that takes too long with a fatal error naming the slowest rule", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    maxFileTime: 1000
+                });
+
+                const results = await eslint.lintFiles(["a.js", "hang.js", "b.js", "c.js"]);
+                const hangResult = results.find(result => path.basename(result.filePath) === "hang.js");
+
+                assert.strictEqual(results.length, 4);
+                assert.strictEqual(hangResult.fatalErrorCount, 1);
+                assert.strictEqual(hangResult.messages.length, 1);
+                assert.strictEqual(hangResult.messages[0].line, 1);
+                assert.strictEqual(hangResult.messages[0].column, 1);
+                assert.match(
+                    hangResult.messages[0].message,
+                    /^Linting took longer than 1000ms and was stopped\. The slowest rule was 'no-hang' \(\d+ms\)\.$/u
+                );
+
+                // The other files are linted by the remaining and the replacement workers.
+                results.filter(result => result !== hangResult).forEach(result => {
+                    assert.strictEqual(result.fatalErrorCount, 0);
+                    assert.strictEqual(result.messages.find(message => message.ruleId === "report-thread").message, "worker");
+                });
+            });
+
+            it("should stop a file that takes too long with fewer files than \"auto\" starts workers for", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: "auto",
+                    maxFileTime: 1000
+                });
+
+                const [aResult, hangResult] = await eslint.lintFiles(["a.js", "hang.js"]);
+
+                assert.strictEqual(aResult.fatalErrorCount, 0);
+                assert.strictEqual(hangResult.fatalErrorCount, 1);
+                assert.match(hangResult.messages[0].message, /^Linting took longer than 1000ms and was stopped\./u);
+            });
+
+            it("should warn that files aren't stopped when they're linted on the main thread", async () => {
+                const emitWarning = sinon.stub(process, "emitWarning");
+
+                try {
+                    eslint = new ESLint({
+                        cwd: getFixturePath("lint-workers"),
+                        rulePaths: ["rules"],
+                        concurrency: 2,
+                        maxFileTime: 1000,
+                        plugins: { foo: {} }
+                    });
+                    await eslint.lintFiles(["a.js"]);
+                } finally {
+                    emitWarning.restore();
+                }
+
+                assert.strictEqual(emitWarning.callCount, 1);
+                assert.match(
+                    emitWarning.firstCall.args[0],
+                    /because the 'plugins' option can't be passed to lint worker threads\. Files that take longer than 1000ms aren't stopped\./u
+                );
+                assert.strictEqual(emitWarning.firstCall.args[2], "ESLINT_LINT_WORKER_FALLBACK");
+            });
+
+            it("should not cache the result of a file that takes too long", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    cache: true,
+                    cacheLocation: cacheFilePath,
+                    concurrency: 2,
+                    maxFileTime: 1000
+                });
+
+                await eslint.lintFiles(["a.js", "hang.js"]);
+
+                const { cache } = fCache.createFromFile(cacheFilePath);
+                const hangMeta = cache.getKey(getFixturePath("lint-workers", "hang.js"));
+
+                assert(cache.getKey(getFixturePath("lint-workers", "a.js")).results, "a.js should have cached results");
+                assert(!hangMeta.results, "hang.js should not have cached results");
+                assert.strictEqual(hangMeta.lintDuration, 1000);
+            });
+        });
+
+        describe("with 'stats' option", () => {
+            const cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+
+            afterEach(() => {
+                sinon.restore();
+
+                if (fs.existsSync(cacheFilePath)) {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+
+            it("should add the times of parsing, scope analysis, each rule, and fixes to the results", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    stats: true
+                });
+
+                const [result] = await eslint.lintFiles(["a.js"]);
+                const [pass] = result.stats.times.passes;
+
+                assert.strictEqual(result.stats.times.passes.length, 1);
+                assert.strictEqual(result.stats.fixPasses, 0);
+                assert.deepStrictEqual(Object.keys(pass.rules).sort(), ["no-crash", "no-hang", "report-thread", "semi"].sort());
+                assert(pass.parse.total > 0, "parse time should be measured");
+                assert(pass.scope.total > 0, "scope analysis time should be measured");
+                assert(pass.total >= pass.parse.total + pass.scope.total, "total time should include the other times");
+            });
+
+            it("should count the passes that applied fixes", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    fix: true,
+                    stats: true
+                });
+
+                const [result] = await eslint.lintText("var a = 1", { filePath: "a.js" });
+
+                assert.strictEqual(result.output, "var a = 1;");
+                assert.strictEqual(result.stats.times.passes.length, 2);
+                assert.strictEqual(result.stats.fixPasses, 1);
+                assert(result.stats.times.passes[0].fix.total > 0, "fix time should be measured");
+            });
+
+            it("should add statistics to the results of files linted in worker threads", async () => {
+                sinon.stub(process, "emitWarning");
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    stats: true
+                });
+
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                results.forEach(result => {
+                    assert.strictEqual(result.messages.find(message => message.ruleId === "report-thread").message, "worker");
+                    assert(result.stats.times.passes[0].rules["report-thread"].total >= 0, "rule times should be measured in workers");
+                });
+            });
+
+            it("should break the times of rules down by selector with the 'selectorStats' option", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    stats: true,
+                    selectorStats: true
+                });
+
+                const [result] = await eslint.lintFiles(["a.js"]);
+                const [pass] = result.stats.times.passes;
+
+                assert.strictEqual(pass.rules["report-thread"].selectors.Program.count, 1);
+                assert(pass.rules["report-thread"].selectors.Program.total >= 0, "listener times should be measured");
+                assert.strictEqual(pass.selectors.Program.count, 1);
+            });
+
+            it("should break the times of rules down by selector in worker threads", async () => {
+                sinon.stub(process, "emitWarning");
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    stats: true,
+                    selectorStats: true
+                });
+
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                results.forEach(result => {
+                    const [pass] = result.stats.times.passes;
+
+                    assert.strictEqual(pass.rules["report-thread"].selectors.Program.count, 1);
+                    assert.strictEqual(pass.selectors.Program.count, 1);
+                });
+            });
+
+            it("should not break the times of rules down by selector without the 'selectorStats' option", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    stats: true
+                });
+
+                const [result] = await eslint.lintFiles(["a.js"]);
+                const [pass] = result.stats.times.passes;
+
+                assert(!("selectors" in pass), "passes should not have selector times");
+                assert(!("selectors" in pass.rules["report-thread"]), "rules should not have selector times");
+            });
+
+            it("should not add statistics to results without the option", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"]
+                });
+
+                const [result] = await eslint.lintFiles(["a.js"]);
+
+                assert(!("stats" in result), "results should not have statistics");
+            });
+
+            it("should neither cache statistics nor add them to cached results", async () => {
+                const options = {
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    cache: true,
+                    cacheLocation: cacheFilePath,
+                    stats: true
+                };
+
+                await new ESLint(options).lintFiles(["a.js"]);
+
+                const { cache } = fCache.createFromFile(cacheFilePath);
+                const [cachedResult] = await new ESLint(options).lintFiles(["a.js"]);
+
+                assert(!("stats" in cache.getKey(getFixturePath("lint-workers", "a.js")).results), "the cache should not have statistics");
+                assert(!("stats" in cachedResult), "cached results should not have statistics");
+            });
+        });
+
+        describe("with 'trace' option", () => {
+            afterEach(() => {
+                sinon.restore();
+            });
+
+            it("should record loading the config, finding the files, and linting each file", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    trace: true
+                });
+
+                await eslint.lintFiles(["a.js", "b.js"]);
+
+                const events = eslint.getTraceEvents();
+                const lintFileEvents = events.filter(event => event.name === "Lint file");
+
+                assert.deepStrictEqual(events[0], {
+                    name: "thread_name",
+                    ph: "M",
+                    pid: process.pid,
+                    tid: 0,
+                    args: { name: "Main thread" }
+                });
+                assert(events.some(event => event.name === "Load config" && event.cat === "config"), "loading the config should be recorded");
+                assert(events.some(event => event.name === "Find files" && event.cat === "files"), "finding the files should be recorded");
+                assert.deepStrictEqual(
+                    lintFileEvents.map(event => event.args.filePath),
+                    [getFixturePath("lint-workers", "a.js"), getFixturePath("lint-workers", "b.js")]
+                );
+                assert(events.some(event => event.name === "Parse" && event.cat === "lint"), "parsing should be recorded");
+                assert(events.every(event => event.tid === 0), "all events should be recorded in the main thread");
+            });
+
+            it("should add the events of worker threads", async () => {
+                sinon.stub(process, "emitWarning");
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    concurrency: 2,
+                    trace: true
+                });
+
+                await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                const events = eslint.getTraceEvents();
+                const lintFileEvents = events.filter(event => event.name === "Lint file");
+                const workerThreadIds = new Set(lintFileEvents.map(event => event.tid));
+
+                assert.strictEqual(lintFileEvents.length, 3);
+                assert(!workerThreadIds.has(0), "the files should be linted in worker threads");
+                workerThreadIds.forEach(threadId => {
+                    assert(
+                        events.some(event => event.ph === "M" && event.tid === threadId && event.args.name === `Lint worker ${threadId}`),
+                        "each worker thread should be named"
+                    );
+                });
+            });
+
+            it("should not record events without the option", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"]
+                });
+
+                await eslint.lintFiles(["a.js"]);
+
+                assert.deepStrictEqual(eslint.getTraceEvents(), []);
+            });
+        });
+
+        describe("with 'onlyFiles' option", () => {
+            it("should lint only the given files of all files found", async () => {
+                const results = await new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    onlyFiles: ["b.js", getFixturePath("lint-workers", "c.js"), "no-such-file.js"]
+                }).lintFiles(["a.js", "b.js", "c.js"]);
+
+                assert.deepStrictEqual(results.map(result => path.basename(result.filePath)), ["b.js", "c.js"]);
+            });
+
+            it("should not lint the given files that are ignored", async () => {
+                const results = await new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    overrideConfig: { ignorePatterns: ["b.js"] },
+                    onlyFiles: ["a.js", "b.js"]
+                }).lintFiles(["."]);
+
+                assert.deepStrictEqual(results.map(result => path.basename(result.filePath)), ["a.js"]);
+            });
+
+            it("should still report patterns that don't match any files", async () => {
+                await assert.rejects(
+                    () => new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"], onlyFiles: [] }).lintFiles(["no-such-file.js"]),
+                    /No files matching .*no-such-file\.js.* were found/u
+                );
+            });
+
+            it("should lint no files if no files are given", async () => {
+                const results = await new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"], onlyFiles: [] }).lintFiles(["a.js"]);
+
+                assert.deepStrictEqual(results, []);
+            });
+        });
+
+        describe("with 'shard' option", () => {
+            const shards = [1, 2, 3].map(index => ({ index, total: 3 }));
+
+            it("should lint every file in exactly one shard", async () => {
+                const filePathsPerShard = await Promise.all(shards.map(async shard => {
+                    const results = await new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"], shard }).lintFiles(["a.js", "b.js", "c.js", "d.js"]);
+
+                    return results.map(result => path.basename(result.filePath));
+                }));
+                const allFilePaths = filePathsPerShard.flat().sort();
+
+                assert.deepStrictEqual(allFilePaths, ["a.js", "b.js", "c.js", "d.js"]);
+            });
+
+            it("should report patterns that don't match any files only in the first shard", async () => {
+                const [firstShard, ...otherShards] = shards;
+
+                await assert.rejects(
+                    () => new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"], shard: firstShard }).lintFiles(["a.js", "no-such-file.js"]),
+                    /No files matching .*no-such-file\.js.* were found/u
+                );
+
+                for (const shard of otherShards) {
+                    await new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"], shard }).lintFiles(["a.js", "no-such-file.js"]);
+                }
+            });
+
+            it("should report an ignored file only once across shards", async () => {
+                const ignoredResults = [];
+
+                for (const shard of shards) {
+                    const results = await new ESLint({
+                        cwd: getFixturePath("lint-workers"),
+                        rulePaths: ["rules"],
+                        overrideConfig: { ignorePatterns: ["b.js"] },
+                        shard
+                    }).lintFiles(["a.js", "b.js"]);
+
+                    ignoredResults.push(...results.filter(result => path.basename(result.filePath) === "b.js"));
+                }
+
+                assert.strictEqual(ignoredResults.length, 1);
+                assert.match(ignoredResults[0].messages[0].message, /File ignored/u);
+            });
+        });
+    });
+
+    describe("calculateConfigForFile", () => {
+        it("should return the info from Config#getConfig when called", async () => {
+            const options = {
+                overrideConfigFile: getFixturePath("configurations", "quotes-error.json")
+            };
+            const engine = new ESLint(options);
+            const filePath = getFixturePath("single-quoted.js");
+            const actualConfig = await engine.calculateConfigForFile(filePath);
+            const expectedConfig = new CascadingConfigArrayFactory({ specificConfigPath: options.overrideConfigFile })
+                .getConfigArrayForFile(filePath)
+                .extractConfig(filePath)
+                .toCompatibleObjectAsConfigFileContent();
+
+            assert.deepStrictEqual(actualConfig, expectedConfig);
+        });
+
+        it("should return the config for a file that doesn't exist", async () => {
+            const engine = new ESLint();
+            const filePath = getFixturePath("does_not_exist.js");
+            const existingSiblingFilePath = getFixturePath("single-quoted.js");
+            const actualConfig = await engine.calculateConfigForFile(filePath);
+            const expectedConfig = await engine.calculateConfigForFile(existingSiblingFilePath);
+
+            assert.deepStrictEqual(actualConfig, expectedConfig);
+        });
+
+        it("should return the config for a virtual file that is a child of an existing file", async () => {
+            const engine = new ESLint();
+            const parentFileName = "single-quoted.js";
+            const filePath = getFixturePath(parentFileName, "virtual.js"); // single-quoted.js/virtual.js
+            const parentFilePath = getFixturePath(parentFileName);
+            const actualConfig = await engine.calculateConfigForFile(filePath);
+            const expectedConfig = await engine.calculateConfigForFile(parentFilePath);
+
+            assert.deepStrictEqual(actualConfig, expectedConfig);
+        });
+
+        it("should return the config when run from within a subdir", async () => {
+            const options = {
+                cwd: getFixturePath("config-hierarchy", "root-true", "parent", "root", "subdir")
+            };
+            const engine = new ESLint(options);
+            const filePath = getFixturePath("config-hierarchy", "root-true", "parent", "root", ".eslintrc");
+            const actualConfig = await engine.calculateConfigForFile("./.eslintrc");
+            const expectedConfig = new CascadingConfigArrayFactory(options)
+                .getConfigArrayForFile(filePath)
+                .extractConfig(filePath)
+                .toCompatibleObjectAsConfigFileContent();
+
+            assert.deepStrictEqual(actualConfig, expectedConfig);
+        });
+
+        it("should throw an error if a directory path was given.", async () => {
+            const engine = new ESLint();
+
+            try {
+                await engine.calculateConfigForFile(".");
+            } catch (error) {
+                assert.strictEqual(error.messageTemplate, "print-config-with-directory-path");
+                return;
+            }
+            assert.fail("should throw an error");
+        });
+
+        it("should throw if non-string value is given to 'filePath' parameter", async () => {
+            const eslint = new ESLint();
+
+            await assert.rejects(() => eslint.calculateConfigForFile(null), /'filePath' must be a non-empty string/u);
+        });
+
+        // https://github.com/eslint/eslint/issues/13793
+        it("should throw with an invalid built-in rule config", async () => {
+            const options = {
+                baseConfig: {
+                    rules: {
+                        "no-alert": ["error", {
+                            thisDoesNotExist: true
+                        }]
+                    }
+                }
+            };
+            const engine = new ESLint(options);
+            const filePath = getFixturePath("single-quoted.js");
+
+            await assert.rejects(
+                () => engine.calculateConfigForFile(filePath),
+                /Configuration for rule "no-alert" is invalid:/u
+            );
+        });
+    });
+
+    describe("isPathIgnored", () => {
+        it("should check if the given path is ignored", async () => {
+            const engine = new ESLint({
+                ignorePath: getFixturePath(".eslintignore2"),
+                cwd: getFixturePath()
+            });
+
+            assert(await engine.isPathIgnored("undef.js"));
+            assert(!await engine.isPathIgnored("passing.js"));
+        });
+
+        it("should return false if ignoring is disabled", async () => {
+            const engine = new ESLint({
+                ignore: false,
+                ignorePath: getFixturePath(".eslintignore2"),
+                cwd: getFixturePath()
+            });
+
+            assert(!await engine.isPathIgnored("undef.js"));
+        });
+
+        // https://github.com/eslint/eslint/issues/5547
+        it("should return true for default ignores even if ignoring is disabled", async () => {
+            const engine = new ESLint({
+                ignore: false,
+                cwd: getFixturePath("cli-engine")
+            });
+
+            assert(await engine.isPathIgnored("node_modules/foo.js"));
+        });
+
+        describe("about the default ignore patterns", () => {
+            it("should always apply defaultPatterns if ignore option is true", async () => {
+                const cwd = getFixturePath("ignored-paths");
+                const engine = new ESLint({ cwd });
+
+                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "node_modules/package/file.js")));
+                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "subdir/node_modules/package/file.js")));
+            });
+
+            it("should still apply defaultPatterns if ignore option is is false", async () => {
+                const cwd = getFixturePath("ignored-paths");
+                const engine = new ESLint({ ignore: false, cwd });
+
+                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "node_modules/package/file.js")));
+                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "subdir/node_modules/package/file.js")));
+            });
+
+            it("should allow subfolders of defaultPatterns to be unignored by ignorePattern", async () => {
                 const cwd = getFixturePath("ignored-paths");
                 const engine = new ESLint({
                     cwd,
@@ -4881,6 +5785,63 @@ describe("ESLint", () => {
         });
     });
 
+    describe("getCacheStats(), pruneCache(), and clearCache()", () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = createTempDirectory("eslint-cache-management-");
+            fs.writeFileSync(path.join(tmpDir, "a.js"), "foo;\n");
+            fs.writeFileSync(path.join(tmpDir, "b.js"), "bar;\n");
+        });
+
+        afterEach(() => {
+            shell.rm("-r", tmpDir);
+        });
+
+        it("should return statistics of the cache file, also if the 'cache' option is off", async () => {
+            await createEngine({ configType: "eslintrc", cwd: tmpDir, cache: true }).lintFiles(["a.js", "b.js"]);
+            await createEngine({ configType: "eslintrc", cwd: tmpDir, cache: true }).lintFiles(["a.js"]);
+            fs.unlinkSync(path.join(tmpDir, "b.js"));
+
+            const stats = await createEngine({ configType: "eslintrc", cwd: tmpDir }).getCacheStats();
+
+            assert.strictEqual(stats.location, path.join(tmpDir, ".eslintcache"));
+            assert.strictEqual(stats.entries, 2);
+            assert.strictEqual(stats.deletedFileEntries, 1);
+            assert.strictEqual(stats.size, fs.statSync(path.join(tmpDir, ".eslintcache")).size);
+            assert.deepStrictEqual(stats.lastRun, { hits: 1, misses: 0 });
+        });
+
+        it("should remove the entries of files that the patterns don't match anymore on pruneCache()", async () => {
+            await createEngine({ configType: "eslintrc", cwd: tmpDir, cache: true }).lintFiles(["a.js", "b.js"]);
+
+            assert.strictEqual(await createEngine({ configType: "eslintrc", cwd: tmpDir }).pruneCache(["a.js"]), 1);
+            assert.strictEqual((await createEngine({ configType: "eslintrc", cwd: tmpDir }).getCacheStats()).entries, 1);
+        });
+
+        it("should remove the entries of files whose config changed on pruneCache()", async () => {
+            await createEngine({ configType: "eslintrc", cwd: tmpDir, cache: true }).lintFiles(["a.js", "b.js"]);
+
+            const engine = createEngine({ configType: "eslintrc", cwd: tmpDir, overrideConfig: { rules: { "no-undef": 1 } } });
+
+            assert.strictEqual(await engine.pruneCache(["a.js", "b.js"]), 2);
+        });
+
+        it("should throw if invalid patterns are given to pruneCache()", async () => {
+            await assert.rejects(() => createEngine({ configType: "eslintrc", cwd: tmpDir }).pruneCache(""), /'patterns' must be a non-empty string or an array of non-empty strings/u);
+        });
+
+        it("should delete the cache directory of the 'cacheDir' option on clearCache()", async () => {
+            await createEngine({ configType: "eslintrc", cwd: tmpDir, cache: true, cacheDir: "cache" }).lintFiles(["a.js"]);
+
+            assert(fs.existsSync(path.join(tmpDir, "cache")));
+
+            await createEngine({ configType: "eslintrc", cwd: tmpDir, cacheDir: "cache" }).clearCache();
+
+            assert(!fs.existsSync(path.join(tmpDir, "cache")));
+        });
+    });
+
     describe("loadFormatter()", () => {
         it("should return a formatter object when a bundled formatter is requested", async () => {
             const engine = new ESLint();
@@ -5140,6 +6101,222 @@ describe("ESLint", () => {
         });
     });
 
+    describe("lintFilesIterator()", () => {
+        let eslint;
+
+        it("should throw an error if 'patterns' is invalid", async () => {
+            eslint = new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"] });
+
+            await assert.rejects(
+                () => collect(eslint.lintFilesIterator([""])),
+                /'patterns' must be a non-empty string or an array of non-empty strings/u
+            );
+        });
+
+        it("should yield the same results as lintFiles()", async () => {
+            const patterns = ["a.js", "b.js", "c.js", "d.js"];
+
+            eslint = new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"] });
+
+            const results = await eslint.lintFiles(patterns);
+            const yieldedResults = await collect(eslint.lintFilesIterator(patterns));
+
+            assert.deepStrictEqual(yieldedResults, results);
+        });
+
+        it("should yield the results of files linted in worker threads", async () => {
+            const patterns = ["a.js", "b.js", "c.js", "d.js"];
+
+            eslint = new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"], concurrency: 2 });
+
+            const results = await collect(eslint.lintFilesIterator(patterns));
+
+            assert.deepStrictEqual(
+                results.map(result => path.basename(result.filePath)).sort(),
+                patterns
+            );
+            results.forEach(result => {
+                assert.strictEqual(result.messages.find(message => message.ruleId === "report-thread").message, "worker");
+            });
+        });
+
+        it("should set 'usedDeprecatedRules' on each result", async () => {
+            eslint = new ESLint({
+                cwd: originalDir,
+                useEslintrc: false,
+                overrideConfig: {
+                    rules: {
+                        "indent-legacy": 1
+                    }
+                }
+            });
+
+            const results = await collect(eslint.lintFilesIterator(["lib/cli*.js"]));
+
+            assert(results.length > 0);
+            results.forEach(result => {
+                assert.deepStrictEqual(
+                    result.usedDeprecatedRules,
+                    [{ ruleId: "indent-legacy", replacedBy: ["indent"] }]
+                );
+            });
+        });
+
+        describe("with 'cache' option", () => {
+            let cacheFilePath;
+
+            beforeEach(() => {
+                cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+            });
+
+            afterEach(() => {
+                if (fs.existsSync(cacheFilePath)) {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+
+            it("should write the cache when the iteration is complete", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    cache: true,
+                    cacheLocation: cacheFilePath
+                });
+
+                const results = await collect(eslint.lintFilesIterator(["a.js", "b.js"]));
+                const { cache } = fCache.createFromFile(cacheFilePath);
+
+                results.forEach(({ filePath }) => {
+                    assert(cache.getKey(filePath), `${filePath} should be in the cache`);
+                });
+            });
+
+            it("should not write the cache if the iteration is stopped early", async () => {
+                eslint = new ESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    rulePaths: ["rules"],
+                    cache: true,
+                    cacheLocation: cacheFilePath,
+                    concurrency: 2
+                });
+
+                // eslint-disable-next-line no-unreachable-loop -- Stops after the first result.
+                for await (const result of eslint.lintFilesIterator(["a.js", "b.js", "c.js"])) {
+                    assert(result);
+                    break;
+                }
+
+                assert(!fs.existsSync(cacheFilePath), "the cache file should not be written");
+            });
+        });
+    });
+
+    describe("with an AbortSignal", () => {
+        const patterns = ["a.js", "b.js", "c.js", "d.js"];
+        let cacheFilePath;
+
+        beforeEach(() => {
+            cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+        });
+
+        afterEach(() => {
+            if (fs.existsSync(cacheFilePath)) {
+                fs.unlinkSync(cacheFilePath);
+            }
+        });
+
+        it("should throw an error if 'options.signal' is not an AbortSignal", async () => {
+            const eslint = new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"] });
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { signal: {} }),
+                /'options.signal' must be an AbortSignal or undefined/u
+            );
+            await assert.rejects(
+                () => eslint.lintText("foo;", { signal: true }),
+                /'options.signal' must be an AbortSignal or undefined/u
+            );
+        });
+
+        it("should throw an error if lintFiles() is given unknown options", async () => {
+            const eslint = new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"] });
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { fix: true }),
+                /'options' must not include the unknown option\(s\): fix/u
+            );
+        });
+
+        it("should reject with an AbortError if the signal is already aborted", async () => {
+            const eslint = new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"] });
+            const controller = new AbortController();
+            const reason = new Error("stop");
+
+            controller.abort(reason);
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { signal: controller.signal }),
+                { name: "AbortError", code: "ABORT_ERR", cause: reason }
+            );
+            await assert.rejects(
+                () => eslint.lintText("foo;", { signal: controller.signal }),
+                { name: "AbortError" }
+            );
+        });
+
+        it("should stop linting files and not write the cache when aborted", async () => {
+            const controller = new AbortController();
+            const onFileStart = sinon.spy();
+            const eslint = new ESLint({
+                cwd: getFixturePath("lint-workers"),
+                rulePaths: ["rules"],
+                cache: true,
+                cacheLocation: cacheFilePath,
+                onFileStart,
+                onFileEnd: () => controller.abort()
+            });
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { signal: controller.signal }),
+                { name: "AbortError" }
+            );
+            assert.strictEqual(onFileStart.callCount, 1);
+            assert(!fs.existsSync(cacheFilePath), "the cache file should not be written");
+        });
+
+        it("should stop the lint workers and not write the cache when aborted", async () => {
+            const controller = new AbortController();
+            const eslint = new ESLint({
+                cwd: getFixturePath("lint-workers"),
+                rulePaths: ["rules"],
+                cache: true,
+                cacheLocation: cacheFilePath,
+                concurrency: 2,
+                onFileEnd: () => controller.abort()
+            });
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { signal: controller.signal }),
+                { name: "AbortError" }
+            );
+            assert(!fs.existsSync(cacheFilePath), "the cache file should not be written");
+        });
+
+        it("should throw an AbortError from lintFilesIterator() when aborted", async () => {
+            const controller = new AbortController();
+            const eslint = new ESLint({ cwd: getFixturePath("lint-workers"), rulePaths: ["rules"], concurrency: 2 });
+            const results = [];
+
+            await assert.rejects(async () => {
+                for await (const result of eslint.lintFilesIterator(patterns, { signal: controller.signal })) {
+                    results.push(result);
+                    controller.abort();
+                }
+            }, { name: "AbortError" });
+            assert.strictEqual(results.length, 1);
+        });
+    });
+
     describe("getRulesMetaForResults()", () => {
         it("should return empty object when there are no linting errors", async () => {
             const engine = new ESLint({
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Tests for the FlatESLint instances of long-running processes.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { FlatESLint } = require("../../../lib/eslint/flat-eslint");
+const { FlatESLintInstances } = require("../../../lib/eslint/flat-eslint-instances");
+const { createCustomTeardown } = require("../../_utils");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("FlatESLintInstances", () => {
+    const teardown = createCustomTeardown({
+        cwd: path.join(os.tmpdir(), "eslint", "flat-eslint-instances"),
+        files: {
+            "eslint.config.js": "module.exports = [{ rules: { semi: 'error' } }];"
+        }
+    });
+    let cwd, instances;
+
+    beforeEach(async () => {
+        await teardown.prepare();
+        cwd = teardown.getPath();
+        instances = new FlatESLintInstances();
+    });
+
+    afterEach(() => teardown.cleanup());
+
+    it("should create an instance with the given options", async () => {
+        const eslint = await instances.get({ cwd });
+
+        assert.instanceOf(eslint, FlatESLint);
+        assert.strictEqual(await eslint.findConfigFile(), path.join(cwd, "eslint.config.js"));
+    });
+
+    it("should return the same instance for the same options", async () => {
+        const eslint = await instances.get({ cwd });
+
+        assert.strictEqual(await instances.get({ cwd }), eslint);
+        assert.strictEqual(instances.size, 1);
+    });
+
+    it("should return different instances for different options", async () => {
+        const eslint = await instances.get({ cwd });
+
+        assert.notStrictEqual(await instances.get({ cwd, fix: true }), eslint);
+        assert.strictEqual(instances.size, 2);
+    });
+
+    it("should create the instance again when the config file changes", async () => {
+        const eslint = await instances.get({ cwd });
+        const mtime = new Date(Date.now() + 10000);
+
+        fs.utimesSync(path.join(cwd, "eslint.config.js"), mtime, mtime);
+
+        assert.notStrictEqual(await instances.get({ cwd }), eslint);
+        assert.strictEqual(instances.size, 1);
+    });
+
+    it("should keep the instance if it doesn't use a config file", async () => {
+        const eslint = await instances.get({ cwd, overrideConfigFile: true });
+
+        assert.strictEqual(await instances.get({ cwd, overrideConfigFile: true }), eslint);
+    });
+
+    it("should remove the least recently used instance when there are more than the maximum", async () => {
+        instances = new FlatESLintInstances({ maxSize: 2 });
+
+        const first = await instances.get({ cwd });
+        const second = await instances.get({ cwd, fix: true });
+
+        assert.strictEqual(await instances.get({ cwd }), first);
+
+        await instances.get({ cwd, overrideConfigFile: true });
+
+        assert.strictEqual(instances.size, 2);
+        assert.strictEqual(await instances.get({ cwd }), first);
+        assert.notStrictEqual(await instances.get({ cwd, fix: true }), second);
+    });
+});
@@ -13,9 +13,11 @@
 const assert = require("assert");
 const util = require("util");
 const fs = require("fs");
+const http = require("http");
 const fsp = fs.promises;
 const os = require("os");
 const path = require("path");
+const { pathToFileURL } = require("url");
 const escapeStringRegExp = require("escape-string-regexp");
 const fCache = require("file-entry-cache");
 const sinon = require("sinon");
@@ -23,7 +25,9 @@ const proxyquire = require("proxyquire").noCallThru().noPreserveCache();
 const shell = require("shelljs");
 const hash = require("../../../lib/cli-engine/hash");
 const { unIndent, createCustomTeardown } = require("../../_utils");
+const { collect, createCheckout, createEngine, createTempDirectory, lintCheckout, recordProgress } = require("../../_utils/checkouts");
 const { shouldUseFlatConfig } = require("../../../lib/eslint/flat-eslint");
+const { createFixSeverityPredicate, registerImportedModule } = require("../../../lib/eslint/worker-pool");
 const coreRules = require("../../../lib/rules");
 
 //------------------------------------------------------------------------------
@@ -201,6 +205,9 @@ describe("FlatESLint", () => {
                     baseConfig: "",
                     cache: "",
                     cacheLocation: "",
+                    cacheDir: "",
+                    cacheRemote: "ftp://example.com",
+                    concurrency: 0,
                     cwd: "foo",
                     errorOnUnmatchedPattern: "",
                     fix: "",
@@ -208,10 +215,18 @@ describe("FlatESLint", () => {
                     globInputPaths: "",
                     ignore: "",
                     ignorePatterns: "",
+                    maxFileTime: 0,
+                    onFileEnd: "",
+                    onFileStart: "",
+                    onlyFiles: "",
                     overrideConfig: "",
                     overrideConfigFile: "",
                     plugins: "",
                     reportUnusedDisableDirectives: "",
+                    selectorStats: "",
+                    shard: { index: 0, total: 2 },
+                    stats: "",
+                    trace: "",
                     warnIgnored: ""
                 }),
                 new RegExp(escapeStringRegExp([
@@ -220,6 +235,9 @@ describe("FlatESLint", () => {
                     "- 'baseConfig' must be an object or null.",
                     "- 'cache' must be a boolean.",
                     "- 'cacheLocation' must be a non-empty string.",
+                    "- 'cacheDir' must be a non-empty string or null.",
+                    "- 'cacheRemote' must be an HTTP or HTTPS URL or null.",
+                    "- 'concurrency' must be a positive integer, \"auto\", or \"off\".",
                     "- 'cwd' must be an absolute path.",
                     "- 'errorOnUnmatchedPattern' must be a boolean.",
                     "- 'fix' must be a boolean or a function.",
@@ -227,10 +245,18 @@ describe("FlatESLint", () => {
                     "- 'globInputPaths' must be a boolean.",
                     "- 'ignore' must be a boolean.",
                     "- 'ignorePatterns' must be an array of non-empty strings or null.",
+                    "- 'maxFileTime' must be a positive integer or null.",
+                    "- 'onFileEnd' must be a function or null.",
+                    "- 'onFileStart' must be a function or null.",
+                    "- 'onlyFiles' must be an array of non-empty strings or null.",
                     "- 'overrideConfig' must be an object or null.",
                     "- 'overrideConfigFile' must be a non-empty string, null, or true.",
                     "- 'plugins' must be an object or null.",
                     "- 'reportUnusedDisableDirectives' must be any of \"error\", \"warn\", \"off\", and null.",
+                    "- 'selectorStats' must be a boolean.",
+                    "- 'shard' must be an object with integer 'index' and 'total' properties where 1 <= index <= total, or null.",
+                    "- 'stats' must be a boolean.",
+                    "- 'trace' must be a boolean.",
                     "- 'warnIgnored' must be a boolean."
                 ].join("\n")), "u")
             );
@@ -264,6 +290,13 @@ describe("FlatESLint", () => {
             });
         });
 
+        it("should throw a readable message if 'maxFileTime' is given without 'concurrency'", () => {
+            assert.throws(
+                () => new FlatESLint({ maxFileTime: 1000 }),
+                /- 'maxFileTime' requires 'concurrency' to be a positive integer or "auto"\./u
+            );
+        });
+
         it("should throw readable messages if 'plugins' option contains empty key", () => {
             assert.throws(
                 () => new FlatESLint({
@@ -2141,6 +2174,43 @@ describe("FlatESLint", () => {
 
                 assert(results.some(result => result.output));
             });
+
+            it("should not lint files again after their fixes were written", async () => {
+                const tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "eslint-fix-cache-")));
+                const options = {
+                    cwd: tmpDir,
+                    overrideConfigFile: true,
+                    overrideConfig: {
+                        rules: {
+                            semi: 2,
+                            "no-undef": 2
+                        }
+                    },
+                    cache: true,
+                    fix: true
+                };
+
+                try {
+                    fs.writeFileSync(path.join(tmpDir, "a.js"), "foo\n");
+
+                    eslint = new FlatESLint(options);
+                    await FlatESLint.outputFixes(await eslint.lintFiles(["a.js"]));
+
+                    const onFileStart = sinon.spy();
+
+                    eslint = new FlatESLint({ ...options, onFileStart });
+                    const results = await eslint.lintFiles(["a.js"]);
+
+                    assert(onFileStart.notCalled);
+                    assert.strictEqual(results.length, 1);
+                    assert.strictEqual(results[0].messages.length, 1);
+                    assert.strictEqual(results[0].messages[0].ruleId, "no-undef");
+                    assert.strictEqual(results[0].source, "foo;\n");
+                    assert(!Object.prototype.hasOwnProperty.call(results[0], "output"));
+                } finally {
+                    shell.rm("-r", tmpDir);
+                }
+            });
         });
 
         describe("plugins", () => {
@@ -2936,6 +3006,211 @@ describe("FlatESLint", () => {
                     assert(fileCache.getFileDescriptor(badFile).changed === false, `the entry for ${badFile} should have been unchanged`);
                     assert(fileCache.getFileDescriptor(goodFileCopy).changed === true, `the entry for ${goodFileCopy} should have been changed`);
                 });
+
+                it("should identify files by their git object IDs when set to 'git'", async () => {
+                    cacheFilePath = getFixturePath(".eslintcache");
+                    doDelete(cacheFilePath);
+                    assert(!shell.test("-f", cacheFilePath), "the cache file already exists and wasn't successfully deleted");
+
+                    eslint = new FlatESLint({
+                        cwd: path.join(fixtureDir, ".."),
+                        overrideConfigFile: true,
+
+                        // specifying cache true the cache will be created
+                        cache: true,
+                        cacheLocation: cacheFilePath,
+                        cacheStrategy: "git",
+                        overrideConfig: {
+                            rules: {
+                                "no-console": 0,
+                                "no-unused-vars": 2
+                            }
+                        }
+                    });
+                    const badFile = fs.realpathSync(getFixturePath("cache/src", "fail-file.js"));
+                    const goodFile = fs.realpathSync(getFixturePath("cache/src", "test-file.js"));
+
+                    await eslint.lintFiles([badFile, goodFile]);
+
+                    const fileCache = fCache.createFromFile(cacheFilePath);
+                    const badFileObjectId = fileCache.cache.getKey(badFile).gitObjectId;
+                    const goodFileObjectId = fileCache.cache.getKey(goodFile).gitObjectId;
+
+                    assert.match(badFileObjectId, /^[0-9a-f]{40}$/u);
+                    assert.match(goodFileObjectId, /^[0-9a-f]{40}$/u);
+                    assert.notStrictEqual(badFileObjectId, goodFileObjectId);
+                });
+            });
+
+            describe("cacheDir", () => {
+                let tmpDir, cacheOptions;
+
+                /**
+                 * Replaces the messages of all cache entries, so that cached results can be told apart.
+                 * @returns {void}
+                 */
+                function markCacheEntries() {
+                    const cacheDir = path.join(tmpDir, "cache");
+
+                    for (const subdirectory of fs.readdirSync(cacheDir).filter(name => /^[0-9a-f]{2}$/u.test(name))) {
+                        for (const name of fs.readdirSync(path.join(cacheDir, subdirectory))) {
+                            const entryPath = path.join(cacheDir, subdirectory, name);
+                            const entry = JSON.parse(fs.readFileSync(entryPath, "utf8"));
+
+                            entry.results.messages[0].message = "cached";
+                            fs.writeFileSync(entryPath, JSON.stringify(entry));
+                        }
+                    }
+                }
+
+                beforeEach(() => {
+                    tmpDir = createTempDirectory("eslint-cache-dir-");
+                    cacheOptions = { configType: "flat", cache: true, cacheDir: path.join(tmpDir, "cache") };
+                });
+
+                afterEach(() => {
+                    shell.rm("-r", tmpDir);
+                });
+
+                it("should use the results of the same file in another checkout", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+                    markCacheEntries();
+
+                    const cwd = createCheckout(tmpDir, "b");
+                    const results = await lintCheckout({ ...cacheOptions, cwd });
+
+                    assert.strictEqual(results[0].filePath, path.join(cwd, "a.js"));
+                    assert.strictEqual(results[0].messages[0].message, "cached");
+                    assert(!fs.existsSync(path.join(cwd, ".eslintcache")), "the cache file should not have been created");
+                });
+
+                it("should lint a file again when its content changed", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+                    markCacheEntries();
+
+                    const cwd = createCheckout(tmpDir, "b");
+
+                    fs.writeFileSync(path.join(cwd, "a.js"), "bar;\n");
+
+                    const results = await lintCheckout({ ...cacheOptions, cwd });
+
+                    assert.strictEqual(results[0].messages[0].message, "'bar' is not defined.");
+                });
+
+                it("should lint a file again when its config changed", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+                    markCacheEntries();
+
+                    const results = await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "b"), overrideConfig: { rules: { "no-undef": 1 } } });
+
+                    assert.strictEqual(results[0].messages[0].message, "'foo' is not defined.");
+                    assert.strictEqual(results[0].warningCount, 1);
+                });
+            });
+
+            describe("cacheRemote", () => {
+                const blobs = new Map();
+                let tmpDir, server, serverUrl, cacheOptions;
+
+                beforeEach(done => {
+                    tmpDir = createTempDirectory("eslint-cache-remote-");
+                    blobs.clear();
+                    server = http.createServer((request, response) => {
+                        const chunks = [];
+
+                        request.on("data", chunk => chunks.push(chunk));
+                        request.on("end", () => {
+                            if (request.method === "PUT") {
+                                blobs.set(request.url, Buffer.concat(chunks).toString("utf8"));
+                                response.writeHead(201);
+                            } else {
+                                response.writeHead(blobs.has(request.url) ? 200 : 404);
+                            }
+                            response.end(request.method === "GET" && blobs.get(request.url));
+                        });
+                    });
+                    server.listen(0, "127.0.0.1", () => {
+                        serverUrl = `http://127.0.0.1:${server.address().port}`;
+                        cacheOptions = { configType: "flat", cache: true, cacheDir: ".cache", cacheRemote: serverUrl };
+                        done();
+                    });
+                });
+
+                afterEach(done => {
+                    shell.rm("-r", tmpDir);
+
+                    if (server.listening) {
+                        server.close(done);
+                    } else {
+                        done();
+                    }
+                });
+
+                it("should use the results that another machine uploaded", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+
+                    assert.strictEqual(blobs.size, 1);
+
+                    for (const [key, blob] of blobs) {
+                        const entry = JSON.parse(blob);
+
+                        entry.results.messages[0].message = "cached";
+                        blobs.set(key, JSON.stringify(entry));
+                    }
+
+                    const results = await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "b") });
+
+                    assert.strictEqual(results[0].messages[0].message, "cached");
+                });
+
+                it("should not write fixed code from the remote cache", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+
+                    for (const [key, blob] of blobs) {
+                        const entry = JSON.parse(blob);
+
+                        entry.results.output = "evil();\n";
+                        blobs.set(key, JSON.stringify(entry));
+                    }
+
+                    const cwd = createCheckout(tmpDir, "b");
+
+                    await FlatESLint.outputFixes(await lintCheckout({ ...cacheOptions, cwd, fix: true }));
+
+                    assert.strictEqual(fs.readFileSync(path.join(cwd, "a.js"), "utf8"), "foo;\n");
+                });
+
+                it("should lint files with fixable problems in the remote cache again to fix them", async () => {
+                    await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+
+                    for (const [key, blob] of blobs) {
+                        const entry = JSON.parse(blob);
+
+                        entry.results.messages[0].message = "cached";
+                        entry.results.messages[0].fix = { range: [0, 3], text: "evil()" };
+                        blobs.set(key, JSON.stringify(entry));
+                    }
+
+                    const results = await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "b"), fix: true });
+
+                    assert.strictEqual(results[0].messages[0].message, "'foo' is not defined.");
+                    assert.strictEqual(results[0].output, void 0);
+                });
+
+                it("should lint the files if the remote cache can't be reached", async () => {
+                    await new Promise(resolve => server.close(resolve));
+
+                    const results = await lintCheckout({ ...cacheOptions, cwd: createCheckout(tmpDir, "a") });
+
+                    assert.strictEqual(results[0].messages[0].message, "'foo' is not defined.");
+                });
+
+                it("should throw an error without cacheDir", () => {
+                    assert.throws(
+                        () => new FlatESLint({ cache: true, cacheRemote: serverUrl }),
+                        /'cacheRemote' requires 'cacheDir' for the local cache\./u
+                    );
+                });
             });
         });
 
@@ -3758,132 +4033,849 @@ describe("FlatESLint", () => {
             await assert.rejects(() => eslint.lintFiles(777), /'patterns' must be a non-empty string or an array of non-empty strings/u);
             await assert.rejects(() => eslint.lintFiles([null]), /'patterns' must be a non-empty string or an array of non-empty strings/u);
         });
-    });
 
-    describe("Fix Types", () => {
+        describe("with 'concurrency' option", () => {
 
-        let eslint;
+            /**
+             * Returns the message reported by the `test/report-thread` rule for each result.
+             * @param {LintResult[]} results The lint results.
+             * @returns {string[]} `"main"` or `"worker"` for each result.
+             */
+            function getThreads(results) {
+                return results.map(result => result.messages.find(message => message.ruleId === "test/report-thread").message);
+            }
 
-        it("should throw an error when an invalid fix type is specified", () => {
-            assert.throws(() => {
+            let emitWarning;
+
+            beforeEach(() => {
+
+                // Lint workers are unavailable in some tests, which emits warnings.
+                emitWarning = sinon.stub(process, "emitWarning");
+            });
+
+            afterEach(() => {
+                sinon.restore();
+            });
+
+            it("should lint files in worker threads", async () => {
                 eslint = new FlatESLint({
-                    cwd: path.join(fixtureDir, ".."),
-                    overrideConfigFile: true,
-                    fix: true,
-                    fixTypes: ["layou"]
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2
                 });
-            }, /'fixTypes' must be an array of any of "directive", "problem", "suggestion", and "layout"\./iu);
-        });
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js", "d.js"]);
 
-        it("should not fix any rules when fixTypes is used without fix", async () => {
-            eslint = new FlatESLint({
-                cwd: path.join(fixtureDir, ".."),
-                overrideConfigFile: true,
-                fix: false,
-                fixTypes: ["layout"]
+                assert.deepStrictEqual(getThreads(results), ["worker", "worker", "worker", "worker"]);
             });
-            const inputPath = getFixturePath("fix-types/fix-only-semi.js");
-            const results = await eslint.lintFiles([inputPath]);
 
-            assert.strictEqual(results[0].output, void 0);
-        });
+            it("should return the same results in the same order as a serial run", async () => {
+                const cwd = getFixturePath("lint-workers");
+                const patterns = ["d.js", "b.js", "a.js", "c.js"];
+                const serialResults = await new FlatESLint({ cwd }).lintFiles(patterns);
+                const parallelResults = await new FlatESLint({ cwd, concurrency: 3 }).lintFiles(patterns);
 
-        it("should not fix non-style rules when fixTypes has only 'layout'", async () => {
-            eslint = new FlatESLint({
-                cwd: path.join(fixtureDir, ".."),
-                overrideConfigFile: true,
-                fix: true,
-                fixTypes: ["layout"]
+                assert.deepStrictEqual(
+                    parallelResults.map(result => result.filePath),
+                    serialResults.map(result => result.filePath)
+                );
+                assert.deepStrictEqual(
+                    parallelResults.map(result => result.messages.filter(message => message.ruleId === "semi")),
+                    serialResults.map(result => result.messages.filter(message => message.ruleId === "semi"))
+                );
+                assert.deepStrictEqual(
+                    parallelResults.map(({ errorCount, warningCount, fixableErrorCount, source }) => ({ errorCount, warningCount, fixableErrorCount, source })),
+                    serialResults.map(({ errorCount, warningCount, fixableErrorCount, source }) => ({ errorCount, warningCount, fixableErrorCount, source }))
+                );
             });
-            const inputPath = getFixturePath("fix-types/fix-only-semi.js");
-            const outputPath = getFixturePath("fix-types/fix-only-semi.expected.js");
-            const results = await eslint.lintFiles([inputPath]);
-            const expectedOutput = fs.readFileSync(outputPath, "utf8");
 
-            assert.strictEqual(results[0].output, expectedOutput);
-        });
+            it("should lint on the main thread when there is only one file to lint", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2
+                });
+                const results = await eslint.lintFiles(["a.js"]);
 
-        it("should not fix style or problem rules when fixTypes has only 'suggestion'", async () => {
-            eslint = new FlatESLint({
-                cwd: path.join(fixtureDir, ".."),
-                overrideConfigFile: true,
-                fix: true,
-                fixTypes: ["suggestion"]
+                assert.deepStrictEqual(getThreads(results), ["main"]);
             });
-            const inputPath = getFixturePath("fix-types/fix-only-prefer-arrow-callback.js");
-            const outputPath = getFixturePath("fix-types/fix-only-prefer-arrow-callback.expected.js");
-            const results = await eslint.lintFiles([inputPath]);
-            const expectedOutput = fs.readFileSync(outputPath, "utf8");
 
-            assert.strictEqual(results[0].output, expectedOutput);
-        });
+            it("should lint on the main thread when 'concurrency' is \"off\"", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: "off"
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
 
-        it("should fix both style and problem rules when fixTypes has 'suggestion' and 'layout'", async () => {
-            eslint = new FlatESLint({
-                cwd: path.join(fixtureDir, ".."),
-                overrideConfigFile: true,
-                fix: true,
-                fixTypes: ["suggestion", "layout"]
+                assert.deepStrictEqual(getThreads(results), ["main", "main"]);
             });
-            const inputPath = getFixturePath("fix-types/fix-both-semi-and-prefer-arrow-callback.js");
-            const outputPath = getFixturePath("fix-types/fix-both-semi-and-prefer-arrow-callback.expected.js");
-            const results = await eslint.lintFiles([inputPath]);
-            const expectedOutput = fs.readFileSync(outputPath, "utf8");
 
-            assert.strictEqual(results[0].output, expectedOutput);
-        });
+            it("should read only the next file while a file is linted on the main thread", async () => {
+                const cwd = getFixturePath("lint-workers");
+                const readFile = sinon.spy(fs.promises, "readFile");
+                const readFilesAtEnd = [];
 
-    });
+                eslint = new FlatESLint({
+                    cwd,
+                    concurrency: "off",
+                    onFileEnd() {
+                        readFilesAtEnd.push(readFile.args
+                            .filter(([filePath]) => typeof filePath === "string" && path.dirname(filePath) === cwd)
+                            .map(([filePath]) => path.basename(filePath)));
+                    }
+                });
+                await eslint.lintFiles(["a.js", "b.js", "c.js"]);
 
-    describe("isPathIgnored", () => {
-        it("should check if the given path is ignored", async () => {
-            const engine = new FlatESLint({
-                overrideConfigFile: getFixturePath("eslint.config_with_ignores2.js"),
-                cwd: getFixturePath()
+                assert.deepStrictEqual(readFilesAtEnd, [["a.js", "b.js"], ["a.js", "b.js", "c.js"], ["a.js", "b.js", "c.js"]]);
             });
 
-            assert(await engine.isPathIgnored("undef.js"));
-            assert(!await engine.isPathIgnored("passing.js"));
-        });
+            it("should lint on the main thread when 'concurrency' is \"auto\" and there are only a few files to lint", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: "auto"
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js", "d.js"]);
 
-        it("should return false if ignoring is disabled", async () => {
-            const engine = new FlatESLint({
-                ignore: false,
-                overrideConfigFile: getFixturePath("eslint.config_with_ignores2.js"),
-                cwd: getFixturePath()
+                assert.deepStrictEqual(getThreads(results), ["main", "main", "main", "main"]);
             });
 
-            assert(!await engine.isPathIgnored("undef.js"));
-        });
+            it("should lint on the main thread when plugins are passed to the constructor", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    plugins: { foo: {} }
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
 
-        // https://github.com/eslint/eslint/issues/5547
-        it("should return true for default ignores even if ignoring is disabled", async () => {
-            const engine = new FlatESLint({
-                ignore: false,
-                cwd: getFixturePath("cli-engine")
+                assert.deepStrictEqual(getThreads(results), ["main", "main"]);
             });
 
-            assert(await engine.isPathIgnored("node_modules/foo.js"));
-        });
-
-        describe("about the default ignore patterns", () => {
-            it("should always apply default ignore patterns if ignore option is true", async () => {
-                const cwd = getFixturePath("ignored-paths");
-                const engine = new FlatESLint({ cwd });
+            it("should lint on the main thread when 'overrideConfig' can't be sent to workers", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    overrideConfig: {
+                        languageOptions: {
+                            parser: require("espree")
+                        }
+                    }
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
 
-                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "node_modules/package/file.js")));
-                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "subdir/node_modules/package/file.js")));
+                assert.deepStrictEqual(getThreads(results), ["main", "main"]);
             });
 
-            it("should still apply default ignore patterns if ignore option is is false", async () => {
-                const cwd = getFixturePath("ignored-paths");
-                const engine = new FlatESLint({ ignore: false, cwd });
+            it("should warn that files are linted on the main thread when plugins are passed to the constructor", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    plugins: { foo: {} }
+                });
+                await eslint.lintFiles(["a.js", "b.js"]);
 
-                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "node_modules/package/file.js")));
-                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "subdir/node_modules/package/file.js")));
+                assert.strictEqual(emitWarning.callCount, 1);
+                assert.match(emitWarning.firstCall.args[0], /^Files are linted on the main thread because the 'plugins' option can't be passed to lint worker threads\./u);
+                assert.strictEqual(emitWarning.firstCall.args[2], "ESLINT_LINT_WORKER_FALLBACK");
             });
 
-            it("should allow subfolders of defaultPatterns to be unignored by ignorePattern constructor option", async () => {
+            it("should name the part of 'overrideConfig' that can't be sent to workers in the warning", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    overrideConfig: [
+                        { rules: { semi: "off" } },
+                        { plugins: { foo: { rules: { bar: { create: () => ({}) } } } } }
+                    ]
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
+
+                assert.deepStrictEqual(getThreads(results), ["main", "main"]);
+                assert.strictEqual(emitWarning.callCount, 1);
+                assert.match(emitWarning.firstCall.args[0], /because 'options\.overrideConfig\[1\]\.plugins\.foo\.rules\.bar\.create' can't be passed/u);
+            });
+
+            it("should name the part of 'baseConfig' that can't be sent to workers in the warning", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    baseConfig: {
+                        processor: {
+                            preprocess: text => [text],
+                            postprocess: messages => messages.flat()
+                        }
+                    }
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
+
+                assert.deepStrictEqual(getThreads(results), ["main", "main"]);
+                assert.match(emitWarning.firstCall.args[0], /because 'options\.baseConfig\.processor\.preprocess' can't be passed/u);
+            });
+
+            it("should lint in worker threads when 'overrideConfig' contains modules imported by the CLI", async () => {
+                const parserPath = require.resolve("espree");
+                const parser = await import(pathToFileURL(parserPath).href);
+
+                registerImportedModule(parser, parserPath);
+
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    overrideConfig: {
+                        languageOptions: { parser }
+                    }
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
+
+                assert.deepStrictEqual(getThreads(results), ["worker", "worker"]);
+                assert.deepStrictEqual(results.map(result => result.errorCount), [1, 0]);
+            });
+
+            it("should apply fixes in worker threads", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    fix: true
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                assert.deepStrictEqual(results.map(result => result.output), ["var a = 1;\n", void 0, "var c = 3;\n"]);
+            });
+
+            it("should only fix problems of the severity of a 'fix' predicate in worker threads", async () => {
+                const patterns = ["a.js", "b.js", "c.js"];
+                const errorResults = await new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    fix: createFixSeverityPredicate("error")
+                }).lintFiles(patterns);
+                const warningResults = await new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    overrideConfig: { rules: { semi: "warn" } },
+                    fix: createFixSeverityPredicate("error")
+                }).lintFiles(patterns);
+
+                assert.deepStrictEqual(getThreads(errorResults), ["worker", "worker", "worker"]);
+                assert.deepStrictEqual(errorResults.map(result => result.output), ["var a = 1;\n", void 0, "var c = 3;\n"]);
+                assert.deepStrictEqual(getThreads(warningResults), ["worker", "worker", "worker"]);
+                assert.deepStrictEqual(warningResults.map(result => result.output), [void 0, void 0, void 0]);
+                assert.strictEqual(emitWarning.callCount, 0);
+            });
+
+            it("should lint on the main thread and name the option in the warning when a 'fix' function is given", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    fix: () => true
+                });
+                const results = await eslint.lintFiles(["a.js", "b.js"]);
+
+                assert.deepStrictEqual(getThreads(results), ["main", "main"]);
+                assert.strictEqual(emitWarning.callCount, 1);
+                assert.match(emitWarning.firstCall.args[0], /because 'options\.fix' can't be passed to lint worker threads\. Pass `true` to fix all problems instead/u);
+            });
+
+            it("should record the time it took to lint each file in the cache", async () => {
+                const cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    cache: true,
+                    cacheLocation: cacheFilePath
+                });
+
+                try {
+                    const results = await eslint.lintFiles(["a.js", "b.js"]);
+                    const { cache } = fCache.createFromFile(cacheFilePath);
+
+                    assert.deepStrictEqual(getThreads(results), ["worker", "worker"]);
+                    results.forEach(({ filePath }) => {
+                        assert.strictEqual(typeof cache.getKey(filePath).lintDuration, "number");
+                    });
+                } finally {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+
+            it("should reject with the error thrown in a worker", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2
+                });
+
+                await assert.rejects(
+                    () => eslint.lintFiles(["a.js", "crash.js"]),
+                    /Crashed while linting\.\nOccurred while linting .*crash\.js:1\nRule: "test\/no-crash"/u
+                );
+            });
+        });
+
+        describe("with 'onFileStart' and 'onFileEnd' options", () => {
+
+            it("should call 'onFileStart' before and 'onFileEnd' after each file", async () => {
+                const events = [];
+
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    ...recordProgress(events)
+                });
+                await eslint.lintFiles(["a.js", "b.js"]);
+
+                assert.deepStrictEqual(events, [
+                    { type: "start", file: "a.js", completed: 0, total: 2 },
+                    { type: "end", file: "a.js", completed: 1, total: 2 },
+                    { type: "start", file: "b.js", completed: 1, total: 2 },
+                    { type: "end", file: "b.js", completed: 2, total: 2 }
+                ]);
+            });
+
+            it("should call 'onFileStart' and 'onFileEnd' for files linted in worker threads", async () => {
+                const events = [];
+
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    ...recordProgress(events)
+                });
+                await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                assert.deepStrictEqual(
+                    events.filter(event => event.type === "start").map(event => event.file).sort(),
+                    ["a.js", "b.js", "c.js"]
+                );
+                assert.deepStrictEqual(
+                    events.filter(event => event.type === "end").map(event => event.completed),
+                    [1, 2, 3]
+                );
+                events.forEach(event => assert.strictEqual(event.total, 3));
+            });
+
+            it("should not count files with cached results", async () => {
+                const cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+                const events = [];
+
+                try {
+                    await new FlatESLint({
+                        cwd: getFixturePath("lint-workers"),
+                        cache: true,
+                        cacheLocation: cacheFilePath
+                    }).lintFiles(["a.js"]);
+
+                    eslint = new FlatESLint({
+                        cwd: getFixturePath("lint-workers"),
+                        cache: true,
+                        cacheLocation: cacheFilePath,
+                        ...recordProgress(events)
+                    });
+                    await eslint.lintFiles(["a.js", "b.js"]);
+
+                    assert.deepStrictEqual(events, [
+                        { type: "start", file: "b.js", completed: 0, total: 1 },
+                        { type: "end", file: "b.js", completed: 1, total: 1 }
+                    ]);
+                } finally {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+        });
+
+        describe("with 'maxFileTime' option", () => {
+            const cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+
+            afterEach(() => {
+                if (fs.existsSync(cacheFilePath)) {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+
+            it("should stop a file that takes too long with a fatal error naming the slowest rule", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    maxFileTime: 1000
+                });
+
+                const results = await eslint.lintFiles(["a.js", "hang.js", "b.js", "c.js"]);
+                const hangResult = results.find(result => path.basename(result.filePath) === "hang.js");
+
+                assert.strictEqual(results.length, 4);
+                assert.strictEqual(hangResult.fatalErrorCount, 1);
+                assert.strictEqual(hangResult.messages.length, 1);
+                assert.strictEqual(hangResult.messages[0].line, 1);
+                assert.strictEqual(hangResult.messages[0].column, 1);
+                assert.match(
+                    hangResult.messages[0].message,
+                    /^Linting took longer than 1000ms and was stopped\. The slowest rule was 'test\/no-hang' \(\d+ms\)\.$/u
+                );
+
+                // The other files are linted by the remaining and the replacement workers.
+                results.filter(result => result !== hangResult).forEach(result => {
+                    assert.strictEqual(result.fatalErrorCount, 0);
+                    assert.strictEqual(result.messages.find(message => message.ruleId === "test/report-thread").message, "worker");
+                });
+            });
+
+            it("should stop a file that takes too long with fewer files than \"auto\" starts workers for", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: "auto",
+                    maxFileTime: 1000
+                });
+
+                const [aResult, hangResult] = await eslint.lintFiles(["a.js", "hang.js"]);
+
+                assert.strictEqual(aResult.fatalErrorCount, 0);
+                assert.strictEqual(hangResult.fatalErrorCount, 1);
+                assert.match(hangResult.messages[0].message, /^Linting took longer than 1000ms and was stopped\./u);
+            });
+
+            it("should warn that files aren't stopped when they're linted on the main thread", async () => {
+                const emitWarning = sinon.stub(process, "emitWarning");
+
+                try {
+                    eslint = new FlatESLint({
+                        cwd: getFixturePath("lint-workers"),
+                        concurrency: 2,
+                        maxFileTime: 1000,
+                        plugins: { foo: {} }
+                    });
+                    await eslint.lintFiles(["a.js"]);
+                } finally {
+                    emitWarning.restore();
+                }
+
+                assert.strictEqual(emitWarning.callCount, 1);
+                assert.match(
+                    emitWarning.firstCall.args[0],
+                    /because the 'plugins' option can't be passed to lint worker threads\. Files that take longer than 1000ms aren't stopped\./u
+                );
+                assert.strictEqual(emitWarning.firstCall.args[2], "ESLINT_LINT_WORKER_FALLBACK");
+            });
+
+            it("should not cache the result of a file that takes too long", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    cache: true,
+                    cacheLocation: cacheFilePath,
+                    concurrency: 2,
+                    maxFileTime: 1000
+                });
+
+                await eslint.lintFiles(["a.js", "hang.js"]);
+
+                const { cache } = fCache.createFromFile(cacheFilePath);
+                const hangMeta = cache.getKey(getFixturePath("lint-workers", "hang.js"));
+
+                assert(cache.getKey(getFixturePath("lint-workers", "a.js")).results, "a.js should have cached results");
+                assert(!hangMeta.results, "hang.js should not have cached results");
+                assert.strictEqual(hangMeta.lintDuration, 1000);
+            });
+        });
+
+        describe("with 'stats' option", () => {
+            const cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+
+            afterEach(() => {
+                sinon.restore();
+
+                if (fs.existsSync(cacheFilePath)) {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+
+            it("should add the times of parsing, scope analysis, each rule, and fixes to the results", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    stats: true
+                });
+
+                const [result] = await eslint.lintFiles(["a.js"]);
+                const [pass] = result.stats.times.passes;
+
+                assert.strictEqual(result.stats.times.passes.length, 1);
+                assert.strictEqual(result.stats.fixPasses, 0);
+                assert.deepStrictEqual(Object.keys(pass.rules).sort(), ["test/no-crash", "test/no-hang", "test/report-thread", "semi"].sort());
+                assert(pass.parse.total > 0, "parse time should be measured");
+                assert(pass.scope.total > 0, "scope analysis time should be measured");
+                assert(pass.total >= pass.parse.total + pass.scope.total, "total time should include the other times");
+            });
+
+            it("should count the passes that applied fixes", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    fix: true,
+                    stats: true
+                });
+
+                const [result] = await eslint.lintText("var a = 1", { filePath: "a.js" });
+
+                assert.strictEqual(result.output, "var a = 1;");
+                assert.strictEqual(result.stats.times.passes.length, 2);
+                assert.strictEqual(result.stats.fixPasses, 1);
+                assert(result.stats.times.passes[0].fix.total > 0, "fix time should be measured");
+            });
+
+            it("should add statistics to the results of files linted in worker threads", async () => {
+                sinon.stub(process, "emitWarning");
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    stats: true
+                });
+
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                results.forEach(result => {
+                    assert.strictEqual(result.messages.find(message => message.ruleId === "test/report-thread").message, "worker");
+                    assert(result.stats.times.passes[0].rules["test/report-thread"].total >= 0, "rule times should be measured in workers");
+                });
+            });
+
+            it("should break the times of rules down by selector with the 'selectorStats' option", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    stats: true,
+                    selectorStats: true
+                });
+
+                const [result] = await eslint.lintFiles(["a.js"]);
+                const [pass] = result.stats.times.passes;
+
+                assert.strictEqual(pass.rules["test/report-thread"].selectors.Program.count, 1);
+                assert(pass.rules["test/report-thread"].selectors.Program.total >= 0, "listener times should be measured");
+                assert.strictEqual(pass.selectors.Program.count, 1);
+            });
+
+            it("should break the times of rules down by selector in worker threads", async () => {
+                sinon.stub(process, "emitWarning");
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    stats: true,
+                    selectorStats: true
+                });
+
+                const results = await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                results.forEach(result => {
+                    const [pass] = result.stats.times.passes;
+
+                    assert.strictEqual(pass.rules["test/report-thread"].selectors.Program.count, 1);
+                    assert.strictEqual(pass.selectors.Program.count, 1);
+                });
+            });
+
+            it("should not break the times of rules down by selector without the 'selectorStats' option", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    stats: true
+                });
+
+                const [result] = await eslint.lintFiles(["a.js"]);
+                const [pass] = result.stats.times.passes;
+
+                assert(!("selectors" in pass), "passes should not have selector times");
+                assert(!("selectors" in pass.rules["test/report-thread"]), "rules should not have selector times");
+            });
+
+            it("should not add statistics to results without the option", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers")
+                });
+
+                const [result] = await eslint.lintFiles(["a.js"]);
+
+                assert(!("stats" in result), "results should not have statistics");
+            });
+
+            it("should neither cache statistics nor add them to cached results", async () => {
+                const options = {
+                    cwd: getFixturePath("lint-workers"),
+                    cache: true,
+                    cacheLocation: cacheFilePath,
+                    stats: true
+                };
+
+                await new FlatESLint(options).lintFiles(["a.js"]);
+
+                const { cache } = fCache.createFromFile(cacheFilePath);
+                const [cachedResult] = await new FlatESLint(options).lintFiles(["a.js"]);
+
+                assert(!("stats" in cache.getKey(getFixturePath("lint-workers", "a.js")).results), "the cache should not have statistics");
+                assert(!("stats" in cachedResult), "cached results should not have statistics");
+            });
+        });
+
+        describe("with 'trace' option", () => {
+            afterEach(() => {
+                sinon.restore();
+            });
+
+            it("should record loading the config, finding the files, and linting each file", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    trace: true
+                });
+
+                await eslint.lintFiles(["a.js", "b.js"]);
+
+                const events = eslint.getTraceEvents();
+                const lintFileEvents = events.filter(event => event.name === "Lint file");
+
+                assert.deepStrictEqual(events[0], {
+                    name: "thread_name",
+                    ph: "M",
+                    pid: process.pid,
+                    tid: 0,
+                    args: { name: "Main thread" }
+                });
+                assert(events.some(event => event.name === "Load config" && event.cat === "config"), "loading the config should be recorded");
+                assert(events.some(event => event.name === "Find files" && event.cat === "files"), "finding the files should be recorded");
+                assert.deepStrictEqual(
+                    lintFileEvents.map(event => event.args.filePath),
+                    [getFixturePath("lint-workers", "a.js"), getFixturePath("lint-workers", "b.js")]
+                );
+                assert(events.some(event => event.name === "Parse" && event.cat === "lint"), "parsing should be recorded");
+                assert(events.every(event => event.tid === 0), "all events should be recorded in the main thread");
+            });
+
+            it("should add the events of worker threads", async () => {
+                sinon.stub(process, "emitWarning");
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    concurrency: 2,
+                    trace: true
+                });
+
+                await eslint.lintFiles(["a.js", "b.js", "c.js"]);
+
+                const events = eslint.getTraceEvents();
+                const lintFileEvents = events.filter(event => event.name === "Lint file");
+                const workerThreadIds = new Set(lintFileEvents.map(event => event.tid));
+
+                assert.strictEqual(lintFileEvents.length, 3);
+                assert(!workerThreadIds.has(0), "the files should be linted in worker threads");
+                workerThreadIds.forEach(threadId => {
+                    assert(
+                        events.some(event => event.ph === "M" && event.tid === threadId && event.args.name === `Lint worker ${threadId}`),
+                        "each worker thread should be named"
+                    );
+                });
+            });
+
+            it("should not record events without the option", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers")
+                });
+
+                await eslint.lintFiles(["a.js"]);
+
+                assert.deepStrictEqual(eslint.getTraceEvents(), []);
+            });
+        });
+
+        describe("with 'onlyFiles' option", () => {
+            it("should lint only the given files of all files found", async () => {
+                const results = await new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    onlyFiles: ["b.js", getFixturePath("lint-workers", "c.js"), "no-such-file.js"]
+                }).lintFiles(["a.js", "b.js", "c.js"]);
+
+                assert.deepStrictEqual(results.map(result => path.basename(result.filePath)), ["b.js", "c.js"]);
+            });
+
+            it("should not lint the given files that are ignored", async () => {
+                const results = await new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    ignorePatterns: ["b.js"],
+                    onlyFiles: ["a.js", "b.js"]
+                }).lintFiles(["."]);
+
+                assert.deepStrictEqual(results.map(result => path.basename(result.filePath)), ["a.js"]);
+            });
+
+            it("should still report patterns that don't match any files", async () => {
+                await assert.rejects(
+                    () => new FlatESLint({ cwd: getFixturePath("lint-workers"), onlyFiles: [] }).lintFiles(["no-such-file.js"]),
+                    /No files matching .*no-such-file\.js.* were found/u
+                );
+            });
+
+            it("should lint no files if no files are given", async () => {
+                const results = await new FlatESLint({ cwd: getFixturePath("lint-workers"), onlyFiles: [] }).lintFiles(["a.js"]);
+
+                assert.deepStrictEqual(results, []);
+            });
+        });
+
+        describe("with 'shard' option", () => {
+            const shards = [1, 2, 3].map(index => ({ index, total: 3 }));
+
+            it("should lint every file in exactly one shard", async () => {
+                const filePathsPerShard = await Promise.all(shards.map(async shard => {
+                    const results = await new FlatESLint({ cwd: getFixturePath("lint-workers"), shard }).lintFiles(["a.js", "b.js", "c.js", "d.js"]);
+
+                    return results.map(result => path.basename(result.filePath));
+                }));
+                const allFilePaths = filePathsPerShard.flat().sort();
+
+                assert.deepStrictEqual(allFilePaths, ["a.js", "b.js", "c.js", "d.js"]);
+            });
+
+            it("should report patterns that don't match any files only in the first shard", async () => {
+                const [firstShard, ...otherShards] = shards;
+
+                await assert.rejects(
+                    () => new FlatESLint({ cwd: getFixturePath("lint-workers"), shard: firstShard }).lintFiles(["a.js", "no-such-file.js"]),
+                    /No files matching .*no-such-file\.js.* were found/u
+                );
+
+                for (const shard of otherShards) {
+                    await new FlatESLint({ cwd: getFixturePath("lint-workers"), shard }).lintFiles(["a.js", "no-such-file.js"]);
+                }
+            });
+
+            it("should report an ignored file only once across shards", async () => {
+                const ignoredResults = [];
+
+                for (const shard of shards) {
+                    const results = await new FlatESLint({
+                        cwd: getFixturePath("lint-workers"),
+                        ignorePatterns: ["b.js"],
+                        shard
+                    }).lintFiles(["a.js", "b.js"]);
+
+                    ignoredResults.push(...results.filter(result => path.basename(result.filePath) === "b.js"));
+                }
+
+                assert.strictEqual(ignoredResults.length, 1);
+                assert.match(ignoredResults[0].messages[0].message, /File ignored/u);
+            });
+        });
+    });
+
+    describe("Fix Types", () => {
+
+        let eslint;
+
+        it("should throw an error when an invalid fix type is specified", () => {
+            assert.throws(() => {
+                eslint = new FlatESLint({
+                    cwd: path.join(fixtureDir, ".."),
+                    overrideConfigFile: true,
+                    fix: true,
+                    fixTypes: ["layou"]
+                });
+            }, /'fixTypes' must be an array of any of "directive", "problem", "suggestion", and "layout"\./iu);
+        });
+
+        it("should not fix any rules when fixTypes is used without fix", async () => {
+            eslint = new FlatESLint({
+                cwd: path.join(fixtureDir, ".."),
+                overrideConfigFile: true,
+                fix: false,
+                fixTypes: ["layout"]
+            });
+            const inputPath = getFixturePath("fix-types/fix-only-semi.js");
+            const results = await eslint.lintFiles([inputPath]);
+
+            assert.strictEqual(results[0].output, void 0);
+        });
+
+        it("should not fix non-style rules when fixTypes has only 'layout'", async () => {
+            eslint = new FlatESLint({
+                cwd: path.join(fixtureDir, ".."),
+                overrideConfigFile: true,
+                fix: true,
+                fixTypes: ["layout"]
+            });
+            const inputPath = getFixturePath("fix-types/fix-only-semi.js");
+            const outputPath = getFixturePath("fix-types/fix-only-semi.expected.js");
+            const results = await eslint.lintFiles([inputPath]);
+            const expectedOutput = fs.readFileSync(outputPath, "utf8");
+
+            assert.strictEqual(results[0].output, expectedOutput);
+        });
+
+        it("should not fix style or problem rules when fixTypes has only 'suggestion'", async () => {
+            eslint = new FlatESLint({
+                cwd: path.join(fixtureDir, ".."),
+                overrideConfigFile: true,
+                fix: true,
+                fixTypes: ["suggestion"]
+            });
+            const inputPath = getFixturePath("fix-types/fix-only-prefer-arrow-callback.js");
+            const outputPath = getFixturePath("fix-types/fix-only-prefer-arrow-callback.expected.js");
+            const results = await eslint.lintFiles([inputPath]);
+            const expectedOutput = fs.readFileSync(outputPath, "utf8");
+
+            assert.strictEqual(results[0].output, expectedOutput);
+        });
+
+        it("should fix both style and problem rules when fixTypes has 'suggestion' and 'layout'", async () => {
+            eslint = new FlatESLint({
+                cwd: path.join(fixtureDir, ".."),
+                overrideConfigFile: true,
+                fix: true,
+                fixTypes: ["suggestion", "layout"]
+            });
+            const inputPath = getFixturePath("fix-types/fix-both-semi-and-prefer-arrow-callback.js");
+            const outputPath = getFixturePath("fix-types/fix-both-semi-and-prefer-arrow-callback.expected.js");
+            const results = await eslint.lintFiles([inputPath]);
+            const expectedOutput = fs.readFileSync(outputPath, "utf8");
+
+            assert.strictEqual(results[0].output, expectedOutput);
+        });
+
+    });
+
+    describe("isPathIgnored", () => {
+        it("should check if the given path is ignored", async () => {
+            const engine = new FlatESLint({
+                overrideConfigFile: getFixturePath("eslint.config_with_ignores2.js"),
+                cwd: getFixturePath()
+            });
+
+            assert(await engine.isPathIgnored("undef.js"));
+            assert(!await engine.isPathIgnored("passing.js"));
+        });
+
+        it("should return false if ignoring is disabled", async () => {
+            const engine = new FlatESLint({
+                ignore: false,
+                overrideConfigFile: getFixturePath("eslint.config_with_ignores2.js"),
+                cwd: getFixturePath()
+            });
+
+            assert(!await engine.isPathIgnored("undef.js"));
+        });
+
+        // https://github.com/eslint/eslint/issues/5547
+        it("should return true for default ignores even if ignoring is disabled", async () => {
+            const engine = new FlatESLint({
+                ignore: false,
+                cwd: getFixturePath("cli-engine")
+            });
+
+            assert(await engine.isPathIgnored("node_modules/foo.js"));
+        });
+
+        describe("about the default ignore patterns", () => {
+            it("should always apply default ignore patterns if ignore option is true", async () => {
+                const cwd = getFixturePath("ignored-paths");
+                const engine = new FlatESLint({ cwd });
+
+                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "node_modules/package/file.js")));
+                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "subdir/node_modules/package/file.js")));
+            });
+
+            it("should still apply default ignore patterns if ignore option is is false", async () => {
+                const cwd = getFixturePath("ignored-paths");
+                const engine = new FlatESLint({ ignore: false, cwd });
+
+                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "node_modules/package/file.js")));
+                assert(await engine.isPathIgnored(getFixturePath("ignored-paths", "subdir/node_modules/package/file.js")));
+            });
+
+            it("should allow subfolders of defaultPatterns to be unignored by ignorePattern constructor option", async () => {
                 const cwd = getFixturePath("ignored-paths");
                 const engine = new FlatESLint({
                     cwd,
@@ -4058,6 +5050,63 @@ describe("FlatESLint", () => {
         });
     });
 
+    describe("getCacheStats(), pruneCache(), and clearCache()", () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = createTempDirectory("eslint-cache-management-");
+            fs.writeFileSync(path.join(tmpDir, "a.js"), "foo;\n");
+            fs.writeFileSync(path.join(tmpDir, "b.js"), "bar;\n");
+        });
+
+        afterEach(() => {
+            shell.rm("-r", tmpDir);
+        });
+
+        it("should return statistics of the cache file, also if the 'cache' option is off", async () => {
+            await createEngine({ configType: "flat", cwd: tmpDir, cache: true }).lintFiles(["a.js", "b.js"]);
+            await createEngine({ configType: "flat", cwd: tmpDir, cache: true }).lintFiles(["a.js"]);
+            fs.unlinkSync(path.join(tmpDir, "b.js"));
+
+            const stats = await createEngine({ configType: "flat", cwd: tmpDir }).getCacheStats();
+
+            assert.strictEqual(stats.location, path.join(tmpDir, ".eslintcache"));
+            assert.strictEqual(stats.entries, 2);
+            assert.strictEqual(stats.deletedFileEntries, 1);
+            assert.strictEqual(stats.size, fs.statSync(path.join(tmpDir, ".eslintcache")).size);
+            assert.deepStrictEqual(stats.lastRun, { hits: 1, misses: 0 });
+        });
+
+        it("should remove the entries of files that the patterns don't match anymore on pruneCache()", async () => {
+            await createEngine({ configType: "flat", cwd: tmpDir, cache: true }).lintFiles(["a.js", "b.js"]);
+
+            assert.strictEqual(await createEngine({ configType: "flat", cwd: tmpDir }).pruneCache(["a.js"]), 1);
+            assert.strictEqual((await createEngine({ configType: "flat", cwd: tmpDir }).getCacheStats()).entries, 1);
+        });
+
+        it("should remove the entries of files whose config changed on pruneCache()", async () => {
+            await createEngine({ configType: "flat", cwd: tmpDir, cache: true }).lintFiles(["a.js", "b.js"]);
+
+            const engine = createEngine({ configType: "flat", cwd: tmpDir, overrideConfig: { rules: { "no-undef": 1 } } });
+
+            assert.strictEqual(await engine.pruneCache(["a.js", "b.js"]), 2);
+        });
+
+        it("should throw if invalid patterns are given to pruneCache()", async () => {
+            await assert.rejects(() => createEngine({ configType: "flat", cwd: tmpDir }).pruneCache(""), /'patterns' must be a non-empty string or an array of non-empty strings/u);
+        });
+
+        it("should delete the cache directory of the 'cacheDir' option on clearCache()", async () => {
+            await createEngine({ configType: "flat", cwd: tmpDir, cache: true, cacheDir: "cache" }).lintFiles(["a.js"]);
+
+            assert(fs.existsSync(path.join(tmpDir, "cache")));
+
+            await createEngine({ configType: "flat", cwd: tmpDir, cacheDir: "cache" }).clearCache();
+
+            assert(!fs.existsSync(path.join(tmpDir, "cache")));
+        });
+    });
+
     describe("loadFormatter()", () => {
         it("should return a formatter object when a bundled formatter is requested", async () => {
             const engine = new FlatESLint();
@@ -4338,6 +5387,213 @@ describe("FlatESLint", () => {
 
     });
 
+    describe("lintFilesIterator()", () => {
+        let eslint;
+
+        it("should throw an error if 'patterns' is invalid", async () => {
+            eslint = new FlatESLint({ cwd: getFixturePath("lint-workers") });
+
+            await assert.rejects(
+                () => collect(eslint.lintFilesIterator([""])),
+                /'patterns' must be a non-empty string or an array of non-empty strings/u
+            );
+        });
+
+        it("should yield the same results as lintFiles()", async () => {
+            const patterns = ["a.js", "b.js", "c.js", "d.js"];
+
+            eslint = new FlatESLint({ cwd: getFixturePath("lint-workers") });
+
+            const results = await eslint.lintFiles(patterns);
+            const yieldedResults = await collect(eslint.lintFilesIterator(patterns));
+
+            assert.deepStrictEqual(yieldedResults, results);
+        });
+
+        it("should yield the results of files linted in worker threads", async () => {
+            const patterns = ["a.js", "b.js", "c.js", "d.js"];
+
+            eslint = new FlatESLint({ cwd: getFixturePath("lint-workers"), concurrency: 2 });
+
+            const results = await collect(eslint.lintFilesIterator(patterns));
+
+            assert.deepStrictEqual(
+                results.map(result => path.basename(result.filePath)).sort(),
+                patterns
+            );
+            results.forEach(result => {
+                assert.strictEqual(result.messages.find(message => message.ruleId === "test/report-thread").message, "worker");
+            });
+        });
+
+        it("should set 'usedDeprecatedRules' on each result", async () => {
+            eslint = new FlatESLint({
+                cwd: originalDir,
+                overrideConfigFile: "tests/fixtures/cli-engine/deprecated-rule-config/eslint.config.js"
+            });
+
+            const results = await collect(eslint.lintFilesIterator(["lib/cli*.js"]));
+
+            assert(results.length > 0);
+            results.forEach(result => {
+                assert.deepStrictEqual(
+                    result.usedDeprecatedRules,
+                    [{ ruleId: "indent-legacy", replacedBy: ["indent"] }]
+                );
+            });
+        });
+
+        describe("with 'cache' option", () => {
+            let cacheFilePath;
+
+            beforeEach(() => {
+                cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+            });
+
+            afterEach(() => {
+                if (fs.existsSync(cacheFilePath)) {
+                    fs.unlinkSync(cacheFilePath);
+                }
+            });
+
+            it("should write the cache when the iteration is complete", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    cache: true,
+                    cacheLocation: cacheFilePath
+                });
+
+                const results = await collect(eslint.lintFilesIterator(["a.js", "b.js"]));
+                const { cache } = fCache.createFromFile(cacheFilePath);
+
+                results.forEach(({ filePath }) => {
+                    assert(cache.getKey(filePath), `${filePath} should be in the cache`);
+                });
+            });
+
+            it("should not write the cache if the iteration is stopped early", async () => {
+                eslint = new FlatESLint({
+                    cwd: getFixturePath("lint-workers"),
+                    cache: true,
+                    cacheLocation: cacheFilePath,
+                    concurrency: 2
+                });
+
+                // eslint-disable-next-line no-unreachable-loop -- Stops after the first result.
+                for await (const result of eslint.lintFilesIterator(["a.js", "b.js", "c.js"])) {
+                    assert(result);
+                    break;
+                }
+
+                assert(!fs.existsSync(cacheFilePath), "the cache file should not be written");
+            });
+        });
+    });
+
+    describe("with an AbortSignal", () => {
+        const patterns = ["a.js", "b.js", "c.js", "d.js"];
+        let cacheFilePath;
+
+        beforeEach(() => {
+            cacheFilePath = getFixturePath("lint-workers", ".eslintcache");
+        });
+
+        afterEach(() => {
+            if (fs.existsSync(cacheFilePath)) {
+                fs.unlinkSync(cacheFilePath);
+            }
+        });
+
+        it("should throw an error if 'options.signal' is not an AbortSignal", async () => {
+            const eslint = new FlatESLint({ cwd: getFixturePath("lint-workers") });
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { signal: {} }),
+                /'options.signal' must be an AbortSignal or undefined/u
+            );
+            await assert.rejects(
+                () => eslint.lintText("foo;", { signal: true }),
+                /'options.signal' must be an AbortSignal or undefined/u
+            );
+        });
+
+        it("should throw an error if lintFiles() is given unknown options", async () => {
+            const eslint = new FlatESLint({ cwd: getFixturePath("lint-workers") });
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { fix: true }),
+                /'options' must not include the unknown option\(s\): fix/u
+            );
+        });
+
+        it("should reject with an AbortError if the signal is already aborted", async () => {
+            const eslint = new FlatESLint({ cwd: getFixturePath("lint-workers") });
+            const controller = new AbortController();
+            const reason = new Error("stop");
+
+            controller.abort(reason);
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { signal: controller.signal }),
+                { name: "AbortError", code: "ABORT_ERR", cause: reason }
+            );
+            await assert.rejects(
+                () => eslint.lintText("foo;", { signal: controller.signal }),
+                { name: "AbortError" }
+            );
+        });
+
+        it("should stop linting files and not write the cache when aborted", async () => {
+            const controller = new AbortController();
+            const onFileStart = sinon.spy();
+            const eslint = new FlatESLint({
+                cwd: getFixturePath("lint-workers"),
+                cache: true,
+                cacheLocation: cacheFilePath,
+                onFileStart,
+                onFileEnd: () => controller.abort()
+            });
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { signal: controller.signal }),
+                { name: "AbortError" }
+            );
+            assert.strictEqual(onFileStart.callCount, 1);
+            assert(!fs.existsSync(cacheFilePath), "the cache file should not be written");
+        });
+
+        it("should stop the lint workers and not write the cache when aborted", async () => {
+            const controller = new AbortController();
+            const eslint = new FlatESLint({
+                cwd: getFixturePath("lint-workers"),
+                cache: true,
+                cacheLocation: cacheFilePath,
+                concurrency: 2,
+                onFileEnd: () => controller.abort()
+            });
+
+            await assert.rejects(
+                () => eslint.lintFiles(patterns, { signal: controller.signal }),
+                { name: "AbortError" }
+            );
+            assert(!fs.existsSync(cacheFilePath), "the cache file should not be written");
+        });
+
+        it("should throw an AbortError from lintFilesIterator() when aborted", async () => {
+            const controller = new AbortController();
+            const eslint = new FlatESLint({ cwd: getFixturePath("lint-workers"), concurrency: 2 });
+            const results = [];
+
+            await assert.rejects(async () => {
+                for await (const result of eslint.lintFilesIterator(patterns, { signal: controller.signal })) {
+                    results.push(result);
+                    controller.abort();
+                }
+            }, { name: "AbortError" });
+            assert.strictEqual(results.length, 1);
+        });
+    });
+
     describe("getRulesMetaForResults()", () => {
 
         it("should throw an error when this instance did not lint any files", async () => {
@@ -6043,4 +7299,11 @@ describe("shouldUseFlatConfig", () => {
     describe("when the env variable `ESLINT_USE_FLAT_CONFIG` is unset", () => {
         testShouldUseFlatConfig(true, false);
     });
+
+    describe("when a directory is given", () => {
+        it("should look for a flat config file from the directory instead of the CWD", async () => {
+            assert.strictEqual(await shouldUseFlatConfig(__dirname), true);
+            assert.strictEqual(await shouldUseFlatConfig(os.tmpdir()), false);
+        });
+    });
 });
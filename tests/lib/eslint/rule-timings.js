@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Tests for the rule timings shared with lint workers.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("assert");
+const { RuleTimings } = require("../../../lib/eslint/rule-timings");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Keeps the thread busy for a while.
+ * @param {number} milliseconds The time to wait.
+ * @returns {void}
+ */
+function busyWait(milliseconds) {
+    const end = Date.now() + milliseconds;
+
+    while (Date.now() < end) {
+
+        // Wait.
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("RuleTimings", () => {
+    it("should return null if no rule has run", () => {
+        assert.strictEqual(new RuleTimings().getSlowestRule(), null);
+    });
+
+    it("should return the rule that took the most time in total", () => {
+        const timings = new RuleTimings();
+        const fast = timings.time("fast", () => busyWait(10));
+        const slow = timings.time("slow", () => busyWait(20));
+
+        fast();
+        fast();
+        fast();
+        slow();
+
+        const { ruleId, time } = timings.getSlowestRule();
+
+        assert.strictEqual(ruleId, "fast");
+        assert(time > 20, `${time} should be more than 20ms`);
+    });
+
+    it("should include the time of a call that hasn't returned yet", () => {
+        const timings = new RuleTimings();
+        let slowestRule = null;
+
+        timings.time("fast", () => busyWait(5))();
+        timings.time("slow", () => {
+            busyWait(10);
+            slowestRule = timings.getSlowestRule();
+        })();
+
+        assert.strictEqual(slowestRule.ruleId, "slow");
+    });
+
+    it("should return the value of the wrapped function and rethrow its errors", () => {
+        const timings = new RuleTimings();
+
+        assert.strictEqual(timings.time("foo", (a, b) => a + b)(1, 2), 3);
+        assert.throws(() => timings.time("foo", () => {
+            throw new Error("foo");
+        })(), /foo/u);
+    });
+
+    it("should start from zero after reset()", () => {
+        const timings = new RuleTimings();
+
+        timings.time("foo", () => busyWait(5))();
+        timings.reset();
+
+        assert.strictEqual(timings.getSlowestRule(), null);
+    });
+
+    it("should share the timings through the buffer", () => {
+        const workerTimings = new RuleTimings();
+        const mainTimings = new RuleTimings(workerTimings.buffer);
+
+        workerTimings.time("foo", () => busyWait(5))();
+        workerTimings.time("plugin/bar", () => busyWait(10))();
+
+        assert.strictEqual(mainTimings.getSlowestRule().ruleId, "plugin/bar");
+    });
+});
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Tests for the pool of lint workers.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("assert");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+const { pathToFileURL } = require("url");
+const {
+    LintWorkerPool,
+    createFixSeverityPredicate,
+    findUncloneablePath,
+    getFixSeverity,
+    getWorkerCount,
+    importModuleReferences,
+    registerImportedModule,
+    replaceImportedModules
+} = require("../../../lib/eslint/worker-pool");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("LintWorkerPool", () => {
+    const cwd = path.resolve(__dirname, "../../fixtures/lint-workers");
+
+    /**
+     * Creates a task to lint a file of the fixture directory.
+     * @param {number} index The index of the task.
+     * @param {string} fileName The name of the file.
+     * @param {number} [cost] The cost of the task.
+     * @returns {LintTask} The task.
+     */
+    function createTask(index, fileName, cost) {
+        return { index, filePath: path.join(cwd, fileName), cost };
+    }
+
+    describe("run()", () => {
+        it("should lint the files with the highest cost first, and files without a cost before them", async () => {
+            const pool = new LintWorkerPool({
+                size: 1,
+                workerData: { configType: "flat", options: { cwd } }
+            });
+            const indices = [];
+
+            await pool.run([
+                createTask(0, "a.js", 1),
+                createTask(1, "b.js", 30),
+                createTask(2, "c.js"),
+                createTask(3, "d.js", 5)
+            ], index => indices.push(index));
+
+            assert.deepStrictEqual(indices, [2, 1, 3, 0]);
+        });
+
+        it("should report each result with the time it took to lint the file", async () => {
+            const pool = new LintWorkerPool({
+                size: 2,
+                workerData: { configType: "flat", options: { cwd } }
+            });
+            const calls = [];
+
+            await pool.run([
+                createTask(0, "a.js"),
+                createTask(1, "b.js")
+            ], (index, result, duration) => calls.push({ index, filePath: result.filePath, duration }));
+
+            calls.sort((a, b) => a.index - b.index);
+
+            assert.deepStrictEqual(calls.map(call => call.filePath), [path.join(cwd, "a.js"), path.join(cwd, "b.js")]);
+            calls.forEach(call => assert(call.duration > 0, "duration should be positive"));
+        });
+
+        it("should reject with the error thrown in a worker", async () => {
+            const pool = new LintWorkerPool({
+                size: 2,
+                workerData: { configType: "flat", options: { cwd } }
+            });
+
+            await assert.rejects(
+                () => pool.run([createTask(0, "a.js"), createTask(1, "crash.js")], () => {}),
+                /Crashed while linting\./u
+            );
+        });
+    });
+
+    describe("iterate()", () => {
+        it("should replace a worker that takes longer than 'maxFileTime' and report the file as fatal", async () => {
+            const pool = new LintWorkerPool({
+                size: 1,
+                workerData: { configType: "flat", options: { cwd } },
+                maxFileTime: 1000
+            });
+            const received = [];
+
+            for await (const item of pool.iterate([createTask(0, "hang.js"), createTask(1, "a.js")])) {
+                received.push(item);
+            }
+
+            assert.strictEqual(received.length, 2);
+
+            const [timedOut, linted] = received;
+
+            assert.strictEqual(timedOut.index, 0);
+            assert.strictEqual(timedOut.timedOut, true);
+            assert.strictEqual(timedOut.duration, 1000);
+            assert.strictEqual(timedOut.result.filePath, path.join(cwd, "hang.js"));
+            assert.strictEqual(timedOut.result.fatalErrorCount, 1);
+            assert.match(timedOut.result.messages[0].message, /The slowest rule was 'test\/no-hang'/u);
+
+            assert.strictEqual(linted.index, 1);
+            assert.strictEqual(linted.timedOut, void 0);
+            assert.strictEqual(linted.result.fatalErrorCount, 0);
+        });
+
+        it("should throw an AbortError without starting workers if the signal is already aborted", async () => {
+            const pool = new LintWorkerPool({
+                size: 2,
+                workerData: { configType: "flat", options: { cwd } }
+            });
+            const controller = new AbortController();
+            const onStart = sinon.spy();
+
+            controller.abort();
+
+            await assert.rejects(async () => {
+                for await (const received of pool.iterate([createTask(0, "a.js")], { onStart, signal: controller.signal })) {
+                    assert.fail(`Unexpected result: ${received.result.filePath}`);
+                }
+            }, { name: "AbortError" });
+            assert.strictEqual(onStart.callCount, 0);
+        });
+
+        it("should stop scheduling files and throw an AbortError when the signal is aborted", async () => {
+            const pool = new LintWorkerPool({
+                size: 1,
+                workerData: { configType: "flat", options: { cwd } }
+            });
+            const controller = new AbortController();
+            const onStart = sinon.spy(() => controller.abort());
+            const tasks = [
+                createTask(0, "a.js"),
+                createTask(1, "b.js"),
+                createTask(2, "c.js")
+            ];
+
+            await assert.rejects(async () => {
+                for await (const received of pool.iterate(tasks, { onStart, signal: controller.signal })) {
+                    assert.fail(`Unexpected result: ${received.result.filePath}`);
+                }
+            }, { name: "AbortError" });
+            assert.strictEqual(onStart.callCount, 1);
+        });
+    });
+});
+
+describe("getWorkerCount()", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should return 0 if concurrency is \"off\"", () => {
+        assert.strictEqual(getWorkerCount("off", 1000), 0);
+    });
+
+    it("should return the concurrency if there are enough files", () => {
+        assert.strictEqual(getWorkerCount(4, 10), 4);
+    });
+
+    it("should return the number of files if there are fewer files than the concurrency", () => {
+        assert.strictEqual(getWorkerCount(4, 3), 3);
+    });
+
+    it("should not use more workers than CPUs if concurrency is \"auto\"", () => {
+        sinon.stub(os, "cpus").returns([{}, {}]);
+
+        assert.strictEqual(getWorkerCount("auto", 1000), 2);
+    });
+
+    it("should not use a worker for each few files if concurrency is \"auto\"", () => {
+        sinon.stub(os, "cpus").returns(new Array(16).fill({}));
+
+        assert.strictEqual(getWorkerCount("auto", 64), 2);
+        assert.strictEqual(getWorkerCount("auto", 10), 0);
+    });
+
+    it("should return 0 instead of a single worker", () => {
+        assert.strictEqual(getWorkerCount(4, 1), 0);
+    });
+
+    it("should use at least one worker for any files if 'maxFileTime' is set", () => {
+        sinon.stub(os, "cpus").returns(new Array(16).fill({}));
+
+        assert.strictEqual(getWorkerCount("auto", 10, 1000), 1);
+        assert.strictEqual(getWorkerCount(4, 1, 1000), 1);
+        assert.strictEqual(getWorkerCount("auto", 0, 1000), 0);
+    });
+});
+
+describe("replaceImportedModules() and importModuleReferences()", () => {
+    const modulePath = path.resolve(__dirname, "../../fixtures/lint-workers/rules/report-thread.js");
+
+    it("should replace registered modules with cloneable references and import them again", async () => {
+        const importedModule = await import(pathToFileURL(modulePath).href);
+
+        registerImportedModule(importedModule, modulePath);
+
+        const options = replaceImportedModules({
+            cwd: "/project",
+            overrideConfig: [{ plugins: { foo: importedModule } }]
+        });
+
+        assert.strictEqual(findUncloneablePath(options, "options"), null);
+
+        const restoredOptions = await importModuleReferences(options);
+
+        assert.strictEqual(restoredOptions.cwd, "/project");
+        assert.strictEqual(restoredOptions.overrideConfig[0].plugins.foo, importedModule);
+    });
+
+    it("should leave values without registered modules unchanged", async () => {
+        const rule = Symbol("rule");
+        const options = replaceImportedModules({ overrideConfig: { rules: { semi: "error" } }, rule });
+
+        assert.deepStrictEqual(options.overrideConfig, { rules: { semi: "error" } });
+        assert.strictEqual(options.rule, rule);
+        assert.deepStrictEqual(await importModuleReferences({ a: [1, { b: "c" }] }), { a: [1, { b: "c" }] });
+    });
+});
+
+describe("createFixSeverityPredicate() and getFixSeverity()", () => {
+    it("should create a predicate that only fixes problems of the given severity", () => {
+        const predicate = createFixSeverityPredicate("error");
+
+        assert.strictEqual(predicate({ severity: 2 }), true);
+        assert.strictEqual(predicate({ severity: 1 }), false);
+        assert.strictEqual(createFixSeverityPredicate("warn")({ severity: 1 }), true);
+    });
+
+    it("should return the severity of a predicate", () => {
+        assert.strictEqual(getFixSeverity(createFixSeverityPredicate("error")), "error");
+    });
+
+    it("should return null for other values of the 'fix' option", () => {
+        assert.strictEqual(getFixSeverity(() => true), null);
+        assert.strictEqual(getFixSeverity(true), null);
+    });
+});
+
+describe("findUncloneablePath()", () => {
+    it("should return null for a cloneable value", () => {
+        assert.strictEqual(findUncloneablePath({ a: [1, "b", { c: null }] }, "options"), null);
+    });
+
+    it("should return the path to the first value that can't be cloned", () => {
+        assert.strictEqual(
+            findUncloneablePath({ a: 1, b: [{ c: 2 }, { d: Symbol("d") }] }, "options"),
+            "options.b[1].d"
+        );
+    });
+
+    it("should return the path to an object that isn't an object literal instead of looking into it", () => {
+        assert.strictEqual(findUncloneablePath({ a: new Map([["b", () => {}]]) }, "options"), "options.a");
+    });
+});
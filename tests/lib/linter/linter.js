@@ -10,13 +10,15 @@
 //------------------------------------------------------------------------------
 
 const { assert } = require("chai"),
+    { performance } = require("perf_hooks"),
     sinon = require("sinon"),
     espree = require("espree"),
     esprima = require("esprima"),
     testParsers = require("../../fixtures/parsers/linter-test-parsers");
 
-const { Linter } = require("../../../lib/linter");
+const { Linter, setTracer } = require("../../../lib/linter");
 const { FlatConfigArray } = require("../../../lib/config/flat-config-array");
+const { Tracer } = require("../../../lib/shared/tracer");
 
 //------------------------------------------------------------------------------
 // Constants
@@ -8082,6 +8084,203 @@ var a = "test2";
         });
     });
 
+    describe("getTimes() and getFixPassCount()", () => {
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it("should return null and 0 if verify() was called without the stats option", () => {
+            linter.verify("var a = 1;", { rules: { semi: 2 } }, { stats: true });
+            linter.verify("var a = 1;", { rules: { semi: 2 } });
+
+            assert.isNull(linter.getTimes());
+            assert.strictEqual(linter.getFixPassCount(), 0);
+        });
+
+        it("should record the times of parsing, scope analysis, and each rule", () => {
+            linter.verify("var a = b", { rules: { semi: 2, "no-undef": 2 } }, { stats: true });
+
+            const { passes } = linter.getTimes();
+
+            assert.strictEqual(passes.length, 1);
+            assert.hasAllKeys(passes[0], ["parse", "scope", "rules", "fix", "total"]);
+            assert.hasAllKeys(passes[0].rules, ["semi", "no-undef"]);
+            assert.isAbove(passes[0].parse.total, 0);
+            assert.isAbove(passes[0].scope.total, 0);
+            assert.strictEqual(passes[0].fix.total, 0);
+            assert.isAtLeast(
+                passes[0].total,
+                passes[0].parse.total + passes[0].scope.total + passes[0].rules.semi.total + passes[0].rules["no-undef"].total
+            );
+            assert.strictEqual(linter.getFixPassCount(), 0);
+        });
+
+        it("should measure the time that creating the listeners of a rule and running them takes", () => {
+            const clock = sinon.useFakeTimers({ toFake: ["hrtime"] });
+
+            linter.defineRule("slow-rule", {
+                create() {
+                    clock.tick(3);
+
+                    return {
+                        Identifier() {
+                            clock.tick(5);
+                        }
+                    };
+                }
+            });
+            linter.verify("a; b;", { rules: { "slow-rule": 2 } }, { stats: true });
+
+            assert.strictEqual(linter.getTimes().passes[0].rules["slow-rule"].total, 13);
+        });
+
+        it("should not record parse and scope analysis times for SourceCode objects that have a scope manager", () => {
+            linter.verify("var a = 1;", {});
+            linter.verify(linter.getSourceCode(), { rules: { semi: 2 } }, { stats: true });
+
+            const { passes } = linter.getTimes();
+
+            assert.strictEqual(passes[0].parse.total, 0);
+            assert.strictEqual(passes[0].scope.total, 0);
+            assert.hasAllKeys(passes[0].rules, ["semi"]);
+        });
+
+        it("should record a pass for each time verifyAndFix() lints the code, and the time of applying fixes", () => {
+            const { output } = linter.verifyAndFix("var a", { rules: { semi: 2 } }, { stats: true });
+            const { passes } = linter.getTimes();
+
+            assert.strictEqual(output, "var a;");
+            assert.strictEqual(passes.length, 2);
+            assert.isAbove(passes[0].fix.total, 0);
+            assert.isAtLeast(passes[0].total, passes[0].fix.total);
+            assert.strictEqual(linter.getFixPassCount(), 1);
+        });
+
+        it("should not count passes that didn't apply fixes", () => {
+            linter.verifyAndFix("var a;", { rules: { semi: 2 } }, { stats: true });
+
+            assert.strictEqual(linter.getTimes().passes.length, 1);
+            assert.strictEqual(linter.getFixPassCount(), 0);
+        });
+
+        it("should break the times of rules down by selector and count the matched nodes with the selectorStats option", () => {
+            const clock = sinon.useFakeTimers({ toFake: ["hrtime"] });
+
+            linter.defineRule("slow-rule", {
+                create() {
+                    clock.tick(3);
+
+                    return {
+                        Identifier() {
+                            clock.tick(5);
+                        },
+                        "ExpressionStatement:exit"() {
+                            clock.tick(1);
+                        },
+                        onCodePathStart() {
+                            clock.tick(2);
+                        }
+                    };
+                }
+            });
+            linter.verify("a; b;", { rules: { "slow-rule": 2 } }, { stats: true, selectorStats: true });
+
+            const [pass] = linter.getTimes().passes;
+
+            assert.deepStrictEqual(pass.rules["slow-rule"], {
+                total: 17,
+                selectors: {
+                    Identifier: { total: 10, count: 2 },
+                    "ExpressionStatement:exit": { total: 2, count: 2 },
+                    onCodePathStart: { total: 2, count: 1 }
+                }
+            });
+            assert.deepStrictEqual(pass.selectors, {
+                Identifier: { total: 0, count: 2 },
+                "ExpressionStatement:exit": { total: 0, count: 2 }
+            });
+        });
+
+        it("should not record times with the selectorStats option but without the stats option", () => {
+            linter.verify("var a = 1;", { rules: { semi: 2 } }, { selectorStats: true });
+
+            assert.isNull(linter.getTimes());
+        });
+    });
+
+    describe("setTracer()", () => {
+        let tracer;
+
+        beforeEach(() => {
+            tracer = new Tracer();
+            setTracer(linter, tracer);
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        /**
+         * Gets the names of the events of linting steps that the tracer recorded.
+         * @returns {string[]} The names.
+         */
+        function getEventNames() {
+            return tracer.getEvents().filter(event => event.cat === "lint").map(event => event.name);
+        }
+
+        it("should record parsing, scope analysis, and running the rules in an event for each verify() call", () => {
+            linter.verify("var a = 1", { rules: { semi: 2 } }, { filename: "a.js" });
+
+            const verifyEvent = tracer.getEvents().find(event => event.name === "Verify");
+
+            assert.deepStrictEqual(getEventNames(), ["Parse", "Analyze scope", "Run rules", "Verify"]);
+            assert.include(verifyEvent, { cat: "lint", tid: 0 });
+            assert.deepStrictEqual(verifyEvent.args, { filePath: "a.js" });
+        });
+
+        it("should record the calls of rule listeners that take at least 0.1 milliseconds", () => {
+            let time = 0;
+
+            sinon.stub(performance, "now").callsFake(() => time);
+
+            linter.defineRule("slow-rule", {
+                create() {
+                    return {
+                        Identifier(node) {
+                            time += node.name === "a" ? 1 : 0.01;
+                        }
+                    };
+                }
+            });
+
+            linter.verify("a; b;", { rules: { "slow-rule": 2 } });
+
+            const ruleEvents = tracer.getEvents().filter(event => event.cat === "rule");
+
+            assert.strictEqual(ruleEvents.length, 1);
+            assert.strictEqual(ruleEvents[0].name, "slow-rule");
+        });
+
+        it("should record an event for each pass of applying fixes in verifyAndFix()", () => {
+            linter.verifyAndFix("var a", { rules: { semi: 2 } }, { filename: "a.js" });
+
+            const fixEvents = tracer.getEvents().filter(event => event.name === "Apply fixes");
+
+            assert.deepStrictEqual(fixEvents.map(event => event.args), [
+                { filePath: "a.js", pass: 1 },
+                { filePath: "a.js", pass: 2 }
+            ]);
+            assert.strictEqual(getEventNames().filter(name => name === "Verify").length, 2);
+        });
+
+        it("should not record events after the tracer is removed", () => {
+            setTracer(linter, null);
+            linter.verify("var a = 1;", { rules: { semi: 2 } });
+
+            assert.strictEqual(tracer.getEvents().length, 1);
+        });
+    });
+
     describe("Edge cases", () => {
 
         it("should properly parse import statements when sourceType is module", () => {
@@ -17394,6 +17593,231 @@ var a = "test2";
         });
     });
 
+    describe("getTimes() and getFixPassCount()", () => {
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it("should return null and 0 if verify() was called without the stats option", () => {
+            linter.verify("var a = 1;", { rules: { semi: 2 } }, { stats: true });
+            linter.verify("var a = 1;", { rules: { semi: 2 } });
+
+            assert.isNull(linter.getTimes());
+            assert.strictEqual(linter.getFixPassCount(), 0);
+        });
+
+        it("should record the times of parsing, scope analysis, and each rule", () => {
+            linter.verify("var a = b", { languageOptions: { sourceType: "script" }, rules: { semi: 2, "no-undef": 2 } }, { stats: true });
+
+            const { passes } = linter.getTimes();
+
+            assert.strictEqual(passes.length, 1);
+            assert.hasAllKeys(passes[0], ["parse", "scope", "rules", "fix", "total"]);
+            assert.hasAllKeys(passes[0].rules, ["semi", "no-undef"]);
+            assert.isAbove(passes[0].parse.total, 0);
+            assert.isAbove(passes[0].scope.total, 0);
+            assert.strictEqual(passes[0].fix.total, 0);
+            assert.isAtLeast(
+                passes[0].total,
+                passes[0].parse.total + passes[0].scope.total + passes[0].rules.semi.total + passes[0].rules["no-undef"].total
+            );
+            assert.strictEqual(linter.getFixPassCount(), 0);
+        });
+
+        it("should measure the time that creating the listeners of a rule and running them takes", () => {
+            const clock = sinon.useFakeTimers({ toFake: ["hrtime"] });
+
+            const config = {
+                plugins: {
+                    test: {
+                        rules: {
+                            "slow-rule": {
+                                create() {
+                                    clock.tick(3);
+
+                                    return {
+                                        Identifier() {
+                                            clock.tick(5);
+                                        }
+                                    };
+                                }
+                            }
+                        }
+                    }
+                },
+                rules: { "test/slow-rule": 2 }
+            };
+
+            linter.verify("a; b;", config, { stats: true });
+
+            assert.strictEqual(linter.getTimes().passes[0].rules["test/slow-rule"].total, 13);
+        });
+
+        it("should not record parse and scope analysis times for SourceCode objects that have a scope manager", () => {
+            linter.verify("var a = 1;", {});
+            linter.verify(linter.getSourceCode(), { rules: { semi: 2 } }, { stats: true });
+
+            const { passes } = linter.getTimes();
+
+            assert.strictEqual(passes[0].parse.total, 0);
+            assert.strictEqual(passes[0].scope.total, 0);
+            assert.hasAllKeys(passes[0].rules, ["semi"]);
+        });
+
+        it("should record a pass for each time verifyAndFix() lints the code, and the time of applying fixes", () => {
+            const { output } = linter.verifyAndFix("var a", { rules: { semi: 2 } }, { stats: true });
+            const { passes } = linter.getTimes();
+
+            assert.strictEqual(output, "var a;");
+            assert.strictEqual(passes.length, 2);
+            assert.isAbove(passes[0].fix.total, 0);
+            assert.isAtLeast(passes[0].total, passes[0].fix.total);
+            assert.strictEqual(linter.getFixPassCount(), 1);
+        });
+
+        it("should not count passes that didn't apply fixes", () => {
+            linter.verifyAndFix("var a;", { rules: { semi: 2 } }, { stats: true });
+
+            assert.strictEqual(linter.getTimes().passes.length, 1);
+            assert.strictEqual(linter.getFixPassCount(), 0);
+        });
+
+        it("should break the times of rules down by selector and count the matched nodes with the selectorStats option", () => {
+            const clock = sinon.useFakeTimers({ toFake: ["hrtime"] });
+
+            const config = {
+                plugins: {
+                    test: {
+                        rules: {
+                            "slow-rule": {
+                                create() {
+                                    clock.tick(3);
+
+                                    return {
+                                        Identifier() {
+                                            clock.tick(5);
+                                        },
+                                        "ExpressionStatement:exit"() {
+                                            clock.tick(1);
+                                        },
+                                        onCodePathStart() {
+                                            clock.tick(2);
+                                        }
+                                    };
+                                }
+                            }
+                        }
+                    }
+                },
+                rules: { "test/slow-rule": 2 }
+            };
+
+            linter.verify("a; b;", config, { stats: true, selectorStats: true });
+
+            const [pass] = linter.getTimes().passes;
+
+            assert.deepStrictEqual(pass.rules["test/slow-rule"], {
+                total: 17,
+                selectors: {
+                    Identifier: { total: 10, count: 2 },
+                    "ExpressionStatement:exit": { total: 2, count: 2 },
+                    onCodePathStart: { total: 2, count: 1 }
+                }
+            });
+            assert.deepStrictEqual(pass.selectors, {
+                Identifier: { total: 0, count: 2 },
+                "ExpressionStatement:exit": { total: 0, count: 2 }
+            });
+        });
+
+        it("should not record times with the selectorStats option but without the stats option", () => {
+            linter.verify("var a = 1;", { rules: { semi: 2 } }, { selectorStats: true });
+
+            assert.isNull(linter.getTimes());
+        });
+    });
+
+    describe("setTracer()", () => {
+        let tracer;
+
+        beforeEach(() => {
+            tracer = new Tracer();
+            setTracer(linter, tracer);
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        /**
+         * Gets the names of the events of linting steps that the tracer recorded.
+         * @returns {string[]} The names.
+         */
+        function getEventNames() {
+            return tracer.getEvents().filter(event => event.cat === "lint").map(event => event.name);
+        }
+
+        it("should record parsing, scope analysis, and running the rules in an event for each verify() call", () => {
+            linter.verify("var a = 1", { rules: { semi: 2 } }, { filename: "a.js" });
+
+            const verifyEvent = tracer.getEvents().find(event => event.name === "Verify");
+
+            assert.deepStrictEqual(getEventNames(), ["Parse", "Analyze scope", "Run rules", "Verify"]);
+            assert.include(verifyEvent, { cat: "lint", tid: 0 });
+            assert.deepStrictEqual(verifyEvent.args, { filePath: "a.js" });
+        });
+
+        it("should record the calls of rule listeners that take at least 0.1 milliseconds", () => {
+            let time = 0;
+
+            sinon.stub(performance, "now").callsFake(() => time);
+            const config = {
+                plugins: {
+                    test: {
+                        rules: {
+                            "slow-rule": {
+                                create() {
+                                    return {
+                                        Identifier(node) {
+                                            time += node.name === "a" ? 1 : 0.01;
+                                        }
+                                    };
+                                }
+                            }
+                        }
+                    }
+                },
+                rules: { "test/slow-rule": 2 }
+            };
+
+            linter.verify("a; b;", config);
+
+            const ruleEvents = tracer.getEvents().filter(event => event.cat === "rule");
+
+            assert.strictEqual(ruleEvents.length, 1);
+            assert.strictEqual(ruleEvents[0].name, "test/slow-rule");
+        });
+
+        it("should record an event for each pass of applying fixes in verifyAndFix()", () => {
+            linter.verifyAndFix("var a", { rules: { semi: 2 } }, { filename: "a.js" });
+
+            const fixEvents = tracer.getEvents().filter(event => event.name === "Apply fixes");
+
+            assert.deepStrictEqual(fixEvents.map(event => event.args), [
+                { filePath: "a.js", pass: 1 },
+                { filePath: "a.js", pass: 2 }
+            ]);
+            assert.strictEqual(getEventNames().filter(name => name === "Verify").length, 2);
+        });
+
+        it("should not record events after the tracer is removed", () => {
+            setTracer(linter, null);
+            linter.verify("var a = 1;", { rules: { semi: 2 } });
+
+            assert.strictEqual(tracer.getEvents().length, 1);
+        });
+    });
+
     describe("Mutability", () => {
         let linter1 = null;
         let linter2 = null;
@@ -457,6 +457,62 @@ describe("NodeEventGenerator", () => {
         );
     });
 
+    describe("measuring selectors", () => {
+        let emissions, selectorTimes;
+
+        beforeEach(() => {
+            const ast = espree.parse("foo(bar, 1);", ESPREE_CONFIG);
+            const emitter = Object.create(createEmitter(), {
+                emit: {
+                    value: (selector, node) => emissions.push([selector, node.type])
+                }
+            });
+
+            emissions = [];
+            selectorTimes = {};
+            ["Identifier", "CallExpression > .callee", "Literal:exit", "ClassDeclaration"].forEach(query => emitter.on(query, () => {}));
+            const generator = new NodeEventGenerator(emitter, STANDARD_ESQUERY_OPTION, selectorTimes);
+
+            Traverser.traverse(ast, {
+                enter(node, parent) {
+                    node.parent = parent;
+                    generator.enterNode(node);
+                },
+                leave(node) {
+                    generator.leaveNode(node);
+                }
+            });
+        });
+
+        it("should count the nodes that each selector matched", () => {
+            assert.deepStrictEqual(
+                Object.fromEntries(Object.entries(selectorTimes).map(([selector, { count }]) => [selector, count])),
+                {
+                    "CallExpression > .callee": 1,
+                    Identifier: 2,
+                    "Literal:exit": 1
+                }
+            );
+        });
+
+        it("should add the time that matching each selector took", () => {
+            Object.values(selectorTimes).forEach(({ total }) => assert(total >= 0));
+        });
+
+        it("should not add selectors that weren't matched against any node", () => {
+            assert(!Object.prototype.hasOwnProperty.call(selectorTimes, "ClassDeclaration"));
+        });
+
+        it("should emit the same events as without measuring", () => {
+            assert.deepStrictEqual(emissions, [
+                ["Identifier", "Identifier"],
+                ["CallExpression > .callee", "Identifier"],
+                ["Identifier", "Identifier"],
+                ["Literal:exit", "Literal"]
+            ]);
+        });
+    });
+
     describe("parsing an invalid selector", () => {
         it("throws a useful error", () => {
             const emitter = createEmitter();
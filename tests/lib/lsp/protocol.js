@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Tests for the base protocol of the language server.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const { PassThrough } = require("stream");
+
+const { readMessages, writeMessage } = require("../../../lib/lsp/protocol");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Waits until the data written to streams has been emitted.
+ * @returns {Promise<void>} A promise that is resolved in the next turn of the event loop.
+ */
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("writeMessage", () => {
+    it("should write the message with its length in bytes", () => {
+        const stream = new PassThrough();
+
+        writeMessage(stream, { id: 1, result: "ä" });
+
+        assert.strictEqual(
+            stream.read().toString(),
+            "Content-Length: 38\r\n\r\n{\"jsonrpc\":\"2.0\",\"id\":1,\"result\":\"ä\"}"
+        );
+    });
+});
+
+describe("readMessages", () => {
+    let stream, messages, errors;
+
+    beforeEach(() => {
+        stream = new PassThrough();
+        messages = [];
+        errors = [];
+        readMessages(stream, message => messages.push(message), error => errors.push(error));
+    });
+
+    it("should read the messages written by writeMessage", async () => {
+        writeMessage(stream, { id: 1, method: "initialize", params: { rootUri: "file:///ä" } });
+        writeMessage(stream, { method: "initialized", params: {} });
+        await flush();
+
+        assert.deepStrictEqual(messages, [
+            { jsonrpc: "2.0", id: 1, method: "initialize", params: { rootUri: "file:///ä" } },
+            { jsonrpc: "2.0", method: "initialized", params: {} }
+        ]);
+    });
+
+    it("should read a message that arrives in parts", async () => {
+        const data = Buffer.from("Content-Type: application/vscode-jsonrpc; charset=utf-8\r\nContent-Length: 15\r\n\r\n{\"method\":\"ä\"}");
+
+        for (let index = 0; index < data.length; index += 5) {
+            stream.write(data.subarray(index, index + 5));
+        }
+
+        await flush();
+        assert.deepStrictEqual(messages, [{ method: "ä" }]);
+    });
+
+    it("should report messages that aren't valid JSON and continue", async () => {
+        stream.write("Content-Length: 1\r\n\r\n{");
+        stream.write("Content-Length: 2\r\n\r\n{}");
+        await flush();
+
+        assert.strictEqual(errors.length, 1);
+        assert.instanceOf(errors[0], SyntaxError);
+        assert.deepStrictEqual(messages, [{}]);
+    });
+
+    it("should report messages without a length and continue", async () => {
+        stream.write("Content-Type: foo\r\n\r\n");
+        stream.write("Content-Length: 2\r\n\r\n{}");
+        await flush();
+
+        assert.strictEqual(errors[0].message, "A message is missing the Content-Length header.");
+        assert.deepStrictEqual(messages, [{}]);
+    });
+});
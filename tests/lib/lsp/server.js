@@ -0,0 +1,404 @@
+/**
+ * @fileoverview Tests for the language server.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { pathToFileURL } = require("url");
+
+const { LanguageServer, offsetToPosition } = require("../../../lib/lsp/server");
+const { ErrorCodes, readMessages, writeMessage } = require("../../../lib/lsp/protocol");
+const { createCustomTeardown } = require("../../_utils");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("offsetToPosition", () => {
+    it("should convert offsets to zero-based lines and characters", () => {
+        const text = "a\nbc\r\nd\re";
+
+        assert.deepStrictEqual(offsetToPosition(text, 0), { line: 0, character: 0 });
+        assert.deepStrictEqual(offsetToPosition(text, 1), { line: 0, character: 1 });
+        assert.deepStrictEqual(offsetToPosition(text, 3), { line: 1, character: 1 });
+        assert.deepStrictEqual(offsetToPosition(text, 6), { line: 2, character: 0 });
+        assert.deepStrictEqual(offsetToPosition(text, 8), { line: 3, character: 0 });
+        assert.deepStrictEqual(offsetToPosition(text, text.length), { line: 3, character: 1 });
+    });
+});
+
+describe("LanguageServer", () => {
+    const teardown = createCustomTeardown({
+        cwd: path.join(os.tmpdir(), "eslint", "lsp"),
+        files: {
+            "eslint.config.js": `module.exports = [
+                { ignores: ["ignored.js"] },
+                { rules: { semi: "warn", "no-var": "error", "no-useless-escape": "error" } }
+            ];`
+        }
+    });
+    let cwd, input, output, server, exitCode, messages, waiting, nextId;
+
+    /**
+     * Sends a notification to the server.
+     * @param {string} method The method of the notification.
+     * @param {Object} params The parameters.
+     * @returns {void}
+     */
+    function notify(method, params) {
+        writeMessage(input, { method, params });
+    }
+
+    /**
+     * Waits for a message of the server that matches a predicate.
+     * @param {(message: Object) => boolean} predicate The predicate.
+     * @returns {Promise<Object>} The message.
+     */
+    function waitFor(predicate) {
+        const index = messages.findIndex(predicate);
+
+        if (index !== -1) {
+            return Promise.resolve(messages.splice(index, 1)[0]);
+        }
+
+        return new Promise(resolve => waiting.push({ predicate, resolve }));
+    }
+
+    /**
+     * Sends a request to the server and waits for the response.
+     * @param {string} method The method of the request.
+     * @param {Object} params The parameters.
+     * @returns {Promise<Object>} The response.
+     */
+    function request(method, params) {
+        const id = nextId++;
+
+        writeMessage(input, { id, method, params });
+
+        return waitFor(message => message.id === id);
+    }
+
+    /**
+     * Opens a document in the server and waits for its diagnostics.
+     * @param {string} name The name of the file in the workspace.
+     * @param {string} text The content of the document.
+     * @returns {Promise<Object>} The parameters of the published diagnostics.
+     */
+    async function open(name, text) {
+        const uri = pathToFileURL(path.join(cwd, name)).href;
+
+        notify("textDocument/didOpen", { textDocument: { uri, languageId: "javascript", version: 1, text } });
+
+        return (await waitFor(message => message.method === "textDocument/publishDiagnostics" && message.params.uri === uri)).params;
+    }
+
+    beforeEach(async () => {
+        await teardown.prepare();
+        cwd = teardown.getPath();
+        input = new PassThrough();
+        output = new PassThrough();
+        messages = [];
+        waiting = [];
+        nextId = 1;
+
+        readMessages(output, message => {
+            const index = waiting.findIndex(({ predicate }) => predicate(message));
+
+            if (index === -1) {
+                messages.push(message);
+            } else {
+                waiting.splice(index, 1)[0].resolve(message);
+            }
+        }, error => {
+            throw error;
+        });
+
+        server = new LanguageServer({ input, output });
+        exitCode = server.listen();
+    });
+
+    afterEach(() => teardown.cleanup());
+
+    describe("after initialize", () => {
+        beforeEach(async () => {
+            await request("initialize", { processId: null, rootUri: pathToFileURL(cwd).href, capabilities: {} });
+            notify("initialized", {});
+        });
+
+        it("should publish diagnostics with links to the docs of the rules", async () => {
+            const { version, diagnostics } = await open("a.js", "var a = 1");
+
+            assert.strictEqual(version, 1);
+            assert.deepStrictEqual(diagnostics, [
+                {
+                    range: { start: { line: 0, character: 0 }, end: { line: 0, character: 9 } },
+                    severity: 1,
+                    source: "eslint",
+                    message: "Unexpected var, use let or const instead.",
+                    code: "no-var",
+                    codeDescription: { href: "https://eslint.org/docs/latest/rules/no-var" }
+                },
+                {
+                    range: { start: { line: 0, character: 9 }, end: { line: 0, character: 9 } },
+                    severity: 2,
+                    source: "eslint",
+                    message: "Missing semicolon.",
+                    code: "semi",
+                    codeDescription: { href: "https://eslint.org/docs/latest/rules/semi" }
+                }
+            ]);
+        });
+
+        it("should publish diagnostics for parsing errors", async () => {
+            const { diagnostics } = await open("a.js", "let a = ;");
+
+            assert.strictEqual(diagnostics.length, 1);
+            assert.strictEqual(diagnostics[0].severity, 1);
+            assert.notProperty(diagnostics[0], "code");
+            assert.match(diagnostics[0].message, /^Parsing error/u);
+        });
+
+        it("should publish no diagnostics for ignored files", async () => {
+            const { diagnostics } = await open("ignored.js", "var a = 1");
+
+            assert.deepStrictEqual(diagnostics, []);
+        });
+
+        it("should lint the document again when it changes", async () => {
+            const { uri } = await open("a.js", "var a = 1");
+
+            notify("textDocument/didChange", { textDocument: { uri, version: 2 }, contentChanges: [{ text: "let a = 1;" }] });
+
+            const { version, diagnostics } = (await waitFor(message => message.method === "textDocument/publishDiagnostics")).params;
+
+            assert.strictEqual(version, 2);
+            assert.deepStrictEqual(diagnostics, []);
+        });
+
+        it("should only publish the diagnostics of the latest version of a document", async () => {
+            const { uri } = await open("a.js", "var a = 1");
+
+            notify("textDocument/didChange", { textDocument: { uri, version: 2 }, contentChanges: [{ text: "var a = 2" }] });
+            notify("textDocument/didChange", { textDocument: { uri, version: 3 }, contentChanges: [{ text: "let a = 3;" }] });
+
+            const { version, diagnostics } = (await waitFor(message => message.method === "textDocument/publishDiagnostics")).params;
+
+            assert.strictEqual(version, 3);
+            assert.deepStrictEqual(diagnostics, []);
+
+            await request("shutdown");
+
+            assert.deepStrictEqual(messages, []);
+        });
+
+        it("should clear the diagnostics when the document is closed", async () => {
+            const { uri } = await open("a.js", "var a = 1");
+
+            notify("textDocument/didClose", { textDocument: { uri } });
+
+            const { diagnostics } = (await waitFor(message => message.method === "textDocument/publishDiagnostics")).params;
+
+            assert.deepStrictEqual(diagnostics, []);
+        });
+
+        it("should lint with the new config when the config file changes", async () => {
+            const configFilePath = path.join(cwd, "eslint.config.js");
+            const mtime = new Date(Date.now() + 10000);
+            const { uri } = await open("a.js", "var a = 1");
+
+            fs.writeFileSync(configFilePath, "module.exports = [{ rules: { semi: 'error' } }];");
+            fs.utimesSync(configFilePath, mtime, mtime);
+            notify("textDocument/didChange", { textDocument: { uri, version: 2 }, contentChanges: [{ text: "var a = 1" }] });
+
+            const { diagnostics } = (await waitFor(message => message.method === "textDocument/publishDiagnostics")).params;
+
+            assert.deepStrictEqual(diagnostics.map(diagnostic => diagnostic.code), ["semi"]);
+            assert.strictEqual(diagnostics[0].severity, 1);
+        });
+
+        it("should offer the fixes and suggestions in the range as code actions", async () => {
+            const text = "let a = 1\nlet b = '\\a';";
+            const { uri } = await open("a.js", text);
+            const { result } = await request("textDocument/codeAction", {
+                textDocument: { uri },
+                range: { start: { line: 1, character: 9 }, end: { line: 1, character: 10 } },
+                context: { diagnostics: [], only: ["quickfix"] }
+            });
+
+            assert.deepStrictEqual(result.map(codeAction => codeAction.title), [
+                "Remove the `\\`. This maintains the current functionality.",
+                "Replace the `\\` with `\\\\` to include the actual backslash character."
+            ]);
+            assert.strictEqual(result[0].kind, "quickfix");
+            assert.strictEqual(result[0].diagnostics[0].code, "no-useless-escape");
+            assert.deepStrictEqual(result[0].edit.changes[uri], [{
+                range: { start: { line: 1, character: 9 }, end: { line: 1, character: 10 } },
+                newText: ""
+            }]);
+        });
+
+        it("should offer a fix as a code action", async () => {
+            const { uri } = await open("a.js", "let a = 1");
+            const { result } = await request("textDocument/codeAction", {
+                textDocument: { uri },
+                range: { start: { line: 0, character: 0 }, end: { line: 0, character: 9 } },
+                context: { diagnostics: [], only: ["quickfix"] }
+            });
+
+            assert.strictEqual(result.length, 1);
+            assert.strictEqual(result[0].title, "Fix this semi problem");
+            assert.deepStrictEqual(result[0].edit.changes[uri], [{
+                range: { start: { line: 0, character: 9 }, end: { line: 0, character: 9 } },
+                newText: ";"
+            }]);
+        });
+
+        it("should offer to fix all problems of the document", async () => {
+            const { uri } = await open("a.js", "var a = 1\nvar b = 2");
+            const { result } = await request("textDocument/codeAction", {
+                textDocument: { uri },
+                range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+                context: { diagnostics: [], only: ["source.fixAll"] }
+            });
+
+            assert.deepStrictEqual(result, [{
+                title: "Fix all auto-fixable problems",
+                kind: "source.fixAll.eslint",
+                edit: {
+                    changes: {
+                        [uri]: [{
+                            range: { start: { line: 0, character: 0 }, end: { line: 1, character: 9 } },
+                            newText: "let a = 1;\nlet b = 2;"
+                        }]
+                    }
+                }
+            }]);
+        });
+
+        it("should not offer to fix all problems if none is fixable", async () => {
+            const { uri } = await open("a.js", "let a = '\\a';");
+            const { result } = await request("textDocument/codeAction", {
+                textDocument: { uri },
+                range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+                context: { diagnostics: [] }
+            });
+
+            assert.deepStrictEqual(result.map(codeAction => codeAction.kind), []);
+        });
+
+        it("should show errors in the editor", async () => {
+            fs.writeFileSync(path.join(cwd, "eslint.config.js"), "module.exports = [{ rules: { semi: 'bad' } }];");
+            notify("textDocument/didOpen", {
+                textDocument: { uri: pathToFileURL(path.join(cwd, "a.js")).href, languageId: "javascript", version: 1, text: "var a = 1" }
+            });
+
+            const { params } = await waitFor(message => message.method === "window/showMessage");
+
+            assert.strictEqual(params.type, 1);
+            assert.match(params.message, /^ESLint: Key "rules": Key "semi"/u);
+        });
+
+        it("should not show the same error again", () => {
+            server.showError(new Error("foo"));
+            server.showError(new Error("foo"));
+            server.showError(new Error("bar"));
+
+            assert.deepStrictEqual(messages.map(message => message.params.message), ["ESLint: foo", "ESLint: bar"]);
+        });
+
+        it("should answer unknown requests with an error", async () => {
+            const { error } = await request("textDocument/hover", {});
+
+            assert.strictEqual(error.code, ErrorCodes.MethodNotFound);
+        });
+
+        it("should exit with code 0 after shutdown and exit", async () => {
+            assert.deepStrictEqual(await request("shutdown"), { jsonrpc: "2.0", id: 2, result: null });
+            notify("exit");
+
+            assert.strictEqual(await exitCode, 0);
+        });
+
+        it("should reject requests after shutdown", async () => {
+            await request("shutdown");
+
+            const { error } = await request("textDocument/codeAction", {});
+
+            assert.strictEqual(error.code, ErrorCodes.InvalidRequest);
+        });
+    });
+
+    describe("with eslintrc", () => {
+        let originalUseFlatConfig;
+
+        beforeEach(async () => {
+            originalUseFlatConfig = process.env.ESLINT_USE_FLAT_CONFIG;
+            delete process.env.ESLINT_USE_FLAT_CONFIG;
+            fs.unlinkSync(path.join(cwd, "eslint.config.js"));
+            fs.writeFileSync(path.join(cwd, ".eslintrc.json"), JSON.stringify({ root: true, rules: { semi: "error" } }));
+            await request("initialize", { processId: null, rootUri: pathToFileURL(cwd).href, capabilities: {} });
+        });
+
+        afterEach(() => {
+            if (typeof originalUseFlatConfig === "undefined") {
+                delete process.env.ESLINT_USE_FLAT_CONFIG;
+            } else {
+                process.env.ESLINT_USE_FLAT_CONFIG = originalUseFlatConfig;
+            }
+        });
+
+        it("should publish diagnostics with the eslintrc config of the workspace", async () => {
+            const { diagnostics } = await open("a.js", "var a = 1");
+
+            assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.severity]), [["semi", 1]]);
+        });
+
+        it("should offer to fix all problems of the document", async () => {
+            const { uri } = await open("a.js", "var a = 1");
+            const { result } = await request("textDocument/codeAction", {
+                textDocument: { uri },
+                range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+                context: { diagnostics: [], only: ["source.fixAll"] }
+            });
+
+            assert.strictEqual(result[0].edit.changes[uri][0].newText, "var a = 1;");
+        });
+    });
+
+    it("should return the capabilities of the server", async () => {
+        const { result } = await request("initialize", { processId: null, rootUri: null, capabilities: {} });
+
+        assert.deepStrictEqual(result.capabilities, {
+            textDocumentSync: { openClose: true, change: 1 },
+            codeActionProvider: { codeActionKinds: ["quickfix", "source.fixAll.eslint"] }
+        });
+        assert.strictEqual(result.serverInfo.name, "eslint");
+    });
+
+    it("should reject requests before initialize", async () => {
+        const { error } = await request("shutdown");
+
+        assert.strictEqual(error.code, ErrorCodes.ServerNotInitialized);
+    });
+
+    it("should exit with code 1 without shutdown", async () => {
+        notify("exit");
+
+        assert.strictEqual(await exitCode, 1);
+    });
+
+    it("should exit when the input ends", async () => {
+        input.end();
+
+        assert.strictEqual(await exitCode, 1);
+    });
+});
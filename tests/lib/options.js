@@ -407,6 +407,262 @@ describe("options", () => {
         });
     });
 
+    describe("--max-file-time", () => {
+        it("should return a number for .maxFileTime when passed a number", () => {
+            const currentOptions = flatOptions.parse("--max-file-time 5000");
+
+            assert.strictEqual(currentOptions.maxFileTime, 5000);
+        });
+
+        it("should return undefined for .maxFileTime when not passed", () => {
+            const currentOptions = flatOptions.parse("");
+
+            assert.isUndefined(currentOptions.maxFileTime);
+        });
+    });
+
+    describe("--stats", () => {
+        it("should return true for .stats when passed", () => {
+            const currentOptions = flatOptions.parse("--stats");
+
+            assert.isTrue(currentOptions.stats);
+        });
+
+        it("should return false for .stats when not passed", () => {
+            const currentOptions = flatOptions.parse("");
+
+            assert.isFalse(currentOptions.stats);
+        });
+    });
+
+    describe("--selector-stats", () => {
+        it("should return true for .selectorStats when passed", () => {
+            const currentOptions = flatOptions.parse("--selector-stats");
+
+            assert.isTrue(currentOptions.selectorStats);
+        });
+
+        it("should return false for .selectorStats when not passed", () => {
+            const currentOptions = flatOptions.parse("");
+
+            assert.isFalse(currentOptions.selectorStats);
+        });
+    });
+
+    describe("--trace", () => {
+        it("should return a string for .trace when passed a string", () => {
+            const currentOptions = flatOptions.parse("--trace trace.json");
+
+            assert.strictEqual(currentOptions.trace, "trace.json");
+        });
+
+        it("should return undefined for .trace when not passed", () => {
+            const currentOptions = flatOptions.parse("");
+
+            assert.isUndefined(currentOptions.trace);
+        });
+    });
+
+    describe("--concurrency", () => {
+        it("should return a number for .concurrency when passed a number", () => {
+            const currentOptions = flatOptions.parse("--concurrency 4");
+
+            assert.strictEqual(currentOptions.concurrency, 4);
+        });
+
+        it("should return a string for .concurrency when passed \"auto\"", () => {
+            const currentOptions = flatOptions.parse("--concurrency auto");
+
+            assert.strictEqual(currentOptions.concurrency, "auto");
+        });
+
+        it("should return \"off\" for .concurrency when not passed", () => {
+            const currentOptions = eslintrcOptions.parse("foo.js");
+
+            assert.strictEqual(currentOptions.concurrency, "off");
+        });
+    });
+
+    describe("--progress", () => {
+        it("should return true for .progress when passed", () => {
+            const currentOptions = eslintrcOptions.parse("--progress foo.js");
+
+            assert.isTrue(currentOptions.progress);
+        });
+
+        it("should return false for .progress when not passed", () => {
+            const currentOptions = flatOptions.parse("foo.js");
+
+            assert.isFalse(currentOptions.progress);
+        });
+    });
+
+    describe("--changed-since", () => {
+        it("should return a string for .changedSince when passed a string", () => {
+            const currentOptions = flatOptions.parse("--changed-since origin/main");
+
+            assert.strictEqual(currentOptions.changedSince, "origin/main");
+        });
+    });
+
+    describe("--staged", () => {
+        it("should return true for .staged when passed", () => {
+            const currentOptions = eslintrcOptions.parse("--staged");
+
+            assert.isTrue(currentOptions.staged);
+        });
+
+        it("should return false for .staged when not passed", () => {
+            const currentOptions = flatOptions.parse("foo.js");
+
+            assert.isFalse(currentOptions.staged);
+        });
+    });
+
+    describe("--diff-lines-only", () => {
+        it("should return a string for .diffLinesOnly when passed a string", () => {
+            const currentOptions = eslintrcOptions.parse("--diff-lines-only HEAD~1");
+
+            assert.strictEqual(currentOptions.diffLinesOnly, "HEAD~1");
+        });
+    });
+
+    describe("--cache-dir", () => {
+        it("should return a string for .cacheDir when passed a string with --cache", () => {
+            const currentOptions = flatOptions.parse("--cache --cache-dir .cache/eslint");
+
+            assert.strictEqual(currentOptions.cacheDir, ".cache/eslint");
+        });
+
+        it("should throw an error when passed without --cache", () => {
+            assert.throws(() => {
+                eslintrcOptions.parse("--cache-dir .cache/eslint");
+            }, /'cache-dir' did not have its dependencies met/u);
+        });
+    });
+
+    describe("--cache-remote", () => {
+        it("should return a string for .cacheRemote when passed a string with --cache-dir", () => {
+            const currentOptions = flatOptions.parse("--cache --cache-dir .cache/eslint --cache-remote https://cache.example.com/eslint");
+
+            assert.strictEqual(currentOptions.cacheRemote, "https://cache.example.com/eslint");
+        });
+
+        it("should throw an error when passed without --cache-dir", () => {
+            assert.throws(() => {
+                eslintrcOptions.parse("--cache --cache-remote https://cache.example.com/eslint");
+            }, /'cache-remote' did not have its dependencies met/u);
+        });
+    });
+
+    describe("--cache-stats", () => {
+        it("should return true for .cacheStats when passed", () => {
+            const currentOptions = eslintrcOptions.parse("--cache-stats");
+
+            assert.isTrue(currentOptions.cacheStats);
+        });
+    });
+
+    describe("--cache-prune", () => {
+        it("should return true for .cachePrune when passed", () => {
+            const currentOptions = flatOptions.parse("--cache-prune src");
+
+            assert.isTrue(currentOptions.cachePrune);
+        });
+    });
+
+    describe("--cache-clear", () => {
+        it("should return true for .cacheClear when passed", () => {
+            const currentOptions = eslintrcOptions.parse("--cache-clear");
+
+            assert.isTrue(currentOptions.cacheClear);
+        });
+
+        it("should return false for .cacheClear when not passed", () => {
+            const currentOptions = flatOptions.parse("");
+
+            assert.isFalse(currentOptions.cacheClear);
+        });
+    });
+
+    describe("--baseline", () => {
+        it("should return a string for .baseline when passed a string", () => {
+            const currentOptions = eslintrcOptions.parse("--baseline eslint-baseline.json");
+
+            assert.strictEqual(currentOptions.baseline, "eslint-baseline.json");
+        });
+    });
+
+    describe("--baseline-create", () => {
+        it("should return a string for .baselineCreate when passed a string", () => {
+            const currentOptions = flatOptions.parse("--baseline-create eslint-baseline.json");
+
+            assert.strictEqual(currentOptions.baselineCreate, "eslint-baseline.json");
+        });
+    });
+
+    describe("--baseline-prune", () => {
+        it("should return true for .baselinePrune when passed", () => {
+            const currentOptions = eslintrcOptions.parse("--baseline eslint-baseline.json --baseline-prune");
+
+            assert.isTrue(currentOptions.baselinePrune);
+        });
+
+        it("should return false for .baselinePrune when not passed", () => {
+            const currentOptions = eslintrcOptions.parse("--baseline eslint-baseline.json");
+
+            assert.isFalse(currentOptions.baselinePrune);
+        });
+    });
+
+    describe("--watch", () => {
+        it("should return true for .watch when passed", () => {
+            const currentOptions = eslintrcOptions.parse("--watch foo.js");
+
+            assert.isTrue(currentOptions.watch);
+        });
+
+        it("should return false for .watch when not passed", () => {
+            const currentOptions = flatOptions.parse("foo.js");
+
+            assert.isFalse(currentOptions.watch);
+        });
+    });
+
+    describe("--daemon", () => {
+        it("should return true for .daemon when passed", () => {
+            const currentOptions = flatOptions.parse("--daemon");
+
+            assert.isTrue(currentOptions.daemon);
+        });
+
+        it("should return false for .daemon when --no-daemon is passed", () => {
+            const currentOptions = eslintrcOptions.parse("--no-daemon foo.js");
+
+            assert.isFalse(currentOptions.daemon);
+        });
+
+        it("should return undefined for .daemon when not passed", () => {
+            const currentOptions = flatOptions.parse("foo.js");
+
+            assert.isUndefined(currentOptions.daemon);
+        });
+    });
+
+    describe("--lsp", () => {
+        it("should return true for .lsp when passed", () => {
+            const currentOptions = flatOptions.parse("--lsp");
+
+            assert.isTrue(currentOptions.lsp);
+        });
+
+        it("should return false for .lsp when not passed", () => {
+            const currentOptions = eslintrcOptions.parse("foo.js");
+
+            assert.isFalse(currentOptions.lsp);
+        });
+    });
+
     describe("--no-config-lookup", () => {
         it("should return a string for .rulesdir when passed a string", () => {
             const currentOptions = flatOptions.parse("--no-config-lookup foo.js");
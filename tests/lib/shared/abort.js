@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Tests for the abort utilities.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+
+const { AbortError, isAbortSignal, throwIfAborted } = require("../../../lib/shared/abort");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("AbortError", () => {
+    it("should have the name and code of Node.js abort errors", () => {
+        const error = new AbortError();
+
+        assert.instanceOf(error, Error);
+        assert.strictEqual(error.name, "AbortError");
+        assert.strictEqual(error.code, "ABORT_ERR");
+        assert.strictEqual(error.message, "The operation was aborted");
+        assert.notProperty(error, "cause");
+    });
+
+    it("should set the reason as the cause", () => {
+        const reason = new Error("stop");
+
+        assert.strictEqual(new AbortError(reason).cause, reason);
+    });
+});
+
+describe("isAbortSignal", () => {
+    it("should return true for an AbortSignal", () => {
+        assert.isTrue(isAbortSignal(new AbortController().signal));
+    });
+
+    it("should return false for other values", () => {
+        assert.isFalse(isAbortSignal(void 0));
+        assert.isFalse(isAbortSignal(null));
+        assert.isFalse(isAbortSignal(true));
+        assert.isFalse(isAbortSignal({}));
+        assert.isFalse(isAbortSignal({ aborted: false }));
+    });
+});
+
+describe("throwIfAborted", () => {
+    it("should not throw without a signal", () => {
+        throwIfAborted(void 0); // should not throw
+    });
+
+    it("should not throw if the signal isn't aborted", () => {
+        throwIfAborted(new AbortController().signal); // should not throw
+    });
+
+    it("should throw an AbortError with the reason if the signal is aborted", () => {
+        const controller = new AbortController();
+        const reason = new Error("stop");
+
+        controller.abort(reason);
+
+        assert.throws(() => throwIfAborted(controller.signal), AbortError);
+
+        try {
+            throwIfAborted(controller.signal);
+        } catch (error) {
+            assert.strictEqual(error.cause, reason);
+        }
+    });
+});
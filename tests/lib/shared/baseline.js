@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Tests for baselines of existing problems.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const stdAssert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sh = require("shelljs");
+
+const {
+    applyBaseline,
+    createBaseline,
+    pruneBaseline,
+    readBaseline,
+    writeBaseline
+} = require("../../../lib/shared/baseline");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a lint message.
+ * @param {string} ruleId The rule ID.
+ * @param {number} line The line of the problem.
+ * @param {Object} [extra] More properties of the message.
+ * @returns {Object} The message.
+ */
+function createMessage(ruleId, line, extra) {
+    return {
+        ruleId,
+        severity: 2,
+        message: `Problem of ${ruleId}.`,
+        line,
+        column: 1,
+        endLine: line,
+        endColumn: 2,
+        ...extra
+    };
+}
+
+/**
+ * Creates a lint result.
+ * @param {string} filePath The path of the file.
+ * @param {string} source The source code.
+ * @param {Object[]} messages The messages.
+ * @returns {Object} The result.
+ */
+function createResult(filePath, source, messages) {
+    return {
+        filePath,
+        messages,
+        suppressedMessages: [],
+        errorCount: messages.length,
+        fatalErrorCount: 0,
+        warningCount: 0,
+        fixableErrorCount: 0,
+        fixableWarningCount: 0,
+        source
+    };
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("baseline", () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "eslint-baseline-")));
+    });
+
+    afterEach(() => {
+        sh.rm("-r", root);
+    });
+
+    describe("createBaseline", () => {
+        it("should count the problems by file, rule, and fingerprint, without problems that have no rule", () => {
+            const baseline = createBaseline([
+                createResult(path.join(root, "src", "b.js"), "foo;\nfoo;\nbar;\n", [
+                    createMessage("no-undef", 1),
+                    createMessage("no-undef", 2),
+                    createMessage("semi", 3),
+                    { ...createMessage(null, 3), fatal: true }
+                ]),
+                createResult(path.join(root, "a.js"), "foo;\n", [])
+            ], root);
+
+            assert.deepStrictEqual(Object.keys(baseline), ["version", "files"]);
+            assert.deepStrictEqual(Object.keys(baseline.files), ["src/b.js"]);
+            assert.deepStrictEqual(Object.keys(baseline.files["src/b.js"]), ["no-undef", "semi"]);
+            assert.deepStrictEqual(Object.values(baseline.files["src/b.js"]["no-undef"]), [2]);
+            assert.deepStrictEqual(Object.values(baseline.files["src/b.js"].semi), [1]);
+        });
+    });
+
+    describe("applyBaseline", () => {
+        let filePath, baseline;
+
+        beforeEach(() => {
+            filePath = path.join(root, "a.js");
+            baseline = createBaseline([
+                createResult(filePath, "foo;\nbar;\n", [
+                    createMessage("no-undef", 1),
+                    createMessage("no-undef", 2, { severity: 1 })
+                ])
+            ], root);
+        });
+
+        it("should move the problems in the baseline to the suppressed messages and count the rest again", () => {
+            const { results, staleEntries } = applyBaseline([
+                createResult(filePath, "foo;\nbar;\nbaz;\n", [
+                    createMessage("no-undef", 1),
+                    createMessage("no-undef", 2, { severity: 1 }),
+                    createMessage("no-undef", 3)
+                ])
+            ], baseline, root);
+
+            assert.deepStrictEqual(results[0].messages, [createMessage("no-undef", 3)]);
+            assert.deepStrictEqual(results[0].suppressedMessages, [
+                { ...createMessage("no-undef", 1), suppressions: [{ kind: "baseline", justification: "" }] },
+                { ...createMessage("no-undef", 2, { severity: 1 }), suppressions: [{ kind: "baseline", justification: "" }] }
+            ]);
+            assert.strictEqual(results[0].errorCount, 1);
+            assert.strictEqual(results[0].warningCount, 0);
+            assert.deepStrictEqual(staleEntries, []);
+        });
+
+        it("should match problems after lines were added above them", () => {
+            const { results } = applyBaseline([
+                createResult(filePath, "// new\n\n  foo;\nbar;\n", [
+                    createMessage("no-undef", 3),
+                    createMessage("no-undef", 4)
+                ])
+            ], baseline, root);
+
+            assert.deepStrictEqual(results[0].messages, []);
+            assert.strictEqual(results[0].suppressedMessages.length, 2);
+        });
+
+        it("should report a problem that occurs more often than in the baseline", () => {
+            const { results } = applyBaseline([
+                createResult(filePath, "foo;\nfoo;\nbar;\n", [
+                    createMessage("no-undef", 1),
+                    createMessage("no-undef", 2),
+                    createMessage("no-undef", 3)
+                ])
+            ], baseline, root);
+
+            assert.deepStrictEqual(results[0].messages, [createMessage("no-undef", 2)]);
+        });
+
+        it("should return the problems in the baseline that weren't found as stale entries", () => {
+            const { staleEntries } = applyBaseline([
+                createResult(filePath, "foo;\nbaz;\n", [createMessage("no-undef", 1)])
+            ], baseline, root);
+
+            assert.strictEqual(staleEntries.length, 1);
+            assert.include(staleEntries[0], { filePath: "a.js", ruleId: "no-undef", count: 1 });
+        });
+
+        it("should return the problems of deleted files that weren't linted as stale entries", () => {
+            fs.writeFileSync(filePath, "foo;\nbar;\n");
+            fs.writeFileSync(path.join(root, "b.js"), "foo;\n");
+            baseline.files["b.js"] = { "no-undef": { x: 1 } };
+            baseline.files["c.js"] = { "no-undef": { y: 2 } };
+
+            const { staleEntries } = applyBaseline([], baseline, root);
+
+            assert.deepStrictEqual(staleEntries, [{ filePath: "c.js", ruleId: "no-undef", fingerprint: "y", count: 2 }]);
+        });
+    });
+
+    describe("pruneBaseline", () => {
+        it("should remove the stale entries and the files and rules that become empty", () => {
+            const baseline = {
+                version: 1,
+                files: {
+                    "a.js": { "no-undef": { x: 2, y: 1 }, semi: { z: 1 } },
+                    "b.js": { "no-undef": { x: 1 } }
+                }
+            };
+
+            const pruned = pruneBaseline(baseline, [
+                { filePath: "a.js", ruleId: "no-undef", fingerprint: "x", count: 1 },
+                { filePath: "a.js", ruleId: "semi", fingerprint: "z", count: 1 },
+                { filePath: "b.js", ruleId: "no-undef", fingerprint: "x", count: 1 }
+            ]);
+
+            assert.deepStrictEqual(pruned, { version: 1, files: { "a.js": { "no-undef": { x: 1, y: 1 } } } });
+            assert.strictEqual(baseline.files["a.js"]["no-undef"].x, 2);
+        });
+    });
+
+    describe("readBaseline and writeBaseline", () => {
+        it("should write a baseline that can be read again", async () => {
+            const baselinePath = path.join(root, "sub", "baseline.json");
+            const baseline = { version: 1, files: { "a.js": { semi: { x: 1 } } } };
+
+            await writeBaseline(baselinePath, baseline);
+
+            assert.deepStrictEqual(await readBaseline(baselinePath), baseline);
+            assert.match(fs.readFileSync(baselinePath, "utf8"), /\n$/u);
+        });
+
+        it("should throw an error for a file that isn't a baseline", async () => {
+            const baselinePath = path.join(root, "baseline.json");
+
+            fs.writeFileSync(baselinePath, "{\"version\":2,\"files\":{}}");
+
+            await stdAssert.rejects(
+                () => readBaseline(baselinePath),
+                { message: `${baselinePath} isn't a baseline file of this version of ESLint.` }
+            );
+        });
+    });
+});
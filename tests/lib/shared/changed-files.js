@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Tests for the utilities to ask git which files and lines have changed.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const stdAssert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sh = require("shelljs");
+
+const { getChangedFiles, getChangedLines } = require("../../../lib/shared/changed-files");
+const { createGitCheckout, git, writeFiles } = require("../../_utils/checkouts");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("changed files", () => {
+    let root;
+
+    beforeEach(() => {
+        root = createGitCheckout("eslint-changed-files-", {
+            ".gitignore": "ignored.js\n",
+            "a.js": "a\n",
+            "b.js": "b\n",
+            "c.js": "c\n",
+            "sub/d.js": "d\n"
+        });
+        git(root, "tag", "first");
+    });
+
+    afterEach(() => {
+        sh.rm("-r", root);
+    });
+
+    describe("getChangedFiles", () => {
+        it("should return the files that changed in the working tree since a ref, without deleted files", async () => {
+            writeFiles(root, {
+                "a.js": "a2",
+                "new.js": "new",
+                "ignored.js": "ignored"
+            });
+            fs.unlinkSync(path.join(root, "b.js"));
+
+            const filePaths = await getChangedFiles({ cwd: root, ref: "HEAD" });
+
+            assert.sameMembers(filePaths, [path.join(root, "a.js"), path.join(root, "new.js")]);
+        });
+
+        it("should return the new path of renamed files", async () => {
+            git(root, "mv", "c.js", "e.js");
+            git(root, "commit", "-q", "-m", "second");
+
+            const filePaths = await getChangedFiles({ cwd: root, ref: "first" });
+
+            assert.deepStrictEqual(filePaths, [path.join(root, "e.js")]);
+        });
+
+        it("should return only the staged files with staged: true", async () => {
+            writeFiles(root, {
+                "a.js": "a2",
+                "sub/d.js": "d2",
+                "new.js": "new"
+            });
+            git(root, "add", "sub/d.js");
+
+            const filePaths = await getChangedFiles({ cwd: root, staged: true });
+
+            assert.deepStrictEqual(filePaths, [path.join(root, "sub", "d.js")]);
+        });
+
+        it("should return absolute paths when run in a subdirectory", async () => {
+            writeFiles(root, {
+                "a.js": "a2",
+                "sub/d.js": "d2"
+            });
+
+            const filePaths = await getChangedFiles({ cwd: path.join(root, "sub"), ref: "HEAD" });
+
+            assert.sameMembers(filePaths, [path.join(root, "a.js"), path.join(root, "sub", "d.js")]);
+        });
+
+        it("should throw an error for a ref that doesn't exist", async () => {
+            await stdAssert.rejects(
+                () => getChangedFiles({ cwd: root, ref: "no-such-ref" }),
+                /no-such-ref/u
+            );
+        });
+
+        it("should throw an error for a ref that looks like an option", async () => {
+            await stdAssert.rejects(
+                () => getChangedFiles({ cwd: root, ref: "--output=foo" }),
+                { message: "'--output=foo' is not a valid git ref." }
+            );
+        });
+
+        it("should throw an error outside of a git repository", async () => {
+            await stdAssert.rejects(
+                () => getChangedFiles({ cwd: os.tmpdir(), ref: "HEAD" }),
+                /not a git repository/u
+            );
+        });
+    });
+
+    describe("getChangedLines", () => {
+        beforeEach(() => {
+            writeFiles(root, { "a.js": "1\n2\n3\n4\n5\n6\n" });
+            git(root, "commit", "-q", "-am", "second");
+        });
+
+        it("should return the ranges of added and modified lines", async () => {
+            writeFiles(root, { "a.js": "1\n2b\n3b\n4\n5\n6\n7\n" });
+
+            const changedLines = await getChangedLines({ cwd: root, ref: "HEAD" });
+
+            assert.deepStrictEqual([...changedLines], [[path.join(root, "a.js"), [{ start: 2, end: 3 }, { start: 7, end: 7 }]]]);
+        });
+
+        it("should return no ranges for a file with only deleted lines", async () => {
+            writeFiles(root, { "a.js": "1\n2\n6\n" });
+
+            const changedLines = await getChangedLines({ cwd: root, ref: "HEAD" });
+
+            assert.deepStrictEqual(changedLines.get(path.join(root, "a.js")), []);
+        });
+
+        it("should not mistake added lines that start with '++' for file headers", async () => {
+            writeFiles(root, { "a.js": "1\n++ b/x.js\n3\n4\n5\n6\n" });
+
+            const changedLines = await getChangedLines({ cwd: root, ref: "HEAD" });
+
+            assert.deepStrictEqual([...changedLines], [[path.join(root, "a.js"), [{ start: 2, end: 2 }]]]);
+        });
+
+        it("should return the lines changed since an older ref, with new and untracked files", async () => {
+            writeFiles(root, {
+                "b.js": "b\nb2\n",
+                "new.js": "new\n",
+                "ignored.js": "ignored\n"
+            });
+            git(root, "add", "b.js");
+
+            const changedLines = await getChangedLines({ cwd: path.join(root, "sub"), ref: "first" });
+
+            assert.deepStrictEqual(changedLines, new Map([
+                [path.join(root, "a.js"), [{ start: 1, end: 6 }]],
+                [path.join(root, "b.js"), [{ start: 2, end: 2 }]],
+                [path.join(root, "new.js"), null]
+            ]));
+        });
+
+        it("should return the lines of a file with special characters in its path", async () => {
+            writeFiles(root, { "sp\"ace.js": "x\n" });
+            git(root, "add", "-A");
+            git(root, "commit", "-q", "-m", "third");
+            writeFiles(root, { "sp\"ace.js": "x\ny\n" });
+
+            const changedLines = await getChangedLines({ cwd: root, ref: "HEAD" });
+
+            assert.deepStrictEqual(changedLines.get(path.join(root, "sp\"ace.js")), [{ start: 2, end: 2 }]);
+        });
+
+        it("should return the lines of a file with non-ASCII characters in its path", async () => {
+            git(root, "config", "core.quotePath", "true");
+            writeFiles(root, { "\u00e4/\u00f6\u{1f600}.js": "x\n" });
+            git(root, "add", "-A");
+            git(root, "commit", "-q", "-m", "third");
+            writeFiles(root, { "\u00e4/\u00f6\u{1f600}.js": "x\ny\n" });
+
+            const changedLines = await getChangedLines({ cwd: root, ref: "HEAD" });
+
+            assert.deepStrictEqual(changedLines.get(path.join(root, "\u00e4/\u00f6\u{1f600}.js")), [{ start: 2, end: 2 }]);
+        });
+
+        it("should return the lines of a file with a space in its path", async () => {
+            writeFiles(root, { "x y.js": "x\n" });
+            git(root, "add", "-A");
+            git(root, "commit", "-q", "-m", "third");
+            writeFiles(root, { "x y.js": "x\ny\n" });
+
+            const changedLines = await getChangedLines({ cwd: root, ref: "HEAD" });
+
+            assert.deepStrictEqual(changedLines.get(path.join(root, "x y.js")), [{ start: 2, end: 2 }]);
+        });
+
+        if (process.platform !== "win32") {
+            it("should return the lines of a file with control characters and backslashes in its path", async () => {
+                writeFiles(root, { "t\tab\\\u0001\u00e4.js": "x\n" });
+                git(root, "add", "-A");
+                git(root, "commit", "-q", "-m", "third");
+                writeFiles(root, { "t\tab\\\u0001\u00e4.js": "x\ny\n" });
+
+                const changedLines = await getChangedLines({ cwd: root, ref: "HEAD" });
+
+                assert.deepStrictEqual(changedLines.get(path.join(root, "t\tab\\\u0001\u00e4.js")), [{ start: 2, end: 2 }]);
+            });
+        }
+
+        it("should throw an error for a ref that doesn't exist", async () => {
+            await stdAssert.rejects(
+                () => getChangedLines({ cwd: root, ref: "no-such-ref" }),
+                /no-such-ref/u
+            );
+        });
+    });
+});
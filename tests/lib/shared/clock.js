@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Tests for the clock that lint workers and the main thread share.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const { Worker } = require("worker_threads");
+
+const { now } = require("../../../lib/shared/clock");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("now", () => {
+    it("should return the same time in a worker thread as on the main thread", async () => {
+        const before = now();
+        const worker = new Worker(
+            `require("worker_threads").parentPort.postMessage(require(${JSON.stringify(require.resolve("../../../lib/shared/clock"))}).now());`,
+            { eval: true }
+        );
+        const workerTime = await new Promise((resolve, reject) => {
+            worker.once("message", resolve);
+            worker.once("error", reject);
+        });
+        const after = now();
+
+        await worker.terminate();
+
+        // Each thread measures from its own time origin, which may be off by a fraction of a millisecond.
+        assert.isAtLeast(workerTime, before - 1);
+        assert.isAtMost(workerTime, after + 1);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Tests for the file watcher.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sh = require("shelljs");
+const sinon = require("sinon");
+
+const { watchFiles } = require("../../../lib/shared/file-watcher");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Waits for a while.
+ * @param {number} ms The time to wait in milliseconds.
+ * @returns {Promise<void>} A promise that is resolved after the time.
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("watchFiles", () => {
+    let tmpDir, fileA, fileB, onChange, watcher;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "eslint-file-watcher-"));
+        fileA = path.join(tmpDir, "a.js");
+        fileB = path.join(tmpDir, "b.js");
+        fs.writeFileSync(fileA, "a");
+        fs.writeFileSync(fileB, "b");
+        onChange = sinon.spy();
+    });
+
+    afterEach(() => {
+        watcher.close();
+        sh.rm("-r", tmpDir);
+    });
+
+    it("should report changed files once after several changes", async () => {
+        watcher = watchFiles([fileA, fileB], onChange, { delay: 50 });
+
+        fs.writeFileSync(fileA, "a2");
+        fs.writeFileSync(fileB, "b2");
+        fs.writeFileSync(fileA, "a3");
+        await wait(300);
+
+        assert.isTrue(onChange.calledOnce);
+        assert.sameMembers(onChange.args[0][0], [fileA, fileB]);
+    });
+
+    it("should not report files that aren't watched", async () => {
+        watcher = watchFiles([fileA], onChange, { delay: 50 });
+
+        fs.writeFileSync(fileB, "b2");
+        fs.writeFileSync(path.join(tmpDir, "c.js"), "c");
+        await wait(300);
+
+        assert.isTrue(onChange.notCalled);
+    });
+
+    it("should report removed and created files", async () => {
+        const fileC = path.join(tmpDir, "c.js");
+
+        watcher = watchFiles([fileA, fileC], onChange, { delay: 50 });
+
+        fs.unlinkSync(fileA);
+        fs.writeFileSync(fileC, "c");
+        await wait(300);
+
+        assert.sameMembers(onChange.args[0][0], [fileA, fileC]);
+    });
+
+    it("should not report changes after it is closed", async () => {
+        watcher = watchFiles([fileA], onChange, { delay: 50 });
+
+        fs.writeFileSync(fileA, "a2");
+        watcher.close();
+        await wait(300);
+
+        assert.isTrue(onChange.notCalled);
+    });
+
+    it("should skip directories that don't exist", () => {
+        watcher = watchFiles([path.join(tmpDir, "missing", "a.js")], onChange);
+
+        // should not throw
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Tests for the progress reporter.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const sinon = require("sinon");
+
+const { createProgressReporter, formatDuration } = require("../../../lib/shared/progress-reporter");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("formatDuration", () => {
+    it("should format durations below a minute in seconds", () => {
+        assert.strictEqual(formatDuration(0), "0s");
+        assert.strictEqual(formatDuration(1499), "1s");
+        assert.strictEqual(formatDuration(59000), "59s");
+    });
+
+    it("should format longer durations in minutes and seconds", () => {
+        assert.strictEqual(formatDuration(60000), "1m 00s");
+        assert.strictEqual(formatDuration(185000), "3m 05s");
+    });
+});
+
+describe("createProgressReporter", () => {
+    let clock, stream;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        stream = { write: sinon.spy() };
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it("should render the linted files, the elapsed time and the remaining time", () => {
+        const reporter = createProgressReporter(stream);
+
+        clock.tick(10000);
+        reporter.onFileEnd({ filePath: "a.js", completed: 1, total: 4 });
+
+        assert.deepStrictEqual(stream.write.args, [["\r\u001b[K1/4 files linted, 10s elapsed, ETA 30s"]]);
+    });
+
+    it("should not redraw the line more often than every 100ms", () => {
+        const reporter = createProgressReporter(stream);
+
+        reporter.onFileEnd({ filePath: "a.js", completed: 1, total: 4 });
+        clock.tick(50);
+        reporter.onFileEnd({ filePath: "b.js", completed: 2, total: 4 });
+        clock.tick(50);
+        reporter.onFileEnd({ filePath: "c.js", completed: 3, total: 4 });
+
+        assert.strictEqual(stream.write.callCount, 2);
+        assert.include(stream.write.secondCall.args[0], "3/4 files linted");
+    });
+
+    it("should always render the last file", () => {
+        const reporter = createProgressReporter(stream);
+
+        reporter.onFileEnd({ filePath: "a.js", completed: 1, total: 2 });
+        reporter.onFileEnd({ filePath: "b.js", completed: 2, total: 2 });
+
+        assert.strictEqual(stream.write.callCount, 2);
+        assert.include(stream.write.secondCall.args[0], "2/2 files linted");
+    });
+
+    it("should clear the line only if it was rendered", () => {
+        const reporter = createProgressReporter(stream);
+
+        reporter.clear();
+        assert.strictEqual(stream.write.callCount, 0);
+
+        reporter.onFileEnd({ filePath: "a.js", completed: 1, total: 1 });
+        reporter.clear();
+        assert.strictEqual(stream.write.lastCall.args[0], "\r\u001b[K");
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Tests for the utilities to send values to workers and the daemon.
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+
+const { deserializeError, isPlainData, serializeError } = require("../../../lib/shared/serialization");
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("serializeError and deserializeError", () => {
+    it("should keep the name, message, and stack", () => {
+        const error = new TypeError("foo");
+        const copy = deserializeError(JSON.parse(JSON.stringify(serializeError(error))));
+
+        assert.instanceOf(copy, Error);
+        assert.strictEqual(copy.name, "TypeError");
+        assert.strictEqual(copy.message, "foo");
+        assert.strictEqual(copy.stack, error.stack);
+    });
+
+    it("should keep the message template and its data", () => {
+        const error = new Error("No files matching 'foo' were found.");
+
+        error.messageTemplate = "file-not-found";
+        error.messageData = { pattern: "foo", globDisabled: false };
+
+        const copy = deserializeError(serializeError(error));
+
+        assert.strictEqual(copy.messageTemplate, "file-not-found");
+        assert.deepStrictEqual(copy.messageData, { pattern: "foo", globDisabled: false });
+    });
+
+    it("should keep other properties that are plain data", () => {
+        const error = Object.assign(new Error("foo"), { code: "ENOENT", errno: -2, cause: new Error("bar"), callback() {} });
+        const copy = deserializeError(serializeError(error));
+
+        assert.strictEqual(copy.code, "ENOENT");
+        assert.strictEqual(copy.errno, -2);
+        assert.notProperty(copy, "cause");
+        assert.notProperty(copy, "callback");
+    });
+
+    it("should convert thrown values that aren't objects", () => {
+        assert.deepStrictEqual(serializeError("foo"), { name: "Error", message: "foo" });
+    });
+});
+
+describe("isPlainData", () => {
+    it("should return true for JSON data", () => {
+        assert.isTrue(isPlainData(null));
+        assert.isTrue(isPlainData(true));
+        assert.isTrue(isPlainData(1));
+        assert.isTrue(isPlainData("foo"));
+        assert.isTrue(isPlainData({
+            cwd: "/foo",
+            fix: true,
+            shard: null,
+            ignorePatterns: void 0,
+            overrideConfig: [{ rules: { semi: ["error", "always"] } }]
+        }));
+        assert.isTrue(isPlainData(Object.create(null)));
+    });
+
+    it("should return false for data that doesn't survive JSON", () => {
+        assert.isFalse(isPlainData(void 0));
+        assert.isFalse(isPlainData(NaN));
+        assert.isFalse(isPlainData(() => true));
+        assert.isFalse(isPlainData({ fix: () => true }));
+        assert.isFalse(isPlainData([{ plugins: { foo: new Map() } }]));
+        assert.isFalse(isPlainData({ pattern: /foo/u }));
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests for shard utils.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const path = require("path");
+
+const { isFileInShard, isShard, parseShard, reportsUnmatchedPatterns } = require("../../../lib/shared/shard");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("isShard", () => {
+    it("should return true for a valid shard", () => {
+        assert.isTrue(isShard({ index: 1, total: 1 }));
+        assert.isTrue(isShard({ index: 3, total: 4 }));
+    });
+
+    it("should return false for an invalid shard", () => {
+        assert.isFalse(isShard(null));
+        assert.isFalse(isShard("1/2"));
+        assert.isFalse(isShard({ index: 0, total: 2 }));
+        assert.isFalse(isShard({ index: 3, total: 2 }));
+        assert.isFalse(isShard({ index: 1.5, total: 2 }));
+        assert.isFalse(isShard({ index: 1 }));
+    });
+});
+
+describe("parseShard", () => {
+    it("should parse a shard in the form <index>/<total>", () => {
+        assert.deepStrictEqual(parseShard("2/3"), { index: 2, total: 3 });
+    });
+
+    it("should return null for an invalid shard", () => {
+        assert.isNull(parseShard("0/3"));
+        assert.isNull(parseShard("4/3"));
+        assert.isNull(parseShard("1"));
+        assert.isNull(parseShard("1/3/5"));
+        assert.isNull(parseShard("a/b"));
+        assert.isNull(parseShard(" 1/3"));
+    });
+});
+
+describe("isFileInShard", () => {
+    const cwd = path.resolve("/project");
+    const filePaths = Array.from({ length: 50 }, (_, i) => path.join(cwd, "src", `file-${i}.js`));
+
+    it("should return true for every file if there is no shard", () => {
+        filePaths.forEach(filePath => assert.isTrue(isFileInShard(filePath, cwd, null)));
+    });
+
+    it("should put every file into exactly one shard", () => {
+        const total = 3;
+
+        filePaths.forEach(filePath => {
+            const shards = [1, 2, 3].filter(index => isFileInShard(filePath, cwd, { index, total }));
+
+            assert.strictEqual(shards.length, 1, `${filePath} should be in one shard`);
+        });
+    });
+
+    it("should put files into every shard", () => {
+        [1, 2, 3].forEach(index => {
+            assert.isTrue(filePaths.some(filePath => isFileInShard(filePath, cwd, { index, total: 3 })));
+        });
+    });
+
+    it("should put a file into the same shard regardless of the location of cwd", () => {
+        const otherCwd = path.resolve("/ci/workspace");
+
+        filePaths.forEach(filePath => {
+            const otherFilePath = path.join(otherCwd, path.relative(cwd, filePath));
+
+            [1, 2, 3].forEach(index => {
+                assert.strictEqual(
+                    isFileInShard(otherFilePath, otherCwd, { index, total: 3 }),
+                    isFileInShard(filePath, cwd, { index, total: 3 })
+                );
+            });
+        });
+    });
+});
+
+describe("reportsUnmatchedPatterns", () => {
+    it("should return true if there is no shard", () => {
+        assert.isTrue(reportsUnmatchedPatterns(null));
+    });
+
+    it("should return true only for the first shard", () => {
+        assert.isTrue(reportsUnmatchedPatterns({ index: 1, total: 3 }));
+        assert.isFalse(reportsUnmatchedPatterns({ index: 2, total: 3 }));
+        assert.isFalse(reportsUnmatchedPatterns({ index: 3, total: 3 }));
+    });
+});
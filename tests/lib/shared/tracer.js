@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for the tracer.
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const { performance } = require("perf_hooks");
+const sinon = require("sinon");
+
+const { Tracer } = require("../../../lib/shared/tracer");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("Tracer", () => {
+    let time;
+
+    beforeEach(() => {
+        time = 0;
+        sinon.stub(performance, "now").callsFake(() => time);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    /**
+     * Converts a time of the stubbed `performance.now()` to a timestamp of an event.
+     * @param {number} milliseconds The time in milliseconds.
+     * @returns {number} The timestamp in microseconds.
+     */
+    function timestamp(milliseconds) {
+        return (performance.timeOrigin + milliseconds) * 1000;
+    }
+
+    it("should start with an event that names the main thread", () => {
+        const [event] = new Tracer().getEvents();
+
+        assert.deepStrictEqual(event, {
+            name: "thread_name",
+            ph: "M",
+            pid: process.pid,
+            tid: 0,
+            args: { name: "Main thread" }
+        });
+    });
+
+    it("should record a complete event for a traced call", () => {
+        const tracer = new Tracer();
+        const returnValue = tracer.trace("Parse", "lint", () => {
+            time = 3;
+            return "result";
+        }, { filePath: "a.js" });
+
+        const { dur, ...event } = tracer.getEvents()[1];
+
+        assert.strictEqual(returnValue, "result");
+        assert.deepStrictEqual(event, {
+            name: "Parse",
+            cat: "lint",
+            ph: "X",
+            ts: timestamp(0),
+            pid: process.pid,
+            tid: 0,
+            args: { filePath: "a.js" }
+        });
+
+        // The timestamps are large numbers, so the difference isn't exact.
+        assert.closeTo(dur, 3000, 0.01);
+    });
+
+    it("should record a traced call that throws", () => {
+        const tracer = new Tracer();
+
+        assert.throws(() => tracer.trace("Parse", "lint", () => {
+            throw new Error("failed");
+        }), "failed");
+        assert.strictEqual(tracer.getEvents()[1].name, "Parse");
+    });
+
+    it("should record a traced async call when its promise is settled", async () => {
+        const tracer = new Tracer();
+        const returnValue = await tracer.traceAsync("Find files", "files", async () => {
+            await Promise.resolve();
+            time = 5;
+            return "result";
+        });
+
+        assert.strictEqual(returnValue, "result");
+        assert.closeTo(tracer.getEvents()[1].dur, 5000, 0.01);
+    });
+
+    it("should only record calls of a wrapped function that take at least the minimum duration", () => {
+        const tracer = new Tracer();
+        const wrapped = tracer.wrap("semi", "rule", duration => {
+            time += duration;
+            return duration;
+        }, 100);
+
+        assert.strictEqual(wrapped(0.05), 0.05);
+        assert.strictEqual(wrapped(0.5), 0.5);
+
+        const events = tracer.getEvents();
+
+        assert.strictEqual(events.length, 2);
+        assert.include(events[1], { name: "semi", cat: "rule", ts: timestamp(0.05) });
+        assert.notProperty(events[1], "args");
+    });
+
+    it("should add events of other threads", () => {
+        const tracer = new Tracer();
+        const event = { name: "Parse", cat: "lint", ph: "X", ts: 1, dur: 1, pid: process.pid, tid: 1 };
+
+        tracer.addEvents([event]);
+
+        assert.deepStrictEqual(tracer.getEvents()[1], event);
+    });
+
+    it("should forget the events that takeEvents() returned", () => {
+        const tracer = new Tracer();
+
+        tracer.trace("Parse", "lint", () => {});
+
+        assert.strictEqual(tracer.takeEvents().length, 2);
+        assert.deepStrictEqual(tracer.takeEvents(), []);
+    });
+
+    it("should record nothing if it's disabled", async () => {
+        const tracer = new Tracer({ enabled: false });
+
+        /**
+         * A function to trace.
+         * @returns {string} A result.
+         */
+        function fn() {
+            return "result";
+        }
+
+        assert.strictEqual(tracer.trace("Parse", "lint", fn), "result");
+        assert.strictEqual(await tracer.traceAsync("Find files", "files", async () => "result"), "result");
+        assert.strictEqual(tracer.wrap("semi", "rule", fn, 0), fn);
+        tracer.addEvent("Parse", "lint", tracer.now());
+        tracer.addEvents([{ name: "Parse", ph: "X", pid: process.pid, tid: 1 }]);
+
+        assert.deepStrictEqual(tracer.getEvents(), []);
+    });
+});